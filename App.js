@@ -1,5 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { Platform, PermissionsAndroid, Alert, AppState } from 'react-native';
 import Home from './Pages/Home';
@@ -7,13 +7,27 @@ import SelectPage from './Pages/Choose';
 import Settings from './Pages/Settings';
 import Main from './Pages/Main';
 import Config from './Pages/Configure_RemoteStation';
+import DeveloperMenu from './Pages/DeveloperMenu';
+import Login from './Pages/Login';
+import Dashboard from './Pages/Dashboard';
 import PushNotification from 'react-native-push-notification';
 import messaging from '@react-native-firebase/messaging';
+import api from './Services/api';
+import { loadEnvironment, onEnvironmentChange, whenEnvironmentReady } from './Services/environment';
+import { loadSession, onSessionChange, SessionStatus, setDeviceToken } from './Services/session';
+import readingStore, { startReadingRecorder } from './Services/readingStore';
+import alarmStore, { startAlarmAckSync, startAlarmMonitor } from './Services/alarms';
+import { startAlarmNotifications, startStaleNotifications } from './Services/alarmNotifications';
+import { startThresholdSync } from './Services/thresholds';
+import statusStore, { startStatusRecorder } from './Services/statusHistory';
+import staleStore, { startStaleMonitor } from './Services/staleness';
+import signalStore, { startSignalRecorder } from './Services/signalHistory';
 
-const SERVER_SAVE_TOKEN_ENDPOINT = 'https://boreal-2.soniciot.com/api/save-token';
+const navigationRef = createNavigationContainerRef();
 
 export default function App() {
   const [fcmToken, setFcmToken] = useState(null);
+  const fcmTokenRef = useRef(null); // latest token for the environment-change listener
 
   // Refs to manage single registration + unsubscribe functions
   const registeredRef = useRef(false);
@@ -49,18 +63,79 @@ export default function App() {
     }
   }, []);
 
+  useEffect(() => {
+    fcmTokenRef.current = fcmToken;
+  }, [fcmToken]);
+
+  // Apply the persisted backend environment; re-register the FCM token whenever it changes,
+  // otherwise push notifications would keep coming from (or not at all from) the old backend
+  useEffect(() => {
+    loadEnvironment();
+    return onEnvironmentChange(() => {
+      if (fcmTokenRef.current) sendTokenToBackend(fcmTokenRef.current);
+    });
+  }, []);
+
+  // Signing in re-sends the FCM token with the user's bearer token so the backend links the device
+  // to that user, and starts recording every station's readings, status, GSM signal, alarm and stale episodes
+  // on-device (notifying locally when an episode opens or escalates, or a station goes stale);
+  // an expired session sends whoever is on screen back to the login page
+  useEffect(() => {
+    loadSession();
+    let lastStatus = null;
+    let stopRecorder = null;
+    const notifyAlarm = ({ title, message }) =>
+      PushNotification.localNotification({
+        channelId: 'default-channel-id',
+        title,
+        message,
+        playSound: true,
+        soundName: 'default',
+        vibrate: true,
+        importance: 4,
+      });
+    const startRecording = () => {
+      const stops = [
+        startThresholdSync(),
+        startAlarmMonitor(),
+        startAlarmAckSync(),
+        startAlarmNotifications({ notify: notifyAlarm }),
+        startStaleMonitor(),
+        startStaleNotifications({ notify: notifyAlarm }),
+        startStatusRecorder(),
+        startSignalRecorder(),
+        startReadingRecorder(),
+      ];
+      return () => stops.forEach(stop => stop());
+    };
+    const unsubscribe = onSessionChange(({ status }) => {
+      const previous = lastStatus;
+      lastStatus = status;
+      if (status === SessionStatus.SIGNED_IN && previous !== SessionStatus.SIGNED_IN) {
+        if (fcmTokenRef.current) sendTokenToBackend(fcmTokenRef.current);
+        if (!stopRecorder) stopRecorder = startRecording();
+      }
+      if (status !== SessionStatus.SIGNED_IN && stopRecorder) {
+        stopRecorder();
+        stopRecorder = null;
+      }
+      if (status === SessionStatus.EXPIRED && navigationRef.isReady()) {
+        navigationRef.reset({ index: 1, routes: [{ name: 'Home' }, { name: 'Login' }] });
+      }
+    });
+    return () => {
+      unsubscribe();
+      if (stopRecorder) stopRecorder();
+    };
+  }, []);
+
   // Helper: send token to backend
   const sendTokenToBackend = async (token) => {
     if (!token) return;
     try {
-      const res = await fetch(SERVER_SAVE_TOKEN_ENDPOINT, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ token }),
-      });
-      if (!res.ok) {
-        console.warn('Failed to save token to backend; status:', res.status);
-      }
+      await whenEnvironmentReady();
+      await api.saveToken(token);
+      setDeviceToken(token);
     } catch (error) {
       console.warn('Error sending token to backend:', error);
     }
@@ -214,6 +289,14 @@ export default function App() {
   // Effect: re-check when app comes to foreground (helps when user enables notifications in Settings)
   useEffect(() => {
     const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'background') {
+        // don't lose the last couple of seconds of recorded readings if the OS kills us
+        readingStore.flush();
+        alarmStore.flush();
+        statusStore.flush();
+        staleStore.flush();
+        signalStore.flush();
+      }
       if (nextAppState === 'active') {
         // ensureRegistered won't prompt on Android if allowPrompt=false; it will only check current state.
         // If you want to open the runtime request when returning from settings, call ensureRegistered({ allowPrompt: true })
@@ -231,13 +314,16 @@ export default function App() {
   const Stack = createNativeStackNavigator();
 
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigationRef}>
       <Stack.Navigator initialRouteName="Home" screenOptions={{ headerShown: false }}>
         <Stack.Screen name="Home" component={Home} />
+        <Stack.Screen name="Login" component={Login} />
         <Stack.Screen name="SelectPage" component={SelectPage} />
         <Stack.Screen name="Settings" component={Settings} />
+        <Stack.Screen name="Dashboard" component={Dashboard} />
         <Stack.Screen name="Main" component={Main} />
         <Stack.Screen name="Config" component={Config} />
+        <Stack.Screen name="DeveloperMenu" component={DeveloperMenu} />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,505 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ActivityIndicator,
+} from 'react-native';
+import { acknowledgeEpisode, episodeDuration, episodeLevel, isAcknowledged, isOngoing } from '../Services/alarms';
+import { classify, Level, levelColor, levelLabel, toLevels } from '../Services/levels';
+import { formatDateTime, formatDuration } from '../Services/format';
+import { describeWriteError } from '../Services/permissions';
+import { readingTime } from '../Services/readings';
+import { isStaleEpisode, STALE_COLOR } from '../Services/staleness';
+import { DEFAULT_UNITS, formatNumber, formatValue } from '../Services/units';
+
+// Re-render once a second while an episode is ongoing so its duration keeps counting
+const useNowWhile = active => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!active) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [active]);
+  return now;
+};
+
+const EpisodeReadings = ({ episode, readings, units, onBack, now }) => {
+  // readings of the episode window (including the one that closed it), newest first
+  const rows = useMemo(() => {
+    const start = Date.parse(episode.startedAt);
+    const end = episode.endedAt ? Date.parse(episode.endedAt) : Infinity;
+    return readings.filter(r => readingTime(r) >= start && readingTime(r) <= end).reverse();
+  }, [episode, readings]);
+
+  // rows are coloured by the levels that were in force when the episode opened
+  const levels = episode.levels || toLevels(episode.threshold);
+  const renderRow = ({ item }) => {
+    const level = item.numeric ? classify(item.value, levels) : Level.NORMAL;
+    const above = level !== Level.NORMAL;
+    return (
+      <View style={styles.row}>
+        <Text style={[styles.cell, styles.dateCell]}>{formatDateTime(item.ts)}</Text>
+        <Text style={[styles.cell, styles.valueCell, above && styles.above, above && { color: levelColor(level) }]}>
+          {formatValue(item.numeric ? item.value : item.rawValue ?? item.value, units)}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <>
+      <View style={styles.detailHeader}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backText}>‹ All alarms</Text>
+        </TouchableOpacity>
+        <Text style={[styles.detailSummary, { color: levelColor(episodeLevel(episode)) }]}>
+          Peak {formatValue(episode.peak, units)} · {formatDuration(episodeDuration(episode, now))}
+        </Text>
+      </View>
+      <FlatList
+        style={styles.listBox}
+        data={rows}
+        renderItem={renderRow}
+        keyExtractor={item => item.id}
+        contentContainerStyle={styles.body}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>The readings of this alarm are no longer stored on this device.</Text>
+        }
+        initialNumToRender={10}
+        windowSize={5}
+      />
+    </>
+  );
+};
+
+// Optional comment, then POST; the dialog stays open with the error if the backend refuses
+const AckDialog = ({ episode, units, onClose }) => {
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await acknowledgeEpisode(episode, comment);
+      onClose();
+    } catch (err) {
+      setError(describeWriteError(err, 'acknowledge alarms'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal transparent animationType="fade" visible onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Acknowledge alarm</Text>
+          <Text style={styles.dialogText}>
+            Started {formatDateTime(episode.startedAt)} · peak {formatValue(episode.peak, units)}
+          </Text>
+          <TextInput
+            style={styles.commentInput}
+            placeholder="Comment (optional)"
+            placeholderTextColor="#999"
+            value={comment}
+            onChangeText={setComment}
+            editable={!busy}
+            multiline
+            maxLength={500}
+          />
+          {error && <Text style={styles.dialogError}>{error}</Text>}
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity onPress={onClose} disabled={busy} style={styles.dialogButton}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={submit} disabled={busy} style={[styles.dialogButton, styles.ackButton]}>
+              {busy ? <ActivityIndicator color="#fff" /> : <Text style={styles.ackButtonText}>Acknowledge</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Alarms tab: one entry per alarm episode (newest first); tapping one shows its readings.
+ * Unacknowledged episodes are flagged; `canAcknowledge` users get an Acknowledge button.
+ * Stale episodes (Services/staleness.js) can be listed in between; they have no readings to show and
+ * are not acknowledged.
+ * `filtered` says `episodes` went through the filter bar; `listRef` lets Main jump to an episode.
+ * Peaks, thresholds and readings are shown in the station's display `units` (Services/units.js).
+ */
+const AlarmEpisodes = ({
+  episodes,
+  readings,
+  thresholdSet = true,
+  canAcknowledge = false,
+  filtered = false,
+  listRef,
+  highlightId = null,
+  onScrollToIndexFailed,
+  units = DEFAULT_UNITS,
+}) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [ackingId, setAckingId] = useState(null);
+  const selected = selectedId ? episodes.find(e => e.id === selectedId) : null;
+  const acking = ackingId ? episodes.find(e => e.id === ackingId) : null;
+  const now = useNowWhile(episodes.some(isOngoing));
+
+  if (selected) {
+    return (
+      <EpisodeReadings
+        episode={selected}
+        readings={readings}
+        units={units}
+        onBack={() => setSelectedId(null)}
+        now={now}
+      />
+    );
+  }
+
+  const renderStale = item => {
+    const ongoing = isOngoing(item);
+    return (
+      <View
+        style={[styles.episode, { borderLeftColor: STALE_COLOR }, item.id === highlightId && styles.episodeHighlighted]}
+      >
+        <View style={styles.episodeTop}>
+          <Text style={styles.episodeStart}>{formatDateTime(item.startedAt)}</Text>
+          <Text style={[styles.badge, ongoing ? styles.badgeStale : styles.badgeEnded]}>
+            {ongoing ? 'STALE' : 'ENDED'}
+          </Text>
+        </View>
+        <View style={styles.episodeStats}>
+          <Text style={styles.stat}>
+            Stale for <Text style={styles.statValue}>{formatDuration(episodeDuration(item, now))}</Text>
+          </Text>
+          <Text style={styles.stat}>
+            Expected every <Text style={styles.statValue}>{formatDuration(item.expectedIntervalMs)}</Text>
+          </Text>
+        </View>
+        <Text style={styles.episodeEnd}>
+          Last reading {formatDateTime(item.lastReadingAt)}
+          {ongoing ? '' : ` · ended ${formatDateTime(item.endedAt)}`}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderEpisode = ({ item }) => {
+    if (isStaleEpisode(item)) return renderStale(item);
+    const ongoing = isOngoing(item);
+    const acked = isAcknowledged(item);
+    const level = episodeLevel(item);
+    const levelThreshold = item.levels ? item.levels[level] : item.threshold;
+    return (
+      <TouchableOpacity
+        style={[
+          styles.episode,
+          { borderLeftColor: levelColor(level) },
+          acked && styles.episodeAcked,
+          item.id === highlightId && styles.episodeHighlighted,
+        ]}
+        onPress={() => setSelectedId(item.id)}
+      >
+        <View style={styles.episodeTop}>
+          <Text style={styles.episodeStart}>{formatDateTime(item.startedAt)}</Text>
+          <Text style={[styles.badge, ongoing ? styles.badgeOngoing : styles.badgeEnded]}>
+            {ongoing ? 'ONGOING' : 'ENDED'}
+          </Text>
+        </View>
+        <View style={styles.episodeStats}>
+          <Text style={styles.stat}>
+            Peak <Text style={styles.statValue}>{formatValue(item.peak, units)}</Text>
+          </Text>
+          <Text style={styles.stat}>
+            Duration <Text style={styles.statValue}>{formatDuration(episodeDuration(item, now))}</Text>
+          </Text>
+          <Text style={styles.stat}>
+            Level{' '}
+            <Text style={[styles.statValue, { color: levelColor(level) }]}>
+              {levelLabel(level)}
+              {levelThreshold !== null && levelThreshold !== undefined
+                ? ` >${formatNumber(levelThreshold, units)}`
+                : ''}
+            </Text>
+          </Text>
+        </View>
+        {!ongoing && <Text style={styles.episodeEnd}>Ended {formatDateTime(item.endedAt)}</Text>}
+        {acked ? (
+          <View style={styles.ackInfo}>
+            <Text style={styles.ackBy}>
+              ✓ Acknowledged by {item.ack.by.name} · {formatDateTime(item.ack.at)}
+            </Text>
+            {!!item.ack.comment && <Text style={styles.ackComment}>“{item.ack.comment}”</Text>}
+          </View>
+        ) : (
+          <View style={styles.ackRow}>
+            <Text style={styles.unackedTag}>UNACKNOWLEDGED</Text>
+            {canAcknowledge && (
+              <TouchableOpacity style={styles.ackAction} onPress={() => setAckingId(item.id)}>
+                <Text style={styles.ackActionText}>Acknowledge</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <>
+      <FlatList
+        ref={listRef}
+        style={styles.listBox}
+        data={episodes}
+        renderItem={renderEpisode}
+        keyExtractor={item => item.id}
+        contentContainerStyle={styles.body}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            {filtered
+              ? 'No alarms match the filter'
+              : thresholdSet
+              ? 'No alarms'
+              : 'Threshold not set. Alarms will not be raised until a threshold is configured.'}
+          </Text>
+        }
+        initialNumToRender={10}
+        windowSize={5}
+        onScrollToIndexFailed={onScrollToIndexFailed}
+      />
+      {acking && <AckDialog episode={acking} units={units} onClose={() => setAckingId(null)} />}
+    </>
+  );
+};
+
+export default AlarmEpisodes;
+
+const styles = StyleSheet.create({
+  listBox: {
+    width: '98%',
+    height: '30%',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    borderRadius: 5,
+    marginTop: 5,
+    marginBottom: 12,
+  },
+  body: {
+    paddingVertical: 8,
+  },
+  episode: {
+    marginHorizontal: 8,
+    marginBottom: 8,
+    padding: 10,
+    borderRadius: 6,
+    backgroundColor: '#fff',
+    borderLeftWidth: 4,
+  },
+  episodeAcked: {
+    opacity: 0.75,
+  },
+  episodeHighlighted: {
+    backgroundColor: '#fff6cc',
+  },
+  episodeTop: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  episodeStart: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#111',
+  },
+  badge: {
+    fontSize: 11,
+    fontWeight: '800',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    overflow: 'hidden',
+    color: '#fff',
+  },
+  badgeOngoing: {
+    backgroundColor: '#b10303',
+  },
+  badgeStale: {
+    backgroundColor: STALE_COLOR,
+  },
+  badgeEnded: {
+    backgroundColor: '#777',
+  },
+  episodeStats: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  stat: {
+    fontSize: 12,
+    color: '#555',
+  },
+  statValue: {
+    color: '#111',
+    fontWeight: '700',
+  },
+  episodeEnd: {
+    fontSize: 11,
+    color: '#777',
+    marginTop: 4,
+  },
+  ackRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  unackedTag: {
+    fontSize: 11,
+    fontWeight: '800',
+    color: '#b10303',
+  },
+  ackAction: {
+    backgroundColor: '#2a4e25',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 4,
+  },
+  ackActionText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  ackInfo: {
+    marginTop: 8,
+  },
+  ackBy: {
+    fontSize: 12,
+    color: '#16803a',
+    fontWeight: '700',
+  },
+  ackComment: {
+    fontSize: 12,
+    color: '#444',
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 16,
+  },
+  dialogTitle: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#111',
+  },
+  dialogText: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 4,
+  },
+  commentInput: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 6,
+    minHeight: 70,
+    marginTop: 12,
+    padding: 8,
+    color: '#111',
+    textAlignVertical: 'top',
+  },
+  dialogError: {
+    color: '#b10303',
+    fontSize: 12,
+    marginTop: 8,
+  },
+  dialogButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 14,
+  },
+  dialogButton: {
+    minWidth: 100,
+    paddingVertical: 9,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  ackButton: {
+    backgroundColor: '#2a4e25',
+  },
+  ackButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  cancelText: {
+    color: '#555',
+    fontWeight: '700',
+  },
+  detailHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    borderRadius: 5,
+    width: '98%',
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+  },
+  backButton: {
+    paddingVertical: 2,
+  },
+  backText: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#0b5cad',
+  },
+  detailSummary: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#b10303',
+  },
+  row: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    marginHorizontal: 8,
+    alignItems: 'center',
+  },
+  cell: {
+    fontSize: 12,
+    color: '#111',
+  },
+  dateCell: {
+    flex: 3,
+  },
+  valueCell: {
+    flex: 2,
+    textAlign: 'center',
+  },
+  above: {
+    color: '#b10303',
+    fontWeight: '700',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: 'gray',
+    marginTop: 20,
+    paddingHorizontal: 12,
+  },
+});
@@ -0,0 +1,92 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import socketManager, { SocketStatus, useSocketState } from '../Services/socket';
+
+// Slim strip showing the live-data connection: connecting / live / reconnecting (attempt N) / gave up + Retry
+const ConnectionBanner = ({ manager = socketManager }) => {
+  const { status, attempt } = useSocketState(manager);
+
+  if (status === SocketStatus.IDLE) return null;
+
+  let text;
+  let tone;
+  switch (status) {
+    case SocketStatus.CONNECTED:
+      text = 'Live';
+      tone = styles.live;
+      break;
+    case SocketStatus.CONNECTING:
+      text = 'Connecting…';
+      tone = styles.pending;
+      break;
+    case SocketStatus.RECONNECTING:
+      text = attempt > 0 ? `Connection lost — reconnecting (attempt ${attempt})…` : 'Connection lost — reconnecting…';
+      tone = styles.pending;
+      break;
+    default:
+      text = 'Disconnected from server. Live data paused.';
+      tone = styles.failed;
+  }
+
+  const busy = status === SocketStatus.CONNECTING || status === SocketStatus.RECONNECTING;
+  const canRetry = status === SocketStatus.FAILED || status === SocketStatus.DISCONNECTED;
+
+  return (
+    <View style={[styles.banner, tone]}>
+      {busy && <ActivityIndicator size="small" color="#fff" style={styles.spinner} />}
+      <Text style={styles.text} numberOfLines={1}>
+        {text}
+      </Text>
+      {canRetry && (
+        <TouchableOpacity style={styles.retry} onPress={() => manager.reconnect()}>
+          <Text style={styles.retryText}>Retry</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    marginBottom: 6,
+  },
+  live: {
+    backgroundColor: 'rgba(22,184,0,0.75)',
+  },
+  pending: {
+    backgroundColor: 'rgba(214,140,0,0.9)',
+  },
+  failed: {
+    backgroundColor: 'rgba(177,3,3,0.9)',
+  },
+  spinner: {
+    marginRight: 8,
+  },
+  text: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '700',
+    flexShrink: 1,
+  },
+  retry: {
+    marginLeft: 10,
+    paddingVertical: 3,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255,255,255,0.9)',
+  },
+  retryText: {
+    color: '#b10303',
+    fontWeight: '700',
+    fontSize: 12,
+  },
+});
+
+export default ConnectionBanner;
@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { FlatList, StyleSheet, Text, View } from 'react-native';
+import { formatDateTime, formatTime } from '../Services/format';
+import { formatParamDelta, formatParamValue, paramRows } from '../Services/diagnostics';
+
+/**
+ * Diagnostics tab: every param of the station's telemetry (Services/diagnostics.js entries), with
+ * the latest value and unit, when it was last reported and the change since the message before.
+ * `lastMessageAt` is the time of the newest message, so params it no longer carried stand out.
+ */
+const Diagnostics = ({ params, lastMessageAt }) => {
+  const rows = useMemo(() => paramRows(params), [params]);
+
+  const renderRow = ({ item }) => {
+    const delta = formatParamDelta(item);
+    const old = lastMessageAt && item.updatedAt !== lastMessageAt;
+    return (
+      <View style={styles.row}>
+        <View style={styles.labelCell}>
+          <Text style={styles.label}>{item.label}</Text>
+          <Text style={styles.key}>{item.key}</Text>
+        </View>
+        <Text style={[styles.cell, styles.valueCell, old && styles.old]}>
+          {formatParamValue(item.value, item.unit)}
+        </Text>
+        <Text style={[styles.cell, styles.deltaCell, item.changed && styles.changed]}>{delta || '—'}</Text>
+        <Text style={[styles.cell, styles.timeCell, old && styles.old]}>{formatTime(item.updatedAt)}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <>
+      <View style={styles.header}>
+        <Text style={[styles.heading, styles.labelHead]}>PARAMETER</Text>
+        <Text style={[styles.heading, styles.valueCell]}>VALUE</Text>
+        <Text style={[styles.heading, styles.deltaCell]}>CHANGE</Text>
+        <Text style={[styles.heading, styles.timeCell]}>UPDATED</Text>
+      </View>
+      <FlatList
+        style={styles.listBox}
+        data={rows}
+        renderItem={renderRow}
+        keyExtractor={item => item.key}
+        contentContainerStyle={styles.body}
+        ListHeaderComponent={
+          lastMessageAt ? <Text style={styles.lastMessage}>Last message {formatDateTime(lastMessageAt)}</Text> : null
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>No telemetry received from this station since the screen was opened.</Text>
+        }
+        initialNumToRender={20}
+      />
+    </>
+  );
+};
+
+export default Diagnostics;
+
+const styles = StyleSheet.create({
+  header: {
+    width: '98%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    borderRadius: 5,
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+  },
+  heading: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#111',
+  },
+  labelHead: {
+    flex: 2,
+  },
+  listBox: {
+    width: '98%',
+    height: '30%',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    borderRadius: 5,
+    marginTop: 5,
+    marginBottom: 12,
+  },
+  body: {
+    paddingVertical: 4,
+  },
+  lastMessage: {
+    fontSize: 11,
+    color: '#666',
+    paddingHorizontal: 8,
+    paddingBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  labelCell: {
+    flex: 2,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#111',
+  },
+  key: {
+    fontSize: 10,
+    color: '#888',
+  },
+  cell: {
+    fontSize: 12,
+    color: '#111',
+  },
+  valueCell: {
+    flex: 1.5,
+  },
+  deltaCell: {
+    flex: 1,
+    textAlign: 'right',
+    paddingRight: 8,
+  },
+  timeCell: {
+    flex: 1.2,
+    textAlign: 'right',
+  },
+  changed: {
+    color: '#2563eb',
+    fontWeight: '700',
+  },
+  old: {
+    color: '#999',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: 'gray',
+    marginTop: 20,
+  },
+});
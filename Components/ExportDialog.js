@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { ActivityIndicator, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { EXPORT_RANGES, ExportFormat, exportStation } from '../Services/export';
+import { shareStationReport } from '../Services/report';
+import ReportChart from './ReportChart';
+
+// The formatted shift report (Services/report.js) is offered next to the raw formats
+const REPORT = 'report';
+
+const FORMATS = [
+  { key: REPORT, label: 'Report (HTML)' },
+  { key: ExportFormat.CSV, label: 'CSV' },
+  { key: ExportFormat.JSON, label: 'JSON' },
+];
+
+// Row of mutually exclusive choices
+const Choices = ({ options, value, onChange, disabled }) => (
+  <View style={styles.choices}>
+    {options.map(option => (
+      <TouchableOpacity
+        key={option.key}
+        style={[styles.choice, option.key === value && styles.choiceActive]}
+        onPress={() => onChange(option.key)}
+        disabled={disabled}
+      >
+        <Text style={[styles.choiceText, option.key === value && styles.choiceTextActive]}>{option.label}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+/**
+ * Export dialog for the Main screen: pick a time range and a format, then hand the station's shift
+ * report, or a file with its readings, alarm episodes, threshold and details, to the share sheet.
+ */
+const ExportDialog = ({ serialNumber, online, onClose }) => {
+  const [rangeKey, setRangeKey] = useState('24h');
+  const [format, setFormat] = useState(REPORT);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // set while the report's chart is drawn and captured
+  const [chartFor, setChartFor] = useState(null);
+
+  const captureChart = report =>
+    new Promise(resolve =>
+      setChartFor({
+        report,
+        done: image => {
+          setChartFor(null);
+          resolve(image);
+        },
+      }),
+    );
+
+  const submit = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result =
+        format === REPORT
+          ? await shareStationReport(serialNumber, { rangeKey, online }, { captureChart })
+          : await exportStation(serialNumber, { format, rangeKey, online });
+      if (result && !result.dismissedAction) onClose();
+    } catch (err) {
+      console.warn('Export failed', err);
+      setError('Could not export the data. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal transparent animationType="fade" visible onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        {chartFor && <ReportChart report={chartFor.report} onCapture={chartFor.done} />}
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Export {serialNumber}</Text>
+          <Text style={styles.dialogText}>
+            Readings, alarm episodes, thresholds and station details. The report adds statistics, online/offline
+            periods and a chart.
+          </Text>
+
+          <Text style={styles.sectionLabel}>Time range</Text>
+          <Choices options={EXPORT_RANGES} value={rangeKey} onChange={setRangeKey} disabled={busy} />
+
+          <Text style={styles.sectionLabel}>Format</Text>
+          <Choices options={FORMATS} value={format} onChange={setFormat} disabled={busy} />
+
+          {error && <Text style={styles.dialogError}>{error}</Text>}
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity onPress={onClose} disabled={busy} style={styles.dialogButton}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={submit} disabled={busy} style={[styles.dialogButton, styles.exportButton]}>
+              {busy ? <ActivityIndicator color="#fff" /> : <Text style={styles.exportButtonText}>Share</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default ExportDialog;
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 16,
+  },
+  dialogTitle: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#111',
+  },
+  dialogText: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 4,
+  },
+  sectionLabel: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#333',
+    marginTop: 14,
+    marginBottom: 6,
+  },
+  choices: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  choice: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  choiceActive: {
+    backgroundColor: '#2a4e25',
+    borderColor: '#2a4e25',
+  },
+  choiceText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  choiceTextActive: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  dialogError: {
+    color: '#b10303',
+    fontSize: 12,
+    marginTop: 8,
+  },
+  dialogButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 14,
+  },
+  dialogButton: {
+    minWidth: 100,
+    paddingVertical: 9,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  exportButton: {
+    backgroundColor: '#2a4e25',
+  },
+  exportButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  cancelText: {
+    color: '#555',
+    fontWeight: '700',
+  },
+});
@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { EMPTY_FILTER, isFilterActive, parseFilterTime, parseFilterValue } from '../Services/tableFilter';
+
+const TIME_PLACEHOLDER = 'dd/mm/yyyy hh:mm';
+
+const Field = ({ label, value, onChangeText, placeholder, keyboardType = 'default', invalid }) => (
+  <View style={styles.field}>
+    <Text style={styles.fieldLabel}>{label}</Text>
+    <TextInput
+      style={[styles.input, invalid && styles.inputInvalid]}
+      value={value}
+      onChangeText={onChangeText}
+      placeholder={placeholder}
+      placeholderTextColor="#999"
+      keyboardType={keyboardType}
+      autoCorrect={false}
+      autoCapitalize="none"
+    />
+  </View>
+);
+
+/**
+ * Filter bar above the Real time and Alarms tables: a date/time range and a PPM range narrow the
+ * rows (`onChange` gets a Services/tableFilter.js filter), and "Jump" scrolls to a time (`onJump`
+ * gets epoch ms). Collapsed it only shows how many of the rows match. Value bounds are typed and
+ * passed on in the shown unit (`unit` labels them); converting them back is the caller's.
+ */
+const FilterBar = ({ filter, onChange, onJump, matched, total, noun = 'rows', unit = 'PPM' }) => {
+  const [open, setOpen] = useState(false);
+  const [texts, setTexts] = useState({ from: '', to: '', min: '', max: '', jump: '' });
+  const [error, setError] = useState(null);
+  const active = isFilterActive(filter);
+
+  const parsed = {
+    from: parseFilterTime(texts.from),
+    to: parseFilterTime(texts.to),
+    min: parseFilterValue(texts.min),
+    max: parseFilterValue(texts.max),
+  };
+  const invalid = key => Number.isNaN(parsed[key]);
+
+  const setText = key => text => setTexts(current => ({ ...current, [key]: text }));
+
+  const apply = () => {
+    if (Object.keys(parsed).some(invalid)) {
+      setError(`Times are ${TIME_PLACEHOLDER} (or just hh:mm for today), values are numbers.`);
+      return;
+    }
+    if (parsed.from !== null && parsed.to !== null && parsed.from > parsed.to) {
+      setError('"From" must be before "To".');
+      return;
+    }
+    if (parsed.min !== null && parsed.max !== null && parsed.min > parsed.max) {
+      setError(`Min. ${unit} must not be above max. ${unit}.`);
+      return;
+    }
+    setError(null);
+    onChange(parsed);
+  };
+
+  const reset = () => {
+    setTexts({ from: '', to: '', min: '', max: '', jump: '' });
+    setError(null);
+    onChange(EMPTY_FILTER);
+  };
+
+  const jump = () => {
+    const at = parseFilterTime(texts.jump);
+    if (at === null || Number.isNaN(at)) {
+      setError(`Enter the time to jump to as ${TIME_PLACEHOLDER} or hh:mm.`);
+      return;
+    }
+    setError(null);
+    onJump(at);
+  };
+
+  return (
+    <View style={styles.bar}>
+      <View style={styles.summaryRow}>
+        <TouchableOpacity style={styles.toggle} onPress={() => setOpen(o => !o)}>
+          <Icon name={active ? 'funnel' : 'funnel-outline'} size={14} color={active ? '#2a4e25' : '#555'} />
+          <Text style={[styles.toggleText, active && styles.toggleTextActive]}>Filter</Text>
+          <Icon name={open ? 'chevron-up' : 'chevron-down'} size={14} color="#555" />
+        </TouchableOpacity>
+        <Text style={styles.count}>
+          {active ? `${matched} of ${total} ${noun}` : `${total} ${noun}`}
+        </Text>
+        {active && (
+          <TouchableOpacity onPress={reset} style={styles.clear}>
+            <Text style={styles.clearText}>Clear filter</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {open && (
+        <>
+          <View style={styles.fieldRow}>
+            <Field
+              label="From"
+              value={texts.from}
+              onChangeText={setText('from')}
+              placeholder={TIME_PLACEHOLDER}
+              invalid={invalid('from')}
+            />
+            <Field
+              label="To"
+              value={texts.to}
+              onChangeText={setText('to')}
+              placeholder={TIME_PLACEHOLDER}
+              invalid={invalid('to')}
+            />
+          </View>
+          <View style={styles.fieldRow}>
+            <Field
+              label={`Min. ${unit}`}
+              value={texts.min}
+              onChangeText={setText('min')}
+              placeholder="-"
+              keyboardType="numeric"
+              invalid={invalid('min')}
+            />
+            <Field
+              label={`Max. ${unit}`}
+              value={texts.max}
+              onChangeText={setText('max')}
+              placeholder="-"
+              keyboardType="numeric"
+              invalid={invalid('max')}
+            />
+            <TouchableOpacity style={[styles.button, styles.applyButton]} onPress={apply}>
+              <Text style={styles.applyText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.fieldRow}>
+            <Field
+              label="Jump to"
+              value={texts.jump}
+              onChangeText={setText('jump')}
+              placeholder={`${TIME_PLACEHOLDER} or hh:mm`}
+            />
+            <TouchableOpacity style={styles.button} onPress={jump}>
+              <Text style={styles.buttonText}>Go</Text>
+            </TouchableOpacity>
+          </View>
+          {error && <Text style={styles.error}>{error}</Text>}
+        </>
+      )}
+    </View>
+  );
+};
+
+export default FilterBar;
+
+const styles = StyleSheet.create({
+  bar: {
+    width: '98%',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    borderRadius: 5,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginBottom: 6,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  toggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  toggleText: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#555',
+    marginHorizontal: 4,
+  },
+  toggleTextActive: {
+    color: '#2a4e25',
+  },
+  count: {
+    flex: 1,
+    fontSize: 12,
+    color: '#555',
+    marginLeft: 8,
+  },
+  clear: {
+    paddingVertical: 2,
+    paddingHorizontal: 6,
+  },
+  clearText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#b10303',
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    marginTop: 4,
+  },
+  field: {
+    flex: 1,
+    marginRight: 6,
+  },
+  fieldLabel: {
+    fontSize: 10,
+    color: '#666',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 4,
+    paddingVertical: 3,
+    paddingHorizontal: 6,
+    fontSize: 12,
+    color: '#111',
+  },
+  inputInvalid: {
+    borderColor: '#b10303',
+  },
+  button: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#2a4e25',
+  },
+  buttonText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#2a4e25',
+  },
+  applyButton: {
+    backgroundColor: '#2a4e25',
+  },
+  applyText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  error: {
+    fontSize: 11,
+    color: '#b10303',
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { formatDuration } from '../Services/format';
+import { STATS_WINDOWS } from '../Services/liveStats';
+import { DEFAULT_UNITS, formatNumber, unitLabel } from '../Services/units';
+
+const fixed = (n, digits = 2) => (n === null || n === undefined ? '-' : n.toFixed(digits));
+
+const Stat = ({ label, value }) => (
+  <View style={styles.stat}>
+    <Text style={styles.statLabel}>{label}</Text>
+    <Text style={styles.statValue}>{value}</Text>
+  </View>
+);
+
+/**
+ * Statistics strip above the Real time table: pick a window (5 min / 1 hour / since opened) and see
+ * its min, max, mean, standard deviation, time above the threshold, reading count and rate.
+ * `stats` comes from useLiveStats (ppm·m); values are shown in the station's display `units`.
+ * `thresholdSet` false shows time above as unavailable.
+ */
+const LiveStats = ({ stats, thresholdSet = true, units = DEFAULT_UNITS }) => {
+  const [windowKey, setWindowKey] = useState(STATS_WINDOWS[0].key);
+  const current = stats[windowKey];
+
+  return (
+    <View style={styles.strip}>
+      <View style={styles.windows}>
+        {STATS_WINDOWS.map(w => (
+          <TouchableOpacity
+            key={w.key}
+            style={[styles.window, w.key === windowKey && styles.windowActive]}
+            onPress={() => setWindowKey(w.key)}
+          >
+            <Text style={[styles.windowText, w.key === windowKey && styles.windowTextActive]}>{w.label}</Text>
+          </TouchableOpacity>
+        ))}
+        <Text style={styles.unit}>{unitLabel(units)}</Text>
+      </View>
+      <View style={styles.row}>
+        <Stat label="Min" value={formatNumber(current.min, units)} />
+        <Stat label="Max" value={formatNumber(current.max, units)} />
+        <Stat label="Mean" value={formatNumber(current.mean, units)} />
+        <Stat label="Std dev" value={formatNumber(current.stdDev, units)} />
+      </View>
+      <View style={styles.row}>
+        <Stat label="Above threshold" value={thresholdSet ? formatDuration(current.aboveMs) : '-'} />
+        <Stat label="Readings" value={String(current.count)} />
+        <Stat label="Rate" value={`${fixed(current.ratePerMin, 1)}/min`} />
+      </View>
+    </View>
+  );
+};
+
+export default LiveStats;
+
+const styles = StyleSheet.create({
+  strip: {
+    width: '98%',
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    marginBottom: 6,
+  },
+  windows: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  window: {
+    paddingVertical: 3,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    marginRight: 6,
+    backgroundColor: 'rgba(0,0,0,0.06)',
+  },
+  windowActive: {
+    backgroundColor: '#2a4e25',
+  },
+  windowText: {
+    fontSize: 12,
+    color: '#333',
+  },
+  windowTextActive: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  unit: {
+    flex: 1,
+    textAlign: 'right',
+    fontSize: 11,
+    color: '#666',
+  },
+  row: {
+    flexDirection: 'row',
+    marginTop: 2,
+  },
+  stat: {
+    flex: 1,
+  },
+  statLabel: {
+    fontSize: 10,
+    color: '#666',
+  },
+  statValue: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#111',
+  },
+});
@@ -8,7 +8,9 @@ import React, {
 } from 'react';
 import { View, StyleSheet, ScrollView, useWindowDimensions, Text } from 'react-native';
 import { LineChart } from 'react-native-chart-kit';
-import Svg, { Text as SvgText } from 'react-native-svg';
+import Svg, { Line, Text as SvgText } from 'react-native-svg';
+import { captureRef } from 'react-native-view-shot';
+import { DEFAULT_UNITS, formatValue, toDisplay } from '../Services/units';
 
 /**
  * PpmGraph - supports gap on the side where new data appears (newestOnLeft)
@@ -18,6 +20,12 @@ import Svg, { Text as SvgText } from 'react-native-svg';
  * - Keeps previous improvements: responsive scaling, extra bottom padding so X title
  *   doesn't overlap rotated time labels, and Y title rendered inside scrollable content
  *   so it moves with the chart.
+ * - `gaps` (offline periods, `{ from, to }` epoch ms) are marked with a dashed "OFFLINE" line between
+ *   the points on either side; `dimmed` greys the chart out (last-known data while offline).
+ * - Data stays in ppm·m; it is plotted and labelled in the station's display `units` (Services/units.js),
+ *   so switching units or decimals redraws the points without rebuilding the series.
+ * - `ref.capture()` resolves a PNG data: URI of the whole plotted series, the scrolled-away part too
+ *   (the shift report embeds it).
  */
 
 const DEFAULT_FLUSH_MS = 200;
@@ -46,6 +54,9 @@ const PpmGraph = forwardRef(({
   yAxisWidth = DEFAULT_Y_AXIS_WIDTH,
   labelAreaHeight = DEFAULT_LABEL_AREA_HEIGHT,
   newestOnLeft = false,
+  gaps = null,
+  dimmed = false,
+  units = DEFAULT_UNITS,
 }, ref) => {
   const { width: windowWidth, height: windowHeight } = useWindowDimensions();
 
@@ -69,17 +80,22 @@ const PpmGraph = forwardRef(({
 
   const [timesAll, setTimesAll] = useState([]);
   const [valuesAll, setValuesAll] = useState([]);
+  const [stampsAll, setStampsAll] = useState([]); // epoch ms per point, to place the gap markers
 
   const lastExternalLenRef = useRef(0);
+  const lastExternalTailRef = useRef(null); // last datum we consumed, to tell appends from rewrites
   const scrollRef = useRef(null);
 
   useImperativeHandle(ref, () => ({
     clear: () => {
       lastExternalLenRef.current = 0;
+      lastExternalTailRef.current = null;
       setTimesAll([]);
       setValuesAll([]);
+      setStampsAll([]);
       try { scrollRef.current?.scrollTo?.({ x: 0, animated: true }); } catch (e) {}
     },
+    capture: () => captureRef(scrollRef, { format: 'png', result: 'data-uri', snapshotContentContainer: true }),
   }), []);
 
   // Process externalData deltas immediately
@@ -88,14 +104,32 @@ const PpmGraph = forwardRef(({
     const extLen = externalData.length;
     const lastLen = lastExternalLenRef.current;
 
-    // full replace when data shrinks
-    if (extLen < lastLen) {
+    const lastTail = lastExternalTailRef.current;
+
+    // Where did our previous last datum end up? Same tail and length => nothing new.
+    // Found before the end => plain append (possibly after the parent trimmed the head).
+    // Otherwise (cleared, history merged in front, ...) => full replace.
+    let tailIndex = -1;
+    if (lastTail !== null) {
+      for (let i = extLen - 1; i >= 0; i--) {
+        if (externalData[i] === lastTail) {
+          tailIndex = i;
+          break;
+        }
+      }
+    }
+
+    if (lastLen > 0 && tailIndex === extLen - 1 && extLen === lastLen) return;
+
+    if (lastLen === 0 || tailIndex === -1 || tailIndex === extLen - 1) {
       const mapped = externalData.slice(-maxPoints).map(d => mapDatumToPoint(d));
       const times = mapped.map(m => formatSmallTime12(m.ts));
       const values = mapped.map(m => m.value);
       lastExternalLenRef.current = extLen;
+      lastExternalTailRef.current = extLen > 0 ? externalData[extLen - 1] : null;
       setTimesAll(times);
       setValuesAll(values);
+      setStampsAll(mapped.map(m => Date.parse(m.ts)));
       setTimeout(() => {
         try {
           if (newestOnLeft) scrollRef.current?.scrollTo({ x: 0, animated: false });
@@ -105,11 +139,10 @@ const PpmGraph = forwardRef(({
       return;
     }
 
-    if (extLen === lastLen) return;
-
     // append delta
-    const added = externalData.slice(lastLen);
+    const added = externalData.slice(tailIndex + 1);
     lastExternalLenRef.current = extLen;
+    lastExternalTailRef.current = externalData[extLen - 1];
     if (added.length === 0) return;
 
     const mapped = added.map(d => mapDatumToPoint(d));
@@ -126,6 +159,11 @@ const PpmGraph = forwardRef(({
       if (next.length > maxPoints) return next.slice(next.length - maxPoints);
       return next;
     });
+    setStampsAll(prevStamps => {
+      const next = [...prevStamps, ...mapped.map(m => Date.parse(m.ts))];
+      if (next.length > maxPoints) return next.slice(next.length - maxPoints);
+      return next;
+    });
 
     setTimeout(() => {
       try {
@@ -151,6 +189,20 @@ const PpmGraph = forwardRef(({
 
   const hasData = visibleValues.length > 0;
 
+  // Gap markers per visible point (oldest first): a gap that started after the point before it goes
+  // on its older side; one after the newest point (offline now) on the newest point's other side
+  const gapMarks = useMemo(() => {
+    const marks = new Map();
+    if (!gaps || gaps.length === 0 || visibleValues.length === 0) return marks;
+    const stamps = stampsAll.slice(stampsAll.length - visibleValues.length);
+    gaps.forEach(gap => {
+      const index = stamps.findIndex(t => t > gap.from);
+      if (index > 0) marks.set(index, { gap, side: 'older' });
+      else if (index === -1 && gap.from >= stamps[0]) marks.set(stamps.length - 1, { gap, side: 'newer' });
+    });
+    return marks;
+  }, [gaps, stampsAll, visibleValues.length]);
+
   // If newestOnLeft, reverse the visible arrays so newest is plotted at left
   const plottedValues = useMemo(() => {
     return newestOnLeft ? [...visibleValues].reverse() : visibleValues;
@@ -188,23 +240,23 @@ const PpmGraph = forwardRef(({
     labels: new Array(Math.max(1, plottedValues.length)).fill(''),
     datasets: [
       {
-        data: hasData ? plottedValues.map(v => (v === null ? 0 : v)) : [0],
-        color: (opacity = 1) => `rgba(37,99,235,${opacity})`,
+        data: hasData ? plottedValues.map(v => (v === null ? 0 : toDisplay(v, units))) : [0],
+        color: (opacity = 1) => (dimmed ? `rgba(140,140,140,${opacity})` : `rgba(37,99,235,${opacity})`),
         strokeWidth: 2,
       },
     ],
-  }), [plottedValues, hasData]);
+  }), [plottedValues, hasData, dimmed, units]);
 
   const lightChartConfig = useMemo(() => ({
     backgroundGradientFrom: '#ffffff',
     backgroundGradientTo: '#f3f7fb',
-    decimalPlaces: 2,
+    decimalPlaces: units.decimals,
     color: (opacity = 1) => `rgba(11,26,31,${opacity})`,
     labelColor: (opacity = 1) => `rgba(80,95,102,${Math.max(0.5, opacity)})`,
     propsForDots: { r: '4', strokeWidth: '2', stroke: '#ffffff', fill: '#2563eb' },
     style: { borderRadius: 12 },
     datasetColor: (opacity = 1) => `rgba(37,99,235,${opacity})`,
-  }), []);
+  }), [units.decimals]);
 
   const chartConfig = userChartConfig ? { ...lightChartConfig, ...userChartConfig } : lightChartConfig;
 
@@ -237,12 +289,41 @@ const PpmGraph = forwardRef(({
     const ppmTextColor = '#0b1a1f';
     const timeTextColor = '#6b7280';
 
-    const ppmLabel = (v === null || typeof v === 'undefined' || Number.isNaN(Number(v))) ? '-' : String(v);
+    const ppmLabel = (v === null || typeof v === 'undefined' || Number.isNaN(Number(v))) ? '-' : formatValue(v, units);
     const showTime = showTimeIndices.includes(index);
 
+    // chart-kit spaces the points (width - 64) / n apart; the marker sits halfway to the neighbour
+    const visibleIndex = newestOnLeft ? n - 1 - index : index;
+    const mark = gapMarks.get(visibleIndex);
+    const halfStep = (chartInnerWidth - 64) / Math.max(1, n) / 2;
+    const towardsOlder = newestOnLeft ? 1 : -1;
+    const gapX = mark ? x + (mark.side === 'older' ? towardsOlder : -towardsOlder) * halfStep : null;
+
     // Show the PPM reading for every plotted point (restored to previous behavior)
     return (
       <Svg key={`label-${index}`} style={{ position: 'absolute', left: 0, top: 0 }}>
+        {mark && (
+          <>
+            <Line
+              x1={gapX}
+              x2={gapX}
+              y1={topPadding}
+              y2={responsiveHeight}
+              stroke="#ff2323"
+              strokeWidth={1.5}
+              strokeDasharray="5 4"
+            />
+            <SvgText
+              x={gapX + 3}
+              y={topPadding + 10}
+              fill="#ff2323"
+              fontSize={Math.max(8, Math.round(10 * widthScale))}
+              fontWeight="700"
+            >
+              OFFLINE
+            </SvgText>
+          </>
+        )}
         {v !== undefined && (
           <SvgText
             x={x}
@@ -253,7 +334,7 @@ const PpmGraph = forwardRef(({
             transform={`rotate(${ROT_ANGLE} ${x} ${ppmY})`}
             fontWeight="700"
           >
-            {`${ppmLabel} PPM`}
+            {ppmLabel}
           </SvgText>
         )}
 
@@ -285,6 +366,7 @@ const PpmGraph = forwardRef(({
       style={[
         styles.container,
         { backgroundColor: containerColor, minHeight: topPadding + responsiveHeight + effectiveLabelAreaHeight + extraBottomPadding },
+        dimmed && styles.dimmed,
         style,
       ]}
     >
@@ -414,6 +496,9 @@ function mapDatumToPoint(d) {
 
 /* Styles */
 const styles = StyleSheet.create({
+  dimmed: {
+    opacity: 0.6,
+  },
   container: {
     width: '100%',
     borderRadius: 12,
@@ -0,0 +1,59 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { StyleSheet, View } from 'react-native';
+import PpmGraph from './PpmGraph';
+import { chartReadings } from '../Services/report';
+import { unitLabel } from '../Services/units';
+
+// PpmGraph takes the data in an effect and chart-kit draws on the render after; give both time
+const CAPTURE_DELAY_MS = 500;
+const POINT_SPACING = 24;
+
+/**
+ * The shift report's chart (Services/report.js): the Main screen's PpmGraph, drawn off screen with
+ * the report's readings, offline gaps and display units, then captured once. `onCapture` gets the
+ * PNG data: URI, or null when the capture failed.
+ */
+const ReportChart = ({ report, onCapture }) => {
+  const graphRef = useRef(null);
+  const readings = useMemo(() => chartReadings(report.readings), [report]);
+
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        onCapture(await graphRef.current.capture());
+      } catch (e) {
+        console.warn('Report chart capture failed', e);
+        onCapture(null);
+      }
+    }, CAPTURE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [onCapture]);
+
+  return (
+    <View style={styles.offscreen} collapsable={false} pointerEvents="none">
+      <PpmGraph
+        ref={graphRef}
+        externalData={readings}
+        maxPoints={readings.length}
+        renderPoints={readings.length}
+        pointSpacing={POINT_SPACING}
+        showAllTimestamps={false}
+        maxXLabels={12}
+        gaps={report.gaps}
+        units={report.units}
+        yAxisTitle={unitLabel(report.units).toUpperCase()}
+      />
+    </View>
+  );
+};
+
+export default ReportChart;
+
+const styles = StyleSheet.create({
+  offscreen: {
+    position: 'absolute',
+    left: -10000,
+    top: 0,
+    width: '100%',
+  },
+});
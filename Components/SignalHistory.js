@@ -0,0 +1,338 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal, ScrollView, StyleSheet, Text, TouchableOpacity, useWindowDimensions, View } from 'react-native';
+import Svg, { Line, Polyline, Rect, Text as SvgText } from 'react-native-svg';
+import { formatDateTime, formatDuration, formatTime } from '../Services/format';
+import {
+  diagnoseOutages,
+  OutageCause,
+  signalStats,
+  useSignalSamples,
+  WEAK_SIGNAL_PCT,
+  weakPeriods,
+  weakPeriodsWithOutages,
+} from '../Services/signalHistory';
+import { STALE_COLOR } from '../Services/staleness';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const WINDOWS = [
+  { key: '1h', label: '1 hour', ms: HOUR_MS },
+  { key: '6h', label: '6 hours', ms: 6 * HOUR_MS },
+  { key: '24h', label: '24 hours', ms: 24 * HOUR_MS },
+];
+
+// The window end moves on this often while the dialog is open
+const REFRESH_MS = 5000;
+
+const CHART_HEIGHT = 120;
+const PAD = { top: 8, right: 8, bottom: 18, left: 30 };
+const OFFLINE_COLOR = '#ff2323';
+const LINE_COLOR = '#2563eb';
+
+const CAUSE_TEXT = {
+  [OutageCause.COMMS]: 'Likely comms — weak signal',
+  [OutageCause.SENSOR]: 'Likely sensor — signal was fine',
+  [OutageCause.UNKNOWN]: 'Not the signal — power or backend?',
+};
+
+const percent = n => (n === null || n === undefined ? '-' : `${Math.round(n)}%`);
+
+const span = (from, to) =>
+  to === null
+    ? `${formatDateTime(from)} – ongoing`
+    : `${formatDateTime(from)} – ${formatTime(to)} (${formatDuration(to - from)})`;
+
+// Signal over the window as a step line, with the weak level dashed and the outages shaded
+const TrendChart = ({ samples, outages, from, to, width }) => {
+  const x = t => PAD.left + ((t - from) / (to - from)) * (width - PAD.left - PAD.right);
+  const y = v => PAD.top + (1 - v / 100) * (CHART_HEIGHT - PAD.top - PAD.bottom);
+
+  const inWindow = samples.filter(s => Date.parse(s.at) >= from);
+  // the last sample before the window is where the line starts
+  const before = samples.filter(s => Date.parse(s.at) < from).pop();
+  const points = [];
+  let previous = before ? before.signal : null;
+  if (previous !== null) points.push([x(from), y(previous)]);
+  inWindow.forEach(s => {
+    const px = x(Date.parse(s.at));
+    if (previous !== null) points.push([px, y(previous)]);
+    points.push([px, y(s.signal)]);
+    previous = s.signal;
+  });
+  if (previous !== null) points.push([x(to), y(previous)]);
+
+  return (
+    <Svg width={width} height={CHART_HEIGHT}>
+      {outages
+        .filter(o => (o.to === null || o.to >= from) && o.from <= to)
+        .map(o => (
+          <Rect
+            key={`${o.kind}-${o.from}`}
+            x={x(Math.max(o.from, from))}
+            y={PAD.top}
+            width={Math.max(1, x(o.to === null ? to : Math.min(o.to, to)) - x(Math.max(o.from, from)))}
+            height={CHART_HEIGHT - PAD.top - PAD.bottom}
+            fill={o.kind === 'stale' ? STALE_COLOR : OFFLINE_COLOR}
+            opacity={0.15}
+          />
+        ))}
+      {[0, 50, 100].map(v => (
+        <SvgText key={v} x={PAD.left - 4} y={y(v) + 3} fontSize={9} fill="#6b7280" textAnchor="end">
+          {`${v}%`}
+        </SvgText>
+      ))}
+      <Line x1={PAD.left} x2={width - PAD.right} y1={y(0)} y2={y(0)} stroke="#ccc" />
+      <Line
+        x1={PAD.left}
+        x2={width - PAD.right}
+        y1={y(WEAK_SIGNAL_PCT)}
+        y2={y(WEAK_SIGNAL_PCT)}
+        stroke={OFFLINE_COLOR}
+        strokeDasharray="4 3"
+        strokeWidth={1}
+      />
+      {points.length > 1 && (
+        <Polyline points={points.map(p => p.join(',')).join(' ')} fill="none" stroke={LINE_COLOR} strokeWidth={1.5} />
+      )}
+      <SvgText x={PAD.left} y={CHART_HEIGHT - 4} fontSize={9} fill="#6b7280">
+        {formatTime(from)}
+      </SvgText>
+      <SvgText x={width - PAD.right} y={CHART_HEIGHT - 4} fontSize={9} fill="#6b7280" textAnchor="end">
+        {formatTime(to)}
+      </SvgText>
+    </Svg>
+  );
+};
+
+/**
+ * Link quality of one station, opened from the GSM signal box on Main: the recorded signal as a
+ * trend over the chosen window with min / average / last, the weak-signal periods, and every
+ * offline or stale period with the signal around it, to tell a comms problem from a sensor problem.
+ * `gaps` and `staleEpisodes` are what Main already has (statusHistory `offlineGaps`, staleness).
+ */
+const SignalHistory = ({ serialNumber, gaps, staleEpisodes, onClose }) => {
+  const [windowKey, setWindowKey] = useState(WINDOWS[0].key);
+  const samples = useSignalSamples(serialNumber);
+  const { width: windowWidth } = useWindowDimensions();
+  const chartWidth = Math.max(240, Math.min(560, windowWidth - 80));
+
+  const [to, setTo] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setTo(Date.now()), REFRESH_MS);
+    return () => clearInterval(id);
+  }, []);
+  // new samples show up at once rather than on the next refresh
+  const newest = samples.length > 0 ? Date.parse(samples[samples.length - 1].at) : 0;
+  const end = Math.max(to, newest);
+  const from = end - WINDOWS.find(w => w.key === windowKey).ms;
+
+  const stats = useMemo(() => signalStats(samples, { from }), [samples, from]);
+  const outages = useMemo(
+    () => diagnoseOutages({ samples, gaps, staleEpisodes, now: end }),
+    [samples, gaps, staleEpisodes, end],
+  );
+  const weak = useMemo(
+    () => weakPeriodsWithOutages(weakPeriods(samples), outages, end).reverse(),
+    [samples, outages, end],
+  );
+
+  return (
+    <Modal transparent animationType="fade" visible onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Link quality · {serialNumber}</Text>
+
+          <View style={styles.choices}>
+            {WINDOWS.map(w => (
+              <TouchableOpacity
+                key={w.key}
+                style={[styles.choice, w.key === windowKey && styles.choiceActive]}
+                onPress={() => setWindowKey(w.key)}
+              >
+                <Text style={[styles.choiceText, w.key === windowKey && styles.choiceTextActive]}>{w.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {samples.length === 0 ? (
+            <Text style={styles.emptyText}>No GSM signal recorded for this station yet.</Text>
+          ) : (
+            <TrendChart samples={samples} outages={outages} from={from} to={end} width={chartWidth} />
+          )}
+          <View style={styles.statsRow}>
+            <Text style={styles.stat}>
+              Min <Text style={styles.statValue}>{percent(stats && stats.min)}</Text>
+            </Text>
+            <Text style={styles.stat}>
+              Avg <Text style={styles.statValue}>{percent(stats && stats.avg)}</Text>
+            </Text>
+            <Text style={styles.stat}>
+              Last <Text style={styles.statValue}>{percent(stats && stats.last)}</Text>
+            </Text>
+          </View>
+
+          <ScrollView style={styles.lists}>
+            <Text style={styles.sectionLabel}>Offline and stale periods</Text>
+            {outages.length === 0 && <Text style={styles.emptyText}>None recorded.</Text>}
+            {outages.map(o => (
+              <View key={`${o.kind}-${o.from}`} style={styles.item}>
+                <Text style={[styles.itemKind, { color: o.kind === 'stale' ? STALE_COLOR : OFFLINE_COLOR }]}>
+                  {o.kind === 'stale' ? 'STALE' : 'OFFLINE'}
+                </Text>
+                <View style={styles.itemBody}>
+                  <Text style={styles.itemTime}>{span(o.from, o.to)}</Text>
+                  <Text style={[styles.itemCause, o.cause === OutageCause.COMMS && styles.weakText]}>
+                    {o.minSignal === null && o.lastSignal === null
+                      ? 'No signal recorded around it'
+                      : `${CAUSE_TEXT[o.cause]} · before ${percent(o.lastSignal)}, min ${percent(o.minSignal)}`}
+                  </Text>
+                </View>
+              </View>
+            ))}
+
+            <Text style={styles.sectionLabel}>Weak signal (below {WEAK_SIGNAL_PCT}%)</Text>
+            {weak.length === 0 && <Text style={styles.emptyText}>None recorded.</Text>}
+            {weak.map(p => (
+              <View key={`weak-${p.from}`} style={styles.item}>
+                <Text style={[styles.itemKind, styles.weakText]}>{percent(p.min)}</Text>
+                <View style={styles.itemBody}>
+                  <Text style={styles.itemTime}>{span(p.from, p.to)}</Text>
+                  <Text style={styles.itemCause}>
+                    {p.outages.length === 0 ? 'Kept reporting' : `Station was ${p.outages.join(' and ')} during it`}
+                  </Text>
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity onPress={onClose} style={styles.dialogButton}>
+              <Text style={styles.closeText}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default SignalHistory;
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 16,
+    maxHeight: '90%',
+  },
+  dialogTitle: {
+    fontSize: 17,
+    fontWeight: '800',
+    color: '#111',
+    marginBottom: 10,
+  },
+  choices: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  choice: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  choiceActive: {
+    backgroundColor: '#2a4e25',
+    borderColor: '#2a4e25',
+  },
+  choiceText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  choiceTextActive: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  stat: {
+    fontSize: 12,
+    color: '#555',
+  },
+  statValue: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#111',
+  },
+  lists: {
+    marginTop: 8,
+  },
+  sectionLabel: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#333',
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  emptyText: {
+    fontSize: 12,
+    color: '#888',
+    marginVertical: 4,
+  },
+  item: {
+    flexDirection: 'row',
+    paddingVertical: 5,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  itemKind: {
+    width: 62,
+    fontSize: 11,
+    fontWeight: '800',
+  },
+  itemBody: {
+    flex: 1,
+  },
+  itemTime: {
+    fontSize: 12,
+    color: '#111',
+  },
+  itemCause: {
+    fontSize: 11,
+    color: '#555',
+    marginTop: 1,
+  },
+  weakText: {
+    color: OFFLINE_COLOR,
+    fontWeight: '700',
+  },
+  dialogButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  dialogButton: {
+    minWidth: 100,
+    paddingVertical: 9,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  closeText: {
+    color: '#555',
+    fontWeight: '700',
+  },
+});
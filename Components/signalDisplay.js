@@ -1,45 +1,28 @@
-import React, { useEffect, useState } from 'react';
-import { View, Text, StyleSheet } from 'react-native';
-import io from 'socket.io-client';
-
-const SignalDisplay = ({ serialNo }) => {
-  const [signal, setSignal] = useState(null);
-  const [isMatching, setIsMatching] = useState(false);
-
-  useEffect(() => {
-    const socket = io('https://boreal-2.soniciot.com/'); // Replace with your server address
-
-    socket.on('signal', (message) => {
-      try {
-        const data = JSON.parse(message);
-        console.log('Received signal data:', data);
-        console.log('Serial No:', serialNo);
-
-        // Check if serial number matches before updating state
-        if (data.serial === serialNo) {
-          setSignal(data.signal);
-          setIsMatching(true);
-          console.log(`Matched Serial No: ${serialNo}, Signal: ${data.signal}`);
-        } else {
-          setIsMatching(false);
-        }
-      } catch (error) {
-        console.error('Error parsing signal data:', error);
-      }
-    });
-
-    return () => {
-      socket.disconnect();
-    };
-  }, [serialNo]); // Re-run effect if serialNo changes
-
+import React from 'react';
+import { Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { isWeakSignal, useSignalSamples } from '../Services/signalHistory';
+
+/**
+ * Latest GSM signal of the station, from the app-wide signal history (Services/signalHistory.js).
+ * Tapping it calls `onPress` (Main opens the link-quality history); `online` false greys the last
+ * known value out.
+ */
+const SignalDisplay = ({ serialNo, online = true, onPress }) => {
+  const samples = useSignalSamples(serialNo);
+  const last = samples.length > 0 ? samples[samples.length - 1].signal : null;
 
   return (
-    <View style={styles.serialbox}>
-      <Text style={styles.serialno}>
-        GSM Signal : {signal !== null ? `${signal}%` : ''}
+    <TouchableOpacity style={styles.serialbox} onPress={onPress} disabled={!onPress}>
+      <Text
+        style={[
+          styles.serialno,
+          last !== null && isWeakSignal(last) && styles.weak,
+          !online && styles.offline,
+        ]}
+      >
+        GSM Signal : {last !== null ? `${last}%` : ''}
       </Text>
-    </View>
+    </TouchableOpacity>
   );
 };
 
@@ -67,6 +50,13 @@ const styles = StyleSheet.create({
     textShadowOffset: { width: 1, height: 1 },
     textShadowRadius: 10,
   },
+  weak: {
+    textShadowColor: '#ff2323',
+  },
+  offline: {
+    color: '#888',
+    textShadowColor: 'transparent',
+  },
 });
 
 export default SignalDisplay;
\ No newline at end of file
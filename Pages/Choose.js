@@ -3,24 +3,20 @@ import { StyleSheet, Text, View, TouchableOpacity, ImageBackground, Image, SafeA
 import { Dropdown } from 'react-native-element-dropdown';
 import Menu from 'react-native-vector-icons/Entypo';
 import { useFocusEffect } from '@react-navigation/native';
+import api from '../Services/api';
+import { logout, useSession } from '../Services/session';
+import { can, Permission, resolveRole, ROLE_LABELS } from '../Services/permissions';
 
 export default function SerialNumberPage({ navigation }) {
   const [selectedSerial, setSelectedSerial] = useState(null);
   const [items, setItems] = useState([]);
+  const { user } = useSession();
+  const canRename = can(user, Permission.RENAME_STATIONS);
 
   const fetchSerialList = async () => {
     try {
-      const res = await fetch('https://boreal-2.soniciot.com/api/remote_stations');
-      const data = await res.json();
-      if (!Array.isArray(data)) {
-        console.warn('serial_list returned unexpected shape', data);
-        setItems([]);
-        return;
-      }
-
-      const filteredData = data.filter((item) => item.category === 'boreal');
-      const sortedData = filteredData.sort((a, b) => a.name.localeCompare(b.name));
-      setItems(sortedData.map((item) => ({ label: item.name, value: item.serial_number })));
+      const stations = await api.listRemoteStations({ category: 'boreal' });
+      setItems(stations.map((item) => ({ label: item.name, value: item.serialNumber })));
     } catch (error) {
       console.error('Failed to fetch serial list:', error);
       setItems([]);
@@ -46,8 +42,14 @@ export default function SerialNumberPage({ navigation }) {
     navigation.navigate('Main', { serialNumber: selectedSerial });
   };
 
+  const onLogout = async () => {
+    await logout();
+    navigation.reset({ index: 0, routes: [{ name: 'Home' }] });
+  };
+
   const tiles = [
     { title: 'Laser Readings', onPress: onTilePress },
+    { title: 'Station Overview', onPress: () => navigation.navigate('Dashboard') },
   ];
 
   return (
@@ -58,13 +60,22 @@ export default function SerialNumberPage({ navigation }) {
     >
       <SafeAreaView style={styles.safeArea}>
         <View style={styles.topRow}>
-          <Menu
-            style={styles.settings}
-            name="menu"
-            size={40}
-            color="rgba(255, 255, 255, 0.8)"
-            onPress={() => navigation.navigate('Config')}
-          />
+          <TouchableOpacity style={styles.userBox} onPress={onLogout}>
+            <Menu name="log-out" size={22} color="rgba(255, 255, 255, 0.8)" />
+            <Text style={styles.userText} numberOfLines={1}>
+              {user ? `${user.name} · ${ROLE_LABELS[resolveRole(user)]}` : ''}
+            </Text>
+          </TouchableOpacity>
+          {/* Renaming stations is for supervisors only */}
+          {canRename && (
+            <Menu
+              style={styles.settings}
+              name="menu"
+              size={40}
+              color="rgba(255, 255, 255, 0.8)"
+              onPress={() => navigation.navigate('Config')}
+            />
+          )}
         </View>
 
         <View style={styles.brandContainer}>
@@ -135,10 +146,22 @@ const styles = StyleSheet.create({
   topRow: {
     width: '100%',
     flexDirection: 'row',
-    justifyContent: 'flex-end',
+    justifyContent: 'space-between',
+    alignItems: 'center',
     paddingHorizontal: 12,
     paddingTop: 8,
   },
+  userBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    maxWidth: '70%',
+    padding: 4,
+  },
+  userText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 15,
+    marginLeft: 6,
+  },
   settings: {
     padding: 4,
   },
@@ -224,7 +247,7 @@ const styles = StyleSheet.create({
     paddingHorizontal: '10%',
   },
   tile: {
-    width: '100%',
+    width: '48%',
     height: 140,
     backgroundColor: 'rgba(255, 255, 255, 0.9)',
     borderRadius: 12,
@@ -233,7 +256,8 @@ const styles = StyleSheet.create({
     marginBottom: 18,
   },
   tileText: {
-    fontSize: 22,
+    fontSize: 20,
+    textAlign: 'center',
     fontWeight: '700',
     color: '#333',
   },
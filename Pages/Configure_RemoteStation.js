@@ -8,22 +8,23 @@ import {
   ScrollView,
   Image,
   ImageBackground,
+  Alert,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
+import api from '../Services/api';
+import { describeWriteError, Permission, usePermission } from '../Services/permissions';
 
 export default function ChangePage() {
   const [serialNames, setSerialNames] = useState([]);
   const [isEditing, setIsEditing] = useState(false);
   const navigation = useNavigation();
+  const canRename = usePermission(Permission.RENAME_STATIONS);
 
   useEffect(() => {
-    fetch('https://boreal-2.soniciot.com/api/remote_stations')
-      .then((response) => response.json())
-      .then((data) => {
-        const sortedData = data
-          .filter((item) => item.category === 'boreal')
-          .map((item) => ({ id: item.id, name: item.name })) // Preserve IDs
-          .sort((a, b) => a.name.localeCompare(b.name));
+    api
+      .listRemoteStations({ category: 'boreal' })
+      .then((stations) => {
+        const sortedData = stations.map((item) => ({ id: item.id, name: item.name })); // Preserve IDs
 
         console.log('Fetched Serial Names:', sortedData); // Debugging
         setSerialNames(sortedData);
@@ -39,19 +40,14 @@ export default function ChangePage() {
 
   const handleSubmit = async () => {
     try {
-      const updateNamesPromises = serialNames.map(({ id, name }) =>
-        fetch(`https://boreal-2.soniciot.com/api/remote_stations/${id}`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name }),
-        })
-      );
+      const updateNamesPromises = serialNames.map(({ id, name }) => api.updateRemoteStation(id, { name }));
       await Promise.all(updateNamesPromises);
 
       console.log('Serial names updated successfully');
       navigation.goBack(); // Navigate back to the previous page
     } catch (error) {
       console.error('Error updating serial names:', error);
+      Alert.alert('Rename failed', describeWriteError(error, 'rename remote stations'));
     }
   };
 
@@ -93,9 +89,15 @@ export default function ChangePage() {
                 ))}
               </View>
 
+              {!canRename && <Text style={styles.readOnly}>Only supervisors can rename remote stations.</Text>}
+
               <View style={styles.buttonRow}>
                 {!isEditing ? (
-                  <TouchableOpacity style={styles.actionButton} onPress={() => setIsEditing(true)}>
+                  <TouchableOpacity
+                    style={[styles.actionButton, !canRename && styles.disabledButton]}
+                    onPress={() => setIsEditing(true)}
+                    disabled={!canRename}
+                  >
                     <Text style={styles.actionButtonText}>Edit</Text>
                   </TouchableOpacity>
                 ) : (
@@ -106,7 +108,11 @@ export default function ChangePage() {
               </View>
             </View>
 
-            <TouchableOpacity style={styles.submitButton} onPress={handleSubmit}>
+            <TouchableOpacity
+              style={[styles.submitButton, !canRename && styles.disabledButton]}
+              onPress={handleSubmit}
+              disabled={!canRename}
+            >
               <Text style={styles.submitButtonText}>Submit</Text>
             </TouchableOpacity>
           </View>
@@ -244,6 +250,15 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: '700',
   },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  readOnly: {
+    color: '#b26a00',
+    fontSize: 14,
+    marginBottom: 8,
+    textAlign: 'center',
+  },
 
   // Submit button centered below card
   submitButton: {
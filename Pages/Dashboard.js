@@ -0,0 +1,223 @@
+import React from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  FlatList,
+  Image,
+  ImageBackground,
+  SafeAreaView,
+  ActivityIndicator,
+  useWindowDimensions,
+} from 'react-native';
+import ConnectionBanner from '../Components/ConnectionBanner';
+import { formatTime } from '../Services/format';
+import { describeLevels, levelLabel } from '../Services/levels';
+import { LEVEL_COLORS, StationLevel, useStationOverview } from '../Services/overview';
+import { formatNumber, quantityLabel, useDisplayUnits } from '../Services/units';
+
+const OFFLINE_COLOR = '#888888';
+
+// One station, its value and thresholds in the station's display units and precision
+function StationTile({ item, width, onPress }) {
+  const units = useDisplayUnits(item.serialNumber);
+  const offline = item.online === false;
+  const color = offline ? OFFLINE_COLOR : LEVEL_COLORS[item.level];
+  const exceeded = !offline && item.level !== StationLevel.NORMAL && item.level !== StationLevel.UNKNOWN;
+
+  return (
+    <TouchableOpacity style={[styles.tile, { borderColor: color, width }]} onPress={onPress}>
+      <Text style={styles.tileName} numberOfLines={1}>{item.name}</Text>
+      <Text style={styles.tileSerial}>{item.serialNumber}</Text>
+
+      <Text style={[styles.tileValue, { color }]}>{formatNumber(item.value, units)}</Text>
+      <Text style={styles.tileUnit}>{quantityLabel(units)}</Text>
+      {exceeded && <Text style={[styles.alarmText, { color }]}>{levelLabel(item.level).toUpperCase()}</Text>}
+
+      <View style={styles.tileFooter}>
+        <Text style={[styles.status, { color: item.online ? '#16b800' : '#ff2323' }]}>
+          {item.online === null ? '…' : item.online ? 'ONLINE' : 'OFFLINE'}
+        </Text>
+        <Text style={styles.threshold}>
+          {describeLevels(item.levels, v => formatNumber(v, units)) || 'No threshold'}
+        </Text>
+      </View>
+      <Text style={styles.updated}>Updated {item.lastUpdate ? formatTime(item.lastUpdate) : '-'}</Text>
+    </TouchableOpacity>
+  );
+}
+
+// Control-room overview: one live tile per Boreal station; tap a tile to open it in Main
+export default function Dashboard({ navigation }) {
+  const { tiles, loading, error, reload } = useStationOverview();
+  const { width } = useWindowDimensions();
+  const columns = width >= 700 ? 3 : 2;
+
+  const renderTile = ({ item }) => (
+    <StationTile
+      item={item}
+      width={`${100 / columns - 3}%`}
+      onPress={() => navigation.navigate('Main', { serialNumber: item.serialNumber })}
+    />
+  );
+
+  return (
+    <ImageBackground source={require('../Assets/bg2.png')} style={styles.background} resizeMode="cover">
+      <SafeAreaView style={styles.container}>
+        <View style={styles.topRow}>
+          <View style={styles.logoContainer}>
+            <Image style={styles.logo} source={require('../Assets/logo.png')} resizeMode="contain" />
+          </View>
+          <Text style={styles.headingText}>Station Overview</Text>
+        </View>
+
+        <ConnectionBanner />
+
+        {loading ? (
+          <ActivityIndicator size="large" color="white" style={styles.loading} />
+        ) : error && tiles.length === 0 ? (
+          <View style={styles.errorBox}>
+            <Text style={styles.errorText}>Could not load the station list.</Text>
+            <TouchableOpacity style={styles.retry} onPress={reload}>
+              <Text style={styles.retryText}>Retry</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <FlatList
+            key={columns}
+            data={tiles}
+            numColumns={columns}
+            keyExtractor={item => item.serialNumber}
+            renderItem={renderTile}
+            columnWrapperStyle={styles.columns}
+            contentContainerStyle={styles.grid}
+            ListEmptyComponent={<Text style={styles.emptyText}>No Boreal stations found.</Text>}
+          />
+        )}
+
+        <Text style={styles.subTextdown}>Powered by SONIC</Text>
+      </SafeAreaView>
+    </ImageBackground>
+  );
+}
+
+const styles = StyleSheet.create({
+  background: { flex: 1, width: '100%', height: '100%' },
+  container: { flex: 1 },
+  topRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 8,
+  },
+  logoContainer: {
+    backgroundColor: 'rgba(255,255,255,0.95)',
+    padding: 6,
+    borderRadius: 12,
+  },
+  logo: {
+    width: 100,
+    height: 34,
+  },
+  headingText: {
+    flex: 1,
+    fontSize: 22,
+    color: '#fff',
+    fontWeight: '800',
+    textAlign: 'center',
+  },
+  loading: { marginTop: 40 },
+  grid: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  columns: {
+    justifyContent: 'space-between',
+  },
+  tile: {
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    borderRadius: 12,
+    borderWidth: 2,
+    padding: 12,
+    marginBottom: 12,
+    marginHorizontal: '1.5%',
+  },
+  tileName: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  tileSerial: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 12,
+  },
+  tileValue: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  tileUnit: {
+    color: '#fff',
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  alarmText: {
+    fontSize: 12,
+    fontWeight: '800',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  tileFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  status: {
+    fontSize: 12,
+    fontWeight: '800',
+  },
+  threshold: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 12,
+  },
+  updated: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 11,
+    marginTop: 4,
+  },
+  errorBox: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  errorText: {
+    color: '#fff',
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  retry: {
+    backgroundColor: 'rgba(255,255,255,0.15)',
+    paddingVertical: 8,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
+  retryText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  emptyText: {
+    color: '#fff',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  subTextdown: {
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.9)',
+    textAlign: 'center',
+    marginBottom: 10,
+    marginTop: 6,
+  },
+});
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ImageBackground,
+  Alert,
+  Keyboard,
+} from 'react-native';
+import { ENVIRONMENTS, resolveEnvironment, setEnvironment, useEnvironment } from '../Services/environment';
+
+// Hidden developer menu: pick which backend the app talks to (REST + socket)
+export default function DeveloperMenu({ navigation }) {
+  const active = useEnvironment();
+  const [selectedKey, setSelectedKey] = useState(active.key);
+  const [restBaseUrl, setRestBaseUrl] = useState(active.restBaseUrl);
+  const [socketUrl, setSocketUrl] = useState(active.socketUrl);
+  const [saving, setSaving] = useState(false);
+
+  // When switching presets, show that environment's (possibly edited) URLs
+  useEffect(() => {
+    const env = resolveEnvironment(selectedKey);
+    if (!env) return;
+    setRestBaseUrl(env.restBaseUrl);
+    setSocketUrl(env.socketUrl);
+  }, [selectedKey]);
+
+  const handleApply = async () => {
+    Keyboard.dismiss();
+    setSaving(true);
+    try {
+      await setEnvironment(selectedKey, { restBaseUrl, socketUrl });
+      navigation.goBack();
+    } catch (err) {
+      Alert.alert('Invalid environment', String(err.message || err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <ImageBackground source={require('../Assets/bg2.png')} style={styles.background} resizeMode="cover">
+      <ScrollView contentContainerStyle={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+        <View style={styles.headingRow}>
+          <Text style={styles.headingText}>Developer Menu</Text>
+          <Text style={styles.subText}>
+            Active: {active.label} ({active.restBaseUrl})
+          </Text>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.title}>Backend environment</Text>
+
+          {Object.entries(ENVIRONMENTS).map(([key, env]) => (
+            <TouchableOpacity
+              key={key}
+              style={[styles.option, selectedKey === key && styles.optionSelected]}
+              onPress={() => setSelectedKey(key)}
+            >
+              <Text style={[styles.optionText, selectedKey === key && styles.optionTextSelected]}>{env.label}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <Text style={styles.label}>REST base URL</Text>
+          <TextInput
+            style={styles.input}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            placeholder="https://..."
+            placeholderTextColor="#bbb"
+            value={restBaseUrl}
+            onChangeText={setRestBaseUrl}
+          />
+
+          <Text style={styles.label}>Socket URL</Text>
+          <TextInput
+            style={styles.input}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            placeholder="https://..."
+            placeholderTextColor="#bbb"
+            value={socketUrl}
+            onChangeText={setSocketUrl}
+          />
+
+          <View style={styles.rowButtons}>
+            <TouchableOpacity style={[styles.btn, styles.cancel]} onPress={() => navigation.goBack()} disabled={saving}>
+              <Text style={styles.btnText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.btn, styles.save]} onPress={handleApply} disabled={saving}>
+              <Text style={styles.btnText}>{saving ? 'Applying...' : 'Apply'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </ImageBackground>
+  );
+}
+
+const styles = StyleSheet.create({
+  background: { flex: 1, width: '100%', height: '100%' },
+  scrollContainer: { flexGrow: 1, justifyContent: 'center', padding: 20 },
+  headingRow: {
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  headingText: {
+    fontSize: 26,
+    color: '#fff',
+    fontWeight: '800',
+  },
+  subText: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.7)',
+    marginTop: 4,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 760,
+    alignSelf: 'center',
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    padding: 22,
+    borderRadius: 12,
+    elevation: 6,
+  },
+  title: {
+    fontSize: 18,
+    color: '#fff',
+    marginBottom: 14,
+    fontWeight: '700',
+  },
+  option: {
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+    backgroundColor: 'rgba(255,255,255,0.06)',
+  },
+  optionSelected: {
+    backgroundColor: '#92dfb2ff',
+  },
+  optionText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  optionTextSelected: {
+    color: '#000',
+    fontWeight: '700',
+  },
+  label: {
+    fontSize: 14,
+    color: '#fff',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: 'rgba(255,255,255,0.06)',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    color: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.08)',
+  },
+  rowButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 20,
+  },
+  btn: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginHorizontal: 6,
+  },
+  cancel: {
+    backgroundColor: 'rgba(255,255,255,0.12)',
+  },
+  save: {
+    backgroundColor: '#2a8f2a',
+  },
+  btnText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
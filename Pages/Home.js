@@ -1,7 +1,30 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import { StyleSheet, Text, View, Image, TouchableOpacity, ImageBackground, SafeAreaView } from 'react-native';
+import { isSignedIn, loadSession } from '../Services/session';
+
+const DEV_MENU_TAPS = 7;
+const DEV_MENU_TAP_WINDOW_MS = 3000;
 
 export default function App({ navigation }) {
+    // Hidden developer menu: tap the version label 7 times within 3s
+    const versionTapsRef = useRef([]);
+    const onVersionPress = () => {
+        const now = Date.now();
+        const taps = versionTapsRef.current.filter(t => now - t < DEV_MENU_TAP_WINDOW_MS);
+        taps.push(now);
+        versionTapsRef.current = taps;
+        if (taps.length >= DEV_MENU_TAPS) {
+            versionTapsRef.current = [];
+            navigation.navigate('DeveloperMenu');
+        }
+    };
+
+    // Station selection needs a signed-in user; otherwise go through the login screen first
+    const onContinue = async () => {
+        await loadSession();
+        navigation.navigate(isSignedIn() ? 'SelectPage' : 'Login');
+    };
+
     return (
         <ImageBackground
             source={require("../Assets/bg.png")}
@@ -34,12 +57,12 @@ export default function App({ navigation }) {
                 {/* Navigation Button for New Page */}
                 <TouchableOpacity
                     style={styles.button}
-                    onPress={() => navigation.navigate('SelectPage')}
+                    onPress={onContinue}
                 >
                     <Text style={styles.buttonText}>Go to Main Page</Text>
                 </TouchableOpacity>
 
-                <Text style={styles.version}>V1.68 B 2025</Text>
+                <Text style={styles.version} onPress={onVersionPress} suppressHighlighting>V1.68 B 2025</Text>
                 <Text style={styles.subText}>Powered by SONIC</Text>
             </SafeAreaView>
         </ImageBackground>
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Image,
+  ImageBackground,
+  ActivityIndicator,
+  Keyboard,
+} from 'react-native';
+import { ApiErrorKind } from '../Services/api';
+import { login, SessionStatus, useSession } from '../Services/session';
+
+const describeLoginError = err => {
+  if (err?.kind === ApiErrorKind.HTTP && (err.status === 400 || err.status === 401)) {
+    return 'Incorrect username or password.';
+  }
+  if (err?.kind === ApiErrorKind.NETWORK || err?.kind === ApiErrorKind.TIMEOUT) {
+    return 'Cannot reach the server. Check your connection and try again.';
+  }
+  return String(err?.message || err);
+};
+
+// Sign-in screen shown before station selection (and again when the session expires)
+export default function LoginPage({ navigation }) {
+  const { status } = useSession();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canSubmit = username.trim() !== '' && password !== '' && !submitting;
+
+  const handleLogin = async () => {
+    Keyboard.dismiss();
+    if (!canSubmit) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(username, password);
+      setPassword('');
+      navigation.replace('SelectPage');
+    } catch (err) {
+      console.warn('login error', err);
+      setError(describeLoginError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <ImageBackground source={require('../Assets/bg2.png')} style={styles.background} resizeMode="cover">
+      <View style={styles.outer}>
+        <ScrollView contentContainerStyle={styles.scrollContainer} keyboardShouldPersistTaps="handled">
+          <View style={styles.logoRow}>
+            <View style={styles.logoContainer}>
+              <Image style={styles.topLogo} source={require('../Assets/boreal.png')} resizeMode="contain" />
+            </View>
+          </View>
+
+          <View style={styles.headingRow}>
+            <Text style={styles.headingText}>Sign in</Text>
+          </View>
+
+          <View style={styles.centerWrapper}>
+            <View style={styles.card}>
+              {status === SessionStatus.EXPIRED && (
+                <Text style={styles.notice}>Your session has expired. Please sign in again.</Text>
+              )}
+
+              <Text style={styles.label}>Username</Text>
+              <TextInput
+                style={styles.input}
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="username"
+                placeholder="Username"
+                placeholderTextColor="#bbb"
+                value={username}
+                onChangeText={setUsername}
+                editable={!submitting}
+              />
+
+              <Text style={styles.label}>Password</Text>
+              <TextInput
+                style={styles.input}
+                secureTextEntry
+                textContentType="password"
+                placeholder="Password"
+                placeholderTextColor="#bbb"
+                value={password}
+                onChangeText={setPassword}
+                onSubmitEditing={handleLogin}
+                editable={!submitting}
+              />
+
+              {error && <Text style={styles.error}>{error}</Text>}
+
+              <TouchableOpacity
+                style={[styles.btn, !canSubmit && styles.btnDisabled]}
+                onPress={handleLogin}
+                disabled={!canSubmit}
+              >
+                {submitting ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.btnText}>Sign in</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Text style={styles.powered}>Powered by SONIC</Text>
+        </View>
+      </View>
+    </ImageBackground>
+  );
+}
+
+const styles = StyleSheet.create({
+  background: { flex: 1, width: '100%', height: '100%' },
+  outer: { flex: 1 },
+  scrollContainer: { flexGrow: 1 },
+  logoRow: {
+    width: '100%',
+    paddingTop: 18,
+    paddingHorizontal: 16,
+    alignItems: 'flex-start',
+  },
+  logoContainer: {
+    backgroundColor: 'rgba(255,255,255,0.95)',
+    padding: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(0,0,0,0.06)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  topLogo: {
+    width: 120,
+    height: 40,
+    resizeMode: 'contain',
+  },
+  headingRow: {
+    width: '100%',
+    paddingTop: 8,
+    paddingBottom: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headingText: {
+    fontSize: 26,
+    color: '#fff',
+    fontWeight: '800',
+  },
+  centerWrapper: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 760,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    padding: 22,
+    borderRadius: 12,
+    elevation: 6,
+  },
+  notice: {
+    color: '#ffd166',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 16,
+    color: '#fff',
+    marginBottom: 6,
+  },
+  input: {
+    backgroundColor: 'rgba(255,255,255,0.06)',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    color: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.08)',
+    marginBottom: 14,
+  },
+  error: {
+    color: '#ff6b6b',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  btn: {
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    backgroundColor: '#2a8f2a',
+  },
+  btnDisabled: {
+    opacity: 0.5,
+  },
+  btnText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  footer: {
+    height: 56,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255,255,255,0.03)',
+  },
+  powered: {
+    color: 'rgba(255,255,255,0.6)',
+    fontSize: 12,
+  },
+});
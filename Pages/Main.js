@@ -7,42 +7,130 @@ import {
   SafeAreaView,
   Image,
   FlatList,
-  ActivityIndicator,
-  Platform,
   ImageBackground,
   useWindowDimensions,
 } from 'react-native';
-const { io } = require('socket.io-client');
 import Icon from 'react-native-vector-icons/Ionicons';
 import SignalDisplay from '../Components/signalDisplay';
 import PpmGraph from '../Components/PpmGraph'; // <-- import the graph component
+import ConnectionBanner from '../Components/ConnectionBanner';
+import AlarmEpisodes from '../Components/AlarmEpisodes';
+import ExportDialog from '../Components/ExportDialog';
+import LiveStats from '../Components/LiveStats';
+import FilterBar from '../Components/FilterBar';
+import SignalHistory from '../Components/SignalHistory';
+import Diagnostics from '../Components/Diagnostics';
+import api from '../Services/api';
+import { formatDateTime, formatDuration, formatTime } from '../Services/format';
+import { Permission, usePermission } from '../Services/permissions';
+import socketManager, { SocketStatus } from '../Services/socket';
+import readingStore, { useStoredReadings } from '../Services/readingStore';
+import thresholdStore from '../Services/thresholds';
+import statusStore, { offlineGaps, useStatusChanges, withGapMarkers } from '../Services/statusHistory';
+import { useLiveStats } from '../Services/liveStats';
+import { isStale, STALE_COLOR, useStaleEpisodes } from '../Services/staleness';
+import { EMPTY_FILTER, filterEpisodes, filterReadings, isFilterActive, jumpIndex } from '../Services/tableFilter';
+import { countNewer, readingTime } from '../Services/readings';
+import {
+  formatNumber,
+  formatValue,
+  fromDisplay,
+  quantityLabel,
+  Unit,
+  unitLabel,
+  useDisplayUnits,
+} from '../Services/units';
+import {
+  classify,
+  DEFAULT_EXPECTED_INTERVAL_MS,
+  hasLevels,
+  Level,
+  levelColor,
+  levelLabel,
+  NO_LEVELS,
+} from '../Services/levels';
+import { ongoingLevel, unacknowledged, useAlarmEpisodes } from '../Services/alarms';
+import { updateParams } from '../Services/diagnostics';
+import {
+  parseMqttMessage,
+  parseParamsMessage,
+  parsePingPayload,
+  parseThresholdUpdate,
+  findSnapshotStatus,
+  RejectReason,
+} from '../Services/telemetry';
 
 const IndicatorApp = ({ route, navigation }) => {
-  const [tableData, setTableData] = useState([]); // will store only PPM rows (newest first)
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-
-  // Graph external data (oldest -> newest). Parent maintains this and appends points one-by-one.
-  const [graphExternalData, setGraphExternalData] = useState([]);
   const GRAPH_MAX_POINTS = 1000;
 
   // color indicates device ping status (green/red)
   const [connectionState, setConnectionState] = useState({ color: '#ff2323', serialNo: null });
-  const [currentView, setCurrentView] = useState('live'); // 'live' | 'alarms' | 'graph'
+  const [currentView, setCurrentView] = useState('live'); // 'live' | 'alarms' | 'graph' | 'diagnostics'
+  const currentViewRef = useRef(currentView); // read by socket handlers so tab switches don't resubscribe
   const flatListRef = useRef(null);
+  const alarmListRef = useRef(null);
   const graphRef = useRef(null); // ref for graph to call clear()
   const serialNumber = route.params?.serialNumber;
-  const hostOverride = route.params?.host; // optional
   const [activeButton, setActiveButton] = useState('live');
+  const [exporting, setExporting] = useState(false); // export dialog open
+  const [showingSignal, setShowingSignal] = useState(false); // GSM signal history dialog open
+  // every param of the station's messages since the screen opened (Services/diagnostics.js entries)
+  const [deviceParams, setDeviceParams] = useState({});
+  const [lastMessageAt, setLastMessageAt] = useState(null);
+
+  // Table / alarms / graph all read the persistent per-station store (oldest -> newest), which the
+  // app-wide recorder fills from the socket; leaving the screen or going offline no longer loses it
+  const { readings: storedReadings } = useStoredReadings(serialNumber);
+  // Pause: table and graph keep showing the readings of the moment Pause was pressed while the store
+  // goes on recording in the background; Resume shows everything again (null = live)
+  const [frozenReadings, setFrozenReadings] = useState(null);
+  const paused = frozenReadings !== null;
+  const displayedReadings = frozenReadings || storedReadings;
+  const bufferedCount = useMemo(
+    () => (frozenReadings ? countNewer(storedReadings, frozenReadings[frozenReadings.length - 1]) : 0),
+    [frozenReadings, storedReadings],
+  );
+  const tableData = useMemo(() => displayedReadings.slice().reverse(), [displayedReadings]); // newest first
+  // same objects as the store, so PpmGraph can tell appends from rewrites
+  const graphExternalData = useMemo(
+    () => displayedReadings.filter(r => r.numeric).slice(-GRAPH_MAX_POINTS),
+    [displayedReadings],
+  );
+  // Alarm episodes are detected app-wide as readings are recorded (see Services/alarms.js)
+  const { episodes: alarmEpisodes } = useAlarmEpisodes(serialNumber);
+  const unackedCount = useMemo(() => unacknowledged(alarmEpisodes).length, [alarmEpisodes]);
+  // Stale episodes (online but silent) are listed with the alarm episodes, newest first
+  const { episodes: staleEpisodes } = useStaleEpisodes(serialNumber);
+  const logEpisodes = useMemo(
+    () => [...alarmEpisodes, ...staleEpisodes].sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt)),
+    [alarmEpisodes, staleEpisodes],
+  );
 
-  // The big indicator will reflect the most recent PPM (LOS) reading
-  const [indicatorColor, setIndicatorColor] = useState('#16b800');
-  const [losReading, setLosReading] = useState(null); // Current Los Value shown in big indicator
-  const [threshold, setThreshold] = useState(null); // numeric threshold for los_ppm
+  // Filter bar (date/time + PPM range) shared by the Real time and Alarms tables; re-applied to
+  // every new reading. `highlightId` marks the row the last "jump to time" landed on.
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [highlightId, setHighlightId] = useState(null);
+  const filteredRows = useMemo(() => filterReadings(tableData, filter), [tableData, filter]);
+  // Offline periods, marked between the table rows and on the graph
+  const statusChanges = useStatusChanges(serialNumber);
+  const gaps = useMemo(() => offlineGaps(statusChanges), [statusChanges]);
+  const tableRows = useMemo(
+    () => withGapMarkers(filteredRows, gaps.filter(g => filter.to === null || g.from <= filter.to)),
+    [filteredRows, gaps, filter],
+  );
+  const filteredEpisodes = useMemo(() => filterEpisodes(logEpisodes, filter), [logEpisodes, filter]);
+  // the Real time table only follows new readings to the top while nobody is investigating or paused
+  const followLiveRef = useRef(true);
 
-  // Keep refs to avoid stale closures in socket handlers
-  const thresholdRef = useRef(null);
-  const losReadingRef = useRef(null);
+  // The big indicator shows the most recent PPM (LOS) reading
+  const [losReading, setLosReading] = useState(null); // Current Los Value shown in big indicator
+  const [levels, setLevels] = useState(NO_LEVELS); // warning / alarm / critical thresholds for los_ppm
+  const [expectedIntervalMs, setExpectedIntervalMs] = useState(DEFAULT_EXPECTED_INTERVAL_MS); // stale after
+  // ppm·m as reported, or average ppm over the station's path length, with the chosen decimals
+  const units = useDisplayUnits(serialNumber);
+  // Min / max / mean / ... over 5 min, 1 hour and since this screen opened, updated per reading
+  const liveStats = useLiveStats(storedReadings, levels);
+  const canAcknowledge = usePermission(Permission.ACKNOWLEDGE_ALARMS);
 
   // Track whether this screen is focused (visible) so we only read/process messages while mounted/visible
   const isFocusedRef = useRef(false);
@@ -55,29 +143,7 @@ const IndicatorApp = ({ route, navigation }) => {
   // Client-side running clock (real local time)
   const [currentTime, setCurrentTime] = useState(formatTime(new Date()));
 
-  const indicatorBigLabel = 'PPM-M-LO'; // Big indicator label (PPM)
-
-  const pickHost = () => {
-    if (hostOverride) return hostOverride;
-    const defaultHost = 'boreal-2.soniciot.com';
-    if (Platform.OS === 'android') {
-      return defaultHost;
-    }
-    return defaultHost;
-  };
-
-  // Helper to format time as hh:mm:ss AM/PM (client-side)
-  function formatTime(d) {
-    if (!d || !(d instanceof Date)) return '-';
-    let hours = d.getHours();
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    hours = hours % 12;
-    hours = hours ? hours : 12; // the hour '0' should be '12'
-    const hh = String(hours).padStart(2, '0');
-    const mm = String(d.getMinutes()).padStart(2, '0');
-    const ss = String(d.getSeconds()).padStart(2, '0');
-    return `${hh}:${mm}:${ss} ${ampm}`;
-  }
+  const indicatorBigLabel = quantityLabel(units); // Big indicator label (PPM-M-LO, or PPM-LO averaged)
 
   // update client-side clock every second
   useEffect(() => {
@@ -87,36 +153,14 @@ const IndicatorApp = ({ route, navigation }) => {
     return () => clearInterval(id);
   }, []);
 
-  // Format row timestamp to dd/mm/yyyy hh:mm:ss AM/PM using server-provided ISO timestamp (converted to device local)
-  const formatRowDateTime = (ts) => {
-    if (!ts && ts !== 0) return '-';
-    let d;
-    if (ts instanceof Date) {
-      d = ts;
-    } else {
-      d = new Date(ts);
-      if (isNaN(d.getTime())) return String(ts);
-    }
-    const dd = String(d.getDate()).padStart(2, '0');
-    const mm = String(d.getMonth() + 1).padStart(2, '0');
-    const yyyy = d.getFullYear();
-    let hours = d.getHours();
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    hours = hours % 12;
-    hours = hours ? hours : 12;
-    const hh = String(hours).padStart(2, '0');
-    const mins = String(d.getMinutes()).padStart(2, '0');
-    const ss = String(d.getSeconds()).padStart(2, '0');
-    return `${dd}/${mm}/${yyyy} ${hh}:${mins}:${ss} ${ampm}`;
-  };
-
   // Keep refs up to date
   useEffect(() => {
-    thresholdRef.current = threshold;
-  }, [threshold]);
+    currentViewRef.current = currentView;
+  }, [currentView]);
+
   useEffect(() => {
-    losReadingRef.current = losReading;
-  }, [losReading]);
+    followLiveRef.current = !paused && !isFilterActive(filter) && highlightId === null;
+  }, [paused, filter, highlightId]);
 
   // Keep connectionRef in sync with connectionState (so socket handlers can read latest online status)
   useEffect(() => {
@@ -143,349 +187,209 @@ const IndicatorApp = ({ route, navigation }) => {
     };
   }, [navigation]);
 
-  const isPpmKey = (key) => {
-    if (!key) return false;
-    const k = String(key).toLowerCase();
-    return k.includes('ppm') || (k.includes('los') && k.includes('ppm')) || k === 'ppm' || k.includes('ppmvalue');
-  };
-
-  const normalizePpmValue = (v) => {
-    if (v === null || v === undefined) return null;
-    if (typeof v === 'number') return v;
-    const n = Number(v);
-    return Number.isNaN(n) ? null : n;
-  };
-
-  // SOCKET: same as before, populate tableData (PPM rows) and update indicator.
+  // SOCKET: subscribe to the shared app-wide connection and update status, threshold and indicator.
   useEffect(() => {
     if (!serialNumber) return undefined;
-    const host = 'boreal-2.soniciot.com';
-    const socketUrl = `https://${host}`;
-    const socket = io(socketUrl, {
-      reconnection: true,
-      reconnectionAttempts: 5,
-      reconnectionDelay: 2000,
-      timeout: 20000,
-    });
-
-    socket.on('connect', () => {
-      // console.log('WebSocket connected to', socketUrl);
-    });
-    socket.on('disconnect', () => {
-      // console.log('WebSocket disconnected');
-    });
+    setDeviceParams({});
+    setLastMessageAt(null);
+    const subscriptions = [];
+    const on = (event, handler) => {
+      subscriptions.push(socketManager.subscribe(event, handler, { serial: serialNumber }));
+    };
 
     const handlePingPayload = (payload) => {
-      if (!payload) return;
-      const serial = payload.serial_number ?? payload.serialNumber ?? payload.serial ?? payload.sn;
-      let online = payload.online ?? payload.isOnline ?? payload.is_online ?? payload.status ?? payload.up;
-      if (typeof online === 'string') {
-        const s = online.toLowerCase();
-        online = s === 'online' || s === 'true' || s === '1';
-      } else if (typeof online === 'number') {
-        online = online === 1;
-      } else {
-        online = !!online;
-      }
-      if (!serial) return;
-      if (String(serial) === String(serialNumber)) {
-        setConnectionState({ color: online ? '#16b800' : '#ff2323', serialNo: serialNumber });
-      }
+      const ping = parsePingPayload(payload);
+      if (!ping.ok || ping.serial !== String(serialNumber)) return;
+      setConnectionState({ color: ping.online ? '#16b800' : '#ff2323', serialNo: serialNumber });
     };
 
-    socket.on('device_status', handlePingPayload);
-    socket.on('device_ping', handlePingPayload);
-    socket.on('ping_result', handlePingPayload);
-    socket.on('ping', handlePingPayload);
+    on('device_status', handlePingPayload);
+    on('device_ping', handlePingPayload);
+    on('ping_result', handlePingPayload);
+    on('ping', handlePingPayload);
 
     const handleThresholdUpdated = (msg) => {
-      try {
-        const sn = msg && (msg.serial_number ?? msg.serialNumber);
-        const indicator = msg && msg.indicator;
-        const thr = msg && msg.threshold;
-        if (!sn) return;
-        if (String(sn) !== String(serialNumber)) return;
-        if (!indicator || String(indicator).toLowerCase() !== 'los_ppm') return;
-        const n = (typeof thr === 'number') ? thr : Number(thr);
-        if (Number.isNaN(n)) {
-          setThreshold(null);
-          thresholdRef.current = null;
-        } else {
-          setThreshold(n);
-          thresholdRef.current = n;
-          const lastLos = losReadingRef.current;
-          if (lastLos !== null && lastLos !== undefined && !Number.isNaN(Number(lastLos))) {
-            setIndicatorColor(Number(lastLos) > n ? '#b10303' : '#16b800');
-          }
-        }
-        // clear table and graph on threshold update so UI refreshes
-        // NOTE: keep original behavior but this won't cause readings to render while device offline
-        setTableData([]);
-        setGraphExternalData([]);
-      } catch (e) {}
+      const update = parseThresholdUpdate(msg, { serialNumber });
+      if (!update.ok) return;
+
+      setLevels(update.levels);
+      if (update.rules) setExpectedIntervalMs(update.rules.expectedIntervalMs);
     };
 
-    socket.on('threshold_updated', handleThresholdUpdated);
+    on('threshold_updated', handleThresholdUpdated);
 
-    socket.on('device_status_snapshot', (snapshot) => {
-      try {
-        if (!Array.isArray(snapshot)) return;
-        const match = snapshot.find(s => s.serial_number === serialNumber);
-        if (match) handlePingPayload(match);
-      } catch (e) {}
+    on('device_status_snapshot', (snapshot) => {
+      const status = findSnapshotStatus(snapshot, serialNumber);
+      if (status) setConnectionState({ color: status.online ? '#16b800' : '#ff2323', serialNo: serialNumber });
     });
 
     // ---- MQTT message handling (parent) ----
-    socket.on('mqtt_message', (msg) => {
+    on('mqtt_message', (msg) => {
       // IMPORTANT: ignore incoming sensor readings until the device is known to be ONLINE.
       // This prevents the race where MQTT payloads arrive before the backend ping status,
       // which previously caused readings to render briefly while the UI still showed OFFLINE.
       if (!isFocusedRef.current) return;
 
+      // Diagnostics shows every message of this station, with or without a PPM value
+      const params = parseParamsMessage(msg, { serialNumber });
+      if (params.ok) {
+        setDeviceParams((previous) => updateParams(previous, params.params, params.ts));
+        setLastMessageAt(params.ts);
+      }
+
       const isOnline = connectionRef.current && connectionRef.current.color === '#16b800';
       if (!isOnline) {
         // ignore readings until device reports online
-        // console.log('Ignoring mqtt_message because device is not online yet for', serialNumber);
         return;
       }
 
-      console.log('MQTT msg topic:', msg.topic || msg._topic);
-      console.log('MQTT keys:', Object.keys(msg || {}));
-      console.log('Possible serial fields:', msg.serial_number, msg.serialNumber, msg.serial, msg.payload && (msg.payload.serial_number || msg.payload.serial));
-      console.log('Full message (truncated):', JSON.stringify(msg).slice(0, 1000));
-
-      let serverReceivedAt = null;
-      if (msg.received_at) {
-        const parsed = new Date(msg.received_at);
-        if (!Number.isNaN(parsed.getTime())) serverReceivedAt = parsed.toISOString();
-      } else if (typeof msg.ts !== 'undefined' && msg.ts !== null) {
-        const parsed = new Date(Number(msg.ts));
-        if (!Number.isNaN(parsed.getTime())) serverReceivedAt = parsed.toISOString();
-      }
-      if (!serverReceivedAt) return;
-
-      // Extract params object if present
-      let params = null;
-      if (msg.payload && typeof msg.payload === 'object') {
-        params = (msg.payload.params && typeof msg.payload.params === 'object') ? msg.payload.params : msg.payload;
-      } else if (msg.params && typeof msg.params === 'object') {
-        params = msg.params;
-      }
-      if (!params || typeof params !== 'object') params = {};
-
-      const msgSerial = msg.serial_number ?? (msg.payload && (msg.payload.serial_number || msg.payload.serial)) ?? undefined;
-      if (msgSerial && serialNumber && String(msgSerial) !== String(serialNumber)) return;
-
-      const newPpmRows = [];
-
-      // First: prefer merged PPM sent inside msg.los.los_ppm (server-side merged value).
-      const mergedPpmRaw = msg.los && (typeof msg.los.los_ppm !== 'undefined') ? msg.los.los_ppm : undefined;
-      const mergedPpm = normalizePpmValue(mergedPpmRaw);
-
-      if (mergedPpm !== null) {
-        // Use single merged value (prevents double-rendering of int/dec parts)
-        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}-ppm`;
-        newPpmRows.push({
-          id,
-          TIMESTAMP: serverReceivedAt,
-          INDICATOR: 'Gas Finder-PPM',
-          VALUE: mergedPpm,
-          rawKey: 'los_ppm_merged',
-          rawValue: mergedPpmRaw,
-        });
-
-        // update big indicator
-        setLosReading(mergedPpm);
-        const currentThreshold = thresholdRef.current;
-        const t = Number.isFinite(Number(currentThreshold)) ? Number(currentThreshold) : null;
-        setIndicatorColor(t !== null && mergedPpm > t ? '#b10303' : '#16b800');
-
-        // Append single point to graph (oldest->newest)
-        const point = { ts: serverReceivedAt, value: mergedPpm };
-        setGraphExternalData(prev => {
-          const next = [...prev, point];
-          return next.length > GRAPH_MAX_POINTS ? next.slice(next.length - GRAPH_MAX_POINTS) : next;
-        });
-      } else {
-        // Fallback: scan params keys for ppm keys (legacy). This may produce multiple keys if device sends multiple ppm-like fields.
-        Object.entries(params).forEach(([k, v]) => {
-          if (!isPpmKey(k)) return;
-
-          const numeric = normalizePpmValue(v);
-          const displayVal = numeric !== null ? numeric : v;
-          const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}-ppm`;
-
-          newPpmRows.push({
-            id,
-            TIMESTAMP: serverReceivedAt,
-            INDICATOR: 'Gas Finder-PPM',
-            VALUE: displayVal,
-            rawKey: k,
-            rawValue: v,
-          });
-
-          if (numeric !== null) {
-            setLosReading(numeric);
-            const currentThreshold = thresholdRef.current;
-            const t = Number.isFinite(Number(currentThreshold)) ? Number(currentThreshold) : null;
-            setIndicatorColor(t !== null && numeric > t ? '#b10303' : '#16b800');
-
-            // Append numeric point to graph
-            const point = { ts: serverReceivedAt, value: numeric };
-            setGraphExternalData(prev => {
-              const next = [...prev, point];
-              return next.length > GRAPH_MAX_POINTS ? next.slice(next.length - GRAPH_MAX_POINTS) : next;
-            });
-          } else {
-            setLosReading(v);
-          }
-        });
+      const parsed = parseMqttMessage(msg, { serialNumber });
+      if (!parsed.ok) {
+        if (parsed.reason !== RejectReason.SERIAL_MISMATCH) {
+          if (__DEV__) console.warn('Ignoring mqtt_message:', parsed.reason, JSON.stringify(msg).slice(0, 300));
+        }
+        return;
       }
 
-      if (newPpmRows.length > 0) {
-        // Prepend to table (newest-first)
-        setTableData(prev => {
-          const next = [...newPpmRows, ...prev].slice(0, GRAPH_MAX_POINTS);
-          return next;
-        });
-
-        if (currentView === 'live') {
-          setTimeout(() => {
-            try { flatListRef.current?.scrollToOffset({ offset: 0, animated: true }); } catch (e) {}
-          }, 50);
-        }
+      // Big indicator follows the last reading (the rows themselves are recorded by the reading store)
+      const last = parsed.readings[parsed.readings.length - 1];
+      setLosReading(last.value);
+
+      if (currentViewRef.current === 'live' && followLiveRef.current) {
+        setTimeout(() => {
+          try { flatListRef.current?.scrollToOffset({ offset: 0, animated: true }); } catch (e) {}
+        }, 50);
       }
     });
 
-    // initial ping fetch
-    (async () => {
-      try {
-        const res = await fetch(`https://boreal-2.soniciot.com/api/ping/${serialNumber}`);
-        if (res.ok) {
-          const body = await res.json();
-          const online = body && (body.status === 'online' || body.online === true || body.isOnline === true);
+    // Ping + thresholds over REST. Runs on open and again after every socket reconnect, since
+    // status/threshold events emitted while we were disconnected are lost.
+    const refreshDeviceState = ({ initial = false } = {}) => {
+      (async () => {
+        try {
+          const { online } = await api.getPingStatus(serialNumber);
+          statusStore.record(serialNumber, online);
           setConnectionState({ color: online ? '#16b800' : '#ff2323', serialNo: serialNumber });
+        } catch (e) {}
+      })();
+
+      (async () => {
+        try {
+          const { levels: next, rules } = await thresholdStore.refresh(serialNumber);
+          setLevels(next);
+          setExpectedIntervalMs(rules ? rules.expectedIntervalMs : DEFAULT_EXPECTED_INTERVAL_MS);
+        } catch (err) {
+          // keep the last known levels if only the refresh failed
+          if (initial) {
+            setLevels(NO_LEVELS);
+          }
         }
-      } catch (e) {}
-    })();
+      })();
+    };
+
+    refreshDeviceState({ initial: true });
+
+    let connectionDropped = false;
+    subscriptions.push(
+      socketManager.onStateChange(({ status }) => {
+        if (status === SocketStatus.CONNECTED) {
+          if (connectionDropped) refreshDeviceState();
+          connectionDropped = false;
+        } else if (status !== SocketStatus.CONNECTING) {
+          connectionDropped = true;
+        }
+      }),
+    );
+
+    return () => {
+      subscriptions.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [serialNumber]);
+
+  // HISTORY: fill the store with the backend's recent readings (covers time the app was closed).
+  // Readings already recorded are kept; duplicates are dropped.
+  useEffect(() => {
+    if (!serialNumber) return undefined;
+    let cancelled = false;
 
-    // threshold fetch
     (async () => {
       try {
-        const response = await fetch(`https://boreal-2.soniciot.com/api/thresholds/${serialNumber}`);
-        if (response.ok) {
-          const data = await response.json();
-          const losRaw = (data && typeof data === 'object') ? (data.los_ppm ?? data.losPpm ?? data.los_ppm_value ?? null) : null;
-          const los = losRaw === null || losRaw === undefined ? null : Number(losRaw);
-          setThreshold(Number.isFinite(los) ? los : null);
-          thresholdRef.current = Number.isFinite(los) ? los : null;
-        } else {
-          setThreshold(null);
-          thresholdRef.current = null;
-        }
+        const history = await api.getReadingHistory(serialNumber, { limit: GRAPH_MAX_POINTS });
+        if (cancelled || history.length === 0) return;
+
+        readingStore.add(serialNumber, history, { source: 'history' });
       } catch (err) {
-        setThreshold(null);
-        thresholdRef.current = null;
+        console.warn('Failed to load reading history for', serialNumber, err);
       }
     })();
 
     return () => {
-      try {
-        socket.off('device_status', handlePingPayload);
-        socket.off('device_ping', handlePingPayload);
-        socket.off('ping_result', handlePingPayload);
-        socket.off('ping', handlePingPayload);
-        socket.off('device_status_snapshot');
-        socket.off('mqtt_message');
-        socket.off('threshold_updated', handleThresholdUpdated);
-        socket.disconnect();
-      } catch (e) {}
+      cancelled = true;
     };
-  }, [serialNumber, route.params?.host, currentView, navigation]);
+  }, [serialNumber]);
 
-  // When device goes offline: clear table & indicator & graph
+  // When device goes offline: the live value is dropped and the big indicator shows the last recorded
+  // reading as "last known"; the table and graph keep everything, greyed, with the offline gaps marked
+  const isOnline = !!connectionState && connectionState.color === '#16b800';
   useEffect(() => {
-    const isOnline = connectionState && connectionState.color === '#16b800';
-    if (!isOnline) {
-      setIndicatorColor('#888888');
-      setLosReading(null);
-      setTableData([]);
-      setGraphExternalData([]);
-    } else {
-      const lastLos = losReadingRef.current;
-      const t = Number.isFinite(Number(thresholdRef.current)) ? Number(thresholdRef.current) : null;
-      if (lastLos !== null && lastLos !== undefined && !Number.isNaN(Number(lastLos)) && t !== null) {
-        setIndicatorColor(Number(lastLos) > t ? '#b10303' : '#16b800');
-      } else {
-        setIndicatorColor('#16b800');
-      }
-    }
-  }, [connectionState]);
+    if (!isOnline) setLosReading(null);
+  }, [isOnline]);
 
-  // Derive alarms list from tableData
-  const alarms = useMemo(() => {
-    if (threshold === null || threshold === undefined) return [];
-    return tableData.filter((row) => {
-      try {
-        const numeric = (typeof row.rawValue === 'number') ? row.rawValue : Number(row.rawValue);
-        if (Number.isNaN(numeric)) return false;
-        return numeric > threshold;
-      } catch (e) {
-        return false;
-      }
-    }).slice(0, 1000);
-  }, [tableData, threshold]);
-
-  // Render row functions (updated to show two decimals)
+  // Until a live packet arrives, the big indicator shows the newest stored reading (restored from
+  // disk or filled in by the history backfill), so a quiet station doesn't show '-' for minutes
+  useEffect(() => {
+    const last = storedReadings[storedReadings.length - 1];
+    if (isOnline && last) setLosReading((current) => (current === null ? last.value : current));
+  }, [isOnline, storedReadings]);
+
+  // Level of the big indicator: the ongoing alarm episode's current level rather than the raw last
+  // reading, so it follows the station's hysteresis / minimum-duration rules like the Alarms tab and
+  // the notifications do. Grey while offline.
+  const hasReading = losReading !== null && losReading !== undefined;
+  const indicatorLevel = (hasReading && ongoingLevel(alarmEpisodes)) || Level.NORMAL;
+
+  // Stale: online, but no live reading arrived for longer than the station's expected reporting
+  // interval (phone clock, so a skewed server timestamp can't trip it). The clock re-renders the
+  // screen every second, so the age keeps counting.
+  const lastRecorded = storedReadings[storedReadings.length - 1];
+  const lastReadingAt = readingStore.lastArrivalAt(serialNumber);
+  const lastKnown = !isOnline && lastRecorded && lastRecorded.numeric ? lastRecorded : null;
+  const shownValue = isOnline ? losReading : lastKnown && lastKnown.value;
+  const stale = isStale({ online: isOnline, lastReadingAt, expectedIntervalMs });
+  const staleText = stale ? `STALE — last reading ${formatDuration(Date.now() - lastReadingAt)} ago` : null;
+
+  const indicatorColor = !isOnline ? '#888888' : stale ? STALE_COLOR : levelColor(indicatorLevel);
+
+  // Render row functions (values in the display unit and precision)
   const renderRow = ({ item }) => {
-    const numeric = (typeof item.rawValue !== 'undefined' && item.rawValue !== null) ? item.rawValue : item.VALUE;
-    const displayValue = String(numeric) + ' PPM';
+    if (item.kind === 'gap') {
+      const duration = item.to === null ? null : ` (${formatDuration(item.to - item.from)})`;
+      return (
+        <View style={[styles.row, styles.gapRow]}>
+          <Text style={styles.gapText}>
+            {item.to === null
+              ? `OFFLINE since ${formatDateTime(item.from)}`
+              : `OFFLINE ${formatDateTime(item.from)} – ${formatTime(item.to)}${duration}`}
+          </Text>
+        </View>
+      );
+    }
+    const numeric = (typeof item.rawValue !== 'undefined' && item.rawValue !== null) ? item.rawValue : item.value;
+    const displayValue = formatValue(item.numeric ? item.value : numeric, units);
 
-    const valueStyle = (threshold !== null && !Number.isNaN(numeric) && numeric > threshold)
-      ? { color: '#b10303', fontWeight: '700' }
+    const level = classify(Number(numeric), levels);
+    const valueStyle = level !== Level.NORMAL
+      ? { color: levelColor(level), fontWeight: '700' }
       : { color: '#111' };
 
     return (
-      <View style={styles.row}>
-        <Text style={[styles.cell, styles.dateCell]}>{formatRowDateTime(item.TIMESTAMP)}</Text>
-        <Text style={[styles.cell, styles.statusCell, valueStyle]}>{displayValue}</Text>
-      </View>
-    );
-  };
-
-  const renderAlarmRow = ({ item }) => {
-    const numeric = (typeof item.rawValue !== 'undefined' && item.rawValue !== null) ? item.rawValue : item.VALUE;
-    const displayValue = String(numeric) + ' PPM';
-
-    const valueStyle = (threshold !== null && !Number.isNaN(numeric) && numeric > threshold)
-      ? { color: '#b10303', fontWeight: '700' }
-      : { color: '#fff' };
-
-    return (
-      <View style={styles.row}>
-        <Text style={[styles.cell, styles.dateCell]}>{formatRowDateTime(item.TIMESTAMP)}</Text>
+      <View style={[styles.row, item.id === highlightId && styles.rowHighlighted]}>
+        <Text style={[styles.cell, styles.dateCell]}>{formatDateTime(item.ts)}</Text>
         <Text style={[styles.cell, styles.statusCell, valueStyle]}>{displayValue}</Text>
       </View>
     );
   };
 
-  if (loading) {
-    return (
-      <View style={styles.container}>
-        <ActivityIndicator size="large" color="white" />
-        <Text style={styles.loadingtext}>Loading data...</Text>
-      </View>
-    );
-  }
-
-  if (error) {
-    return (
-      <View style={styles.container}>
-        <Text style={styles.errorText}>{error}</Text>
-      </View>
-    );
-  }
-
   const tabStyle = (name) => (activeButton === name ? styles.tabActive : styles.tabInactive);
   const tabTextStyle = (name) => (activeButton === name ? styles.tabTextActive : styles.tabTextInactive);
 
@@ -508,13 +412,53 @@ const IndicatorApp = ({ route, navigation }) => {
     return Math.min(120, Math.max(24, approx));
   }, [windowWidth, graphPointSpacing]);
 
-  // Clear handler: clears table and graph
+  // Clear handler: deletes this station's recorded readings (table, alarms and graph)
   const handleClearAll = () => {
-    setTableData([]);
-    setGraphExternalData([]);
+    readingStore.clear(serialNumber);
+    if (paused) setFrozenReadings([]);
     try { graphRef.current?.clear(); } catch (e) {}
   };
 
+  // Pause freezes what is on screen; Resume merges in what was recorded meanwhile and follows again
+  const togglePause = () => {
+    if (!paused) {
+      setFrozenReadings(storedReadings);
+      return;
+    }
+    setFrozenReadings(null);
+    if (currentView === 'live' && !isFilterActive(filter) && highlightId === null) {
+      setTimeout(() => {
+        try { flatListRef.current?.scrollToOffset({ offset: 0, animated: true }); } catch (e) {}
+      }, 50);
+    }
+  };
+
+  // PPM bounds are typed in the display unit; the filter compares raw ppm·m values
+  const handleFilterChange = (next) => {
+    setFilter({ ...next, min: fromDisplay(next.min, units), max: fromDisplay(next.max, units) });
+    setHighlightId(null);
+  };
+
+  // Jump to time: scroll the visible table to the newest row at or before `at` and highlight it
+  const handleJump = (at) => {
+    const alarms = currentView === 'alarms';
+    const rows = alarms ? filteredEpisodes : tableRows;
+    const index = jumpIndex(rows, at, alarms ? (e) => Date.parse(e.startedAt) : readingTime);
+    if (index === -1) return;
+    setHighlightId(rows[index].id);
+    try {
+      (alarms ? alarmListRef : flatListRef).current?.scrollToIndex({ index, animated: true, viewPosition: 0.3 });
+    } catch (e) {}
+  };
+
+  // Rows far down the list aren't measured yet: scroll near them first, then retry
+  const retryScrollToIndex = (listRef) => ({ index, averageItemLength }) => {
+    try { listRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false }); } catch (e) {}
+    setTimeout(() => {
+      try { listRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.3 }); } catch (e) {}
+    }, 100);
+  };
+
   // ---------------------------
   // UI
   // ---------------------------
@@ -526,11 +470,30 @@ const IndicatorApp = ({ route, navigation }) => {
           <View style={styles.logoContainer}>
             <Image style={styles.logo} source={require('../Assets/logo.png')} resizeMode="contain" />
           </View>
-          <TouchableOpacity style={styles.topSettings} onPress={() => navigation.navigate('Settings', { serialNumber })}>
-            <Icon name="settings-outline" size={28} color="#bbb" />
-          </TouchableOpacity>
+          <View style={styles.topActions}>
+            <TouchableOpacity style={styles.topSettings} onPress={togglePause}>
+              <Icon
+                name={paused ? 'play-circle-outline' : 'pause-circle-outline'}
+                size={28}
+                color={paused ? '#f0b400' : '#bbb'}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.topSettings} onPress={() => setExporting(true)}>
+              <Icon name="share-outline" size={28} color="#bbb" />
+            </TouchableOpacity>
+            {/* everyone can set the display units; Settings keeps thresholds read-only without EDIT_THRESHOLDS */}
+            <TouchableOpacity
+              style={styles.topSettings}
+              onPress={() => navigation.navigate('Settings', { serialNumber })}
+            >
+              <Icon name="settings-outline" size={28} color="#bbb" />
+            </TouchableOpacity>
+          </View>
         </View>
 
+        {/* Live-data connection state (connecting / live / reconnecting / retry) */}
+        <ConnectionBanner />
+
         {/* Serial + Status */}
         <View style={styles.serialRow}>
           <View style={styles.serialbox}>
@@ -545,14 +508,14 @@ const IndicatorApp = ({ route, navigation }) => {
             </View>
 
             <View style={styles.statusContainer}>
-              {connectionState.color === '#16b800' && <SignalDisplay serialNo={serialNumber} />}
+              <SignalDisplay serialNo={serialNumber} online={isOnline} onPress={() => setShowingSignal(true)} />
             </View>
           </View>
         </View>
 
         {/* Big Indicator */}
         <View style={styles.singleIndicatorContainer}>
-          <View style={[styles.outerBezel]}>
+          <View style={[styles.outerBezel, unackedCount > 0 && styles.outerBezelUnacked]}>
             <View style={styles.reflection} />
             <View style={styles.outerRing}>
               <View style={[styles.innerGlow, { backgroundColor: indicatorColor }]} />
@@ -560,9 +523,30 @@ const IndicatorApp = ({ route, navigation }) => {
             </View>
           </View>
           <Text style={{ color: 'white', fontSize: 20, marginTop: 10 }}>{indicatorBigLabel}</Text>
-          <Text style={{ color: indicatorColor, fontSize: 36, fontWeight: 'bold' }}>
-            {losReading !== null && typeof losReading !== 'undefined' ? String(losReading) : '-'}
+          {units.unit === Unit.PPM && <Text style={styles.unitNote}>average over {units.pathLengthM} m</Text>}
+          <Text style={[{ color: indicatorColor, fontSize: 36, fontWeight: 'bold' }, stale && styles.staleValue]}>
+            {formatNumber(shownValue, units)}
           </Text>
+          {lastKnown && (
+            <Text style={[styles.levelBadge, styles.lastKnownBadge]}>last known at {formatDateTime(lastKnown.ts)}</Text>
+          )}
+          {stale && <Text style={[styles.levelBadge, { backgroundColor: STALE_COLOR }]}>{staleText}</Text>}
+          {!stale && indicatorLevel !== Level.NORMAL && (
+            <Text style={[styles.levelBadge, { backgroundColor: levelColor(indicatorLevel) }]}>
+              {levelLabel(indicatorLevel).toUpperCase()}
+            </Text>
+          )}
+          {unackedCount > 0 && (
+            <TouchableOpacity
+              style={styles.unackedBanner}
+              onPress={() => { setCurrentView('alarms'); setActiveButton('alarms'); }}
+            >
+              <Icon name="warning" size={16} color="#fff" />
+              <Text style={styles.unackedText}>
+                {unackedCount} UNACKNOWLEDGED {unackedCount === 1 ? 'ALARM' : 'ALARMS'}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Tabs and Clear */}
@@ -591,6 +575,16 @@ const IndicatorApp = ({ route, navigation }) => {
             <Text style={[styles.buttonText, tabTextStyle('graph')]}>Graph</Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={[styles.logs, tabStyle('diagnostics')]}
+            onPressIn={() => { setActiveButton('diagnostics'); }}
+            onPress={() => { setCurrentView('diagnostics'); setActiveButton('diagnostics'); }}
+          >
+            <Text style={[styles.buttonText, tabTextStyle('diagnostics')]} numberOfLines={1} adjustsFontSizeToFit>
+              Diagnostics
+            </Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.clearbutton}
             onPress={handleClearAll}
@@ -601,61 +595,72 @@ const IndicatorApp = ({ route, navigation }) => {
 
         {/* Content area */}
         <View style={styles.box}>
+          {paused && (currentView === 'live' || currentView === 'graph') && (
+            <TouchableOpacity style={styles.pausedBar} onPress={togglePause}>
+              <Icon name="pause" size={14} color="#111" />
+              <Text style={styles.pausedText}>
+                PAUSED · {bufferedCount} new {bufferedCount === 1 ? 'reading' : 'readings'}
+              </Text>
+              <Text style={styles.resumeText}>Resume</Text>
+            </TouchableOpacity>
+          )}
+          {(currentView === 'live' || currentView === 'alarms') && (
+            <FilterBar
+              filter={filter}
+              onChange={handleFilterChange}
+              onJump={handleJump}
+              matched={currentView === 'alarms' ? filteredEpisodes.length : filteredRows.length}
+              total={currentView === 'alarms' ? logEpisodes.length : tableData.length}
+              noun={currentView === 'alarms' ? 'alarms' : 'readings'}
+              unit={unitLabel(units)}
+            />
+          )}
           {currentView === 'live' && (
             <>
-              <View style={styles.header}>
-                <Text style={[styles.heading, styles.dateHead]}>DATE & TIME</Text>
-                <Text style={[styles.heading, styles.statusHead]}>PPM</Text>
-              </View>
+              <LiveStats stats={liveStats} thresholdSet={hasLevels(levels)} units={units} />
+              {stale ? (
+                <View style={[styles.header, styles.staleHeader]}>
+                  <Text style={[styles.heading, styles.staleHeading]}>{staleText}</Text>
+                </View>
+              ) : (
+                <View style={styles.header}>
+                  <Text style={[styles.heading, styles.dateHead]}>DATE & TIME</Text>
+                  <Text style={[styles.heading, styles.statusHead]}>{unitLabel(units).toUpperCase()}</Text>
+                </View>
+              )}
               <FlatList
                 ref={flatListRef}
-                style={styles.tablebox}
-                data={tableData}
+                style={[styles.tablebox, !isOnline && styles.dimmed]}
+                data={tableRows}
+                extraData={highlightId}
                 renderItem={renderRow}
                 keyExtractor={(item) => item.id}
                 contentContainerStyle={styles.body}
                 ListEmptyComponent={() => (
                   <Text style={{ textAlign: 'center', color: 'gray', marginTop: 20 }}>
-                    No data to display
+                    {isFilterActive(filter) ? 'No readings match the filter' : 'No data to display'}
                   </Text>
                 )}
                 initialNumToRender={10}
                 windowSize={5}
                 removeClippedSubviews={false}
+                onScrollToIndexFailed={retryScrollToIndex(flatListRef)}
               />
             </>
           )}
 
           {currentView === 'alarms' && (
-            <>
-              <View style={styles.header}>
-                <Text style={[styles.heading, styles.dateHead]}>DATE & TIME</Text>
-                <Text style={[styles.heading, styles.statusHead]}>PPM</Text>
-              </View>
-
-              {threshold === null ? (
-                <View style={{ padding: 20 }}>
-                  <Text style={{ color: '#bbb' }}>Threshold not set. Alarms will not be shown until a threshold is configured.</Text>
-                </View>
-              ) : (
-                <FlatList
-                  ref={flatListRef}
-                  style={styles.tablebox}
-                  data={alarms}
-                  renderItem={renderAlarmRow}
-                  keyExtractor={(item) => item.id}
-                  contentContainerStyle={styles.body}
-                  ListEmptyComponent={() => (
-                    <Text style={{ textAlign: 'center', color: 'gray', marginTop: 20 }}>
-                      No alarms
-                    </Text>
-                  )}
-                  initialNumToRender={10}
-                  windowSize={5}
-                  removeClippedSubviews={false}
-                />
-              )}
-            </>
+            <AlarmEpisodes
+              episodes={filteredEpisodes}
+              readings={storedReadings}
+              thresholdSet={hasLevels(levels)}
+              canAcknowledge={canAcknowledge}
+              filtered={isFilterActive(filter)}
+              listRef={alarmListRef}
+              highlightId={highlightId}
+              onScrollToIndexFailed={retryScrollToIndex(alarmListRef)}
+              units={units}
+            />
           )}
 
           {currentView === 'graph' && (
@@ -676,14 +681,33 @@ const IndicatorApp = ({ route, navigation }) => {
                   pointSpacing={graphPointSpacing}
                   maxXLabels={7}
                   height={graphHeight}
+                  gaps={gaps}
+                  dimmed={!isOnline}
+                  units={units}
+                  yAxisTitle={unitLabel(units).toUpperCase()}
                 />
               </View>
             </>
           )}
+
+          {currentView === 'diagnostics' && <Diagnostics params={deviceParams} lastMessageAt={lastMessageAt} />}
         </View>
 
         {/* Powered by */}
         <Text style={styles.powered}>Powered by SONIC</Text>
+
+        {showingSignal && (
+          <SignalHistory
+            serialNumber={serialNumber}
+            gaps={gaps}
+            staleEpisodes={staleEpisodes}
+            onClose={() => setShowingSignal(false)}
+          />
+        )}
+
+        {exporting && (
+          <ExportDialog serialNumber={serialNumber} online={isOnline} onClose={() => setExporting(false)} />
+        )}
       </SafeAreaView>
     </ImageBackground>
   );
@@ -719,6 +743,10 @@ const styles = StyleSheet.create({
     height: 48,
     resizeMode: 'contain',
   },
+  topActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   topSettings: {
     marginRight: 8,
     padding: 6,
@@ -811,6 +839,42 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.7,
     shadowRadius: 6,
   },
+  // the last value is kept but no longer current
+  staleValue: {
+    opacity: 0.5,
+  },
+  levelBadge: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '800',
+    letterSpacing: 1,
+    paddingHorizontal: 10,
+    paddingVertical: 2,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  // unacknowledged alarms: the bezel turns red until someone acknowledges them
+  outerBezelUnacked: {
+    borderColor: '#ff2323',
+    shadowColor: '#ff2323',
+    shadowOpacity: 0.9,
+    shadowRadius: 12,
+  },
+  unackedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#b10303',
+    borderRadius: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 5,
+    marginTop: 6,
+  },
+  unackedText: {
+    color: '#fff',
+    fontWeight: '800',
+    fontSize: 13,
+    marginLeft: 6,
+  },
   reflection: {
     position: 'absolute',
     top: 6,
@@ -851,11 +915,11 @@ const styles = StyleSheet.create({
     marginBottom: 10,
   },
   logs: {
-    width: 80,
+    flex: 1,
     height: 40,
     borderRadius: 6,
     paddingVertical: 8,
-    paddingHorizontal: 12,
+    paddingHorizontal: 6,
     alignItems: 'center',
     justifyContent: 'center',
     marginLeft: 6,
@@ -879,9 +943,10 @@ const styles = StyleSheet.create({
     color: '#fff',
   },
   clearbutton: {
-    marginLeft: 12,
+    marginLeft: 8,
+    marginRight: 6,
     backgroundColor: 'rgba(255,255,255,0.6)',
-    width: 70,
+    width: 60,
     height: 38,
     borderRadius: 6,
     alignItems: 'center',
@@ -909,6 +974,14 @@ const styles = StyleSheet.create({
     width: '98%',
     alignItems: 'center',
   },
+  staleHeader: {
+    backgroundColor: STALE_COLOR,
+  },
+  staleHeading: {
+    flex: 1,
+    color: '#fff',
+    marginLeft: 0,
+  },
   tablebox: {
     width: '98%',
     height: '30%',
@@ -930,6 +1003,58 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     borderRadius: 6,
   },
+  pausedBar: {
+    width: '98%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f0b400',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 6,
+  },
+  pausedText: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '700',
+    color: '#111',
+    marginLeft: 6,
+  },
+  resumeText: {
+    fontSize: 13,
+    fontWeight: '800',
+    color: '#111',
+    textDecorationLine: 'underline',
+  },
+  gapRow: {
+    justifyContent: 'center',
+    backgroundColor: 'rgba(255,35,35,0.1)',
+    borderStyle: 'dashed',
+    borderWidth: 1,
+    borderColor: '#ff2323',
+    paddingVertical: 6,
+  },
+  gapText: {
+    color: '#b10303',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  // last-known data while the station is offline
+  dimmed: {
+    opacity: 0.55,
+  },
+  unitNote: {
+    color: '#ccc',
+    fontSize: 12,
+  },
+  lastKnownBadge: {
+    backgroundColor: '#555',
+    letterSpacing: 0,
+    fontWeight: '600',
+  },
+  rowHighlighted: {
+    backgroundColor: '#fff6cc',
+  },
   heading: {
     textAlign: 'center',
     fontSize: 14,
@@ -966,12 +1091,6 @@ const styles = StyleSheet.create({
     color: '#111',
   },
 
-  loadingtext: {
-    color: 'white',
-  },
-  errorText: {
-    color: 'red',
-  },
   powered: {
     position: 'absolute',
     bottom: 12,
@@ -12,74 +12,163 @@ import {
   ActivityIndicator,
   Keyboard,
 } from 'react-native';
+import api from '../Services/api';
+import { DEFAULT_RULES, LEVEL_ORDER, levelColor, levelLabel, validateLevels, validateRules } from '../Services/levels';
+import { describeWriteError, Permission, usePermission } from '../Services/permissions';
+import unitStore, {
+  DEFAULT_UNITS,
+  formatNumber,
+  fromDisplay,
+  quantityLabel,
+  toUnits,
+  Unit,
+  UNIT_LABELS,
+  unitLabel,
+  validateUnits,
+} from '../Services/units';
+
+const EMPTY_INPUTS = { warning: '', alarm: '', critical: '' };
+
+// Display units are kept on this phone; the levels and hysteresis are typed in them
+const UNIT_CHOICES = [
+  { key: Unit.PPM_M, label: `${UNIT_LABELS[Unit.PPM_M]} (as measured)` },
+  { key: Unit.PPM, label: `${UNIT_LABELS[Unit.PPM]} (average over path)` },
+];
+
+const unitInputs = units => ({
+  unit: units.unit,
+  pathLengthM: units.pathLengthM === null ? '' : String(units.pathLengthM),
+  decimals: String(units.decimals),
+});
+
+const parseUnitInputs = texts => ({
+  unit: texts.unit,
+  pathLengthM: String(texts.pathLengthM).trim() === '' ? null : Number(texts.pathLengthM),
+  decimals: Number(texts.decimals),
+});
+
+// Text of a ppm·m value in the display units; '' for an unused level
+const valueText = (raw, units) => (raw === null || raw === undefined ? '' : formatNumber(raw, units));
+
+// Alarm rules: how far under a level the value must fall to clear it, and how long / how many
+// readings a change of level must last before the indicator, alarms and notifications follow it
+const RULE_FIELDS = [
+  // in the display units, converted like the levels
+  { key: 'hysteresis', label: 'Clear hysteresis', inUnits: true, toInput: r => r.hysteresis },
+  { key: 'minDurationMs', label: 'Min. duration (s)', toInput: r => r.minDurationMs / 1000, fromInput: n => n * 1000 },
+  { key: 'minCount', label: 'Min. readings', toInput: r => r.minCount, fromInput: n => n },
+  // an online station silent for longer than this is shown as stale; 0 = off
+  {
+    key: 'expectedIntervalMs',
+    label: 'Expected interval (s)',
+    toInput: r => r.expectedIntervalMs / 1000,
+    fromInput: n => n * 1000,
+  },
+];
+
+const ruleText = (field, rules, units) =>
+  field.inUnits ? valueText(field.toInput(rules), units) : String(field.toInput(rules));
+
+const ruleInputs = (rules, units) => Object.fromEntries(RULE_FIELDS.map(f => [f.key, ruleText(f, rules, units)]));
+
+// What a value field was last filled in with, per key (levels and hysteresis): unchanged text saves
+// the exact ppm·m value it came from instead of the rounded one shown
+const shownValues = (levels, rules, units) =>
+  Object.fromEntries(
+    [
+      ...LEVEL_ORDER.map(level => [level, levels[level]]),
+      ...RULE_FIELDS.filter(f => f.inUnits).map(f => [f.key, f.toInput(rules)]),
+    ]
+      .filter(([, raw]) => raw !== null && raw !== undefined)
+      .map(([key, raw]) => [key, { text: valueText(raw, units), raw }]),
+  );
 
 export default function SettingsPage({ route, navigation }) {
   // params: { serialNumber, onUpdate }
   const { serialNumber, onUpdate } = route.params || {};
 
-  const [losPpm, setLosPpm] = useState(''); // string so input stays responsive
+  const [inputs, setInputs] = useState(EMPTY_INPUTS); // level -> string so inputs stay responsive
+  const [ruleTexts, setRuleTexts] = useState(() => ruleInputs(DEFAULT_RULES, DEFAULT_UNITS)); // rule -> string, idem
+  const [unitTexts, setUnitTexts] = useState(() => unitInputs(DEFAULT_UNITS)); // display units form
+  const [fieldUnits, setFieldUnits] = useState(DEFAULT_UNITS); // units the value fields are shown in
+  const [shown, setShown] = useState({}); // see shownValues
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
-
-  // Static backend host
-  const HOST_IP = 'boreal-2.soniciot.com';
-  const BASE = `https://${HOST_IP}`;
+  const canEdit = usePermission(Permission.EDIT_THRESHOLDS);
 
   useEffect(() => {
     if (!serialNumber) return;
     let cancelled = false;
 
-    const fetchLosPpm = async () => {
+    const fetchLevels = async () => {
       setLoading(true);
       try {
-        const res = await fetch(`${BASE}/api/thresholds/${serialNumber}`);
-        if (!res.ok) {
-          console.warn('fetch thresholds non-OK status', res.status);
-          if (!cancelled) setLosPpm('');
-          return;
-        }
-
-        const raw = await res.json();
-
-        // Normalize shapes and find los_ppm / ppm-like value
-        let value = undefined;
-
-        if (Array.isArray(raw)) {
-          const ppmRow = raw.find(
-            (r) =>
-              r &&
-              r.indicator &&
-              typeof r.indicator === 'string' &&
-              (r.indicator.toLowerCase().includes('ppm') || r.indicator.toLowerCase().includes('los'))
-          );
-          if (ppmRow) value = ppmRow.threshold;
-        } else if (raw && typeof raw === 'object') {
-          const obj = raw.thresholds && typeof raw.thresholds === 'object' ? raw.thresholds : raw;
-          if (obj.los_ppm !== undefined) value = obj.los_ppm;
-          else {
-            const ppmKey = Object.keys(obj).find((k) => k.toLowerCase().includes('ppm'));
-            if (ppmKey) value = obj[ppmKey];
-          }
-        }
+        const [{ levels, rules }, units] = await Promise.all([
+          api.getThresholds(serialNumber),
+          unitStore.load(serialNumber),
+        ]);
 
         if (!cancelled) {
-          if (value === undefined || value === null) setLosPpm('');
-          else setLosPpm(String(value));
+          setUnitTexts(unitInputs(units));
+          setFieldUnits(units);
+          setInputs(Object.fromEntries(LEVEL_ORDER.map(level => [level, valueText(levels[level], units)])));
+          setRuleTexts(ruleInputs(rules || DEFAULT_RULES, units));
+          setShown(shownValues(levels, rules || DEFAULT_RULES, units));
         }
       } catch (err) {
         console.warn('fetch thresholds error', err);
-        if (!cancelled) setLosPpm('');
+        if (!cancelled) {
+          const units = unitStore.get(serialNumber);
+          setUnitTexts(unitInputs(units));
+          setFieldUnits(units);
+          setInputs(EMPTY_INPUTS);
+          setRuleTexts(ruleInputs(DEFAULT_RULES, units));
+          setShown(shownValues({}, DEFAULT_RULES, units));
+        }
       } finally {
         if (!cancelled) setLoading(false);
       }
     };
 
-    fetchLosPpm();
+    fetchLevels();
     return () => {
       cancelled = true;
     };
   }, [serialNumber]);
 
+  // ppm·m of a value field's text: the exact value while the text is as it was filled in, else the
+  // typed number converted from the field units. null when empty, NaN when not a number.
+  const rawOf = (key, text) => {
+    const trimmed = String(text ?? '').trim();
+    if (shown[key] && shown[key].text === trimmed) return shown[key].raw;
+    return trimmed === '' ? null : fromDisplay(Number(trimmed), fieldUnits);
+  };
+
+  // Valid display units re-show the levels and hysteresis in them, so what is typed stays in the
+  // unit on screen; while the unit form is incomplete they stay as they are
+  const changeUnitText = (key, text) => {
+    const nextTexts = { ...unitTexts, [key]: text };
+    setUnitTexts(nextTexts);
+    const next = parseUnitInputs(nextTexts);
+    if (validateUnits(next)) return;
+    const units = toUnits(next);
+    const nextShown = {};
+    const convert = (field, current) => {
+      const raw = rawOf(field, current);
+      if (raw === null || Number.isNaN(raw)) return current;
+      nextShown[field] = { text: valueText(raw, units), raw };
+      return nextShown[field].text;
+    };
+    setInputs(Object.fromEntries(LEVEL_ORDER.map(level => [level, convert(level, inputs[level])])));
+    setRuleTexts(
+      Object.fromEntries(
+        RULE_FIELDS.map(f => [f.key, f.inUnits ? convert(f.key, ruleTexts[f.key]) : ruleTexts[f.key]]),
+      ),
+    );
+    setShown(nextShown);
+    setFieldUnits(units);
+  };
+
   const handleSave = async () => {
     Keyboard.dismiss();
     if (!serialNumber) {
@@ -87,39 +176,66 @@ export default function SettingsPage({ route, navigation }) {
       return;
     }
 
-    // validate
-    const trimmed = losPpm === null ? '' : String(losPpm).trim();
-    const numeric = trimmed === '' ? null : Number(trimmed);
-    if (trimmed !== '' && Number.isNaN(numeric)) {
-      Alert.alert('Invalid value', 'Please enter a valid number for LOS PPM or leave it empty.');
+    const units = parseUnitInputs(unitTexts);
+    const unitProblem = validateUnits(units);
+    if (unitProblem) {
+      Alert.alert('Invalid display units', unitProblem);
       return;
     }
 
-    setSaving(true);
-    try {
-      const payload = trimmed === '' ? {} : { los_ppm: numeric };
-
-      const res = await fetch(`${BASE}/api/thresholds/${serialNumber}`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-
-      const text = await res.text().catch(() => '');
-      let body = text;
+    // thresholds and rules are read-only for this user: only the display units are theirs to save
+    if (!canEdit) {
+      setSaving(true);
       try {
-        body = JSON.parse(text);
-      } catch (_) {}
+        await unitStore.set(serialNumber, units);
+        navigation.goBack();
+      } catch (err) {
+        console.error('handleSave error', err);
+        Alert.alert('Save failed', 'Could not save the display units.');
+      } finally {
+        setSaving(false);
+      }
+      return;
+    }
 
-      if (!res.ok) {
-        console.error('Failed to save los_ppm', res.status, body);
-        throw new Error(`Save failed: ${res.status} ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+    // validate: every level is a number or empty (= not used), and they must increase
+    const levels = {};
+    for (const level of LEVEL_ORDER) {
+      const numeric = rawOf(level, inputs[level]);
+      if (Number.isNaN(numeric)) {
+        Alert.alert('Invalid value', `Please enter a valid number for ${levelLabel(level)} or leave it empty.`);
+        return;
       }
+      levels[level] = numeric;
+    }
+    const problem = validateLevels(levels);
+    if (problem) {
+      Alert.alert('Invalid thresholds', problem);
+      return;
+    }
+
+    // rules: empty means the default
+    const rules = {};
+    for (const field of RULE_FIELDS) {
+      const trimmed = String(ruleTexts[field.key] ?? '').trim();
+      if (trimmed === '') rules[field.key] = DEFAULT_RULES[field.key];
+      else rules[field.key] = field.inUnits ? rawOf(field.key, trimmed) : field.fromInput(Number(trimmed));
+    }
+    const ruleProblem = validateRules(rules);
+    if (ruleProblem) {
+      Alert.alert('Invalid alarm rules', ruleProblem);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await unitStore.set(serialNumber, units);
+      await api.updateThresholds(serialNumber, { levels, rules });
 
       // Notify main screen via callback (if provided)
       if (typeof onUpdate === 'function') {
         try {
-          onUpdate({ los_ppm: numeric === null ? null : numeric });
+          onUpdate({ los_ppm: levels.alarm, levels, rules });
         } catch (e) {
           console.warn('onUpdate callback error', e);
         }
@@ -129,7 +245,7 @@ export default function SettingsPage({ route, navigation }) {
       navigation.goBack();
     } catch (err) {
       console.error('handleSave error', err);
-      Alert.alert('Save failed', String(err.message || err));
+      Alert.alert('Save failed', describeWriteError(err, 'change the PPM-M-LO thresholds'));
     } finally {
       setSaving(false);
     }
@@ -161,23 +277,89 @@ export default function SettingsPage({ route, navigation }) {
 
           <View style={styles.centerWrapper}>
             <View style={styles.card}>
-              {/* Visible label change only */}
-              <Text style={styles.title}>PPM-M-LO Threshold</Text>
+              <Text style={styles.title}>Display units</Text>
 
               {loading && <ActivityIndicator size="small" color="#fff" style={{ marginVertical: 12 }} />}
 
+              <View style={styles.unitChoices}>
+                {UNIT_CHOICES.map(choice => (
+                  <TouchableOpacity
+                    key={choice.key}
+                    style={[styles.unitChoice, unitTexts.unit === choice.key && styles.unitChoiceActive]}
+                    onPress={() => changeUnitText('unit', choice.key)}
+                  >
+                    <Text style={styles.unitChoiceText}>{choice.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.fieldRow}>
+                <Text style={styles.label}>Path length (m)</Text>
+                <TextInput
+                  style={styles.input}
+                  keyboardType="numeric"
+                  placeholder="Not set"
+                  placeholderTextColor="#bbb"
+                  value={unitTexts.pathLengthM}
+                  onChangeText={text => changeUnitText('pathLengthM', text)}
+                />
+              </View>
               <View style={styles.fieldRow}>
-                <Text style={styles.label}>PPM-M-LO</Text>
+                <Text style={styles.label}>Decimal places</Text>
                 <TextInput
                   style={styles.input}
                   keyboardType="numeric"
-                  placeholder="Enter LOS PPM"
+                  placeholder={String(DEFAULT_UNITS.decimals)}
                   placeholderTextColor="#bbb"
-                  value={losPpm === null ? '' : String(losPpm)}
-                  onChangeText={setLosPpm}
+                  value={unitTexts.decimals}
+                  onChangeText={text => changeUnitText('decimals', text)}
                 />
               </View>
 
+              <Text style={[styles.title, styles.subtitle]}>{quantityLabel(fieldUnits)} Thresholds</Text>
+
+              {LEVEL_ORDER.map(level => (
+                <View style={styles.fieldRow} key={level}>
+                  <View style={[styles.levelDot, { backgroundColor: levelColor(level) }]} />
+                  <Text style={styles.label}>
+                    {levelLabel(level)} ({unitLabel(fieldUnits)})
+                  </Text>
+                  <TextInput
+                    style={styles.input}
+                    keyboardType="numeric"
+                    placeholder="Not used"
+                    placeholderTextColor="#bbb"
+                    value={inputs[level]}
+                    onChangeText={text => setInputs(prev => ({ ...prev, [level]: text }))}
+                    editable={canEdit}
+                  />
+                </View>
+              ))}
+
+              <Text style={[styles.title, styles.subtitle]}>Alarm rules</Text>
+
+              {RULE_FIELDS.map(field => (
+                <View style={styles.fieldRow} key={field.key}>
+                  <Text style={styles.label}>
+                    {field.inUnits ? `${field.label} (${unitLabel(fieldUnits)})` : field.label}
+                  </Text>
+                  <TextInput
+                    style={styles.input}
+                    keyboardType="numeric"
+                    placeholder={ruleText(field, DEFAULT_RULES, fieldUnits)}
+                    placeholderTextColor="#bbb"
+                    value={ruleTexts[field.key]}
+                    onChangeText={text => setRuleTexts(prev => ({ ...prev, [field.key]: text }))}
+                    editable={canEdit}
+                  />
+                </View>
+              ))}
+
+              {!canEdit && (
+                <Text style={styles.readOnly}>
+                  Only supervisors can change the thresholds; display units are saved.
+                </Text>
+              )}
+
               {/* Hint removed as requested */}
 
               <View style={styles.rowButtons}>
@@ -270,6 +452,11 @@ const styles = StyleSheet.create({
     marginBottom: 14,
     fontWeight: '700',
   },
+  subtitle: {
+    fontSize: 16,
+    marginTop: 10,
+    marginBottom: 10,
+  },
   fieldRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -281,6 +468,35 @@ const styles = StyleSheet.create({
     color: '#fff',
     flex: 1,
   },
+  unitChoices: {
+    flexDirection: 'row',
+    marginBottom: 10,
+  },
+  unitChoice: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.2)',
+    alignItems: 'center',
+    marginRight: 6,
+  },
+  unitChoiceActive: {
+    backgroundColor: '#2a8f2a',
+    borderColor: '#2a8f2a',
+  },
+  unitChoiceText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  levelDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 10,
+  },
   input: {
     width: 140,
     backgroundColor: 'rgba(255,255,255,0.06)',
@@ -309,6 +525,11 @@ const styles = StyleSheet.create({
   save: {
     backgroundColor: '#2a8f2a',
   },
+  readOnly: {
+    color: '#ffd166',
+    fontSize: 14,
+    marginBottom: 12,
+  },
   btnText: {
     color: '#fff',
     fontSize: 16,
@@ -0,0 +1,73 @@
+/**
+ * Local notifications for alarm episodes
+ *
+ * Raised when an episode opens or escalates to a higher level — i.e. after the station's hysteresis
+ * and minimum-duration rules (Services/levels.js) — so a value hovering around a threshold notifies
+ * once, not on every reading. Transitions found while backfilling old history are not notified.
+ * A station going stale (online but silent, Services/staleness.js) is notified the same way.
+ * Values are shown in the station's display units (Services/units.js).
+ *
+ *   const stop = startAlarmNotifications({ notify: ({ title, message }) => PushNotification.localNotification(...) });
+ */
+
+import alarmStore, { Transition } from './alarms';
+import { formatDuration } from './format';
+import { levelLabel } from './levels';
+import staleStore from './staleness';
+import unitStore, { DEFAULT_UNITS, formatValue, quantityLabel } from './units';
+
+// Older transitions come from backfilled history, not from what is happening now
+export const NOTIFY_MAX_AGE_MS = 5 * 60 * 1000;
+
+/** Title and message for an alarm transition, values in the station's display `units`. Pure. */
+export function describeTransition({ type, serial, episode }, units = DEFAULT_UNITS) {
+  const label = levelLabel(episode.currentLevel || episode.level);
+  const title = type === Transition.ESCALATED ? `${serial}: escalated to ${label}` : `${serial}: ${label}`;
+  const quantity = quantityLabel(units);
+  const peak = formatValue(episode.peak, units);
+  const message =
+    type === Transition.ESCALATED
+      ? `${quantity} reached ${peak}`
+      : `${quantity} above ${formatValue(episode.threshold, units)} (peak ${peak})`;
+  return { title, message };
+}
+
+/** Calls `notify({ title, message, serial, episodeId })` for every recent transition. Returns a stop function. */
+export function startAlarmNotifications({
+  alarms = alarmStore,
+  units = unitStore,
+  notify,
+  now = () => Date.now(),
+  maxAgeMs = NOTIFY_MAX_AGE_MS,
+} = {}) {
+  return alarms.onTransition(transition => {
+    if (transition.at === null || now() - transition.at > maxAgeMs) return;
+    const { serial, episode } = transition;
+    units.load(serial).then(shown => {
+      try {
+        notify({ ...describeTransition(transition, shown), serial, episodeId: episode.id });
+      } catch (e) {
+        console.warn('Failed to show alarm notification', e);
+      }
+    });
+  });
+}
+
+/** Title and message for a stale episode that just opened. Pure. */
+export function describeStale(episode) {
+  return {
+    title: `${episode.serial}: STALE`,
+    message: `Online but no reading for over ${formatDuration(episode.expectedIntervalMs)}`,
+  };
+}
+
+/** Calls `notify({ title, message, serial, episodeId })` when a station goes stale. Returns a stop function. */
+export function startStaleNotifications({ store = staleStore, notify } = {}) {
+  return store.onOpen(episode => {
+    try {
+      notify({ ...describeStale(episode), serial: episode.serial, episodeId: episode.id });
+    } catch (e) {
+      console.warn('Failed to show stale notification', e);
+    }
+  });
+}
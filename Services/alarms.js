@@ -0,0 +1,376 @@
+/**
+ * Alarm episodes
+ *
+ * Instead of listing every reading above the threshold, readings are folded into episodes: an episode
+ * opens when the station enters the alarm state — above its lowest configured level, debounced by the
+ * station's hysteresis and minimum-duration rules (see Services/levels.js) — and ends when it leaves
+ * it. Each episode keeps its start/end, peak, the highest and the current level and the levels in
+ * force when it opened, and is persisted per station so the Alarms tab survives restarts and
+ * clearing the readings table. The open episode is also what Main's indicator shows, and opening or
+ * escalating one raises a local notification (Services/alarmNotifications.js).
+ *
+ * Operators acknowledge episodes on the backend, which broadcasts `alarm_acknowledged` to every
+ * phone; acknowledgements are stored next to the episodes (keyed by episode id) and attached to them
+ * as `ack` when listed. An acknowledgement may arrive before this phone has seen the episode itself.
+ *
+ *   const stop = startAlarmMonitor();                   // app-wide, next to the reading recorder
+ *   const stopAcks = startAlarmAckSync();               // idem
+ *   const { episodes } = useAlarmEpisodes(serial);      // newest first
+ */
+
+import { useEffect, useState } from 'react';
+import api, { normalizeAlarmAck } from './api';
+import socketManager from './socket';
+import readingStore from './readingStore';
+import thresholdStore from './thresholds';
+import {
+  classify,
+  DEFAULT_RULES,
+  initialLevelState,
+  Level,
+  lowestLevel,
+  severity,
+  stepLevel,
+  toLevels,
+  toRules,
+} from './levels';
+import { readingTime } from './readings';
+import { createStationStore } from './stationStore';
+
+const KEY_PREFIX = 'boreal.alarms.';
+
+export const DEFAULT_EPISODE_RETENTION = {
+  maxEpisodes: 200,
+  maxAgeMs: 30 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * @typedef {Object} AlarmEpisode
+ * @property {string} id
+ * @property {string} serial
+ * @property {string} startedAt ISO time of the first reading above the threshold
+ * @property {string|null} endedAt ISO time of the first reading back under it; null while ongoing
+ * @property {number} peak highest PPM-M-LO seen during the episode
+ * @property {string} peakAt
+ * @property {string} level highest level reached (Level.WARNING / ALARM / CRITICAL)
+ * @property {string} currentLevel debounced level right now; Level.NORMAL once ended
+ * @property {number} threshold the level threshold that opened the episode
+ * @property {Object} levels every level in force when the episode opened
+ * @property {number} count readings above the threshold
+ * @property {import('./api').AlarmAck} [ack] set once someone acknowledged it
+ */
+
+export const initialEpisodeState = { episodes: [], lastTs: null, acks: {}, levelState: initialLevelState };
+
+export const isOngoing = episode => episode.endedAt === null;
+
+export const isAcknowledged = episode => !!episode.ack;
+
+export const unacknowledged = episodes => episodes.filter(e => !isAcknowledged(e));
+
+// Episodes stored before levels existed were all alarm-level
+export const episodeLevel = episode => episode.level || Level.ALARM;
+
+/** Current level of the ongoing episode among `episodes`, null when none is open. */
+export function ongoingLevel(episodes) {
+  const open = episodes.find(isOngoing);
+  return open ? open.currentLevel || episodeLevel(open) : null;
+}
+
+export const episodeDuration = (episode, now = Date.now()) =>
+  Math.max(0, (episode.endedAt ? Date.parse(episode.endedAt) : now) - Date.parse(episode.startedAt));
+
+const iso = ms => new Date(ms).toISOString();
+
+// Debounced level of states stored before it was persisted: the open episode's level, if any
+const levelStateOf = state => {
+  if (state.levelState) return state.levelState;
+  const last = state.episodes[state.episodes.length - 1];
+  return last && isOngoing(last)
+    ? { ...initialLevelState, level: last.currentLevel || episodeLevel(last), since: Date.parse(last.startedAt) }
+    : initialLevelState;
+};
+
+/**
+ * Folds one reading into the episode state. Pure; returns the same state when nothing changed.
+ * Readings at or before the last processed one are ignored (backfilled history, duplicates).
+ * `thresholds` are levels (or a single number for the alarm level); `rules` debounce entering and
+ * leaving the alarm state (see `stepLevel`), so an episode starts at the first reading of the run
+ * that opened it and ends at the first reading of the run that cleared it.
+ */
+export function stepEpisodes(state, reading, thresholds, serial = null, rules = DEFAULT_RULES) {
+  if (!reading || !reading.numeric) return state;
+  const t = readingTime(reading);
+  if (state.lastTs !== null && t <= state.lastTs) return state;
+
+  const levels = toLevels(thresholds);
+  const before = levelStateOf(state);
+  const levelState = stepLevel(before, reading.value, t, levels, toRules(rules));
+  const above = classify(reading.value, levels) !== Level.NORMAL;
+
+  const episodes = state.episodes;
+  const last = episodes[episodes.length - 1];
+  const open = last && isOngoing(last) ? last : null;
+
+  let next = episodes;
+  if (open && levelState.level === Level.NORMAL) {
+    next = [...episodes.slice(0, -1), { ...open, endedAt: iso(levelState.since), currentLevel: Level.NORMAL }];
+  } else if (open) {
+    const peaked = reading.value > open.peak;
+    next = [
+      ...episodes.slice(0, -1),
+      {
+        ...open,
+        peak: peaked ? reading.value : open.peak,
+        peakAt: peaked ? reading.ts : open.peakAt,
+        level: severity(levelState.level) > severity(episodeLevel(open)) ? levelState.level : episodeLevel(open),
+        currentLevel: levelState.level,
+        count: above ? open.count + 1 : open.count,
+      },
+    ];
+  } else if (levelState.level !== Level.NORMAL) {
+    // the run that opened it may have started a few readings ago
+    const run = before.pending && before.pending.up ? before.pending : null;
+    const peaked = !run || reading.value > run.peak;
+    next = [
+      ...episodes,
+      {
+        id: `${serial || 'station'}-${levelState.since}`,
+        serial,
+        startedAt: iso(levelState.since),
+        endedAt: null,
+        peak: peaked ? reading.value : run.peak,
+        peakAt: peaked ? reading.ts : iso(run.peakAt),
+        level: levelState.level,
+        currentLevel: levelState.level,
+        threshold: lowestLevel(levels).threshold,
+        levels,
+        count: run ? run.count + 1 : 1,
+      },
+    ];
+  }
+  return { ...state, episodes: next, lastTs: t, levelState };
+}
+
+export function applyEpisodeRetention(episodes, { maxEpisodes = Infinity, maxAgeMs = Infinity, now = Date.now() } = {}) {
+  const cutoff = now - maxAgeMs;
+  // an ongoing episode is always kept, however old its start
+  let kept = episodes.filter(e => isOngoing(e) || !Number.isFinite(maxAgeMs) || Date.parse(e.endedAt) >= cutoff);
+  if (kept.length > maxEpisodes) kept = kept.slice(kept.length - maxEpisodes);
+  return kept.length === episodes.length ? episodes : kept;
+}
+
+// An ack is kept while its episode is, or while it is younger than the episode retention (its
+// episode may not have been recorded on this phone yet)
+const pruneAcks = (acks, episodes, { maxAgeMs = Infinity, now = Date.now() } = {}) => {
+  const ids = new Set(episodes.map(e => e.id));
+  const cutoff = now - maxAgeMs;
+  const kept = Object.entries(acks).filter(([id, ack]) => ids.has(id) || Date.parse(ack.at) >= cutoff);
+  return kept.length === Object.keys(acks).length ? acks : Object.fromEntries(kept);
+};
+
+export const Transition = {
+  OPENED: 'opened',
+  ESCALATED: 'escalated',
+};
+
+// What happened to the ongoing episode between two episode lists, if anything worth notifying
+const transitionOf = (before, after) => {
+  const open = after[after.length - 1];
+  if (!open || !isOngoing(open)) return null;
+  const previous = before[before.length - 1];
+  if (!previous || previous.id !== open.id) return { type: Transition.OPENED, episode: open };
+  return severity(episodeLevel(open)) > severity(episodeLevel(previous))
+    ? { type: Transition.ESCALATED, episode: open }
+    : null;
+};
+
+export function createAlarmStore({
+  storage,
+  retention = DEFAULT_EPISODE_RETENTION,
+  persistDelayMs,
+  now = () => Date.now(),
+} = {}) {
+  const transitionListeners = new Set(); // ({ type, serial, episode }) for every station
+
+  // newest first with acks attached, memoized per state so hooks get a stable array
+  const newestFirst = new WeakMap();
+  const list = state => {
+    if (!newestFirst.has(state)) {
+      const acks = state.acks || {};
+      newestFirst.set(
+        state,
+        state.episodes.map(e => (acks[e.id] ? { ...e, ack: acks[e.id] } : e)).reverse(),
+      );
+    }
+    return newestFirst.get(state);
+  };
+
+  // serial -> { episodes (oldest first), lastTs, acks (episode id -> AlarmAck), levelState }
+  const store = createStationStore({
+    storage,
+    keyPrefix: KEY_PREFIX,
+    what: 'alarm episodes',
+    empty: initialEpisodeState,
+    persistDelayMs,
+    // episodes folded before the stored ones loaded are kept as they are
+    fromStored: (stored, current) => {
+      if (current !== undefined || !stored || !Array.isArray(stored.episodes)) return undefined;
+      return {
+        episodes: stored.episodes,
+        lastTs: stored.lastTs ?? null,
+        acks: stored.acks || {},
+        levelState: stored.levelState || levelStateOf(stored),
+      };
+    },
+    view: list,
+  });
+  const stateOf = store.peek;
+
+  const emitTransition = transition =>
+    transitionListeners.forEach(l => {
+      try {
+        l(transition);
+      } catch (e) {
+        console.warn('alarm transition listener error', e);
+      }
+    });
+
+  /**
+   * Folds readings (any order) into the station's episodes using the station's threshold `levels`
+   * and alarm `rules`.
+   */
+  const process = (serial, readings, levels, rules = DEFAULT_RULES) => {
+    const key = String(serial);
+    const before = stateOf(key);
+    const sorted = readings.slice().sort((a, b) => readingTime(a) - readingTime(b));
+    const transitions = [];
+    let state = sorted.reduce((s, r) => {
+      const next = stepEpisodes(s, r, levels, key, rules);
+      const transition = next !== s && transitionOf(s.episodes, next.episodes);
+      if (transition) transitions.push({ ...transition, serial: key, at: next.lastTs });
+      return next;
+    }, before);
+    if (state === before) return;
+    // only the processed-up-to mark moved: persist it, but nothing to re-render
+    if (state.episodes === before.episodes) {
+      store.set(key, state, { silent: true });
+      return;
+    }
+    const episodes = applyEpisodeRetention(state.episodes, { ...retention, now: now() });
+    if (episodes !== state.episodes) {
+      state = { ...state, episodes, acks: pruneAcks(state.acks || {}, episodes, { ...retention, now: now() }) };
+    }
+    store.set(key, state);
+    transitions.forEach(emitTransition);
+  };
+
+  /**
+   * Records an acknowledgement (ours, or broadcast by the backend). The earliest one wins, so the
+   * echo of our own POST or a second operator's late ack don't overwrite it. Resolves true when stored.
+   */
+  const acknowledge = async (serial, ack) => {
+    const key = String(serial);
+    await store.load(key);
+    const state = stateOf(key);
+    const acks = state.acks || {};
+    const existing = acks[ack.episodeId];
+    if (existing && Date.parse(existing.at) <= Date.parse(ack.at)) return false;
+    store.set(key, { ...state, acks: { ...acks, [ack.episodeId]: ack } });
+    return true;
+  };
+
+  // An episode of any station opened or escalated to a higher level (what notifications are raised
+  // for): `{ type, serial, episode, at }`, `at` being the time of the reading that caused it
+  const onTransition = listener => {
+    transitionListeners.add(listener);
+    return () => transitionListeners.delete(listener);
+  };
+
+  return {
+    load: store.load,
+    get: store.get,
+    process,
+    acknowledge,
+    subscribe: store.subscribe,
+    onTransition,
+    flush: store.flush,
+  };
+}
+
+const alarmStore = createAlarmStore();
+
+export default alarmStore;
+
+/**
+ * Feeds every newly recorded reading into the alarm store with the station's current levels and rules.
+ * Work is chained per station so readings are always folded in order. Returns a stop function.
+ */
+export function startAlarmMonitor({ readings = readingStore, alarms = alarmStore, thresholds = thresholdStore } = {}) {
+  const chains = new Map();
+  let stopped = false;
+
+  const unsubscribe = readings.onRecord((serial, added) => {
+    const previous = chains.get(serial) || Promise.resolve();
+    const next = previous
+      .then(async () => {
+        const [config] = await Promise.all([thresholds.ensure(serial), alarms.load(serial)]);
+        if (!stopped) alarms.process(serial, added, config.levels, config.rules);
+      })
+      .catch(e => console.warn(`Alarm processing failed for ${serial}`, e));
+    chains.set(serial, next);
+  });
+
+  return () => {
+    stopped = true;
+    unsubscribe();
+  };
+}
+
+/** Posts the acknowledgement and records it right away (the socket broadcast will echo it). */
+export async function acknowledgeEpisode(episode, comment = '', { client = api, store = alarmStore } = {}) {
+  const ack = await client.acknowledgeAlarm(episode.serial, {
+    episodeId: episode.id,
+    startedAt: episode.startedAt,
+    comment,
+  });
+  await store.acknowledge(episode.serial, ack);
+  return ack;
+}
+
+/** Applies every `alarm_acknowledged` broadcast to the store. Returns a stop function. */
+export function startAlarmAckSync({ store = alarmStore, manager = socketManager } = {}) {
+  return manager.subscribe('alarm_acknowledged', msg => {
+    const ack = normalizeAlarmAck(msg);
+    if (ack) store.acknowledge(ack.serial, ack);
+  });
+}
+
+/** Catches up on acknowledgements broadcast while this phone was offline or signed out. */
+export async function syncAlarmAcks(serial, { client = api, store = alarmStore } = {}) {
+  const acks = await client.listAlarmAcks(serial);
+  await Promise.all(acks.map(ack => store.acknowledge(serial, ack)));
+}
+
+/* ---------- React hook ---------- */
+
+export function useAlarmEpisodes(serial, store = alarmStore, client = api) {
+  const [episodes, setEpisodes] = useState(() => (serial ? store.get(serial) : []));
+  useEffect(() => {
+    if (!serial) return undefined;
+    let cancelled = false;
+    setEpisodes(store.get(serial));
+    const unsubscribe = store.subscribe(serial, setEpisodes);
+    store.load(serial).then(() => {
+      if (!cancelled) setEpisodes(store.get(serial));
+    });
+    syncAlarmAcks(serial, { client, store }).catch(e =>
+      console.warn(`Failed to fetch alarm acknowledgements for ${serial}`, e),
+    );
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [serial, store, client]);
+  return { episodes };
+}
@@ -0,0 +1,473 @@
+/**
+ * Boreal REST client
+ *
+ * Single place that knows the backend base URL and the shape of every endpoint the app uses.
+ * Screens call the named methods below and always get normalized data back (or an ApiError),
+ * so they no longer need to build URLs, parse JSON or guess field names themselves.
+ *
+ * The default export is a shared client. `api.configure({ baseUrl, fetchImpl, ... })` re-points it
+ * (e.g. at staging), and tests can pass a fake `fetchImpl` instead of mocking global fetch.
+ *
+ * Authentication is plugged in from outside (see Services/session.js): `getAuthToken` supplies the
+ * bearer token for every request and `onUnauthorized` gets one chance to refresh it after a 401.
+ */
+
+import { rulesFromPayload, rulesToPayload } from './levels';
+
+export const DEFAULT_BASE_URL = 'https://boreal-2.soniciot.com';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+export const ApiErrorKind = {
+  NETWORK: 'network', // request never reached the server / no response
+  TIMEOUT: 'timeout', // aborted by our own timeout
+  HTTP: 'http', // server answered with a non-2xx status
+  PARSE: 'parse', // 2xx but the body was not the JSON we expected
+};
+
+export class ApiError extends Error {
+  constructor(message, { kind, status = null, body = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.body = body;
+    this.cause = cause;
+  }
+
+  // Transient failures that are worth another attempt
+  get retryable() {
+    if (this.kind === ApiErrorKind.NETWORK || this.kind === ApiErrorKind.TIMEOUT) return true;
+    if (this.kind === ApiErrorKind.HTTP) return this.status === 429 || this.status >= 500;
+    return false;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseBody = text => {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return text;
+  }
+};
+
+/* ---------- response normalization ---------- */
+
+const toNumberOrNull = v => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = typeof v === 'number' ? v : Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * @typedef {Object} RemoteStation
+ * @property {number|string} id
+ * @property {string} name
+ * @property {string} serialNumber
+ * @property {string|null} category
+ */
+
+/** @returns {RemoteStation|null} */
+export function normalizeStation(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const serialNumber = raw.serial_number ?? raw.serialNumber ?? raw.serial ?? null;
+  return {
+    id: raw.id,
+    name: raw.name ? String(raw.name) : String(serialNumber ?? ''),
+    serialNumber: serialNumber === null ? null : String(serialNumber),
+    category: raw.category ?? null,
+  };
+}
+
+/**
+ * Accepts every threshold shape the backend has returned so far:
+ * `{ los_ppm }`, `{ thresholds: { los_ppm } }`, `[{ indicator, threshold }]` and a few aliases,
+ * plus the multi-level ones: `{ levels: { warning, alarm, critical } }`, `los_ppm_warning` /
+ * `los_ppm_critical` keys, or one array row per level (`los_ppm_warning`, `los_ppm`, `los_ppm_critical`).
+ * A lone `los_ppm` is the alarm level. The station's alarm rules come along as `rules`
+ * (`{ hysteresis, min_duration_s, min_count }`).
+ *
+ * @typedef {Object} Thresholds
+ * @property {number|null} losPpm the alarm level, for callers that only know one threshold
+ * @property {{ warning: number|null, alarm: number|null, critical: number|null }} levels
+ * @property {{ hysteresis: number, minDurationMs: number, minCount: number }|null} rules null when not sent
+ *
+ * @returns {Thresholds}
+ */
+export function normalizeThresholds(raw) {
+  const found = {};
+  let rules = null;
+
+  if (Array.isArray(raw)) {
+    raw.forEach(r => {
+      if (!r || typeof r.indicator !== 'string') return;
+      const indicator = r.indicator.toLowerCase();
+      if (!indicator.includes('ppm') && !indicator.includes('los')) return;
+      const level = indicator.includes('warn') ? 'warning' : indicator.includes('crit') ? 'critical' : 'alarm';
+      if (found[level] === undefined) found[level] = r.threshold;
+    });
+  } else if (raw && typeof raw === 'object') {
+    const obj = raw.thresholds && typeof raw.thresholds === 'object' ? raw.thresholds : raw;
+    const levels = obj.levels && typeof obj.levels === 'object' ? obj.levels : {};
+    rules = rulesFromPayload(obj.rules ?? raw.rules);
+    found.warning = levels.warning ?? obj.los_ppm_warning ?? obj.losPpmWarning;
+    found.critical = levels.critical ?? obj.los_ppm_critical ?? obj.losPpmCritical;
+    found.alarm = levels.alarm ?? obj.los_ppm ?? obj.losPpm ?? obj.los_ppm_value;
+    if (found.alarm === undefined) {
+      const ppmKey = Object.keys(obj).find(k => k.toLowerCase().includes('ppm') && !/warn|crit/i.test(k));
+      if (ppmKey) found.alarm = obj[ppmKey];
+    }
+  }
+
+  const levels = {
+    warning: toNumberOrNull(found.warning),
+    alarm: toNumberOrNull(found.alarm),
+    critical: toNumberOrNull(found.critical),
+  };
+  return { losPpm: levels.alarm, levels, rules };
+}
+
+/**
+ * @typedef {Object} PingStatus
+ * @property {boolean} online
+ *
+ * @returns {PingStatus}
+ */
+export function normalizePing(raw) {
+  const online = !!raw && (raw.status === 'online' || raw.online === true || raw.isOnline === true);
+  return { online };
+}
+
+/**
+ * History rows come back either as a bare array or wrapped (`{ readings: [...] }`), and each row may
+ * use the live message field names (`received_at`, `los.los_ppm`) or flat ones (`ts`, `value`).
+ *
+ * @typedef {Object} HistoryReading
+ * @property {string} ts ISO timestamp
+ * @property {number} value PPM-M-LO
+ *
+ * @returns {HistoryReading[]} oldest -> newest
+ */
+export function normalizeHistory(raw) {
+  const rows = Array.isArray(raw) ? raw : (raw && (raw.readings || raw.history || raw.data)) || [];
+  if (!Array.isArray(rows)) return [];
+
+  const out = [];
+  rows.forEach(r => {
+    if (!r || typeof r !== 'object') return;
+    const tsRaw = r.received_at ?? r.ts ?? r.timestamp ?? r.time;
+    if (tsRaw === undefined || tsRaw === null) return;
+    const d = new Date(typeof tsRaw === 'string' && /^\d+$/.test(tsRaw) ? Number(tsRaw) : tsRaw);
+    if (Number.isNaN(d.getTime())) return;
+    const value = toNumberOrNull(r.los?.los_ppm ?? r.los_ppm ?? r.value ?? r.ppm);
+    if (value === null) return;
+    out.push({ ts: d.toISOString(), value });
+  });
+  return out.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+}
+
+/**
+ * Login/refresh responses. Tokens may be snake_case or camelCase, and the lifetime comes either as
+ * `expires_in` seconds or an absolute `expires_at`; it is turned into epoch ms here.
+ *
+ * @typedef {Object} AuthUser
+ * @property {number|string|null} id
+ * @property {string} username
+ * @property {string} name display name (falls back to the username)
+ * @property {string|null} role as sent by the backend, lower-cased
+ *
+ * @typedef {Object} AuthSession
+ * @property {string} accessToken
+ * @property {string|null} refreshToken
+ * @property {number|null} expiresAt epoch ms, null when the backend did not say
+ * @property {AuthUser} user
+ *
+ * @returns {AuthSession|null}
+ */
+export function normalizeSession(raw, { now = Date.now() } = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+  const accessToken = raw.access_token ?? raw.accessToken ?? raw.token ?? null;
+  if (!accessToken) return null;
+
+  let expiresAt = null;
+  const expiresIn = toNumberOrNull(raw.expires_in ?? raw.expiresIn);
+  if (expiresIn !== null) {
+    expiresAt = now + expiresIn * 1000;
+  } else if (raw.expires_at ?? raw.expiresAt) {
+    const t = new Date(raw.expires_at ?? raw.expiresAt).getTime();
+    expiresAt = Number.isNaN(t) ? null : t;
+  }
+
+  const u = raw.user && typeof raw.user === 'object' ? raw.user : {};
+  const username = String(u.username ?? u.email ?? u.name ?? '');
+  return {
+    accessToken: String(accessToken),
+    refreshToken: raw.refresh_token ?? raw.refreshToken ?? null,
+    expiresAt,
+    user: {
+      id: u.id ?? u.user_id ?? null,
+      username,
+      name: String(u.name ?? u.display_name ?? username),
+      role: u.role ? String(u.role).toLowerCase() : null,
+    },
+  };
+}
+
+/**
+ * An alarm acknowledgement, as returned by the POST and broadcast as `alarm_acknowledged`. The
+ * backend fills in who acknowledged (from the bearer token) and when.
+ *
+ * @typedef {Object} AlarmAck
+ * @property {string} serial
+ * @property {string} episodeId see Services/alarms.js; derived from serial + start time, so every phone agrees
+ * @property {string|null} startedAt
+ * @property {{ username: string, name: string }} by
+ * @property {string} at ISO time
+ * @property {string} comment '' when none was given
+ *
+ * @returns {AlarmAck|null}
+ */
+export function normalizeAlarmAck(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const serial = raw.serial_number ?? raw.serialNumber ?? raw.serial;
+  const episodeId = raw.episode_id ?? raw.episodeId;
+  if (serial === undefined || serial === null || !episodeId) return null;
+  const at = new Date(raw.acknowledged_at ?? raw.acknowledgedAt ?? raw.at ?? NaN);
+  if (Number.isNaN(at.getTime())) return null;
+
+  const who = raw.acknowledged_by ?? raw.acknowledgedBy ?? raw.by ?? {};
+  const by = typeof who === 'object' && who !== null ? who : { username: who };
+  const username = String(by.username ?? by.name ?? '');
+  return {
+    serial: String(serial),
+    episodeId: String(episodeId),
+    startedAt: raw.started_at ?? raw.startedAt ?? null,
+    by: { username, name: String(by.name ?? by.display_name ?? username) },
+    at: at.toISOString(),
+    comment: raw.comment ? String(raw.comment) : '',
+  };
+}
+
+/* ---------- client ---------- */
+
+export function createApiClient(options = {}) {
+  const config = {
+    baseUrl: DEFAULT_BASE_URL,
+    fetchImpl: null,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    retries: DEFAULT_RETRIES,
+    retryDelayMs: DEFAULT_RETRY_DELAY_MS,
+    ready: null, // optional promise awaited before sending (e.g. persisted settings still loading)
+    getAuthToken: null, // async () => access token or null
+    onUnauthorized: null, // async () => true when a fresh token is available and the request should be replayed
+    ...options,
+  };
+
+  const configure = next => {
+    Object.assign(config, next);
+  };
+
+  const getBaseUrl = () => String(config.baseUrl).replace(/\/+$/, '');
+
+  // One HTTP round trip with timeout + error classification
+  const send = async (method, path, body, timeoutMs, auth) => {
+    const doFetch = config.fetchImpl || fetch;
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (auth && config.getAuthToken) {
+      const token = await config.getAuthToken();
+      if (token) headers.Authorization = `Bearer ${token}`;
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller?.abort();
+    }, timeoutMs);
+
+    let res;
+    try {
+      res = await doFetch(`${getBaseUrl()}${path}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller?.signal,
+      });
+    } catch (err) {
+      throw new ApiError(
+        timedOut ? `${method} ${path} timed out after ${timeoutMs}ms` : `${method} ${path} failed: ${err?.message || err}`,
+        { kind: timedOut ? ApiErrorKind.TIMEOUT : ApiErrorKind.NETWORK, cause: err },
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await res.text().catch(() => '');
+    const parsed = parseBody(text);
+
+    if (!res.ok) {
+      throw new ApiError(`${method} ${path} failed with status ${res.status}`, {
+        kind: ApiErrorKind.HTTP,
+        status: res.status,
+        body: parsed,
+      });
+    }
+    return parsed;
+  };
+
+  /**
+   * Low-level request. GET/PUT are retried on transient failures; POST only when `retries` is passed explicitly.
+   * `auth: false` skips the bearer token (login/refresh themselves).
+   */
+  const request = async (method, path, { body, timeoutMs = config.timeoutMs, retries, auth = true } = {}) => {
+    if (config.ready) await config.ready.catch(() => {});
+    const maxRetries = retries ?? (method === 'POST' ? 0 : config.retries);
+    let attempt = 0;
+    let replayed = false;
+    for (;;) {
+      try {
+        return await send(method, path, body, timeoutMs, auth);
+      } catch (err) {
+        // expired/revoked token: let the session refresh it once, then replay the same request
+        if (auth && !replayed && err instanceof ApiError && err.status === 401 && config.onUnauthorized) {
+          replayed = true;
+          if (await config.onUnauthorized().catch(() => false)) continue;
+        }
+        if (!(err instanceof ApiError) || !err.retryable || attempt >= maxRetries) throw err;
+        await sleep(config.retryDelayMs * 2 ** attempt);
+        attempt += 1;
+      }
+    }
+  };
+
+  const expectArray = (data, path) => {
+    if (!Array.isArray(data)) {
+      throw new ApiError(`GET ${path} returned an unexpected shape`, { kind: ApiErrorKind.PARSE, body: data });
+    }
+    return data;
+  };
+
+  /**
+   * Remote stations, sorted by name. Pass `category` (e.g. 'boreal') to filter.
+   * @returns {Promise<RemoteStation[]>}
+   */
+  const listRemoteStations = async ({ category } = {}) => {
+    const path = '/api/remote_stations';
+    const data = expectArray(await request('GET', path), path);
+    return data
+      .map(normalizeStation)
+      .filter(s => s && (!category || s.category === category))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const updateRemoteStation = async (id, { name }) =>
+    request('PUT', `/api/remote_stations/${encodeURIComponent(id)}`, { body: { name } });
+
+  /** @returns {Promise<Thresholds>} */
+  const getThresholds = async serial =>
+    normalizeThresholds(await request('GET', `/api/thresholds/${encodeURIComponent(serial)}`));
+
+  /**
+   * Pass `levels` ({ warning, alarm, critical }, null = unset) or just `losPpm` (the alarm level),
+   * and optionally the station's alarm `rules`. Clearing every level sends no levels, which the
+   * backend treats as "unset". `los_ppm` is always sent as the alarm level for backends that predate levels.
+   */
+  const updateThresholds = async (serial, { losPpm, levels, rules }) => {
+    const next = levels || { warning: null, alarm: losPpm ?? null, critical: null };
+    const unset = next.warning === null && next.alarm === null && next.critical === null;
+    const body = unset ? {} : { los_ppm: next.alarm, levels: next };
+    if (rules) body.rules = rulesToPayload(rules);
+    return request('PUT', `/api/thresholds/${encodeURIComponent(serial)}`, { body });
+  };
+
+  /** @returns {Promise<PingStatus>} */
+  const getPingStatus = async serial => normalizePing(await request('GET', `/api/ping/${encodeURIComponent(serial)}`));
+
+  /**
+   * Most recent stored readings for a station.
+   * @returns {Promise<HistoryReading[]>} oldest -> newest
+   */
+  const getReadingHistory = async (serial, { limit = 500 } = {}) =>
+    normalizeHistory(await request('GET', `/api/history/${encodeURIComponent(serial)}?limit=${limit}`));
+
+  /**
+   * Acknowledges one alarm episode for everyone watching the station (operators and supervisors only).
+   * @returns {Promise<AlarmAck>}
+   */
+  const acknowledgeAlarm = async (serial, { episodeId, startedAt, comment = '' }) => {
+    const path = `/api/alarms/${encodeURIComponent(serial)}/acks`;
+    const data = await request('POST', path, {
+      body: { episode_id: episodeId, started_at: startedAt ?? null, comment: comment.trim() },
+    });
+    const ack = normalizeAlarmAck(data);
+    if (!ack) throw new ApiError(`POST ${path} returned an unexpected shape`, { kind: ApiErrorKind.PARSE, body: data });
+    return ack;
+  };
+
+  /** @returns {Promise<AlarmAck[]>} */
+  const listAlarmAcks = async serial => {
+    const path = `/api/alarms/${encodeURIComponent(serial)}/acks`;
+    return expectArray(await request('GET', path), path).map(normalizeAlarmAck).filter(Boolean);
+  };
+
+  // Sent with the session's bearer token, so the backend links the device to the signed-in user
+  const saveToken = async token => request('POST', '/api/save-token', { body: { token }, retries: 1 });
+
+  const expectSession = (data, path) => {
+    const session = normalizeSession(data);
+    if (!session) {
+      throw new ApiError(`POST ${path} returned no access token`, { kind: ApiErrorKind.PARSE, body: data });
+    }
+    return session;
+  };
+
+  /** @returns {Promise<AuthSession>} */
+  const login = async (username, password) => {
+    const path = '/api/auth/login';
+    return expectSession(await request('POST', path, { body: { username, password }, auth: false }), path);
+  };
+
+  /** @returns {Promise<AuthSession>} */
+  const refreshSession = async refreshToken => {
+    const path = '/api/auth/refresh';
+    return expectSession(
+      await request('POST', path, { body: { refresh_token: refreshToken }, auth: false, retries: 1 }),
+      path,
+    );
+  };
+
+  // Revokes the refresh token server-side (and unlinks this device's FCM token from the user)
+  const logout = async ({ refreshToken, fcmToken } = {}) =>
+    request('POST', '/api/auth/logout', {
+      body: { refresh_token: refreshToken ?? null, fcm_token: fcmToken ?? null },
+      auth: false,
+    });
+
+  return {
+    configure,
+    getBaseUrl,
+    request,
+    listRemoteStations,
+    updateRemoteStation,
+    getThresholds,
+    updateThresholds,
+    getPingStatus,
+    getReadingHistory,
+    acknowledgeAlarm,
+    listAlarmAcks,
+    saveToken,
+    login,
+    refreshSession,
+    logout,
+  };
+}
+
+const api = createApiClient();
+
+export default api;
@@ -0,0 +1,121 @@
+/**
+ * Device diagnostics: every telemetry parameter a station reports, not only the PPM
+ *
+ * Main folds the params of each mqtt_message (`parseParamsMessage` in Services/telemetry.js) into a
+ * table keyed by param, kept while the screen is open:
+ *
+ *   setParams(previous => updateParams(previous, parsed.params, parsed.ts));
+ *   const rows = paramRows(params);      // known params first, with friendly labels and units
+ *
+ * Each entry has the latest value, when it was last reported and the change since the message
+ * before. Nested objects (e.g. status flags) are flattened into dotted keys; params a message no
+ * longer carries keep their last value and time.
+ */
+
+/** Friendly label and unit of the params Boreal units are known to send, in display order. */
+export const PARAM_INFO = {
+  los_ppm: { label: 'PPM-M-LO', unit: 'ppm·m' },
+  los_ppm_int: { label: 'PPM-M-LO (integer part)', unit: 'ppm·m' },
+  los_ppm_dec: { label: 'PPM-M-LO (decimal part)', unit: null },
+  light: { label: 'Received light level', unit: null },
+  r2: { label: 'Fit quality (R²)', unit: null },
+  temperature: { label: 'Temperature', unit: '°C' },
+  humidity: { label: 'Humidity', unit: '%' },
+  voltage: { label: 'Supply voltage', unit: 'V' },
+  battery: { label: 'Battery', unit: 'V' },
+  signal: { label: 'GSM signal', unit: '%' },
+  rssi: { label: 'Signal strength (RSSI)', unit: 'dBm' },
+  status: { label: 'Status flags', unit: null },
+  error: { label: 'Error code', unit: null },
+  firmware: { label: 'Firmware', unit: null },
+};
+
+const KNOWN_ORDER = Object.keys(PARAM_INFO);
+
+// 'laser_temp' -> 'Laser temp'; dotted keys keep their path: 'status.door' -> 'Status › door'
+const humanize = key =>
+  key
+    .split('.')
+    .map((part, i) => {
+      const words = part.replace(/[_-]+/g, ' ').trim();
+      return i === 0 ? words.charAt(0).toUpperCase() + words.slice(1) : words;
+    })
+    .join(' › ');
+
+export const paramInfo = key =>
+  PARAM_INFO[key] || PARAM_INFO[String(key).toLowerCase()] || { label: humanize(key), unit: null };
+
+/** A param value as a number when it is one (numeric strings included), else null. */
+export const asNumber = value => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/** `{ status: { door: 1 } }` -> `{ 'status.door': 1 }`; arrays and plain values are kept as they are. */
+export function flattenParams(params, prefix = '') {
+  const out = {};
+  Object.entries(params || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(out, flattenParams(value, path));
+    else out[path] = value;
+  });
+  return out;
+}
+
+/**
+ * @typedef {Object} ParamEntry
+ * @property {string} key
+ * @property {*} value latest value, as reported
+ * @property {string} updatedAt ISO time of the message that last carried it
+ * @property {*} previousValue value in the message before that (undefined for the first one)
+ * @property {number|null} delta numeric change since then; null when either side is not a number
+ * @property {boolean} changed whether the value differs from the previous one
+ */
+
+/** The entries with the params of one more message (received at `ts`) folded in. Pure. */
+export function updateParams(previous, params, ts) {
+  const next = { ...previous };
+  Object.entries(flattenParams(params)).forEach(([key, value]) => {
+    const before = previous[key];
+    const now = asNumber(value);
+    const then = before ? asNumber(before.value) : null;
+    next[key] = {
+      key,
+      value,
+      updatedAt: ts,
+      previousValue: before ? before.value : undefined,
+      delta: now !== null && then !== null ? now - then : null,
+      changed: !!before && JSON.stringify(before.value) !== JSON.stringify(value),
+    };
+  });
+  return next;
+}
+
+/** Entries as table rows with label and unit: known params in PARAM_INFO order, then the rest by key. */
+export function paramRows(entries) {
+  const rank = key => {
+    const i = KNOWN_ORDER.indexOf(String(key).toLowerCase());
+    return i === -1 ? KNOWN_ORDER.length : i;
+  };
+  return Object.values(entries)
+    .sort((a, b) => rank(a.key) - rank(b.key) || a.key.localeCompare(b.key))
+    .map(entry => ({ ...entry, ...paramInfo(entry.key) }));
+}
+
+const trim = n => String(Math.round(n * 1000) / 1000);
+
+/** '21.5 °C', 'true', '[1,2]'; numbers are shown with at most three decimals. */
+export function formatParamValue(value, unit = null) {
+  const n = asNumber(value);
+  const text = n !== null ? trim(n) : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return unit ? `${text} ${unit}` : text;
+}
+
+/** '+0.5', '-12', '0'; 'changed' for a non-numeric change; '' when there is no previous value. */
+export function formatParamDelta(entry) {
+  if (entry.previousValue === undefined) return '';
+  if (entry.delta !== null) return entry.delta > 0 ? `+${trim(entry.delta)}` : trim(entry.delta);
+  return entry.changed ? 'changed' : '';
+}
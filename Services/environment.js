@@ -0,0 +1,116 @@
+/**
+ * Backend environment selection (production / staging / local)
+ *
+ * The chosen environment is persisted on-device and applied to the REST client and the shared
+ * socket at startup and whenever it changes, so the whole app follows one setting.
+ * Changed from the hidden developer menu (tap the version label on the Home screen 7 times).
+ */
+
+import { useEffect, useState } from 'react';
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import api, { DEFAULT_BASE_URL } from './api';
+import socketManager from './socket';
+
+const STORAGE_KEY = 'boreal.environment';
+
+// The Android emulator reaches the development machine through 10.0.2.2
+const LOCAL_URL = Platform.OS === 'android' ? 'http://10.0.2.2:4000' : 'http://localhost:4000';
+
+export const ENVIRONMENTS = {
+  production: { label: 'Production', restBaseUrl: DEFAULT_BASE_URL, socketUrl: DEFAULT_BASE_URL },
+  staging: { label: 'Staging', restBaseUrl: '', socketUrl: '' }, // URLs are entered in the developer menu
+  local: { label: 'Local', restBaseUrl: LOCAL_URL, socketUrl: LOCAL_URL },
+};
+
+const DEFAULT_KEY = 'production';
+
+const presetFor = key => ({ key, ...ENVIRONMENTS[key] });
+
+let current = presetFor(DEFAULT_KEY);
+let savedUrls = {}; // key -> { restBaseUrl, socketUrl } edited in the developer menu
+let readyPromise = null;
+const listeners = new Set();
+
+export const isValidUrl = value => /^https?:\/\/[^\s/]+/i.test(String(value || '').trim());
+
+// Preset URLs merged with whatever the developer saved for that environment
+export function resolveEnvironment(key) {
+  if (!ENVIRONMENTS[key]) return null;
+  return { ...presetFor(key), ...(savedUrls[key] || {}) };
+}
+
+const apply = env => {
+  current = env;
+  api.configure({ baseUrl: env.restBaseUrl });
+  socketManager.configure({ url: env.socketUrl });
+  listeners.forEach(l => {
+    try {
+      l(env);
+    } catch (e) {
+      console.warn('environment listener error', e);
+    }
+  });
+};
+
+/**
+ * Reads the persisted selection once and applies it. Safe to call many times;
+ * everyone gets the same promise.
+ */
+export function loadEnvironment() {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEY);
+        const stored = raw ? JSON.parse(raw) : null;
+        savedUrls = (stored && stored.urls) || {};
+        const env = resolveEnvironment(stored?.key) || presetFor(DEFAULT_KEY);
+        if (env.key !== DEFAULT_KEY || savedUrls[env.key]) apply(env);
+      } catch (e) {
+        console.warn('Failed to load environment; using production', e);
+      }
+      return current;
+    })();
+    // Requests fired before the stored selection is known wait for it instead of hitting production
+    api.configure({ ready: readyPromise });
+  }
+  return readyPromise;
+}
+
+export const whenEnvironmentReady = () => loadEnvironment();
+
+export const getEnvironment = () => current;
+
+/**
+ * Switches environment. `urls` optionally overrides the REST/socket URLs for that environment
+ * and is remembered for next time.
+ */
+export async function setEnvironment(key, urls = {}) {
+  if (!ENVIRONMENTS[key]) throw new Error(`Unknown environment "${key}"`);
+
+  const env = { ...resolveEnvironment(key), ...urls };
+  if (!isValidUrl(env.restBaseUrl) || !isValidUrl(env.socketUrl)) {
+    throw new Error('Both REST and socket URLs must start with http:// or https://');
+  }
+  env.restBaseUrl = env.restBaseUrl.trim();
+  env.socketUrl = env.socketUrl.trim();
+
+  savedUrls = { ...savedUrls, [key]: { restBaseUrl: env.restBaseUrl, socketUrl: env.socketUrl } };
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ key, urls: savedUrls }));
+  apply(env);
+  return env;
+}
+
+export function onEnvironmentChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useEnvironment() {
+  const [env, setEnv] = useState(current);
+  useEffect(() => {
+    setEnv(current);
+    return onEnvironmentChange(setEnv);
+  }, []);
+  return env;
+}
@@ -0,0 +1,252 @@
+/**
+ * Export of one station's data for reports
+ *
+ * Builds a snapshot of the station's recorded readings and alarm episodes for a time range (the
+ * on-device store, i.e. the Real time table plus everything restored from history), together with
+ * its threshold levels, alarm rules and station details, and renders it as CSV or JSON.
+ *
+ *   await exportStation(serial, { format: ExportFormat.CSV, rangeKey: '6h', online }); // share sheet
+ *
+ * `buildExport`, `toCsv` and `toJson` are pure; `gatherStation` collects the data from the stores
+ * (the shift report in Services/report.js uses it too).
+ *
+ * The JSON keeps the values in ppm·m as reported and says which display units the station uses; the
+ * CSV is written in those units and decimals (Services/units.js), like the tables on the phone.
+ *
+ * The rendered file is written to the cache directory and handed to the share sheet
+ * (Services/shareFile.js).
+ */
+
+import api from './api';
+import alarmStore, { episodeDuration, episodeLevel } from './alarms';
+import readingStore from './readingStore';
+import { readingTime } from './readings';
+import { getSession } from './session';
+import { MimeType, shareFile } from './shareFile';
+import thresholdStore from './thresholds';
+import unitStore, { DEFAULT_UNITS, formatNumber, quantityLabel, toUnits, unitLabel } from './units';
+
+export const ExportFormat = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ranges offered in the export dialog; `ms: null` is everything stored on the phone
+export const EXPORT_RANGES = [
+  { key: '1h', label: 'Last hour', ms: HOUR_MS },
+  { key: '6h', label: 'Last 6 hours', ms: 6 * HOUR_MS },
+  { key: '24h', label: 'Last 24 hours', ms: 24 * HOUR_MS },
+  { key: 'all', label: 'Everything stored', ms: null },
+];
+
+/** `{ from, to }` in epoch ms for one of EXPORT_RANGES (`from` null = no lower bound). */
+export function rangeFor(key, now = Date.now()) {
+  const range = EXPORT_RANGES.find(r => r.key === key) || EXPORT_RANGES[EXPORT_RANGES.length - 1];
+  return { from: range.ms === null ? null : now - range.ms, to: now };
+}
+
+const iso = ms => (ms === null || ms === undefined ? null : new Date(ms).toISOString());
+
+const inRange = (t, { from, to }) => (from === null || t >= from) && (to === null || t <= to);
+
+// An episode belongs to the range when any part of it does
+const overlaps = (episode, { from, to }) =>
+  (to === null || Date.parse(episode.startedAt) <= to) &&
+  (from === null || episode.endedAt === null || Date.parse(episode.endedAt) >= from);
+
+/**
+ * The export as plain data (what the JSON file contains). Pure.
+ * `readings` oldest first, `episodes` in any order; `thresholds` is `{ levels, rules }`; `units` the
+ * station's display units.
+ */
+export function buildExport({
+  station,
+  readings = [],
+  episodes = [],
+  thresholds = null,
+  range = { from: null, to: null },
+  exportedAt = Date.now(),
+  exportedBy = null,
+  units = DEFAULT_UNITS,
+}) {
+  const shown = toUnits(units);
+  return {
+    station: {
+      serialNumber: station.serialNumber,
+      name: station.name ?? null,
+      category: station.category ?? null,
+      online: station.online ?? null,
+    },
+    exportedAt: iso(exportedAt),
+    exportedBy,
+    range: { from: iso(range.from), to: iso(range.to) },
+    thresholds: thresholds ? { levels: thresholds.levels, rules: thresholds.rules } : null,
+    units: { ...shown, label: unitLabel(shown) },
+    readings: readings
+      .filter(r => inRange(readingTime(r), range))
+      .map(r => ({ ts: r.ts, value: r.rawValue ?? r.value, source: r.source || 'live' })),
+    episodes: episodes
+      .filter(e => overlaps(e, range))
+      .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt))
+      .map(e => ({
+        id: e.id,
+        startedAt: e.startedAt,
+        endedAt: e.endedAt,
+        durationS: Math.round(episodeDuration(e, exportedAt) / 1000),
+        level: episodeLevel(e),
+        peak: e.peak,
+        peakAt: e.peakAt,
+        threshold: e.threshold,
+        count: e.count,
+        ack: e.ack ? { by: e.ack.by, at: e.ack.at, comment: e.ack.comment } : null,
+      })),
+  };
+}
+
+export const toJson = data => JSON.stringify(data, null, 2);
+
+// RFC 4180: quote fields holding a separator, quote or line break
+const csvField = value => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = fields => fields.map(csvField).join(',');
+
+// A ppm·m value in the display unit and decimals; blanks and non-numeric readings stay as they are
+const csvValue = (value, units) => (typeof value === 'number' ? formatNumber(value, units) : value);
+
+/**
+ * One file, three blocks separated by a blank line: station details (key, value), the readings and
+ * the alarm episodes, each with its own header row.
+ */
+export function toCsv(data) {
+  const { station, thresholds } = data;
+  const levels = thresholds ? thresholds.levels : {};
+  const rules = thresholds ? thresholds.rules : null;
+  const units = toUnits(data.units);
+  const quantity = quantityLabel(units);
+  const value = v => csvValue(v, units);
+  const details = [
+    ['Serial number', station.serialNumber],
+    ['Station name', station.name],
+    ['Category', station.category],
+    ['Online', station.online === null ? '' : station.online ? 'yes' : 'no'],
+    ['Exported at', data.exportedAt],
+    ['Exported by', data.exportedBy],
+    ['From', data.range.from || 'first stored reading'],
+    ['To', data.range.to],
+    ['Unit', unitLabel(units)],
+    ['Path length (m)', units.pathLengthM],
+    [`Warning level (${quantity})`, value(levels.warning)],
+    [`Alarm level (${quantity})`, value(levels.alarm)],
+    [`Critical level (${quantity})`, value(levels.critical)],
+    [`Clear hysteresis (${quantity})`, rules && value(rules.hysteresis)],
+    ['Min. duration (s)', rules && rules.minDurationMs / 1000],
+    ['Min. readings', rules && rules.minCount],
+    ['Expected interval (s)', rules && rules.expectedIntervalMs / 1000],
+  ];
+  const readingRows = data.readings.map(r => [r.ts, value(r.value), r.source]);
+  const episodeRows = data.episodes.map(e => [
+    e.id,
+    e.startedAt,
+    e.endedAt,
+    e.durationS,
+    e.level,
+    value(e.peak),
+    e.peakAt,
+    value(e.threshold),
+    e.count,
+    e.ack && (e.ack.by.name || e.ack.by.username),
+    e.ack && e.ack.at,
+    e.ack && e.ack.comment,
+  ]);
+  return [
+    ...details.map(csvRow),
+    '',
+    csvRow(['Time', quantity, 'Source']),
+    ...readingRows.map(csvRow),
+    '',
+    csvRow([
+      'Episode',
+      'Started',
+      'Ended',
+      'Duration (s)',
+      'Level',
+      `Peak (${quantity})`,
+      'Peak at',
+      'Threshold',
+      'Readings above',
+      'Acknowledged by',
+      'Acknowledged at',
+      'Comment',
+    ]),
+    ...episodeRows.map(csvRow),
+  ].join('\r\n');
+}
+
+const stamp = ms => new Date(ms).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+
+/** e.g. boreal-BRL-001-20250301-1000.csv (UTC) */
+export const exportFileName = (data, extension, prefix = 'boreal') =>
+  `${prefix}-${data.station.serialNumber}-${stamp(Date.parse(data.exportedAt))}.${extension}`;
+
+/** Writes the export to a file and opens the share sheet with it. Resolves the share sheet's result. */
+export async function shareExport(data, format, { share = shareFile } = {}) {
+  const json = format === ExportFormat.JSON;
+  return share({
+    fileName: exportFileName(data, format),
+    content: json ? toJson(data) : toCsv(data),
+    mimeType: json ? MimeType.JSON : MimeType.CSV,
+  });
+}
+
+/**
+ * The station's stored readings and episodes, levels, rules, display units and details, ready for
+ * `buildExport`.
+ * The station details are best effort: without them only the serial number is known.
+ */
+export async function gatherStation(
+  serial,
+  { client = api, readings = readingStore, alarms = alarmStore, thresholds = thresholdStore, units = unitStore } = {},
+) {
+  // load() resolves what was on disk when first called; get() is current
+  const [, , config, , stations] = await Promise.all([
+    readings.load(serial),
+    alarms.load(serial),
+    thresholds.ensure(serial),
+    units.load(serial),
+    client.listRemoteStations().catch(e => {
+      console.warn(`Station details unavailable for ${serial}`, e);
+      return [];
+    }),
+  ]);
+  const { user } = getSession();
+  return {
+    station: stations.find(s => s.serialNumber === String(serial)) || { serialNumber: String(serial) },
+    readings: readings.get(serial),
+    episodes: alarms.get(serial),
+    thresholds: config,
+    units: units.get(serial),
+    exportedBy: user ? user.username : null,
+  };
+}
+
+/** Exports the station's data for a range of EXPORT_RANGES and opens the share sheet. */
+export async function exportStation(
+  serial,
+  { format = ExportFormat.CSV, rangeKey = 'all', online = null, now = Date.now() } = {},
+  { share = shareFile, ...stores } = {},
+) {
+  const gathered = await gatherStation(serial, stores);
+  const data = buildExport({
+    ...gathered,
+    station: { ...gathered.station, online },
+    range: rangeFor(rangeKey, now),
+    exportedAt: now,
+  });
+  return shareExport(data, format, { share });
+}
@@ -0,0 +1,44 @@
+/**
+ * Date/time formatting shared by the screens. Everything is shown in device-local time with the
+ * 12-hour clock the Main screen has always used.
+ */
+
+const pad2 = n => String(n).padStart(2, '0');
+
+const toDate = ts => {
+  if (ts instanceof Date) return ts;
+  if (ts === null || ts === undefined || ts === '') return null;
+  const d = new Date(ts);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/** hh:mm:ss AM/PM */
+export function formatTime(ts) {
+  const d = toDate(ts);
+  if (!d) return '-';
+  const hours = d.getHours();
+  const ampm = hours >= 12 ? 'PM' : 'AM';
+  return `${pad2(hours % 12 || 12)}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())} ${ampm}`;
+}
+
+/** dd/mm/yyyy hh:mm:ss AM/PM; unparseable input is shown as-is */
+export function formatDateTime(ts) {
+  if (!ts && ts !== 0) return '-';
+  const d = toDate(ts);
+  if (!d) return String(ts);
+  return `${pad2(d.getDate())}/${pad2(d.getMonth() + 1)}/${d.getFullYear()} ${formatTime(d)}`;
+}
+
+/** 45s, 3m 20s, 1h 02m, 2d 4h */
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined || !Number.isFinite(ms)) return '-';
+  const total = Math.max(0, Math.round(ms / 1000));
+  const d = Math.floor(total / 86400);
+  const h = Math.floor((total % 86400) / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (d > 0) return `${d}d ${h}h`;
+  if (h > 0) return `${h}h ${pad2(m)}m`;
+  if (m > 0) return `${m}m ${pad2(s)}s`;
+  return `${s}s`;
+}
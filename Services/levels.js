@@ -0,0 +1,220 @@
+/**
+ * PPM-M-LO threshold levels
+ *
+ * A station can have up to three ordered thresholds — warning < alarm < critical — any of which may
+ * be unset. A reading is at the highest level whose threshold it exceeds (strictly above, like the
+ * single threshold before), otherwise normal. `alarm` is the level older backends and payloads call
+ * `los_ppm`, so a bare number is read as the alarm level.
+ *
+ * Pure; shared by the threshold store, alarm episodes, Main, the overview and Settings.
+ */
+
+export const Level = {
+  NORMAL: 'normal',
+  WARNING: 'warning',
+  ALARM: 'alarm',
+  CRITICAL: 'critical',
+};
+
+// Configurable levels, lowest first
+export const LEVEL_ORDER = [Level.WARNING, Level.ALARM, Level.CRITICAL];
+
+export const LEVEL_STYLES = {
+  [Level.NORMAL]: { label: 'Normal', color: '#16b800' },
+  [Level.WARNING]: { label: 'Warning', color: '#e0a000' },
+  [Level.ALARM]: { label: 'Alarm', color: '#b10303' },
+  [Level.CRITICAL]: { label: 'Critical', color: '#7a0bc0' },
+};
+
+export const NO_LEVELS = Object.freeze({ [Level.WARNING]: null, [Level.ALARM]: null, [Level.CRITICAL]: null });
+
+const toNumberOrNull = v => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = typeof v === 'number' ? v : Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * `{ warning, alarm, critical }` from a levels object, a single number (the alarm level) or nothing.
+ * @returns {{ warning: number|null, alarm: number|null, critical: number|null }}
+ */
+export function toLevels(raw) {
+  if (raw === null || raw === undefined) return NO_LEVELS;
+  if (typeof raw !== 'object') {
+    const alarm = toNumberOrNull(raw);
+    return alarm === null ? NO_LEVELS : { ...NO_LEVELS, [Level.ALARM]: alarm };
+  }
+  return {
+    [Level.WARNING]: toNumberOrNull(raw.warning),
+    [Level.ALARM]: toNumberOrNull(raw.alarm),
+    [Level.CRITICAL]: toNumberOrNull(raw.critical),
+  };
+}
+
+export const hasLevels = levels => !!levels && LEVEL_ORDER.some(level => levels[level] !== null);
+
+export const sameLevels = (a, b) => LEVEL_ORDER.every(level => (a ? a[level] : null) === (b ? b[level] : null));
+
+/** The lowest configured level (`{ level, threshold }`), or null when none is set. */
+export function lowestLevel(levels) {
+  const level = LEVEL_ORDER.find(l => levels && levels[l] !== null);
+  return level ? { level, threshold: levels[level] } : null;
+}
+
+/** Level of a reading value; NORMAL for non-numeric values and when no level is set. */
+export function classify(value, levels) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || !levels) return Level.NORMAL;
+  for (let i = LEVEL_ORDER.length - 1; i >= 0; i -= 1) {
+    const threshold = levels[LEVEL_ORDER[i]];
+    if (threshold !== null && threshold !== undefined && value > threshold) return LEVEL_ORDER[i];
+  }
+  return Level.NORMAL;
+}
+
+// How severe a level is, for comparing them (NORMAL = 0)
+export const severity = level => LEVEL_ORDER.indexOf(level) + 1;
+
+export const levelColor = level => (LEVEL_STYLES[level] || LEVEL_STYLES[Level.NORMAL]).color;
+
+export const levelLabel = level => (LEVEL_STYLES[level] || LEVEL_STYLES[Level.NORMAL]).label;
+
+/**
+ * Compact summary for tiles and lists, e.g. 'W 10 · A 25 · C 50'; null when nothing is set. `format`
+ * shows a value, e.g. in the station's display units (Services/units.js `formatNumber`).
+ */
+export function describeLevels(levels, format = String) {
+  const parts = LEVEL_ORDER.filter(level => levels && levels[level] !== null).map(
+    level => `${levelLabel(level)[0]} ${format(levels[level])}`,
+  );
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/** User-facing problem with a set of levels (negative, or not strictly increasing), else null. */
+export function validateLevels(levels) {
+  const set = LEVEL_ORDER.filter(level => levels[level] !== null);
+  const negative = set.find(level => levels[level] < 0);
+  if (negative) return `${levelLabel(negative)} cannot be negative.`;
+  for (let i = 1; i < set.length; i += 1) {
+    if (levels[set[i]] <= levels[set[i - 1]]) {
+      return `${levelLabel(set[i])} must be higher than ${levelLabel(set[i - 1])}.`;
+    }
+  }
+  return null;
+}
+
+/* ---------- alarm rules (anti-flapping, stale data) ---------- */
+
+/**
+ * Per-station rules, stored next to the levels, that keep a value hovering around a threshold from
+ * flipping the state on every reading:
+ *   hysteresis     a level is only left once the value is at or below `threshold - hysteresis`
+ *                  (its clear level)
+ *   minDurationMs  a change of level (up or down) must persist at least this long ...
+ *   minCount       ... and for at least this many consecutive readings
+ * The defaults change level on the first reading, like plain thresholds.
+ *
+ * `expectedIntervalMs` is how often the station is expected to report: an online station silent for
+ * longer is stale (Services/staleness.js). 0 turns stale detection off, which is the default: a
+ * station is only judged once its rules set an interval.
+ */
+export const DEFAULT_EXPECTED_INTERVAL_MS = 0;
+
+export const DEFAULT_RULES = Object.freeze({
+  hysteresis: 0,
+  minDurationMs: 0,
+  minCount: 1,
+  expectedIntervalMs: DEFAULT_EXPECTED_INTERVAL_MS,
+});
+
+export function toRules(raw) {
+  if (!raw || typeof raw !== 'object') return DEFAULT_RULES;
+  const hysteresis = toNumberOrNull(raw.hysteresis);
+  const minDurationMs = toNumberOrNull(raw.minDurationMs);
+  const minCount = toNumberOrNull(raw.minCount);
+  const expectedIntervalMs = toNumberOrNull(raw.expectedIntervalMs);
+  return {
+    hysteresis: hysteresis !== null && hysteresis > 0 ? hysteresis : 0,
+    minDurationMs: minDurationMs !== null && minDurationMs > 0 ? minDurationMs : 0,
+    minCount: minCount !== null && minCount >= 1 ? Math.floor(minCount) : 1,
+    expectedIntervalMs:
+      expectedIntervalMs !== null && expectedIntervalMs >= 0 ? expectedIntervalMs : DEFAULT_EXPECTED_INTERVAL_MS,
+  };
+}
+
+/**
+ * Rules as the backend sends them (`{ hysteresis, min_duration_s, min_count, expected_interval_s }`,
+ * camelCase accepted); null when the payload has none, so callers can tell "not sent" from the defaults.
+ */
+export function rulesFromPayload(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const seconds = toNumberOrNull(raw.min_duration_s ?? raw.minDurationS);
+  const intervalSeconds = toNumberOrNull(raw.expected_interval_s ?? raw.expectedIntervalS);
+  return toRules({
+    hysteresis: raw.hysteresis,
+    minDurationMs: seconds !== null ? seconds * 1000 : raw.minDurationMs,
+    minCount: raw.min_count ?? raw.minCount,
+    expectedIntervalMs: intervalSeconds !== null ? intervalSeconds * 1000 : raw.expectedIntervalMs,
+  });
+}
+
+export const rulesToPayload = rules => ({
+  hysteresis: rules.hysteresis,
+  min_duration_s: rules.minDurationMs / 1000,
+  min_count: rules.minCount,
+  expected_interval_s: toRules(rules).expectedIntervalMs / 1000,
+});
+
+export const sameRules = (a, b) =>
+  ['hysteresis', 'minDurationMs', 'minCount', 'expectedIntervalMs'].every(key => toRules(a)[key] === toRules(b)[key]);
+
+/** User-facing problem with a set of rules, else null. */
+export function validateRules(rules) {
+  if (!Number.isFinite(rules.hysteresis) || rules.hysteresis < 0) return 'Hysteresis must be zero or more.';
+  if (!Number.isFinite(rules.minDurationMs) || rules.minDurationMs < 0) return 'Minimum duration must be zero or more.';
+  if (!Number.isInteger(rules.minCount) || rules.minCount < 1) return 'Minimum readings must be a whole number of at least 1.';
+  const interval = rules.expectedIntervalMs ?? 0;
+  if (!Number.isFinite(interval) || interval < 0) return 'Expected interval must be zero (off) or more.';
+  return null;
+}
+
+/**
+ * The level a value asks for while the station is at `current`: rising takes the plain level, falling
+ * stays at the highest level (up to `current`) whose clear level the value is still above.
+ */
+export function targetLevel(value, levels, current = Level.NORMAL, hysteresis = 0) {
+  const raw = classify(value, levels);
+  if (!hysteresis || severity(raw) >= severity(current)) return raw;
+  for (let i = severity(current) - 1; i >= severity(raw); i -= 1) {
+    const threshold = levels[LEVEL_ORDER[i]];
+    if (threshold !== null && threshold !== undefined && value > threshold - hysteresis) return LEVEL_ORDER[i];
+  }
+  return raw;
+}
+
+/**
+ * `level` is the debounced level, entered at `since` (epoch ms of the first reading of the run that
+ * caused it). `pending` is the run of readings currently asking for a change:
+ * `{ up, since, count, peak, peakAt }`.
+ */
+export const initialLevelState = Object.freeze({ level: Level.NORMAL, since: null, pending: null });
+
+/** Folds one numeric reading (value at epoch ms `t`) into the debounced level. Pure. */
+export function stepLevel(state, value, t, levels, rules = DEFAULT_RULES) {
+  const target = targetLevel(value, levels, state.level, rules.hysteresis);
+  if (target === state.level) return state.pending ? { ...state, pending: null } : state;
+
+  const up = severity(target) > severity(state.level);
+  const run = state.pending && state.pending.up === up ? state.pending : null;
+  const peaked = !run || value > run.peak;
+  const pending = {
+    up,
+    since: run ? run.since : t,
+    count: run ? run.count + 1 : 1,
+    peak: peaked ? value : run.peak,
+    peakAt: peaked ? t : run.peakAt,
+  };
+  if (pending.count >= rules.minCount && t - pending.since >= rules.minDurationMs) {
+    return { level: target, since: pending.since, pending: null };
+  }
+  return { ...state, pending };
+}
@@ -0,0 +1,184 @@
+/**
+ * Live statistics over sliding time windows
+ *
+ * Min, max, mean, standard deviation, time above the threshold, reading count and message rate of a
+ * station's readings over the last 5 minutes, the last hour and since Main was opened. Each window
+ * is updated incrementally — O(1) amortized per reading: running sums for mean/deviation and
+ * monotonic queues for min/max — so it stays cheap with thousands of stored readings.
+ *
+ *   const stats = useLiveStats(readings, levels, { openedAt }); // { '5m': {...}, '1h': {...}, opened: {...} }
+ *
+ * A reading counts as above the threshold when it exceeds the lowest configured level (the level
+ * that opens an alarm episode); the time until the next reading is then counted as time above.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { classify, Level } from './levels';
+import { readingTime } from './readings';
+
+export const STATS_WINDOWS = [
+  { key: '5m', label: '5 min', ms: 5 * 60 * 1000 },
+  { key: '1h', label: '1 hour', ms: 60 * 60 * 1000 },
+  { key: 'opened', label: 'Since opened', ms: null },
+];
+
+// At most this much of a gap after an exceeding reading counts as time above: longer is the station being silent
+export const MAX_ABOVE_GAP_MS = 60 * 1000;
+
+const TICK_MS = 5000;
+
+// Array-backed FIFO that only moves a head index, compacting once half of it is spent
+const createQueue = () => {
+  let items = [];
+  let head = 0;
+  return {
+    get length() {
+      return items.length - head;
+    },
+    first: () => items[head],
+    last: () => items[items.length - 1],
+    push: item => items.push(item),
+    shift: () => {
+      const item = items[head];
+      head += 1;
+      if (head > 64 && head * 2 > items.length) {
+        items = items.slice(head);
+        head = 0;
+      }
+      return item;
+    },
+    pop: () => items.pop(),
+  };
+};
+
+/**
+ * Statistics of the numeric readings inside a sliding window (`windowMs`; null = everything from
+ * `since` on). Readings must be added in time order. Pure apart from its own state.
+ */
+export function createWindowStats({ windowMs = null, since = null, levels = null } = {}) {
+  const entries = createQueue(); // { t, v, above, creditMs }
+  const mins = createQueue(); // entries with increasing values
+  const maxs = createQueue(); // entries with decreasing values
+  let sum = 0;
+  let sumSq = 0;
+  let aboveMs = 0;
+  let startedAt = since; // the rate is over the window, or over less while no reading that old was seen
+
+  const evict = now => {
+    if (windowMs === null) return;
+    const cutoff = now - windowMs;
+    while (entries.length > 0 && entries.first().t < cutoff) {
+      const gone = entries.shift();
+      sum -= gone.v;
+      sumSq -= gone.v * gone.v;
+      if (mins.first() === gone) mins.shift();
+      if (maxs.first() === gone) maxs.shift();
+      // the interval from the evicted reading to the next one leaves the window with it
+      if (entries.length > 0) {
+        aboveMs -= entries.first().creditMs;
+        entries.first().creditMs = 0;
+      }
+    }
+  };
+
+  const add = (t, v) => {
+    if (since !== null && t < since) return;
+    const previous = entries.length > 0 ? entries.last() : null;
+    const above = classify(v, levels) !== Level.NORMAL;
+    const creditMs = previous && previous.above ? Math.min(t - previous.t, MAX_ABOVE_GAP_MS) : 0;
+    const entry = { t, v, above, creditMs };
+    if (startedAt === null) startedAt = t;
+    entries.push(entry);
+    sum += v;
+    sumSq += v * v;
+    aboveMs += entry.creditMs;
+    while (mins.length > 0 && mins.last().v >= v) mins.pop();
+    mins.push(entry);
+    while (maxs.length > 0 && maxs.last().v <= v) maxs.pop();
+    maxs.push(entry);
+    evict(t);
+  };
+
+  /** The window's statistics at `now`; `count` 0 and null values while it is empty. */
+  const snapshot = now => {
+    evict(now);
+    const count = entries.length;
+    if (count === 0) {
+      return { count: 0, min: null, max: null, mean: null, stdDev: null, aboveMs: 0, ratePerMin: 0 };
+    }
+    const mean = sum / count;
+    const last = entries.last();
+    const trailing = last.above ? Math.min(Math.max(0, now - last.t), MAX_ABOVE_GAP_MS) : 0;
+    const spanMs = Math.max(Math.min(now - startedAt, windowMs ?? Infinity), 1000);
+    return {
+      count,
+      min: mins.first().v,
+      max: maxs.first().v,
+      mean,
+      stdDev: Math.sqrt(Math.max(0, sumSq / count - mean * mean)),
+      aboveMs: aboveMs + trailing,
+      ratePerMin: (count / spanMs) * 60000,
+    };
+  };
+
+  return { add, snapshot };
+}
+
+/* ---------- React hook ---------- */
+
+const newWindows = (levels, since) =>
+  Object.fromEntries(
+    STATS_WINDOWS.map(w => [w.key, createWindowStats({ windowMs: w.ms, since: w.ms === null ? since : null, levels })]),
+  );
+
+/**
+ * Statistics per STATS_WINDOWS key for a station's readings (oldest first, as the reading store
+ * keeps them). Readings appended after the last one seen are folded in incrementally, also while
+ * the store trims its oldest ones; anything else (the store was cleared, history was merged in the
+ * middle, the levels changed) rebuilds the windows once.
+ */
+export function useLiveStats(readings, levels, { openedAt } = {}) {
+  const [now, setNow] = useState(() => Date.now());
+  const sinceRef = useRef(openedAt ?? Date.now());
+  const stateRef = useRef(null); // { windows, levels, first, last, length }
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  const windows = useMemo(() => {
+    let state = stateRef.current;
+    let start = 0;
+    if (state && state.levels === levels && state.last) {
+      const lastIndex = readings.lastIndexOf(state.last);
+      const appended = readings.length - lastIndex - 1;
+      // same first reading but more readings than just the appended ones: merged in the middle
+      const inserted = readings[0] === state.first && readings.length !== state.length + appended;
+      if (lastIndex !== -1 && !inserted) start = lastIndex + 1;
+      else state = null;
+    } else if (state && state.levels !== levels) {
+      state = null;
+    }
+    if (!state) state = { windows: newWindows(levels, sinceRef.current), levels };
+
+    for (let i = start; i < readings.length; i += 1) {
+      const r = readings[i];
+      if (!r.numeric) continue;
+      const t = readingTime(r);
+      Object.values(state.windows).forEach(w => w.add(t, r.value));
+    }
+    state.first = readings[0] || null;
+    state.last = readings[readings.length - 1] || null;
+    state.length = readings.length;
+    stateRef.current = state;
+    // the windows are updated in place: a new container tells the snapshot below to re-run
+    return { ...state.windows };
+  }, [readings, levels]);
+
+  return useMemo(() => {
+    const at = Math.max(now, Date.now());
+    return Object.fromEntries(Object.entries(windows).map(([key, w]) => [key, w.snapshot(at)]));
+    // `now` keeps the windows sliding while it is quiet
+  }, [windows, now]);
+}
@@ -0,0 +1,192 @@
+/**
+ * Multi-station overview
+ *
+ * One tile per Boreal station (latest PPM-M-LO, threshold levels, online state, last update), kept up to
+ * date from the shared socket without a serial filter, so a single connection feeds the whole grid.
+ * A tile's level is that of the station's ongoing alarm episode (Services/alarms.js), so it follows
+ * the hysteresis / minimum-duration rules exactly like Main and the Alarms tab.
+ * The reducer is pure; `useStationOverview` adds the REST seeding and the socket and alarm wiring.
+ */
+
+import { useCallback, useEffect, useReducer, useState } from 'react';
+import api from './api';
+import alarmStore, { ongoingLevel } from './alarms';
+import socketManager, { SocketStatus } from './socket';
+import { Level, LEVEL_STYLES, NO_LEVELS, toLevels } from './levels';
+import { parseMqttMessage, parsePingPayload, parseThresholdUpdate } from './telemetry';
+
+export const StationLevel = {
+  UNKNOWN: 'unknown', // no reading yet / non-numeric value
+  ...Level,
+};
+
+export const LEVEL_COLORS = {
+  [StationLevel.UNKNOWN]: '#888888',
+  ...Object.fromEntries(Object.entries(LEVEL_STYLES).map(([level, { color }]) => [level, color])),
+};
+
+// Unknown without a numeric reading; otherwise the ongoing alarm episode's level, normal without one
+export function levelFor(value, alarmLevel) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return StationLevel.UNKNOWN;
+  return alarmLevel || StationLevel.NORMAL;
+}
+
+const PING_EVENTS = ['device_status', 'device_ping', 'ping_result', 'ping'];
+
+export const initialOverviewState = { order: [], bySerial: {} };
+
+const emptyTile = station => ({
+  serialNumber: station.serialNumber,
+  name: station.name,
+  value: null,
+  levels: NO_LEVELS,
+  online: null, // null until the first ping/status
+  lastUpdate: null, // ISO timestamp of the latest reading
+  alarmLevel: null, // current level of the ongoing alarm episode, null when none is open
+});
+
+/**
+ * Actions:
+ *   { type: 'stations', stations }                  station list (keeps live data of known serials)
+ *   { type: 'threshold', serial, levels }
+ *   { type: 'status', serial, online }
+ *   { type: 'reading', serial, ts, value }
+ *   { type: 'alarm', serial, level }                 ongoing episode's level, null when none
+ * Anything about a serial that is not in the list (meters, other categories) is ignored.
+ */
+export function overviewReducer(state, action) {
+  if (action.type === 'stations') {
+    const bySerial = {};
+    action.stations.forEach(s => {
+      const previous = state.bySerial[s.serialNumber];
+      bySerial[s.serialNumber] = previous ? { ...previous, name: s.name } : emptyTile(s);
+    });
+    return { order: action.stations.map(s => s.serialNumber), bySerial };
+  }
+
+  const tile = state.bySerial[action.serial];
+  if (!tile) return state;
+
+  let next;
+  switch (action.type) {
+    case 'threshold':
+      next = { ...tile, levels: toLevels(action.levels) };
+      break;
+    case 'status':
+      next = { ...tile, online: action.online };
+      break;
+    case 'reading':
+      // out-of-order packets must not roll the tile back
+      if (tile.lastUpdate && Date.parse(action.ts) < Date.parse(tile.lastUpdate)) return state;
+      next = { ...tile, value: action.value, lastUpdate: action.ts };
+      break;
+    case 'alarm':
+      if (tile.alarmLevel === action.level) return state;
+      next = { ...tile, alarmLevel: action.level };
+      break;
+    default:
+      return state;
+  }
+  return { ...state, bySerial: { ...state.bySerial, [action.serial]: next } };
+}
+
+export const selectTiles = state =>
+  state.order.map(serial => {
+    const tile = state.bySerial[serial];
+    return { ...tile, level: levelFor(tile.value, tile.alarmLevel) };
+  });
+
+export function useStationOverview({ manager = socketManager, alarms = alarmStore } = {}) {
+  const [state, dispatch] = useReducer(overviewReducer, initialOverviewState);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Station list, then every station's thresholds and ping in parallel
+  const load = useCallback(async () => {
+    try {
+      const stations = await api.listRemoteStations({ category: 'boreal' });
+      dispatch({ type: 'stations', stations });
+      setError(null);
+      setLoading(false);
+
+      await Promise.all(
+        stations.map(async ({ serialNumber: serial }) => {
+          const [thresholds, ping] = await Promise.allSettled([api.getThresholds(serial), api.getPingStatus(serial)]);
+          if (thresholds.status === 'fulfilled') dispatch({ type: 'threshold', serial, levels: thresholds.value.levels });
+          if (ping.status === 'fulfilled') dispatch({ type: 'status', serial, online: ping.value.online });
+        }),
+      );
+    } catch (err) {
+      console.warn('Failed to load station overview', err);
+      setError(err);
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    const subscriptions = [];
+    const on = (event, handler) => subscriptions.push(manager.subscribe(event, handler));
+
+    on('mqtt_message', msg => {
+      const parsed = parseMqttMessage(msg);
+      if (!parsed.ok || !parsed.serial) return;
+      const numeric = parsed.readings.filter(r => r.numeric);
+      const last = numeric.length > 0 ? numeric[numeric.length - 1] : parsed.readings[parsed.readings.length - 1];
+      dispatch({ type: 'reading', serial: parsed.serial, ts: last.ts, value: last.value });
+    });
+
+    const onPing = payload => {
+      const ping = parsePingPayload(payload);
+      if (ping.ok) dispatch({ type: 'status', serial: ping.serial, online: ping.online });
+    };
+    PING_EVENTS.forEach(event => on(event, onPing));
+
+    on('device_status_snapshot', snapshot => {
+      if (!Array.isArray(snapshot)) return;
+      snapshot.forEach(onPing);
+    });
+
+    on('threshold_updated', msg => {
+      const update = parseThresholdUpdate(msg);
+      if (update.ok) dispatch({ type: 'threshold', serial: update.serial, levels: update.levels });
+    });
+
+    // Status/threshold events sent while disconnected are lost: reload after a reconnect
+    let connectionDropped = false;
+    subscriptions.push(
+      manager.onStateChange(({ status }) => {
+        if (status === SocketStatus.CONNECTED) {
+          if (connectionDropped) load();
+          connectionDropped = false;
+        } else if (status !== SocketStatus.CONNECTING) {
+          connectionDropped = true;
+        }
+      }),
+    );
+
+    return () => subscriptions.forEach(unsubscribe => unsubscribe());
+  }, [manager, load]);
+
+  // Tile levels from every station's alarm episodes (folded app-wide by the alarm monitor)
+  const serials = state.order.join('\n');
+  useEffect(() => {
+    let cancelled = false;
+    const stops = (serials ? serials.split('\n') : []).map(serial => {
+      const update = episodes => {
+        if (!cancelled) dispatch({ type: 'alarm', serial, level: ongoingLevel(episodes) });
+      };
+      alarms.load(serial).then(update);
+      return alarms.subscribe(serial, update);
+    });
+    return () => {
+      cancelled = true;
+      stops.forEach(stop => stop());
+    };
+  }, [serials, alarms]);
+
+  return { tiles: selectTiles(state), loading, error, reload: load };
+}
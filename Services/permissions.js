@@ -0,0 +1,83 @@
+/**
+ * Role model
+ *
+ * The role comes from the backend session (`user.role`); this module only decides what the UI
+ * offers. The backend enforces the same rules and answers 403, which `describeWriteError` turns
+ * into a message the user can act on.
+ *
+ *   viewer    live data, tables and graphs
+ *   operator  viewer + day-to-day actions on alarms
+ *   admin     operator + station names and alarm thresholds (site supervisors)
+ */
+
+import { ApiError, ApiErrorKind } from './api';
+import { useSession } from './session';
+
+export const Role = {
+  VIEWER: 'viewer',
+  OPERATOR: 'operator',
+  ADMIN: 'admin',
+};
+
+export const Permission = {
+  RENAME_STATIONS: 'rename_stations',
+  EDIT_THRESHOLDS: 'edit_thresholds',
+  ACKNOWLEDGE_ALARMS: 'acknowledge_alarms',
+};
+
+const ROLE_ALIASES = {
+  supervisor: Role.ADMIN,
+  administrator: Role.ADMIN,
+  user: Role.VIEWER,
+};
+
+const GRANTS = {
+  [Role.VIEWER]: [],
+  [Role.OPERATOR]: [Permission.ACKNOWLEDGE_ALARMS],
+  [Role.ADMIN]: [Permission.ACKNOWLEDGE_ALARMS, Permission.RENAME_STATIONS, Permission.EDIT_THRESHOLDS],
+};
+
+export const ROLE_LABELS = {
+  [Role.VIEWER]: 'Viewer',
+  [Role.OPERATOR]: 'Operator',
+  [Role.ADMIN]: 'Supervisor',
+};
+
+// Unknown or missing roles get the least privilege
+export function resolveRole(user) {
+  const raw = user && user.role ? String(user.role).toLowerCase() : '';
+  const role = ROLE_ALIASES[raw] || raw;
+  return GRANTS[role] ? role : Role.VIEWER;
+}
+
+export function can(user, permission) {
+  if (!user) return false;
+  return GRANTS[resolveRole(user)].includes(permission);
+}
+
+export function usePermission(permission) {
+  const { user } = useSession();
+  return can(user, permission);
+}
+
+export function useRole() {
+  const { user } = useSession();
+  return user ? resolveRole(user) : null;
+}
+
+export const isPermissionDenied = err =>
+  err instanceof ApiError && err.kind === ApiErrorKind.HTTP && err.status === 403;
+
+/**
+ * User-facing text for a failed write. `action` completes "You are not allowed to ...".
+ */
+export function describeWriteError(err, action = 'make this change') {
+  if (isPermissionDenied(err)) {
+    return `You are not allowed to ${action}. Ask a supervisor to do it or to change your role.`;
+  }
+  if (err instanceof ApiError && err.status === 401) {
+    return 'Your session has expired. Please sign in again.';
+  }
+  const detail = err && err.body ? ` ${typeof err.body === 'string' ? err.body : JSON.stringify(err.body)}` : '';
+  return `${(err && err.message) || err}${detail}`;
+}
@@ -0,0 +1,152 @@
+/**
+ * On-device reading history, per station serial
+ *
+ * Every parsed PPM reading (live or from the history endpoint) is recorded here, trimmed to the
+ * retention limits and persisted to AsyncStorage (debounced), so the Main screen's table, alarms and
+ * graph survive leaving the screen, an offline blip, a threshold change and app restarts.
+ *
+ *   const stop = startReadingRecorder();            // app-wide, while signed in
+ *   const { readings } = useStoredReadings(serial); // oldest -> newest
+ *
+ * Readings recorded before a serial's stored history finished loading are merged with it. The store
+ * also remembers when a live reading last arrived (phone clock), which is what staleness is judged on.
+ */
+
+import { useEffect, useState } from 'react';
+import socketManager from './socket';
+import { parseMqttMessage } from './telemetry';
+import { applyRetention, makeReading, mergeReadings } from './readings';
+import { createStationStore } from './stationStore';
+
+const KEY_PREFIX = 'boreal.readings.';
+
+// ~100 minutes at the usual 2 s reporting rate, and never older than a day
+export const DEFAULT_RETENTION = {
+  maxReadings: 3000,
+  maxAgeMs: 24 * 60 * 60 * 1000,
+};
+
+const EMPTY = [];
+
+const toEntry = (r, source) =>
+  r.id ? r : makeReading(r.ts, r.value, { rawKey: r.rawKey, rawValue: r.rawValue, source: r.source || source });
+
+export function createReadingStore({
+  storage,
+  retention = DEFAULT_RETENTION,
+  persistDelayMs,
+  now = () => Date.now(),
+} = {}) {
+  const trim = readings => applyRetention(readings, { ...retention, now: now() });
+
+  // readings (oldest first) per serial; nothing stored means the key is removed
+  const store = createStationStore({
+    storage,
+    keyPrefix: KEY_PREFIX,
+    what: 'readings',
+    empty: EMPTY,
+    persistDelayMs,
+    fromStored: (stored, current = EMPTY) => {
+      const restored = Array.isArray(stored) ? stored.filter(r => r && r.ts).map(r => toEntry(r, 'live')) : EMPTY;
+      return trim(mergeReadings(restored, current));
+    },
+    toStored: readings => (readings.length === 0 ? null : readings),
+  });
+  const recordListeners = new Set(); // (serial, addedReadings) for every station
+  const arrivals = new Map(); // serial -> epoch ms (phone clock) a new live reading was last recorded
+
+  /**
+   * Records readings for a station. Accepts telemetry readings (`{ ts, value, rawKey, rawValue }`),
+   * history rows (`{ ts, value }`) or stored entries; duplicates are ignored.
+   */
+  const add = (serial, readings, { source = 'live' } = {}) => {
+    if (!serial || !readings || readings.length === 0) return store.get(serial);
+    const key = String(serial);
+    const current = store.get(key);
+    const next = trim(mergeReadings(current, readings.map(r => toEntry(r, source))));
+    if (next === current) {
+      store.load(key);
+      return next;
+    }
+    store.set(key, next);
+
+    const known = new Set(current.map(r => r.id));
+    const added = next.filter(r => !known.has(r.id));
+    if (added.some(r => r.source === 'live')) arrivals.set(key, now());
+    if (added.length > 0) {
+      recordListeners.forEach(l => {
+        try {
+          l(key, added);
+        } catch (e) {
+          console.warn('reading record listener error', e);
+        }
+      });
+    }
+    return next;
+  };
+
+  /** When a new live reading of `serial` was last recorded, on this phone's clock; null if none yet. */
+  const lastArrivalAt = serial => arrivals.get(String(serial)) ?? null;
+
+  // Newly recorded readings of any station (not the ones restored from disk)
+  const onRecord = listener => {
+    recordListeners.add(listener);
+    return () => recordListeners.delete(listener);
+  };
+
+  return {
+    load: store.load,
+    get: store.get,
+    add,
+    // Deliberate wipe (the Clear button); also drops what is on disk
+    clear: store.clear,
+    subscribe: store.subscribe,
+    onRecord,
+    lastArrivalAt,
+    flush: store.flush,
+  };
+}
+
+const readingStore = createReadingStore();
+
+export default readingStore;
+
+/**
+ * Records every parsed reading of every station from the shared socket into the store.
+ * Returns a stop function. Keeps the socket open for as long as it runs.
+ */
+export function startReadingRecorder({ store = readingStore, manager = socketManager } = {}) {
+  return manager.subscribe('mqtt_message', msg => {
+    const parsed = parseMqttMessage(msg);
+    if (!parsed.ok || !parsed.serial) return;
+    store.add(parsed.serial, parsed.readings);
+  });
+}
+
+/* ---------- React hook ---------- */
+
+/** Readings of one station (oldest -> newest), re-rendering on every change. */
+export function useStoredReadings(serial, store = readingStore) {
+  const [readings, setReadings] = useState(() => (serial ? store.get(serial) : EMPTY));
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    if (!serial) return undefined;
+    let cancelled = false;
+    setReadings(store.get(serial));
+    setLoaded(false);
+    const unsubscribe = store.subscribe(serial, setReadings);
+    store.load(serial).then(() => {
+      if (!cancelled) {
+        setReadings(store.get(serial));
+        setLoaded(true);
+      }
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [serial, store]);
+
+  return { readings, loaded };
+}
@@ -0,0 +1,69 @@
+/**
+ * Pure helpers for stored PPM readings (see Services/readingStore.js).
+ *
+ * A reading is `{ id, ts, value, numeric, rawKey, rawValue, source }`, kept oldest-first. Readings can
+ * arrive twice — once from the history endpoint and once live over the socket — so every merge
+ * de-duplicates on timestamp + value, and `id` is derived from the same key so list keys stay stable.
+ */
+
+const timeOf = ts => {
+  const t = ts instanceof Date ? ts.getTime() : Date.parse(ts);
+  return Number.isNaN(t) ? 0 : t;
+};
+
+const numericOf = v => {
+  const n = typeof v === 'number' ? v : Number(v);
+  return Number.isNaN(n) ? String(v) : n;
+};
+
+export const readingTime = reading => timeOf(reading.ts);
+
+export const readingKey = reading => `${timeOf(reading.ts)}|${numericOf(reading.rawValue ?? reading.value)}`;
+
+export function makeReading(ts, value, { rawKey = 'los_ppm_merged', rawValue = value, source = 'live' } = {}) {
+  const iso = ts instanceof Date ? ts.toISOString() : ts;
+  const numeric = typeof value === 'number' && Number.isFinite(value);
+  const reading = { ts: iso, value, numeric, rawKey, rawValue, source };
+  return { id: readingKey(reading), ...reading };
+}
+
+/**
+ * Oldest-first merge without duplicates. Existing entries win so their object identity stays stable
+ * for FlatList / PpmGraph. Returns `current` itself when nothing new was added.
+ */
+export function mergeReadings(current, incoming) {
+  if (!incoming || incoming.length === 0) return current;
+  const seen = new Set(current.map(r => r.id));
+  const added = incoming.filter(r => {
+    if (seen.has(r.id)) return false;
+    seen.add(r.id);
+    return true;
+  });
+  if (added.length === 0) return current;
+
+  // common case: live readings newer than everything stored -> plain append
+  const lastTime = current.length > 0 ? readingTime(current[current.length - 1]) : -Infinity;
+  const sortedAdded = added.slice().sort((a, b) => readingTime(a) - readingTime(b));
+  if (readingTime(sortedAdded[0]) >= lastTime) return [...current, ...sortedAdded];
+  return [...current, ...sortedAdded].sort((a, b) => readingTime(a) - readingTime(b));
+}
+
+/** Drops readings older than `maxAgeMs` and keeps at most the newest `maxReadings`. */
+export function applyRetention(readings, { maxReadings = Infinity, maxAgeMs = Infinity, now = Date.now() } = {}) {
+  let start = 0;
+  if (Number.isFinite(maxAgeMs)) {
+    const cutoff = now - maxAgeMs;
+    while (start < readings.length && readingTime(readings[start]) < cutoff) start += 1;
+  }
+  start = Math.max(start, readings.length - maxReadings);
+  return start > 0 ? readings.slice(start) : readings;
+}
+
+/** How many of `readings` (oldest first) are newer than `since`; all of them when `since` is null. */
+export function countNewer(readings, since) {
+  if (!since) return readings.length;
+  const t = readingTime(since);
+  let count = 0;
+  for (let i = readings.length - 1; i >= 0 && readingTime(readings[i]) > t; i -= 1) count += 1;
+  return count;
+}
@@ -0,0 +1,195 @@
+/**
+ * Shift / incident report for one station
+ *
+ * A formatted HTML document for supervisors: station name and serial, the time window, min / max /
+ * average PPM-M-LO (or average ppm, in the station's display units), the threshold levels, the
+ * alarm episodes with durations and peaks, the online/offline periods and a chart of the readings.
+ * The chart is the Main screen's PpmGraph itself, drawn with the report's readings and captured as
+ * a PNG by the caller (`captureChart`), then embedded as a data: URI so the document is
+ * self-contained. Built from the same on-device data as the export (Services/export.js) plus the
+ * recorded status history, written to an .html file and handed to the share sheet.
+ *
+ *   await shareStationReport(serial, { rangeKey: '6h', online }, { captureChart });
+ *
+ * `buildReport`, `chartReadings` and `renderReportHtml` are pure.
+ */
+
+import { buildExport, exportFileName, gatherStation, rangeFor } from './export';
+import { formatDateTime, formatDuration } from './format';
+import { LEVEL_ORDER, levelColor, levelLabel } from './levels';
+import { MimeType, shareFile } from './shareFile';
+import statusStore, { statusPeriods } from './statusHistory';
+import { DEFAULT_UNITS, formatValue, quantityLabel, Unit } from './units';
+
+// The chart is drawn with at most this many points; longer windows are thinned evenly
+export const REPORT_CHART_POINTS = 120;
+
+/** Count, min, max and average of the numeric values; null when there are none. */
+export function readingStats(readings) {
+  const values = readings.map(r => r.value).filter(v => typeof v === 'number' && Number.isFinite(v));
+  if (values.length === 0) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  return {
+    count: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: sum / values.length,
+  };
+}
+
+/**
+ * Everything the report shows, as plain data. Takes what `buildExport` takes plus the station's
+ * status changes (Services/statusHistory.js).
+ */
+export function buildReport({ statusChanges = [], ...input }) {
+  const data = buildExport(input);
+  const to = data.range.to ? Date.parse(data.range.to) : Date.parse(data.exportedAt);
+  const from = data.range.from ? Date.parse(data.range.from) : null;
+  const periods = statusPeriods(statusChanges, { from, to });
+  return {
+    ...data,
+    stats: readingStats(data.readings),
+    periods: periods.map(p => ({ ...p, durationS: Math.round((Date.parse(p.to) - Date.parse(p.from)) / 1000) })),
+    // offline periods as PpmGraph's `gaps`
+    gaps: periods.filter(p => !p.online).map(p => ({ from: Date.parse(p.from), to: Date.parse(p.to) })),
+  };
+}
+
+const escapeHtml = value =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * The readings the report's chart plots (oldest first): the numeric ones, thinned evenly to `max`,
+ * always keeping the newest.
+ */
+export function chartReadings(readings, max = REPORT_CHART_POINTS) {
+  const numeric = readings.filter(r => typeof r.value === 'number' && Number.isFinite(r.value));
+  if (numeric.length <= max) return numeric;
+  const step = numeric.length / max;
+  const out = [];
+  for (let i = 0; i < max; i += 1) out.push(numeric[Math.floor(i * step)]);
+  out[out.length - 1] = numeric[numeric.length - 1];
+  return out;
+}
+
+const table = (headers, rows, empty) =>
+  rows.length === 0
+    ? `<p class="empty">${escapeHtml(empty)}</p>`
+    : `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows
+        .map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`)
+        .join('')}</tbody></table>`;
+
+/** The report as a standalone HTML document; `chartImage` is the captured chart as an image URI. */
+export function renderReportHtml(report, { chartImage = null } = {}) {
+  const { station, stats, thresholds } = report;
+  const units = report.units || DEFAULT_UNITS;
+  const levels = thresholds ? thresholds.levels : null;
+  const quantity = quantityLabel(units);
+  const title = `${station.name || station.serialNumber} — ${quantity} report`;
+  const windowText = `${report.range.from ? formatDateTime(report.range.from) : 'First stored reading'} – ${formatDateTime(
+    report.range.to || report.exportedAt,
+  )}`;
+  const levelText = LEVEL_ORDER.filter(level => levels && levels[level] !== null)
+    .map(
+      level => `<span style="color:${levelColor(level)}">${levelLabel(level)} ${formatValue(levels[level], units)}</span>`,
+    )
+    .join(' · ');
+  const chart = chartImage
+    ? `<img class="chart" src="${escapeHtml(chartImage)}" alt="${escapeHtml(quantity)} chart">`
+    : `<p class="empty">${stats ? 'The chart could not be drawn.' : 'No readings in this window.'}</p>`;
+  const offlineS = report.periods.filter(p => !p.online).reduce((sum, p) => sum + p.durationS, 0);
+
+  const episodeRows = report.episodes.map(e => [
+    escapeHtml(formatDateTime(e.startedAt)),
+    e.endedAt ? escapeHtml(formatDateTime(e.endedAt)) : '<b>ongoing</b>',
+    escapeHtml(formatDuration(e.durationS * 1000)),
+    `<span style="color:${levelColor(e.level)}">${escapeHtml(levelLabel(e.level))}</span>`,
+    escapeHtml(formatValue(e.peak, units)),
+    e.ack ? escapeHtml(`${e.ack.by.name || e.ack.by.username}${e.ack.comment ? ` — ${e.ack.comment}` : ''}`) : '—',
+  ]);
+  const periodRows = report.periods.map(p => [
+    p.online ? '<span style="color:#16b800">Online</span>' : '<span style="color:#b10303">Offline</span>',
+    escapeHtml(formatDateTime(p.from)),
+    escapeHtml(formatDateTime(p.to)),
+    escapeHtml(formatDuration(p.durationS * 1000)),
+  ]);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #0b1a1f; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+.meta { color: #505f66; font-size: 13px; }
+.stats { display: flex; gap: 24px; flex-wrap: wrap; }
+.stat b { display: block; font-size: 18px; }
+table { border-collapse: collapse; width: 100%; font-size: 12px; }
+th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eee; }
+.empty { color: #888; font-size: 13px; }
+.chart { max-width: 100%; height: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Serial ${escapeHtml(station.serialNumber)} · ${escapeHtml(windowText)}</div>
+<div class="meta">Generated ${escapeHtml(formatDateTime(report.exportedAt))}${
+    report.exportedBy ? ` by ${escapeHtml(report.exportedBy)}` : ''
+  }</div>
+
+<h2>Summary</h2>
+<div class="stats">
+<div class="stat">Readings<b>${stats ? stats.count : 0}</b></div>
+<div class="stat">Min<b>${stats ? escapeHtml(formatValue(stats.min, units)) : '—'}</b></div>
+<div class="stat">Max<b>${stats ? escapeHtml(formatValue(stats.max, units)) : '—'}</b></div>
+<div class="stat">Average<b>${stats ? escapeHtml(formatValue(stats.avg, units)) : '—'}</b></div>
+<div class="stat">Alarm episodes<b>${report.episodes.length}</b></div>
+<div class="stat">Offline<b>${escapeHtml(formatDuration(offlineS * 1000))}</b></div>
+</div>
+<p class="meta">Threshold: ${levelText || 'not set'}</p>
+
+<h2>${escapeHtml(quantity)}${units.unit === Unit.PPM ? ` (average over ${units.pathLengthM} m)` : ''}</h2>
+${chart}
+
+<h2>Alarm episodes</h2>
+${table(['Started', 'Ended', 'Duration', 'Level', 'Peak', 'Acknowledged'], episodeRows, 'No alarm episodes in this window.')}
+
+<h2>Online / offline</h2>
+${table(['Status', 'From', 'To', 'Duration'], periodRows, 'No status recorded in this window.')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the station's report for a range of EXPORT_RANGES, writes it to an .html file and opens the
+ * share sheet with it. `captureChart(report)` resolves the chart image (see Components/ReportChart.js),
+ * or null to leave it out; it is only asked when there are readings to plot.
+ */
+export async function shareStationReport(
+  serial,
+  { rangeKey = '24h', online = null, now = Date.now() } = {},
+  { share = shareFile, status = statusStore, captureChart = async () => null, ...stores } = {},
+) {
+  const [gathered] = await Promise.all([gatherStation(serial, stores), status.load(serial)]);
+  const report = buildReport({
+    ...gathered,
+    station: { ...gathered.station, online },
+    statusChanges: status.get(serial),
+    range: rangeFor(rangeKey, now),
+    exportedAt: now,
+  });
+  const chartImage = chartReadings(report.readings).length > 0 ? await captureChart(report) : null;
+  return share({
+    fileName: exportFileName(report, 'html', 'boreal-report'),
+    content: renderReportHtml(report, { chartImage }),
+    mimeType: MimeType.HTML,
+  });
+}
@@ -0,0 +1,213 @@
+/**
+ * Signed-in user session
+ *
+ * Holds the access/refresh tokens and the user returned by the backend, persists them on-device so
+ * the app stays signed in across restarts, and plugs the token into the REST client (bearer header,
+ * one refresh-and-replay on 401) and the socket handshake. The access token is refreshed shortly
+ * before it expires; when the refresh token is rejected the session ends as EXPIRED and the app
+ * sends the user back to the login screen.
+ */
+
+import { useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import api, { ApiError, ApiErrorKind } from './api';
+import socketManager from './socket';
+
+const STORAGE_KEY = 'boreal.session';
+
+// Refresh this long before the access token runs out so in-flight requests never carry a dead one
+const REFRESH_MARGIN_MS = 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export const SessionStatus = {
+  LOADING: 'loading', // persisted session not read yet
+  SIGNED_OUT: 'signed_out',
+  SIGNED_IN: 'signed_in',
+  EXPIRED: 'expired', // was signed in, but the backend no longer accepts the refresh token
+};
+
+let session = null; // AuthSession from Services/api.js
+let status = SessionStatus.LOADING;
+let readyPromise = null;
+let refreshPromise = null;
+let refreshTimer = null;
+let deviceToken = null; // this phone's FCM token, as last sent to the backend
+const listeners = new Set();
+
+const snapshot = () => ({ status, user: session ? session.user : null });
+
+const notify = () => {
+  const snap = snapshot();
+  listeners.forEach(l => {
+    try {
+      l(snap);
+    } catch (e) {
+      console.warn('session listener error', e);
+    }
+  });
+};
+
+const persist = async next => {
+  try {
+    if (next) await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else await AsyncStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn('Failed to persist session', e);
+  }
+};
+
+const needsRefresh = s => !!s && s.expiresAt !== null && Date.now() >= s.expiresAt - REFRESH_MARGIN_MS;
+
+const scheduleRefresh = () => {
+  if (refreshTimer) clearTimeout(refreshTimer);
+  refreshTimer = null;
+  if (!session || !session.refreshToken || session.expiresAt === null) return;
+  const delay = Math.min(MAX_TIMER_MS, Math.max(0, session.expiresAt - REFRESH_MARGIN_MS - Date.now()));
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refresh();
+  }, delay);
+};
+
+// `identityChanged`: a different user (or none) -> the socket must handshake again
+const setSession = (next, nextStatus, { identityChanged = false } = {}) => {
+  session = next;
+  status = nextStatus;
+  scheduleRefresh();
+  persist(next);
+  if (identityChanged) socketManager.restart();
+  notify();
+};
+
+const expire = () => {
+  if (!session) return;
+  setSession(null, SessionStatus.EXPIRED, { identityChanged: true });
+};
+
+/**
+ * Exchanges the refresh token for a new access token. Concurrent callers share one request.
+ * Resolves true when a fresh token is available. A refresh token the backend rejects ends the
+ * session; network trouble keeps it so the next request can try again.
+ */
+export function refresh() {
+  if (!session) return Promise.resolve(false);
+  if (!session.refreshToken) {
+    expire();
+    return Promise.resolve(false);
+  }
+  if (!refreshPromise) {
+    const { refreshToken, user } = session;
+    refreshPromise = api
+      .refreshSession(refreshToken)
+      .then(next => {
+        // signed out (or in as someone else) while the refresh was in flight
+        if (!session || session.refreshToken !== refreshToken) return false;
+        setSession(
+          { ...next, refreshToken: next.refreshToken || refreshToken, user: next.user.username ? next.user : user },
+          SessionStatus.SIGNED_IN,
+        );
+        return true;
+      })
+      .catch(err => {
+        const rejected = err instanceof ApiError && err.kind === ApiErrorKind.HTTP && err.status >= 400 && err.status < 500;
+        if (rejected && session && session.refreshToken === refreshToken) expire();
+        else console.warn('Session refresh failed', err);
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Reads the persisted session once. Safe to call many times; everyone gets the same promise.
+ */
+export function loadSession() {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      let stored = null;
+      try {
+        const raw = await AsyncStorage.getItem(STORAGE_KEY);
+        stored = raw ? JSON.parse(raw) : null;
+      } catch (e) {
+        console.warn('Failed to load session', e);
+      }
+      const usable = stored && stored.accessToken && (stored.refreshToken || !needsRefresh(stored));
+      if (usable) {
+        // an access token that expired while the app was closed is refreshed right away by the timer
+        setSession(stored, SessionStatus.SIGNED_IN, { identityChanged: true });
+      } else {
+        session = null;
+        status = SessionStatus.SIGNED_OUT;
+        if (stored) persist(null);
+        notify();
+      }
+      return snapshot();
+    })();
+  }
+  return readyPromise;
+}
+
+export async function login(username, password) {
+  await loadSession();
+  const next = await api.login(String(username).trim(), password);
+  setSession(next, SessionStatus.SIGNED_IN, { identityChanged: true });
+  return next.user;
+}
+
+// Local sign-out never waits on (or fails because of) the network. The backend also unlinks the
+// FCM token, so the phone stops getting the previous user's alarm pushes
+export async function logout() {
+  await loadSession();
+  const previous = session;
+  setSession(null, SessionStatus.SIGNED_OUT, { identityChanged: !!previous });
+  if (previous && (previous.refreshToken || deviceToken)) {
+    api
+      .logout({ refreshToken: previous.refreshToken, fcmToken: deviceToken })
+      .catch(e => console.warn('Logout request failed', e));
+  }
+}
+
+/** Remembers the FCM token the app registered with the backend, for `logout` to unlink. */
+export function setDeviceToken(token) {
+  deviceToken = token || null;
+}
+
+/** Current access token, refreshed first when it is about to expire; null when signed out. */
+export async function getAccessToken() {
+  await loadSession();
+  if (needsRefresh(session)) await refresh();
+  return session ? session.accessToken : null;
+}
+
+export const getSession = () => snapshot();
+
+export const isSignedIn = () => status === SessionStatus.SIGNED_IN;
+
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useSession() {
+  const [snap, setSnap] = useState(snapshot());
+  useEffect(() => {
+    setSnap(snapshot());
+    return onSessionChange(setSnap);
+  }, []);
+  return snap;
+}
+
+/* ---------- wiring ---------- */
+
+api.configure({
+  getAuthToken: getAccessToken,
+  onUnauthorized: async () => (session ? refresh() : false),
+});
+
+// Evaluated by socket.io on every (re)connect, so automatic reconnects always carry the latest token
+socketManager.configure({
+  auth: cb => cb(session ? { token: session.accessToken } : {}),
+});
@@ -0,0 +1,34 @@
+/**
+ * Hands a generated document to the native share sheet as a file
+ *
+ * The content is written to the app's cache directory under its file name and the share sheet gets
+ * that file, so mail and chat apps receive an attachment instead of a message body holding the text.
+ *
+ *   await shareFile({ fileName: 'boreal-BRL-001-20250301-1000.csv', content, mimeType: MimeType.CSV });
+ *
+ * Resolves the share sheet's result; `dismissedAction` is set when the user backed out of it.
+ */
+
+import ReactNativeBlobUtil from 'react-native-blob-util';
+import Share from 'react-native-share';
+
+export const MimeType = {
+  CSV: 'text/csv',
+  JSON: 'application/json',
+  HTML: 'text/html',
+};
+
+export async function shareFile(
+  { fileName, content, mimeType, title = fileName },
+  { fs = ReactNativeBlobUtil.fs, share = Share.open } = {},
+) {
+  const path = `${fs.dirs.CacheDir}/${fileName}`;
+  await fs.writeFile(path, content, 'utf8');
+  return share({
+    url: `file://${path}`,
+    type: mimeType,
+    title,
+    subject: title,
+    failOnCancel: false,
+  });
+}
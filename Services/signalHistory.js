@@ -0,0 +1,213 @@
+/**
+ * GSM signal history and link-quality diagnostics, per station serial
+ *
+ * Every `signal` socket event (the station's GSM signal strength in %) is recorded as a sample
+ * `{ at, signal }` and persisted to AsyncStorage (debounced). A steady signal is kept as one sample
+ * per minute; every change is kept.
+ *
+ *   const stop = startSignalRecorder();                       // app-wide, while signed in
+ *   const samples = useSignalSamples(serial);                 // oldest first, kept up to date
+ *   signalStats(samples, { from })                            // { min, avg, last, count }
+ *   diagnoseOutages({ samples, gaps, staleEpisodes })         // offline / stale periods + likely cause
+ *
+ * A signal below WEAK_SIGNAL_PCT is weak. An offline or stale period with a weak signal around it
+ * points at the communication link; a stale period with a good signal at the sensor.
+ */
+
+import { useEffect, useState } from 'react';
+import socketManager from './socket';
+import { createStationStore } from './stationStore';
+import { parseSignalPayload } from './telemetry';
+
+const KEY_PREFIX = 'boreal.signal.';
+
+export const WEAK_SIGNAL_PCT = 20;
+
+export const DEFAULT_SIGNAL_RETENTION = {
+  maxSamples: 5000,
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+};
+
+// An unchanged signal is recorded again only after this long
+const SAMPLE_EVERY_MS = 60 * 1000;
+
+// How far before an outage the signal is looked at
+const LOOKBACK_MS = 5 * 60 * 1000;
+
+const EMPTY = [];
+
+export const OutageCause = {
+  COMMS: 'comms', // weak signal around it
+  SENSOR: 'sensor', // stale while the link was fine
+  UNKNOWN: 'unknown', // offline with a good signal (power, backend, ...) or no signal recorded
+};
+
+export const isWeakSignal = (signal, threshold = WEAK_SIGNAL_PCT) => signal < threshold;
+
+const timeOf = sample => Date.parse(sample.at);
+
+/** Min, average and last signal of the samples from `from` (epoch ms, null = all); null when none. */
+export function signalStats(samples, { from = null } = {}) {
+  const inWindow = from === null ? samples : samples.filter(s => timeOf(s) >= from);
+  if (inWindow.length === 0) return null;
+  const values = inWindow.map(s => s.signal);
+  return {
+    min: Math.min(...values),
+    avg: values.reduce((a, b) => a + b, 0) / values.length,
+    last: values[values.length - 1],
+    count: values.length,
+  };
+}
+
+/**
+ * Weak-signal periods `{ from, to, min }` (epoch ms), oldest first: from the first weak sample to the
+ * next good one; `to` is null while the signal is still weak.
+ */
+export function weakPeriods(samples, threshold = WEAK_SIGNAL_PCT) {
+  const periods = [];
+  let current = null;
+  samples.forEach(sample => {
+    if (isWeakSignal(sample.signal, threshold)) {
+      if (!current) {
+        current = { from: timeOf(sample), to: null, min: sample.signal };
+        periods.push(current);
+      } else {
+        current.min = Math.min(current.min, sample.signal);
+      }
+    } else if (current) {
+      current.to = timeOf(sample);
+      current = null;
+    }
+  });
+  return periods;
+}
+
+/**
+ * The station's offline gaps (Services/statusHistory.js `offlineGaps`) and stale episodes
+ * (Services/staleness.js), newest first, each with the signal around it and its likely cause:
+ * `{ kind: 'offline'|'stale', from, to, minSignal, lastSignal, cause }` (epoch ms, `to` null while
+ * ongoing; signals null when none was recorded). The signal is looked at from a few minutes before
+ * the outage to its end.
+ */
+export function diagnoseOutages({
+  samples,
+  gaps = [],
+  staleEpisodes = [],
+  threshold = WEAK_SIGNAL_PCT,
+  now = Date.now(),
+}) {
+  const outages = [
+    ...gaps.map(g => ({ kind: 'offline', from: g.from, to: g.to })),
+    ...staleEpisodes.map(e => ({
+      kind: 'stale',
+      from: Date.parse(e.startedAt),
+      to: e.endedAt ? Date.parse(e.endedAt) : null,
+    })),
+  ];
+  return outages
+    .map(outage => {
+      const end = outage.to === null ? now : outage.to;
+      const around = samples.filter(s => timeOf(s) >= outage.from - LOOKBACK_MS && timeOf(s) <= end);
+      const before = samples.filter(s => timeOf(s) <= outage.from);
+      const minSignal = around.length > 0 ? Math.min(...around.map(s => s.signal)) : null;
+      const lastSignal = before.length > 0 ? before[before.length - 1].signal : null;
+      let cause = OutageCause.UNKNOWN;
+      if (minSignal !== null && isWeakSignal(minSignal, threshold)) cause = OutageCause.COMMS;
+      else if (outage.kind === 'stale' && (minSignal !== null || lastSignal !== null)) cause = OutageCause.SENSOR;
+      return { ...outage, minSignal, lastSignal, cause };
+    })
+    .sort((a, b) => b.from - a.from);
+}
+
+/**
+ * Weak-signal periods with the kinds of outage (from `diagnoseOutages`) they overlap, e.g.
+ * `{ from, to, min, outages: ['offline'] }`; none means the station kept reporting through it.
+ */
+export function weakPeriodsWithOutages(periods, outages, now = Date.now()) {
+  return periods.map(period => {
+    const end = period.to === null ? now : period.to;
+    const kinds = outages
+      .filter(o => o.from <= end && (o.to === null ? now : o.to) >= period.from)
+      .map(o => o.kind);
+    return { ...period, outages: [...new Set(kinds)] };
+  });
+}
+
+// Oldest samples past the retention go
+const applySignalRetention = (samples, { maxSamples = Infinity, maxAgeMs = Infinity, now = Date.now() } = {}) => {
+  let start = Math.max(0, samples.length - maxSamples);
+  if (Number.isFinite(maxAgeMs)) {
+    const cutoff = now - maxAgeMs;
+    while (start < samples.length && timeOf(samples[start]) < cutoff) start += 1;
+  }
+  return start > 0 ? samples.slice(start) : samples;
+};
+
+export function createSignalStore({
+  storage,
+  retention = DEFAULT_SIGNAL_RETENTION,
+  persistDelayMs,
+  sampleEveryMs = SAMPLE_EVERY_MS,
+  now = () => Date.now(),
+} = {}) {
+  // samples (oldest first) per serial; samples recorded before the stored ones loaded are kept after them
+  const store = createStationStore({
+    storage,
+    keyPrefix: KEY_PREFIX,
+    what: 'signal history',
+    empty: EMPTY,
+    persistDelayMs,
+    fromStored: (stored, current = EMPTY) => {
+      if (!Array.isArray(stored) || stored.length === 0) return undefined;
+      const firstNew = current.length > 0 ? timeOf(current[0]) : Infinity;
+      const merged = [...stored.filter(s => timeOf(s) < firstNew), ...current];
+      return applySignalRetention(merged, { ...retention, now: now() });
+    },
+  });
+
+  /** Records a signal sample at `at` (default now); an unchanged signal only once per minute. */
+  const record = (serial, signal, at = now()) => {
+    if (!serial) return;
+    const key = String(serial);
+    const current = store.get(key);
+    const last = current[current.length - 1];
+    if (last && (timeOf(last) > at || (last.signal === signal && at - timeOf(last) < sampleEveryMs))) return;
+    const next = [...current, { at: new Date(at).toISOString(), signal }];
+    store.set(key, applySignalRetention(next, { ...retention, now: now() }));
+  };
+
+  return { load: store.load, get: store.get, record, subscribe: store.subscribe, flush: store.flush };
+}
+
+const signalStore = createSignalStore();
+
+export default signalStore;
+
+/** Records every station's `signal` events from the shared socket. Returns a stop function. */
+export function startSignalRecorder({ store = signalStore, manager = socketManager } = {}) {
+  return manager.subscribe('signal', payload => {
+    const parsed = parseSignalPayload(payload);
+    if (parsed.ok) store.record(parsed.serial, parsed.signal);
+  });
+}
+
+/* ---------- React hook ---------- */
+
+/** The station's recorded signal samples, oldest first, kept up to date. */
+export function useSignalSamples(serial, store = signalStore) {
+  const [samples, setSamples] = useState(() => (serial ? store.get(serial) : EMPTY));
+  useEffect(() => {
+    if (!serial) return undefined;
+    let cancelled = false;
+    setSamples(store.get(serial));
+    const unsubscribe = store.subscribe(serial, setSamples);
+    store.load(serial).then(() => {
+      if (!cancelled) setSamples(store.get(serial));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [serial, store]);
+  return samples;
+}
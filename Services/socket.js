@@ -0,0 +1,246 @@
+/**
+ * App-wide socket.io connection
+ *
+ * Every screen/widget that needs live data subscribes here instead of calling io() itself.
+ * The connection is opened on the first subscription and closed when the last one goes away
+ * (reference counted), so switching tabs or mounting extra widgets never opens a second socket.
+ *
+ *   const unsubscribe = socketManager.subscribe('mqtt_message', handler, { serial: 'SN123' });
+ *
+ * Passing `serial` filters out payloads that belong to another station. Payloads without any
+ * serial (e.g. snapshots) are always delivered and left to the handler to sort out.
+ *
+ * `configure({ auth })` sets the handshake payload; pass a function `cb => cb({ token })` so every
+ * automatic reconnect picks up the current token, and call `restart()` when the user changes.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { io } from 'socket.io-client';
+import { DEFAULT_BASE_URL } from './api';
+
+export const SocketStatus = {
+  IDLE: 'idle', // no subscribers, no socket
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting', // dropped; socket.io is retrying with backoff (`attempt` counts up)
+  DISCONNECTED: 'disconnected',
+  FAILED: 'failed', // no automatic retry will happen (server closed us / retries exhausted); call reconnect()
+};
+
+// Exponential backoff (1s, 2s, 4s ... capped at 30s, +/-50% jitter) and never stop trying:
+// a short network drop must not leave the app silently without data.
+const DEFAULT_SOCKET_OPTIONS = {
+  reconnection: true,
+  reconnectionAttempts: Infinity,
+  reconnectionDelay: 1000,
+  reconnectionDelayMax: 30000,
+  randomizationFactor: 0.5,
+  timeout: 20000,
+};
+
+// Best-effort serial lookup across every payload shape the backend emits
+export function extractSerial(payload) {
+  let p = payload;
+  if (typeof p === 'string') {
+    try {
+      p = JSON.parse(p);
+    } catch (_) {
+      return null;
+    }
+  }
+  if (!p || typeof p !== 'object' || Array.isArray(p)) return null;
+  const nested = p.payload && typeof p.payload === 'object' ? p.payload : {};
+  const serial =
+    p.serial_number ?? p.serialNumber ?? p.serial ?? p.sn ?? nested.serial_number ?? nested.serial ?? null;
+  return serial === null || serial === undefined ? null : String(serial);
+}
+
+export function createSocketManager({ url = DEFAULT_BASE_URL, ioImpl = io, options = DEFAULT_SOCKET_OPTIONS } = {}) {
+  let currentUrl = url;
+  let auth = null;
+  let socket = null;
+  let refCount = 0;
+  const handlers = new Map(); // event -> Set<{ handler, serial }>
+  const dispatchers = new Map(); // event -> function registered on the socket
+  const stateListeners = new Set();
+  let state = { status: SocketStatus.IDLE, attempt: 0 };
+
+  const setState = next => {
+    state = { ...state, ...next };
+    stateListeners.forEach(l => {
+      try {
+        l(state);
+      } catch (e) {
+        console.warn('socket state listener error', e);
+      }
+    });
+  };
+
+  const dispatcherFor = event => payload => {
+    const entries = handlers.get(event);
+    if (!entries) return;
+    const payloadSerial = extractSerial(payload);
+    // copy: a handler may unsubscribe while we iterate
+    [...entries].forEach(({ handler, serial }) => {
+      if (serial && payloadSerial && payloadSerial !== String(serial)) return;
+      try {
+        handler(payload);
+      } catch (e) {
+        console.warn(`socket handler for "${event}" failed`, e);
+      }
+    });
+  };
+
+  const attachDispatcher = event => {
+    if (dispatchers.has(event)) return;
+    const dispatcher = dispatcherFor(event);
+    dispatchers.set(event, dispatcher);
+    socket?.on(event, dispatcher);
+  };
+
+  const open = () => {
+    setState({ status: SocketStatus.CONNECTING, attempt: 0 });
+    socket = ioImpl(currentUrl, auth ? { ...options, auth } : options);
+
+    socket.on('connect', () => setState({ status: SocketStatus.CONNECTED, attempt: 0 }));
+    socket.on('disconnect', reason => {
+      // socket.io does not auto-reconnect after the server (or we) closed the connection on purpose
+      const autoRetry = reason !== 'io server disconnect' && reason !== 'io client disconnect';
+      setState({ status: autoRetry ? SocketStatus.RECONNECTING : SocketStatus.FAILED, attempt: 0 });
+    });
+    // Handshake refused (e.g. missing/expired token): socket.io only keeps retrying when `active` is still set
+    socket.on('connect_error', () => {
+      if (socket && socket.active === false) setState({ status: SocketStatus.FAILED, attempt: 0 });
+    });
+    socket.io?.on?.('reconnect_attempt', attempt => setState({ status: SocketStatus.RECONNECTING, attempt }));
+    socket.io?.on?.('reconnect_failed', () => setState({ status: SocketStatus.FAILED }));
+
+    dispatchers.forEach((dispatcher, event) => socket.on(event, dispatcher));
+  };
+
+  const teardown = () => {
+    if (!socket) return;
+    try {
+      socket.removeAllListeners?.();
+      socket.io?.removeAllListeners?.();
+      socket.disconnect();
+    } catch (e) {}
+    socket = null;
+  };
+
+  const close = () => {
+    teardown();
+    setState({ status: SocketStatus.IDLE, attempt: 0 });
+  };
+
+  // Drop the current connection and open a new one with a fresh handshake; live subscriptions move over
+  const restart = () => {
+    if (!socket) return;
+    teardown();
+    open();
+  };
+
+  // Point at another server and/or change the handshake auth
+  const configure = ({ url: nextUrl, auth: nextAuth } = {}) => {
+    let changed = false;
+    if (nextUrl && nextUrl !== currentUrl) {
+      currentUrl = nextUrl;
+      changed = true;
+    }
+    if (nextAuth !== undefined && nextAuth !== auth) {
+      auth = nextAuth;
+      changed = true;
+    }
+    if (changed) restart();
+  };
+
+  // Manual retry (e.g. from the connection banner) after the socket gave up
+  const reconnect = () => {
+    if (!socket) return;
+    setState({ status: SocketStatus.CONNECTING, attempt: 0 });
+    try {
+      socket.connect();
+    } catch (e) {
+      teardown();
+      open();
+    }
+  };
+
+  const subscribe = (event, handler, { serial } = {}) => {
+    if (typeof handler !== 'function') throw new TypeError('socket subscribe: handler must be a function');
+
+    const entry = { handler, serial: serial ? String(serial) : null };
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(entry);
+
+    refCount += 1;
+    if (!socket) open();
+    attachDispatcher(event);
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+
+      const entries = handlers.get(event);
+      entries?.delete(entry);
+      if (entries && entries.size === 0) {
+        handlers.delete(event);
+        const dispatcher = dispatchers.get(event);
+        dispatchers.delete(event);
+        socket?.off(event, dispatcher);
+      }
+
+      refCount -= 1;
+      if (refCount <= 0) {
+        refCount = 0;
+        close();
+      }
+    };
+  };
+
+  const onStateChange = listener => {
+    stateListeners.add(listener);
+    return () => stateListeners.delete(listener);
+  };
+
+  return {
+    configure,
+    getUrl: () => currentUrl,
+    reconnect,
+    restart,
+    subscribe,
+    onStateChange,
+    getState: () => state,
+    getSubscriberCount: () => refCount,
+  };
+}
+
+const socketManager = createSocketManager();
+
+export default socketManager;
+
+/* ---------- React hooks ---------- */
+
+/**
+ * Subscribe a component to a socket event for its lifetime. The latest `handler` is always used,
+ * so callers don't need to memoize it; the subscription only changes with `event`/`serial`.
+ */
+export function useSocketEvent(event, handler, { serial, enabled = true, manager = socketManager } = {}) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return manager.subscribe(event, payload => handlerRef.current?.(payload), { serial });
+  }, [event, serial, enabled, manager]);
+}
+
+export function useSocketState(manager = socketManager) {
+  const [state, setState] = useState(manager.getState());
+  useEffect(() => {
+    setState(manager.getState());
+    return manager.onStateChange(setState);
+  }, [manager]);
+  return state;
+}
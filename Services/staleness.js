@@ -0,0 +1,213 @@
+/**
+ * Stale data: a station that reports online but sends no readings
+ *
+ * Each station has an expected reporting interval (`expectedIntervalMs` in its alarm rules, see
+ * Services/levels.js; off unless set). An online station that has sent no reading for longer than
+ * that is stale — its last value is not current any more, although the station is not offline
+ * either. The silence is measured from when the last live reading arrived on the phone
+ * (readingStore `lastArrivalAt`), not from the server's timestamp, so a phone clock that is off does
+ * not make healthy stations stale. Main shows the state
+ * live; the app-wide monitor logs every stale period as a stale episode, persisted per station like
+ * the alarm episodes, and listed with them on the Alarms tab.
+ *
+ *   const stop = startStaleMonitor();                    // app-wide, next to the alarm monitor
+ *   const { episodes } = useStaleEpisodes(serial);       // newest first
+ *   isStale({ online, lastReadingAt, expectedIntervalMs, now })
+ *
+ * Offline is not stale: a station going offline ends its stale episode. A station that has sent no
+ * live reading since the app started is not judged.
+ */
+
+import { useEffect, useState } from 'react';
+import readingStore from './readingStore';
+import statusStore from './statusHistory';
+import thresholdStore from './thresholds';
+import { DEFAULT_RULES } from './levels';
+import { createStationStore } from './stationStore';
+
+const KEY_PREFIX = 'boreal.stale.';
+
+export const STALE_COLOR = '#8e5cc2';
+
+export const DEFAULT_STALE_RETENTION = {
+  maxEpisodes: 200,
+  maxAgeMs: 30 * 24 * 60 * 60 * 1000,
+};
+
+const CHECK_MS = 5000;
+
+const EMPTY = [];
+
+/**
+ * @typedef {Object} StaleEpisode
+ * @property {string} id
+ * @property {'stale'} kind tells them apart from alarm episodes where both are listed
+ * @property {string} serial
+ * @property {string} startedAt ISO time the expected interval ran out after `lastReadingAt`
+ * @property {string|null} endedAt ISO time of the next reading, or of going offline; null while ongoing
+ * @property {string} lastReadingAt ISO time the last reading before it arrived (phone clock)
+ * @property {number} expectedIntervalMs the interval in force when the episode opened
+ */
+
+export const STALE = 'stale';
+
+export const isStaleEpisode = episode => episode.kind === STALE;
+
+/** Whether an online station is overdue; never when the interval is off or no reading is known. */
+export function isStale({ online, lastReadingAt, expectedIntervalMs, now = Date.now() }) {
+  if (!online || !expectedIntervalMs || lastReadingAt === null || lastReadingAt === undefined) return false;
+  return now - lastReadingAt > expectedIntervalMs;
+}
+
+export function createStaleStore({
+  storage,
+  retention = DEFAULT_STALE_RETENTION,
+  persistDelayMs,
+  now = () => Date.now(),
+} = {}) {
+  // episodes (newest first) per serial; what was recorded before the stored ones loaded is kept
+  const store = createStationStore({
+    storage,
+    keyPrefix: KEY_PREFIX,
+    what: 'stale episodes',
+    empty: EMPTY,
+    persistDelayMs,
+    fromStored: (stored, current) => (current === undefined && Array.isArray(stored) ? stored : undefined),
+  });
+  const get = store.get;
+  const openListeners = new Set(); // (episode) for every station
+
+  // Oldest ended episodes past the retention go; an ongoing one is always kept
+  const commit = (serial, episodes) => {
+    const cutoff = now() - retention.maxAgeMs;
+    const kept = episodes
+      .filter(e => e.endedAt === null || !Number.isFinite(retention.maxAgeMs) || Date.parse(e.endedAt) >= cutoff)
+      .slice(0, retention.maxEpisodes);
+    store.set(serial, kept);
+  };
+
+  const ongoing = serial => get(serial).find(e => e.endedAt === null) || null;
+
+  /** Opens a stale episode unless one is ongoing. `lastReadingAt` and `startedAt` are epoch ms. */
+  const open = (serial, { lastReadingAt, expectedIntervalMs, startedAt = lastReadingAt + expectedIntervalMs }) => {
+    const key = String(serial);
+    if (ongoing(key)) return null;
+    const episode = {
+      id: `stale-${key}-${startedAt}`,
+      kind: STALE,
+      serial: key,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: null,
+      lastReadingAt: new Date(lastReadingAt).toISOString(),
+      expectedIntervalMs,
+    };
+    commit(key, [episode, ...get(key)]);
+    openListeners.forEach(l => {
+      try {
+        l(episode);
+      } catch (e) {
+        console.warn('stale open listener error', e);
+      }
+    });
+    return episode;
+  };
+
+  /** Ends the ongoing stale episode, if any, at `at` (epoch ms). */
+  const close = (serial, at = now()) => {
+    const key = String(serial);
+    const current = ongoing(key);
+    if (!current) return;
+    const endedAt = new Date(Math.max(at, Date.parse(current.startedAt))).toISOString();
+    commit(key, get(key).map(e => (e === current ? { ...e, endedAt } : e)));
+  };
+
+  // A stale episode of any station opened (what notifications are raised for)
+  const onOpen = listener => {
+    openListeners.add(listener);
+    return () => openListeners.delete(listener);
+  };
+
+  return { load: store.load, get, open, close, subscribe: store.subscribe, onOpen, flush: store.flush };
+}
+
+const staleStore = createStaleStore();
+
+export default staleStore;
+
+/**
+ * Opens and closes stale episodes for every station with recorded readings: checked when readings
+ * are recorded and every few seconds in between. Online comes from the status history, the expected
+ * interval from the station's rules. Returns a stop function.
+ */
+export function startStaleMonitor({
+  readings = readingStore,
+  status = statusStore,
+  thresholds = thresholdStore,
+  store = staleStore,
+  checkMs = CHECK_MS,
+  now = () => Date.now(),
+} = {}) {
+  const watched = new Set(); // serials with a live reading since start
+  const ready = new Set(); // serials whose stale episodes and thresholds have been loaded
+
+  const check = serial => {
+    if (!ready.has(serial)) return;
+    const changes = status.get(serial);
+    const online = changes.length > 0 && changes[changes.length - 1].online;
+    const config = thresholds.get(serial);
+    const { expectedIntervalMs } = (config && config.rules) || DEFAULT_RULES;
+    const last = readings.lastArrivalAt(serial);
+    if (isStale({ online, lastReadingAt: last, expectedIntervalMs, now: now() })) {
+      store.open(serial, { lastReadingAt: last, expectedIntervalMs });
+      return;
+    }
+    const current = store.get(serial).find(e => e.endedAt === null);
+    if (!current) return;
+    // back to reporting: it ended with the first reading after it started; otherwise (offline, or
+    // the interval was raised or turned off) now
+    store.close(serial, last > Date.parse(current.lastReadingAt) ? last : now());
+  };
+
+  const unsubscribe = readings.onRecord(serial => {
+    const key = String(serial);
+    if (readings.lastArrivalAt(key) === null) return; // only history so far
+    watched.add(key);
+    if (ready.has(key)) {
+      check(key);
+      return;
+    }
+    Promise.all([store.load(key), thresholds.ensure(key), status.load(key)])
+      .then(() => {
+        ready.add(key);
+        check(key);
+      })
+      .catch(e => console.warn(`Stale check failed for ${key}`, e));
+  });
+
+  const timer = setInterval(() => watched.forEach(serial => check(serial)), checkMs);
+
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+  };
+}
+
+/* ---------- React hook ---------- */
+
+export function useStaleEpisodes(serial, store = staleStore) {
+  const [episodes, setEpisodes] = useState(() => (serial ? store.get(serial) : EMPTY));
+  useEffect(() => {
+    if (!serial) return undefined;
+    let cancelled = false;
+    setEpisodes(store.get(serial));
+    const unsubscribe = store.subscribe(serial, setEpisodes);
+    store.load(serial).then(() => {
+      if (!cancelled) setEpisodes(store.get(serial));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [serial, store]);
+  return { episodes };
+}
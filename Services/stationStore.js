@@ -0,0 +1,147 @@
+/**
+ * Per-station value kept in memory and persisted to AsyncStorage, debounced
+ *
+ * The common part of the reading, alarm, status, stale and signal stores: one value per station
+ * serial (a list of readings, an alarm state, ...) under `<keyPrefix><serial>`, loaded once, written
+ * back a moment after it changes, with listeners per serial.
+ *
+ *   const store = createStationStore({ keyPrefix: 'boreal.status.', what: 'status history', empty: [],
+ *     fromStored: (stored, current) => ... });
+ *   store.set(serial, next);            // notifies, persists soon and loads what was stored before
+ *   await store.load(serial);           // the stored value, merged with `fromStored`
+ *
+ * Values set before the stored one finished loading are handed to `fromStored` with it; until that
+ * load is done a station is never written, so it can't overwrite what is on disk.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const PERSIST_DELAY_MS = 2000;
+
+export function createStationStore({
+  storage = AsyncStorage,
+  keyPrefix,
+  what, // for the warnings: 'readings', 'alarm episodes', ...
+  empty, // the value of a station with nothing recorded
+  // (parsed stored value or null, in-memory value or undefined) -> the value to keep; undefined keeps the current one
+  fromStored,
+  // the value as written; null removes the key
+  toStored = value => value,
+  // what `get` and the listeners see of a value
+  view = value => value,
+  persistDelayMs = PERSIST_DELAY_MS,
+}) {
+  const values = new Map(); // serial -> value
+  const loads = new Map(); // serial -> promise of the first storage read
+  const loaded = new Set();
+  const generations = new Map(); // serial -> bumped by clear() so a late load can't resurrect data
+  const listeners = new Map(); // serial -> Set<listener(view)>
+  const dirty = new Set();
+  let persistTimer = null;
+
+  const keyFor = serial => `${keyPrefix}${serial}`;
+
+  const peek = serial => (values.has(String(serial)) ? values.get(String(serial)) : empty);
+
+  const get = serial => view(peek(serial));
+
+  const notify = serial => {
+    const shown = get(serial);
+    (listeners.get(serial) || []).forEach(l => {
+      try {
+        l(shown);
+      } catch (e) {
+        console.warn(`${what} listener error`, e);
+      }
+    });
+  };
+
+  // waits for the stations still loading, so what is written includes what was stored
+  const flush = async () => {
+    // a load finishing while we wait reschedules the timer, so it is only cancelled after
+    await Promise.all([...dirty].map(serial => loads.get(serial)));
+    if (persistTimer) clearTimeout(persistTimer);
+    persistTimer = null;
+    const serials = [...dirty].filter(serial => loaded.has(serial));
+    serials.forEach(serial => dirty.delete(serial));
+    await Promise.all(
+      serials.map(async serial => {
+        try {
+          const stored = toStored(peek(serial));
+          if (stored === null) await storage.removeItem(keyFor(serial));
+          else await storage.setItem(keyFor(serial), JSON.stringify(stored));
+        } catch (e) {
+          console.warn(`Failed to persist ${what} for ${serial}`, e);
+        }
+      }),
+    );
+  };
+
+  const schedule = () => {
+    if (!persistTimer) persistTimer = setTimeout(flush, persistDelayMs);
+  };
+
+  /** Reads the persisted value of `serial` once; later calls share the promise. Resolves to `get`. */
+  const load = serial => {
+    const key = String(serial);
+    if (!loads.has(key)) {
+      const generation = generations.get(key) || 0;
+      loads.set(
+        key,
+        (async () => {
+          let stored = null;
+          try {
+            const raw = await storage.getItem(keyFor(key));
+            stored = raw ? JSON.parse(raw) : null;
+          } catch (e) {
+            console.warn(`Failed to load ${what} for ${key}`, e);
+          }
+          if ((generations.get(key) || 0) !== generation) return get(key);
+
+          loaded.add(key);
+          const current = values.get(key);
+          const next = fromStored(stored, current);
+          if (next !== undefined && next !== current) {
+            values.set(key, next);
+            notify(key);
+          }
+          if (dirty.has(key)) schedule();
+          return get(key);
+        })(),
+      );
+    }
+    return loads.get(key);
+  };
+
+  /** Replaces the station's value: persisted soon, listeners notified unless `silent`. */
+  const set = (serial, value, { silent = false } = {}) => {
+    const key = String(serial);
+    values.set(key, value);
+    dirty.add(key);
+    schedule();
+    if (!silent) notify(key);
+    if (!loads.has(key)) load(key);
+  };
+
+  /** Deliberate wipe back to `empty`, on disk too; a load still in flight no longer applies. */
+  const clear = serial => {
+    const key = String(serial);
+    generations.set(key, (generations.get(key) || 0) + 1);
+    loads.set(key, Promise.resolve(view(empty)));
+    loaded.add(key);
+    set(key, empty);
+  };
+
+  const subscribe = (serial, listener) => {
+    const key = String(serial);
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    return () => {
+      const own = listeners.get(key);
+      own?.delete(listener);
+      if (own && own.size === 0) listeners.delete(key);
+    };
+  };
+
+  return { load, get, peek, set, clear, subscribe, flush };
+}
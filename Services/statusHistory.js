@@ -0,0 +1,176 @@
+/**
+ * On-device online/offline history, per station serial
+ *
+ * Every status the app hears for a station (socket ping/status events, the status snapshot and
+ * Main's REST ping) is recorded as a change `{ at, online }` — repeats of the current state are
+ * dropped — and persisted to AsyncStorage (debounced), so reports can show when a station was
+ * offline even if that was before the app was opened on it.
+ *
+ *   const stop = startStatusRecorder();               // app-wide, while signed in
+ *   const periods = statusPeriods(statusStore.get(serial), { from, to });
+ *   const changes = useStatusChanges(serial);         // re-renders on every change
+ *
+ * Main marks the offline gaps between readings with `offlineGaps` / `withGapMarkers`.
+ */
+
+import { useEffect, useState } from 'react';
+import socketManager from './socket';
+import { parsePingPayload } from './telemetry';
+import { readingTime } from './readings';
+import { createStationStore } from './stationStore';
+
+const KEY_PREFIX = 'boreal.status.';
+
+export const DEFAULT_STATUS_RETENTION = {
+  maxChanges: 500,
+  maxAgeMs: 30 * 24 * 60 * 60 * 1000,
+};
+
+const PING_EVENTS = ['device_status', 'device_ping', 'ping_result', 'ping'];
+
+const EMPTY = [];
+
+/**
+ * Online/offline periods covering `from`..`to` (epoch ms; `from` null = since the first change),
+ * oldest first: `{ online, from, to }` with ISO times. Time before the first known change is left out.
+ */
+export function statusPeriods(changes, { from = null, to = Date.now() } = {}) {
+  const periods = [];
+  changes.forEach((change, i) => {
+    const start = Date.parse(change.at);
+    const end = i + 1 < changes.length ? Date.parse(changes[i + 1].at) : to;
+    if (end <= start || (from !== null && end <= from) || start >= to) return;
+    const period = {
+      online: change.online,
+      from: new Date(from === null ? start : Math.max(start, from)).toISOString(),
+      to: new Date(Math.min(end, to)).toISOString(),
+    };
+    // a repeat (recorded before the stored history was loaded) just extends the previous period
+    const previous = periods[periods.length - 1];
+    if (previous && previous.online === period.online) previous.to = period.to;
+    else periods.push(period);
+  });
+  return periods;
+}
+
+/** Offline periods as `{ from, to }` epoch ms, oldest first; `to` is null while still offline. */
+export function offlineGaps(changes) {
+  const gaps = [];
+  changes.forEach((change, i) => {
+    // a repeated offline continues the gap it is in
+    if (change.online || (i > 0 && !changes[i - 1].online)) return;
+    const next = changes.slice(i + 1).find(c => c.online);
+    gaps.push({ from: Date.parse(change.at), to: next ? Date.parse(next.at) : null });
+  });
+  return gaps;
+}
+
+/**
+ * Newest-first table rows with a marker row `{ id, kind: 'gap', ts, from, to }` where each offline
+ * gap started. Gaps from before the oldest row are left out; a gap after the newest row (the station
+ * is offline now, or has sent nothing since) goes on top.
+ */
+export function withGapMarkers(rows, gaps) {
+  if (rows.length === 0 || gaps.length === 0) return rows;
+  const oldest = readingTime(rows[rows.length - 1]);
+  const markers = gaps
+    .filter(g => g.from >= oldest)
+    .map(g => ({ id: `gap-${g.from}`, kind: 'gap', ts: new Date(g.from).toISOString(), from: g.from, to: g.to }))
+    .reverse();
+  if (markers.length === 0) return rows;
+  const out = [];
+  let m = 0;
+  rows.forEach(row => {
+    const t = readingTime(row);
+    while (m < markers.length && markers[m].from > t) out.push(markers[m++]);
+    out.push(row);
+  });
+  return out;
+}
+
+// Oldest changes past the retention go, but the newest one older than the cutoff is kept: it is
+// the state the station was in when the kept window starts
+const applyStatusRetention = (changes, { maxChanges = Infinity, maxAgeMs = Infinity, now = Date.now() } = {}) => {
+  let start = 0;
+  if (Number.isFinite(maxAgeMs)) {
+    const cutoff = now - maxAgeMs;
+    while (start + 1 < changes.length && Date.parse(changes[start + 1].at) < cutoff) start += 1;
+  }
+  start = Math.max(start, changes.length - maxChanges);
+  return start > 0 ? changes.slice(start) : changes;
+};
+
+export function createStatusStore({
+  storage,
+  retention = DEFAULT_STATUS_RETENTION,
+  persistDelayMs,
+  now = () => Date.now(),
+} = {}) {
+  // changes (oldest first) per serial; changes recorded before the stored ones loaded are kept after them
+  const store = createStationStore({
+    storage,
+    keyPrefix: KEY_PREFIX,
+    what: 'status history',
+    empty: EMPTY,
+    persistDelayMs,
+    fromStored: (stored, current = EMPTY) => {
+      if (!Array.isArray(stored) || stored.length === 0) return undefined;
+      const firstNew = current.length > 0 ? Date.parse(current[0].at) : Infinity;
+      const merged = [...stored.filter(c => Date.parse(c.at) < firstNew), ...current];
+      return applyStatusRetention(merged, { ...retention, now: now() });
+    },
+  });
+
+  /** Records the station's status at `at` (default now); a repeat of the current state is ignored. */
+  const record = (serial, online, at = now()) => {
+    if (!serial) return;
+    const key = String(serial);
+    const current = store.get(key);
+    const last = current[current.length - 1];
+    if (last && (last.online === !!online || Date.parse(last.at) > at)) return;
+    const next = [...current, { at: new Date(at).toISOString(), online: !!online }];
+    store.set(key, applyStatusRetention(next, { ...retention, now: now() }));
+  };
+
+  return { load: store.load, get: store.get, record, subscribe: store.subscribe, flush: store.flush };
+}
+
+const statusStore = createStatusStore();
+
+export default statusStore;
+
+/** Records every station's status events from the shared socket. Returns a stop function. */
+export function startStatusRecorder({ store = statusStore, manager = socketManager } = {}) {
+  const onPing = payload => {
+    const ping = parsePingPayload(payload);
+    if (ping.ok) store.record(ping.serial, ping.online);
+  };
+  const stops = PING_EVENTS.map(event => manager.subscribe(event, onPing));
+  stops.push(
+    manager.subscribe('device_status_snapshot', snapshot => {
+      if (Array.isArray(snapshot)) snapshot.forEach(onPing);
+    }),
+  );
+  return () => stops.forEach(stop => stop());
+}
+
+/* ---------- React hook ---------- */
+
+/** The station's recorded status changes, oldest first, kept up to date. */
+export function useStatusChanges(serial, store = statusStore) {
+  const [changes, setChanges] = useState(() => (serial ? store.get(serial) : EMPTY));
+  useEffect(() => {
+    if (!serial) return undefined;
+    let cancelled = false;
+    setChanges(store.get(serial));
+    const unsubscribe = store.subscribe(serial, setChanges);
+    store.load(serial).then(() => {
+      if (!cancelled) setChanges(store.get(serial));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [serial, store]);
+  return changes;
+}
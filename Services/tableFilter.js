@@ -0,0 +1,102 @@
+/**
+ * Date-range / value filtering for the Main screen's Real time and Alarms tables
+ *
+ * A filter is `{ from, to, min, max }` — epoch ms and PPM, each null when unbounded. Readings match
+ * on their time and value; alarm episodes when they overlap the time range and their peak is inside
+ * the value range. The filter is applied to the live rows on every render, so the tables and their
+ * match counts keep up with new readings.
+ *
+ *   const filter = { ...EMPTY_FILTER, from: parseFilterTime('01/03/2025 10:00'), min: 5 };
+ *   const rows = filterReadings(tableData, filter);
+ *   const index = jumpIndex(rows, parseFilterTime('10:30'), readingTime);
+ *
+ * Times are typed the way formatDateTime shows them — dd/mm/yyyy hh:mm[:ss] [AM|PM], device-local —
+ * or as just the time of day, meaning today.
+ */
+
+import { episodeDuration } from './alarms';
+import { readingTime } from './readings';
+
+export const EMPTY_FILTER = { from: null, to: null, min: null, max: null };
+
+export const isFilterActive = filter =>
+  !!filter && ['from', 'to', 'min', 'max'].some(key => filter[key] !== null && filter[key] !== undefined);
+
+const TIME_RE = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]m)?$/i;
+const DATE_RE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+/**
+ * Parses a typed date/time into epoch ms. Empty input is null (unbounded); anything unparseable is NaN.
+ */
+export function parseFilterTime(text, now = Date.now()) {
+  const input = String(text ?? '').trim();
+  if (input === '') return null;
+  const [first, ...rest] = input.split(/\s+/);
+  const dateMatch = DATE_RE.exec(first);
+  const timeText = (dateMatch ? rest.join(' ') : input) || '00:00';
+  const timeMatch = TIME_RE.exec(timeText);
+  if (!timeMatch) return NaN;
+
+  let hours = Number(timeMatch[1]);
+  const minutes = Number(timeMatch[2]);
+  const seconds = Number(timeMatch[3] || 0);
+  const ampm = timeMatch[4] ? timeMatch[4].toLowerCase() : null;
+  if (ampm) {
+    if (hours < 1 || hours > 12) return NaN;
+    hours = (hours % 12) + (ampm === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return NaN;
+
+  const today = new Date(now);
+  const [day, month, year] = dateMatch
+    ? [Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3])]
+    : [today.getDate(), today.getMonth(), today.getFullYear()];
+  const date = new Date(year, month, day, hours, minutes, seconds);
+  // 31/02 and the like roll over into the next month: reject instead
+  if (date.getDate() !== day || date.getMonth() !== month) return NaN;
+  return date.getTime();
+}
+
+/** Parses a typed PPM bound. Empty input is null; anything that is not a number is NaN. */
+export function parseFilterValue(text) {
+  const input = String(text ?? '').trim();
+  if (input === '') return null;
+  const n = Number(input);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+const inRange = (value, low, high) => (low === null || value >= low) && (high === null || value <= high);
+
+/** Readings inside the filter's time and value range; non-numeric readings only match without value bounds. */
+export function filterReadings(readings, filter) {
+  if (!isFilterActive(filter)) return readings;
+  const { from, to, min, max } = { ...EMPTY_FILTER, ...filter };
+  const valueBounded = min !== null || max !== null;
+  return readings.filter(r => {
+    if (!inRange(readingTime(r), from, to)) return false;
+    if (!valueBounded) return true;
+    return r.numeric && inRange(r.value, min, max);
+  });
+}
+
+/** Alarm episodes that overlap the filter's time range with a peak inside its value range. */
+export function filterEpisodes(episodes, filter, now = Date.now()) {
+  if (!isFilterActive(filter)) return episodes;
+  const { from, to, min, max } = { ...EMPTY_FILTER, ...filter };
+  return episodes.filter(e => {
+    const start = Date.parse(e.startedAt);
+    const end = start + episodeDuration(e, now);
+    if ((from !== null && end < from) || (to !== null && start > to)) return false;
+    return inRange(e.peak, min, max);
+  });
+}
+
+/**
+ * Index of the row to scroll to for time `t` in a newest-first list: the newest row at or before
+ * `t`, or the oldest row when all of them are later. -1 for an empty list.
+ */
+export function jumpIndex(rows, t, timeOf) {
+  if (rows.length === 0) return -1;
+  const index = rows.findIndex(row => timeOf(row) <= t);
+  return index === -1 ? rows.length - 1 : index;
+}
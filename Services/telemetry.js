@@ -0,0 +1,234 @@
+/**
+ * Pure parsers for the socket payloads the Boreal backend emits.
+ *
+ * No React, no side effects: every function takes a raw payload and returns either a normalized
+ * result (`ok: true`) or a typed rejection (`ok: false, reason`), so screens only decide what to
+ * do with the result and the payload variants can be covered by fixtures in __tests__/telemetry.test.js.
+ */
+
+import { rulesFromPayload, toLevels } from './levels';
+
+export const RejectReason = {
+  INVALID_MESSAGE: 'invalid_message', // not an object at all
+  NO_TIMESTAMP: 'no_timestamp', // neither received_at nor ts could be parsed
+  NO_SERIAL: 'no_serial',
+  SERIAL_MISMATCH: 'serial_mismatch', // belongs to another station
+  NO_PPM: 'no_ppm', // no merged los_ppm and no ppm-like param
+  UNSUPPORTED_INDICATOR: 'unsupported_indicator',
+  NO_SIGNAL: 'no_signal', // signal missing or not a 0-100 percentage
+};
+
+const reject = (reason, detail) => ({ ok: false, reason, ...(detail ? { detail } : {}) });
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// 'ppm', 'los_ppm', 'ppmValue', ... (case-insensitive)
+export const isPpmKey = key => !!key && String(key).toLowerCase().includes('ppm');
+
+export const normalizePpmValue = v => {
+  if (v === null || v === undefined || v === '') return null;
+  if (typeof v === 'number') return Number.isNaN(v) ? null : v;
+  const n = Number(v);
+  return Number.isNaN(n) ? null : n;
+};
+
+const sameSerial = (a, b) => String(a) === String(b);
+
+/** ISO timestamp from `received_at` (preferred) or epoch-ms `ts`, else null. */
+export function resolveTimestamp(msg) {
+  if (!isObject(msg)) return null;
+  if (msg.received_at) {
+    const parsed = new Date(msg.received_at);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+  }
+  if (typeof msg.ts !== 'undefined' && msg.ts !== null) {
+    const parsed = new Date(Number(msg.ts));
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+  }
+  return null;
+}
+
+/** Serial from the top level (serial_number / serialNumber / serial) or the nested payload. */
+export function resolveSerial(msg) {
+  if (!isObject(msg)) return null;
+  const payload = isObject(msg.payload) ? msg.payload : {};
+  const serial = msg.serial_number ?? msg.serialNumber ?? msg.serial ?? payload.serial_number ?? payload.serial;
+  return serial === undefined || serial === null || serial === '' ? null : String(serial);
+}
+
+/** The device params object: payload.params, a flat payload, or top-level params. */
+export function resolveParams(msg) {
+  if (!isObject(msg)) return {};
+  if (isObject(msg.payload)) return isObject(msg.payload.params) ? msg.payload.params : msg.payload;
+  if (isObject(msg.params)) return msg.params;
+  return {};
+}
+
+/**
+ * @typedef {Object} Reading
+ * @property {string} ts ISO timestamp (server receive time)
+ * @property {number|*} value numeric PPM when parseable, otherwise the raw value
+ * @property {boolean} numeric
+ * @property {string} rawKey 'los_ppm_merged' or the param key it came from
+ * @property {*} rawValue
+ *
+ * @typedef {Object} ParsedMessage
+ * @property {true} ok
+ * @property {string|null} serial
+ * @property {string} ts
+ * @property {Reading[]} readings
+ * @property {Object} params every device param, untouched
+ *
+ * Pass `serialNumber` to reject messages for other stations. Messages without any serial are
+ * accepted (the backend sometimes omits it on per-device topics).
+ *
+ * @returns {ParsedMessage|{ok: false, reason: string}}
+ */
+export function parseMqttMessage(msg, { serialNumber } = {}) {
+  if (!isObject(msg)) return reject(RejectReason.INVALID_MESSAGE);
+
+  const ts = resolveTimestamp(msg);
+  if (!ts) return reject(RejectReason.NO_TIMESTAMP);
+
+  const serial = resolveSerial(msg);
+  if (serial && serialNumber && !sameSerial(serial, serialNumber)) {
+    return reject(RejectReason.SERIAL_MISMATCH, { serial });
+  }
+
+  const params = resolveParams(msg);
+  const readings = [];
+
+  // Prefer the server-side merged value: it avoids rendering the int/dec parts as two readings
+  const mergedRaw = isObject(msg.los) ? msg.los.los_ppm : undefined;
+  const merged = normalizePpmValue(mergedRaw);
+
+  if (merged !== null) {
+    readings.push({ ts, value: merged, numeric: true, rawKey: 'los_ppm_merged', rawValue: mergedRaw });
+  } else {
+    // Legacy: every ppm-like param becomes a reading
+    Object.entries(params).forEach(([k, v]) => {
+      if (!isPpmKey(k)) return;
+      const numeric = normalizePpmValue(v);
+      readings.push({
+        ts,
+        value: numeric !== null ? numeric : v,
+        numeric: numeric !== null,
+        rawKey: k,
+        rawValue: v,
+      });
+    });
+  }
+
+  if (readings.length === 0) return reject(RejectReason.NO_PPM, { serial });
+
+  return { ok: true, serial, ts, readings, params };
+}
+
+/**
+ * device_status / device_ping / ping_result / ping payloads, and device_status_snapshot entries.
+ * `online` may come as boolean, 'online'/'true'/'1' string or 1/0.
+ *
+ * @returns {{ok: true, serial: string, online: boolean}|{ok: false, reason: string}}
+ */
+export function parsePingPayload(payload) {
+  if (!isObject(payload)) return reject(RejectReason.INVALID_MESSAGE);
+
+  const serial = payload.serial_number ?? payload.serialNumber ?? payload.serial ?? payload.sn;
+  if (serial === undefined || serial === null || serial === '') return reject(RejectReason.NO_SERIAL);
+
+  let online = payload.online ?? payload.isOnline ?? payload.is_online ?? payload.status ?? payload.up;
+  if (typeof online === 'string') {
+    const s = online.toLowerCase();
+    online = s === 'online' || s === 'true' || s === '1';
+  } else if (typeof online === 'number') {
+    online = online === 1;
+  } else {
+    online = !!online;
+  }
+
+  return { ok: true, serial: String(serial), online };
+}
+
+/**
+ * Every device param of an mqtt_message for this station, for the diagnostics view. Unlike
+ * parseMqttMessage it needs no PPM value; params are returned untouched (nested flags included),
+ * with the backend's merged `los` values on top.
+ *
+ * @returns {{ok: true, serial: string|null, ts: string, params: Object}|{ok: false, reason: string}}
+ */
+export function parseParamsMessage(msg, { serialNumber } = {}) {
+  if (!isObject(msg)) return reject(RejectReason.INVALID_MESSAGE);
+
+  const ts = resolveTimestamp(msg);
+  if (!ts) return reject(RejectReason.NO_TIMESTAMP);
+
+  const serial = resolveSerial(msg);
+  if (serial && serialNumber && !sameSerial(serial, serialNumber)) {
+    return reject(RejectReason.SERIAL_MISMATCH, { serial });
+  }
+
+  return { ok: true, serial, ts, params: { ...resolveParams(msg), ...(isObject(msg.los) ? msg.los : {}) } };
+}
+
+/**
+ * `signal` payload (GSM signal strength of a station, in %), as a JSON string or an object.
+ *
+ * @returns {{ok: true, serial: string, signal: number}|{ok: false, reason: string}}
+ */
+export function parseSignalPayload(message) {
+  let payload = message;
+  if (typeof message === 'string') {
+    try {
+      payload = JSON.parse(message);
+    } catch (e) {
+      return reject(RejectReason.INVALID_MESSAGE);
+    }
+  }
+  if (!isObject(payload)) return reject(RejectReason.INVALID_MESSAGE);
+
+  const serial = payload.serial_number ?? payload.serialNumber ?? payload.serial;
+  if (serial === undefined || serial === null || serial === '') return reject(RejectReason.NO_SERIAL);
+
+  const signal = payload.signal === '' || payload.signal === null ? NaN : Number(payload.signal);
+  if (!Number.isFinite(signal) || signal < 0 || signal > 100) return reject(RejectReason.NO_SIGNAL, { serial });
+
+  return { ok: true, serial: String(serial), signal };
+}
+
+/** Entry for `serialNumber` in a device_status_snapshot array, parsed like a ping; null if absent. */
+export function findSnapshotStatus(snapshot, serialNumber) {
+  if (!Array.isArray(snapshot)) return null;
+  const match = snapshot.find(s => isObject(s) && s.serial_number !== undefined && sameSerial(s.serial_number, serialNumber));
+  if (!match) return null;
+  const parsed = parsePingPayload(match);
+  return parsed.ok ? parsed : null;
+}
+
+/**
+ * threshold_updated payload. Only the los_ppm indicator is used by the app. Newer backends send every
+ * level (`levels: { warning, alarm, critical }`); older ones a single `threshold`, which is the alarm
+ * level. A non-numeric value means "cleared" (null). `rules` are the station's alarm rules, null when
+ * the backend did not send them (keep the current ones).
+ *
+ * @returns {{ok: true, serial: string, indicator: string, threshold: number|null, levels: Object, rules: Object|null}|{ok: false, reason: string}}
+ */
+export function parseThresholdUpdate(msg, { serialNumber } = {}) {
+  if (!isObject(msg)) return reject(RejectReason.INVALID_MESSAGE);
+
+  const serial = msg.serial_number ?? msg.serialNumber;
+  if (serial === undefined || serial === null || serial === '') return reject(RejectReason.NO_SERIAL);
+  if (serialNumber && !sameSerial(serial, serialNumber)) return reject(RejectReason.SERIAL_MISMATCH, { serial: String(serial) });
+
+  const indicator = msg.indicator ? String(msg.indicator).toLowerCase() : '';
+  if (indicator !== 'los_ppm') return reject(RejectReason.UNSUPPORTED_INDICATOR, { indicator });
+
+  const levels = toLevels(isObject(msg.levels) ? msg.levels : msg.threshold);
+  return {
+    ok: true,
+    serial: String(serial),
+    indicator,
+    threshold: levels.alarm,
+    levels,
+    rules: rulesFromPayload(msg.rules),
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * App-wide cache of each station's PPM-M-LO threshold levels and alarm rules
+ *
+ * Fetched from the REST API on first use and kept current from `threshold_updated` socket events
+ * (`startThresholdSync`), so background consumers such as the alarm monitor know the levels of
+ * every station, not just the one open in Main.
+ *
+ * `get(serial)` is `undefined` while unknown, otherwise `{ levels, rules }`: levels are
+ * `{ warning, alarm, critical }` with null for every unset level, rules the hysteresis and minimum
+ * duration/count applied before the alarm state changes (see Services/levels.js).
+ */
+
+import { useEffect, useState } from 'react';
+import api from './api';
+import socketManager from './socket';
+import { DEFAULT_RULES, sameLevels, sameRules, toLevels, toRules } from './levels';
+import { parseThresholdUpdate } from './telemetry';
+
+const NO_CONFIG = Object.freeze({ levels: toLevels(null), rules: DEFAULT_RULES });
+
+// `fetchThreshold` resolves `{ levels, rules }` (rules optional)
+export function createThresholdStore({ fetchThreshold = serial => api.getThresholds(serial) } = {}) {
+  const values = new Map(); // serial -> { levels, rules }
+  const pending = new Map(); // serial -> in-flight fetch
+  const versions = new Map(); // serial -> bumped on every set(), so a slow fetch can't undo a newer event
+  const listeners = new Set();
+
+  // `levels`: levels, or a single number (the alarm level); null clears every level.
+  // `rules` left out (older payloads) keeps the station's current rules.
+  const set = (serial, levels, rules) => {
+    const key = String(serial);
+    const previous = values.get(key);
+    const next = {
+      levels: toLevels(levels),
+      rules: rules ? toRules(rules) : previous ? previous.rules : DEFAULT_RULES,
+    };
+    versions.set(key, (versions.get(key) || 0) + 1);
+    if (previous && sameLevels(previous.levels, next.levels) && sameRules(previous.rules, next.rules)) return;
+    values.set(key, next);
+    listeners.forEach(l => {
+      try {
+        l(key, next);
+      } catch (e) {
+        console.warn('threshold listener error', e);
+      }
+    });
+  };
+
+  const get = serial => values.get(String(serial));
+
+  /** Fetches the levels and rules again; on failure the last known ones are kept and the error rethrown. */
+  const refresh = serial => {
+    const key = String(serial);
+    if (!pending.has(key)) {
+      const version = versions.get(key) || 0;
+      pending.set(
+        key,
+        fetchThreshold(key)
+          .then(value => {
+            if ((versions.get(key) || 0) === version) set(key, value.levels, value.rules);
+            return get(key);
+          })
+          .finally(() => pending.delete(key)),
+      );
+    }
+    return pending.get(key);
+  };
+
+  /** Known config right away, otherwise fetched; resolves no levels when they cannot be fetched. */
+  const ensure = async serial => {
+    const key = String(serial);
+    if (values.has(key)) return values.get(key);
+    try {
+      return await refresh(key);
+    } catch (e) {
+      console.warn(`Failed to fetch thresholds for ${key}`, e);
+      return NO_CONFIG;
+    }
+  };
+
+  const subscribe = listener => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { get, set, ensure, refresh, subscribe };
+}
+
+const thresholdStore = createThresholdStore();
+
+export default thresholdStore;
+
+/** Applies every station's `threshold_updated` event to the store. Returns a stop function. */
+export function startThresholdSync({ store = thresholdStore, manager = socketManager } = {}) {
+  return manager.subscribe('threshold_updated', msg => {
+    const update = parseThresholdUpdate(msg);
+    if (update.ok) store.set(update.serial, update.levels, update.rules);
+  });
+}
+
+export function useThreshold(serial, store = thresholdStore) {
+  const [value, setValue] = useState(() => (serial ? store.get(serial) : undefined));
+  useEffect(() => {
+    if (!serial) return undefined;
+    const key = String(serial);
+    setValue(store.get(key));
+    const unsubscribe = store.subscribe((changed, next) => {
+      if (changed === key) setValue(next);
+    });
+    store.ensure(key);
+    return unsubscribe;
+  }, [serial, store]);
+  return value;
+}
@@ -0,0 +1,174 @@
+/**
+ * Display units and precision for gas readings, per station serial
+ *
+ * Stations report PPM-M-LO, a path-integrated concentration (ppm·m). Each station can instead be
+ * shown as the average concentration along its beam (ppm = ppm·m / path length in metres), with a
+ * chosen number of decimal places. Readings, thresholds and rules stay in ppm·m everywhere they are
+ * stored or sent; only what is shown and typed goes through this layer:
+ *
+ *   const units = useDisplayUnits(serial);          // { unit, pathLengthM, decimals }
+ *   formatValue(reading.value, units)               // '0.49 ppm'
+ *   fromDisplay(Number(input), units)               // typed threshold -> ppm·m
+ *
+ * The settings are kept on this device (AsyncStorage) and edited on the Settings screen.
+ */
+
+import { useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const KEY_PREFIX = 'boreal.units.';
+
+export const Unit = {
+  PPM_M: 'ppm_m', // path-integrated, as reported
+  PPM: 'ppm', // average over the path length
+};
+
+export const UNIT_LABELS = {
+  [Unit.PPM_M]: 'ppm·m',
+  [Unit.PPM]: 'ppm',
+};
+
+export const MAX_DECIMALS = 4;
+
+export const DEFAULT_UNITS = Object.freeze({ unit: Unit.PPM_M, pathLengthM: null, decimals: 2 });
+
+/** Settings with bad or missing fields defaulted; average ppm needs a positive path length. */
+export function toUnits(raw) {
+  if (!raw || typeof raw !== 'object') return DEFAULT_UNITS;
+  const pathLengthM = Number(raw.pathLengthM);
+  const decimals = Number(raw.decimals);
+  const hasPath = raw.pathLengthM !== null && raw.pathLengthM !== undefined && pathLengthM > 0;
+  return {
+    unit: raw.unit === Unit.PPM && hasPath ? Unit.PPM : Unit.PPM_M,
+    pathLengthM: hasPath ? pathLengthM : null,
+    decimals:
+      Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS ? decimals : DEFAULT_UNITS.decimals,
+  };
+}
+
+/** User-facing problem with a set of display settings, else null. */
+export function validateUnits({ unit, pathLengthM, decimals }) {
+  if (unit === Unit.PPM && !(pathLengthM > 0)) return 'Average ppm needs the path length in metres.';
+  if (pathLengthM !== null && !(pathLengthM > 0)) return 'Path length must be more than 0 m.';
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+    return `Decimal places must be a whole number from 0 to ${MAX_DECIMALS}.`;
+  }
+  return null;
+}
+
+export const unitLabel = units => UNIT_LABELS[toUnits(units).unit];
+
+/** Short name of the shown quantity for headings: PPM-M-LO, or PPM-LO when averaged over the path. */
+export const quantityLabel = units => (toUnits(units).unit === Unit.PPM ? 'PPM-LO' : 'PPM-M-LO');
+
+/** A ppm·m value in the display unit (unrounded); non-numbers are returned as they are. */
+export function toDisplay(value, units) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+  const { unit, pathLengthM } = toUnits(units);
+  return unit === Unit.PPM ? value / pathLengthM : value;
+}
+
+/** A value typed in the display unit back to ppm·m. */
+export function fromDisplay(value, units) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+  const { unit, pathLengthM } = toUnits(units);
+  return unit === Unit.PPM ? value * pathLengthM : value;
+}
+
+/** Rounded to the display precision, without the unit (for inputs and labels). */
+export function formatNumber(value, units) {
+  const shown = toDisplay(value, units);
+  if (shown === null || shown === undefined) return '-';
+  if (typeof shown !== 'number' || !Number.isFinite(shown)) return String(shown);
+  return shown.toFixed(toUnits(units).decimals);
+}
+
+/** '12.35 ppm·m' / '0.49 ppm'; non-numeric readings (e.g. error codes) are shown as they are. */
+export function formatValue(value, units) {
+  const text = formatNumber(value, units);
+  return typeof toDisplay(value, units) === 'number' ? `${text} ${unitLabel(units)}` : text;
+}
+
+export function createUnitStore({ storage = AsyncStorage } = {}) {
+  const values = new Map(); // serial -> units
+  const loads = new Map();
+  const listeners = new Map(); // serial -> Set<listener(units)>
+
+  const keyFor = serial => `${KEY_PREFIX}${serial}`;
+
+  const get = serial => values.get(String(serial)) || DEFAULT_UNITS;
+
+  const notify = serial =>
+    (listeners.get(serial) || []).forEach(l => {
+      try {
+        l(get(serial));
+      } catch (e) {
+        console.warn('units listener error', e);
+      }
+    });
+
+  const load = serial => {
+    const key = String(serial);
+    if (!loads.has(key)) {
+      loads.set(
+        key,
+        (async () => {
+          try {
+            const raw = await storage.getItem(keyFor(key));
+            if (raw && !values.has(key)) {
+              values.set(key, toUnits(JSON.parse(raw)));
+              notify(key);
+            }
+          } catch (e) {
+            console.warn(`Failed to load display units for ${key}`, e);
+          }
+          return get(key);
+        })(),
+      );
+    }
+    return loads.get(key);
+  };
+
+  /** Saves the station's display settings; resolves the stored (normalized) settings. */
+  const set = async (serial, units) => {
+    const key = String(serial);
+    const next = toUnits(units);
+    values.set(key, next);
+    notify(key);
+    await storage.setItem(keyFor(key), JSON.stringify(next));
+    return next;
+  };
+
+  const subscribe = (serial, listener) => {
+    const key = String(serial);
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    return () => listeners.get(key)?.delete(listener);
+  };
+
+  return { load, get, set, subscribe };
+}
+
+const unitStore = createUnitStore();
+
+export default unitStore;
+
+/* ---------- React hook ---------- */
+
+export function useDisplayUnits(serial, store = unitStore) {
+  const [units, setUnits] = useState(() => (serial ? store.get(serial) : DEFAULT_UNITS));
+  useEffect(() => {
+    if (!serial) return undefined;
+    let cancelled = false;
+    setUnits(store.get(serial));
+    const unsubscribe = store.subscribe(serial, setUnits);
+    store.load(serial).then(() => {
+      if (!cancelled) setUnits(store.get(serial));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [serial, store]);
+  return units;
+}
@@ -0,0 +1,261 @@
+/**
+ * @format
+ */
+
+import {
+  acknowledgeEpisode,
+  applyEpisodeRetention,
+  createAlarmStore,
+  episodeDuration,
+  initialEpisodeState,
+  startAlarmMonitor,
+  stepEpisodes,
+  unacknowledged,
+} from '../Services/alarms';
+import { startAlarmNotifications } from '../Services/alarmNotifications';
+import { createReadingStore } from '../Services/readingStore';
+import { makeReading } from '../Services/readings';
+import { createThresholdStore } from '../Services/thresholds';
+import { createUnitStore, Unit } from '../Services/units';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+const reading = (s, value) => makeReading(at(s), value);
+
+const fold = (values, threshold, rules) =>
+  values.reduce(
+    (state, value, i) => stepEpisodes(state, reading(i * 10, value), threshold, 'SN1', rules),
+    initialEpisodeState,
+  );
+
+describe('stepEpisodes', () => {
+  test('a leak above the threshold becomes one episode with start, end, peak and threshold', () => {
+    const { episodes } = fold([5, 30, 42, 35, 20, 4], 25);
+    expect(episodes).toEqual([
+      {
+        id: `SN1-${T0 + 10000}`,
+        serial: 'SN1',
+        startedAt: at(10),
+        endedAt: at(40),
+        peak: 42,
+        peakAt: at(20),
+        level: 'alarm',
+        currentLevel: 'normal',
+        threshold: 25,
+        levels: { warning: null, alarm: 25, critical: null },
+        count: 3,
+      },
+    ]);
+    expect(episodeDuration(episodes[0])).toBe(30000);
+  });
+
+  test('separate crossings open separate episodes; the last stays ongoing', () => {
+    const { episodes } = fold([30, 10, 26, 27], 25);
+    expect(episodes.map(e => [e.startedAt, e.endedAt])).toEqual([
+      [at(0), at(10)],
+      [at(20), null],
+    ]);
+    expect(episodeDuration(episodes[1], T0 + 45000)).toBe(25000);
+  });
+
+  test('without a threshold nothing opens, and an open episode closes', () => {
+    expect(fold([30, 40], null).episodes).toEqual([]);
+    const open = fold([30], 25);
+    expect(stepEpisodes(open, reading(10, 30), null, 'SN1').episodes[0].endedAt).toBe(at(10));
+  });
+
+  test('ignores non-numeric and already-processed readings', () => {
+    const state = fold([30], 25);
+    expect(stepEpisodes(state, makeReading(at(5), 'n/a'), 25)).toBe(state);
+    expect(stepEpisodes(state, reading(0, 99), 25)).toBe(state);
+  });
+});
+
+test('applyEpisodeRetention keeps ongoing episodes and the newest ones', () => {
+  const ended = s => ({ id: String(s), startedAt: at(s), endedAt: at(s + 1) });
+  const ongoing = { id: 'open', startedAt: at(0), endedAt: null };
+  const list = [ended(0), ended(100), ongoing];
+  expect(applyEpisodeRetention(list, { maxAgeMs: 50000, now: T0 + 120000 }).map(e => e.id)).toEqual(['100', 'open']);
+  expect(applyEpisodeRetention(list, { maxEpisodes: 1 }).map(e => e.id)).toEqual(['open']);
+  expect(applyEpisodeRetention(list, {})).toBe(list);
+});
+
+test('alarm store lists episodes newest first and restores them after a restart', async () => {
+  const storage = memoryStorage();
+  const store = createAlarmStore({ storage, now: () => T0 });
+  await store.load('SN1');
+  store.process('SN1', [reading(20, 1), reading(10, 30), reading(0, 28), reading(30, 50)], 25);
+  expect(store.get('SN1').map(e => [e.startedAt, e.endedAt])).toEqual([
+    [at(30), null],
+    [at(0), at(20)],
+  ]);
+  await store.flush();
+
+  const restarted = createAlarmStore({ storage, now: () => T0 });
+  await restarted.load('SN1');
+  expect(restarted.get('SN1')).toEqual(store.get('SN1'));
+});
+
+test('the monitor folds newly recorded readings with the station threshold', async () => {
+  const readings = createReadingStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+  const alarms = createAlarmStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+  const thresholds = createThresholdStore({ fetchThreshold: async () => ({ levels: 25 }) });
+  const stop = startAlarmMonitor({ readings, alarms, thresholds });
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  readings.add('SN1', [reading(0, 10), reading(10, 40)]);
+  readings.add('SN1', [reading(20, 12)]);
+  await settle();
+  thresholds.set('SN1', 5); // e.g. threshold_updated from another phone
+  readings.add('SN1', [reading(30, 12)]);
+  await settle();
+  stop();
+
+  expect(alarms.get('SN1').map(e => [e.startedAt, e.endedAt, e.threshold])).toEqual([
+    [at(30), null, 5],
+    [at(10), at(20), 25],
+  ]);
+});
+
+test('a threshold event wins over a slower REST fetch that started before it', async () => {
+  let resolveFetch;
+  const thresholds = createThresholdStore({
+    fetchThreshold: () =>
+      new Promise(resolve => {
+        resolveFetch = resolve;
+      }),
+  });
+  const pending = thresholds.ensure('SN1');
+  thresholds.set('SN1', 5);
+  resolveFetch({ levels: 25 });
+  await expect(pending).resolves.toMatchObject({ levels: { warning: null, alarm: 5, critical: null } });
+  expect(thresholds.get('SN1').levels.alarm).toBe(5);
+});
+
+test('with several levels an episode opens at the lowest one and records the highest reached', () => {
+  const levels = { warning: 10, alarm: 25, critical: 50 };
+  const { episodes } = fold([5, 12, 30, 60, 20, 8, 15, 9], levels);
+  expect(episodes.map(e => [e.startedAt, e.endedAt, e.level, e.threshold, e.peak])).toEqual([
+    [at(10), at(50), 'critical', 10, 60],
+    [at(60), at(70), 'warning', 10, 15],
+  ]);
+});
+
+describe('acknowledgements', () => {
+  const ackOf = (episodeId, s, name = 'Field Operator') => ({
+    serial: 'SN1',
+    episodeId,
+    startedAt: null,
+    by: { username: name.toLowerCase(), name },
+    at: at(s),
+    comment: '',
+  });
+
+  test('are attached to their episode, the earliest one wins, and they survive a restart', async () => {
+    const storage = memoryStorage();
+    const store = createAlarmStore({ storage, now: () => T0 });
+    store.process('SN1', [reading(0, 30), reading(10, 5), reading(20, 40)], 25);
+    const [ongoing, ended] = store.get('SN1');
+    expect(unacknowledged(store.get('SN1'))).toHaveLength(2);
+
+    expect(await store.acknowledge('SN1', ackOf(ended.id, 60))).toBe(true);
+    expect(await store.acknowledge('SN1', ackOf(ended.id, 90, 'Site Admin'))).toBe(false);
+    expect(store.get('SN1')[1].ack.by.name).toBe('Field Operator');
+    expect(unacknowledged(store.get('SN1')).map(e => e.id)).toEqual([ongoing.id]);
+
+    await store.flush();
+    const restarted = createAlarmStore({ storage, now: () => T0 });
+    await restarted.load('SN1');
+    expect(restarted.get('SN1')[1].ack).toEqual(ackOf(ended.id, 60));
+  });
+
+  test('one broadcast before the episode was recorded here is applied once it is', async () => {
+    const store = createAlarmStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+    await store.acknowledge('SN1', ackOf(`SN1-${T0}`, 5));
+    expect(store.get('SN1')).toEqual([]);
+    store.process('SN1', [reading(0, 30)], 25);
+    expect(store.get('SN1')[0].ack).toEqual(ackOf(`SN1-${T0}`, 5));
+  });
+
+  test('acknowledgeEpisode posts the episode and records what the backend returns', async () => {
+    const store = createAlarmStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+    store.process('SN1', [reading(0, 30)], 25);
+    const [episode] = store.get('SN1');
+    const client = { acknowledgeAlarm: jest.fn(async () => ackOf(episode.id, 15)) };
+
+    await acknowledgeEpisode(episode, 'checked on site', { client, store });
+    expect(client.acknowledgeAlarm).toHaveBeenCalledWith('SN1', {
+      episodeId: episode.id,
+      startedAt: at(0),
+      comment: 'checked on site',
+    });
+    expect(store.get('SN1')[0].ack.at).toBe(at(15));
+  });
+});
+
+test('hysteresis and a minimum count keep a value hovering around the threshold in one episode', () => {
+  const rules = { hysteresis: 3, minDurationMs: 0, minCount: 2 };
+  // a single reading above does not open; two do, from the first of them
+  const { episodes } = fold([24, 26, 24, 26, 27, 24, 26, 23.5, 21, 20, 30], 25, rules);
+  expect(episodes.map(e => [e.startedAt, e.endedAt, e.peak, e.count])).toEqual([
+    [at(30), at(80), 27, 3],
+  ]);
+});
+
+test('a minimum duration delays opening until the exceedance has lasted long enough', () => {
+  const rules = { hysteresis: 0, minDurationMs: 20000, minCount: 1 };
+  expect(fold([30, 30, 10], 25, rules).episodes).toEqual([]);
+  const { episodes } = fold([30, 40, 30, 10, 10, 10], 25, rules);
+  expect(episodes.map(e => [e.startedAt, e.endedAt, e.peak, e.currentLevel])).toEqual([
+    [at(0), at(30), 40, 'normal'],
+  ]);
+});
+
+test('the store reports episodes opening and escalating, once each', async () => {
+  const store = createAlarmStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+  const transitions = [];
+  store.onTransition(t => transitions.push([t.type, t.serial, t.episode.level, t.at]));
+  await store.load('SN1');
+  const levels = { warning: 10, alarm: 25, critical: null };
+  store.process('SN1', [reading(0, 12), reading(10, 14)], levels);
+  store.process('SN1', [reading(20, 30), reading(30, 28), reading(40, 4)], levels);
+  expect(transitions).toEqual([
+    ['opened', 'SN1', 'warning', T0],
+    ['escalated', 'SN1', 'alarm', T0 + 20000],
+  ]);
+});
+
+test('notifications are raised for recent transitions only, not for backfilled history', async () => {
+  const store = createAlarmStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+  const units = createUnitStore({ storage: memoryStorage() });
+  await units.set('SN2', { unit: Unit.PPM, pathLengthM: 20, decimals: 1 });
+  const notified = [];
+  const stop = startAlarmNotifications({
+    alarms: store,
+    units,
+    notify: n => notified.push(n),
+    now: () => T0 + 60 * 60 * 1000,
+  });
+  await store.load('SN1');
+  store.process('SN1', [reading(0, 30), reading(10, 4)], 25); // an hour old
+  store.process('SN1', [reading(3590, 40)], 25);
+  store.process('SN2', [reading(3590, 40)], 25);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  stop();
+  expect(notified).toEqual([
+    {
+      title: 'SN1: Alarm',
+      message: 'PPM-M-LO above 25.00 ppm·m (peak 40.00 ppm·m)',
+      serial: 'SN1',
+      episodeId: `SN1-${T0 + 3590000}`,
+    },
+    {
+      title: 'SN2: Alarm',
+      message: 'PPM-LO above 1.3 ppm (peak 2.0 ppm)',
+      serial: 'SN2',
+      episodeId: `SN2-${T0 + 3590000}`,
+    },
+  ]);
+  await store.flush();
+});
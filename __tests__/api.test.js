@@ -0,0 +1,218 @@
+/**
+ * @format
+ */
+
+import {
+  createApiClient,
+  ApiError,
+  ApiErrorKind,
+  normalizeThresholds,
+  normalizeHistory,
+  normalizeSession,
+} from '../Services/api';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+const makeClient = (responses, opts = {}) => {
+  const calls = [];
+  const fetchImpl = jest.fn(async (url, init) => {
+    calls.push({ url, init });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+  const client = createApiClient({ baseUrl: 'http://test.local/', fetchImpl, retryDelayMs: 0, ...opts });
+  return { client, calls, fetchImpl };
+};
+
+test('listRemoteStations filters by category, sorts by name and normalizes fields', async () => {
+  const { client, calls } = makeClient([
+    jsonResponse(200, [
+      { id: 2, name: 'Zeta', serial_number: 'SN2', category: 'boreal' },
+      { id: 3, name: 'Other', serial_number: 'SN3', category: 'meter' },
+      { id: 1, name: 'Alpha', serial_number: 'SN1', category: 'boreal' },
+    ]),
+  ]);
+
+  const stations = await client.listRemoteStations({ category: 'boreal' });
+
+  expect(calls[0].url).toBe('http://test.local/api/remote_stations');
+  expect(stations).toEqual([
+    { id: 1, name: 'Alpha', serialNumber: 'SN1', category: 'boreal' },
+    { id: 2, name: 'Zeta', serialNumber: 'SN2', category: 'boreal' },
+  ]);
+});
+
+test('retries GET on 5xx and network errors, then succeeds', async () => {
+  const { client, fetchImpl } = makeClient([
+    jsonResponse(503, 'busy'),
+    new TypeError('Network request failed'),
+    jsonResponse(200, { status: 'online' }),
+  ]);
+
+  await expect(client.getPingStatus('SN1')).resolves.toEqual({ online: true });
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry 4xx and exposes status and body', async () => {
+  const { client, fetchImpl } = makeClient([jsonResponse(400, { error: 'bad value' })]);
+
+  const err = await client.updateThresholds('SN1', { losPpm: 5 }).catch(e => e);
+
+  expect(err).toBeInstanceOf(ApiError);
+  expect(err.kind).toBe(ApiErrorKind.HTTP);
+  expect(err.status).toBe(400);
+  expect(err.body).toEqual({ error: 'bad value' });
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('classifies an aborted request as a timeout', async () => {
+  const fetchImpl = (url, { signal }) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')));
+    });
+  const client = createApiClient({ baseUrl: 'http://test.local', fetchImpl, timeoutMs: 5, retries: 0 });
+
+  const err = await client.getThresholds('SN1').catch(e => e);
+
+  expect(err.kind).toBe(ApiErrorKind.TIMEOUT);
+});
+
+test('normalizeThresholds understands every known payload shape', () => {
+  const alarmOnly = alarm => ({ losPpm: alarm, levels: { warning: null, alarm, critical: null }, rules: null });
+  expect(normalizeThresholds({ los_ppm: '12.5' })).toEqual(alarmOnly(12.5));
+  expect(normalizeThresholds({ thresholds: { los_ppm: 3 } })).toEqual(alarmOnly(3));
+  expect(normalizeThresholds([{ indicator: 'los_ppm', threshold: 7 }])).toEqual(alarmOnly(7));
+  expect(normalizeThresholds({})).toEqual(alarmOnly(null));
+  expect(normalizeThresholds(null)).toEqual(alarmOnly(null));
+});
+
+test('normalizeThresholds reads warning / alarm / critical levels', () => {
+  const levels = { warning: 10, alarm: 25, critical: 50 };
+  expect(normalizeThresholds({ los_ppm: 25, levels: { warning: '10', alarm: 25, critical: 50 } })).toEqual({
+    losPpm: 25,
+    levels,
+    rules: null,
+  });
+  expect(normalizeThresholds({ los_ppm_warning: 10, los_ppm: 25, los_ppm_critical: 50 })).toEqual({
+    losPpm: 25,
+    levels,
+    rules: null,
+  });
+  expect(
+    normalizeThresholds([
+      { indicator: 'los_ppm_critical', threshold: 50 },
+      { indicator: 'los_ppm', threshold: 25 },
+      { indicator: 'los_ppm_warning', threshold: 10 },
+    ]),
+  ).toEqual({ losPpm: 25, levels, rules: null });
+});
+
+test('normalizeThresholds reads the alarm rules, with defaults for missing fields', () => {
+  expect(
+    normalizeThresholds({ los_ppm: 25, rules: { hysteresis: 2, min_duration_s: 10, min_count: 3, expected_interval_s: 0 } })
+      .rules,
+  ).toEqual({
+    hysteresis: 2,
+    minDurationMs: 10000,
+    minCount: 3,
+    expectedIntervalMs: 0,
+  });
+  expect(normalizeThresholds({ los_ppm: 25, rules: { hysteresis: '1.5' } }).rules).toEqual({
+    hysteresis: 1.5,
+    minDurationMs: 0,
+    minCount: 1,
+    expectedIntervalMs: 0,
+  });
+});
+
+test('updateThresholds sends the levels with los_ppm as the alarm level, or an empty body to unset', async () => {
+  const { client, calls } = makeClient([
+    jsonResponse(200, {}),
+    jsonResponse(200, {}),
+    jsonResponse(200, {}),
+    jsonResponse(200, {}),
+  ]);
+  await client.updateThresholds('SN1', { levels: { warning: 10, alarm: null, critical: 40 } });
+  await client.updateThresholds('SN1', { losPpm: 5 });
+  await client.updateThresholds('SN1', { levels: { warning: null, alarm: null, critical: null } });
+  await client.updateThresholds('SN1', { losPpm: 5, rules: { hysteresis: 1, minDurationMs: 5000, minCount: 2 } });
+  expect(calls.map(c => JSON.parse(c.init.body))).toEqual([
+    { los_ppm: null, levels: { warning: 10, alarm: null, critical: 40 } },
+    { los_ppm: 5, levels: { warning: null, alarm: 5, critical: null } },
+    {},
+    {
+      los_ppm: 5,
+      levels: { warning: null, alarm: 5, critical: null },
+      rules: { hysteresis: 1, min_duration_s: 5, min_count: 2, expected_interval_s: 0 },
+    },
+  ]);
+});
+
+test('normalizeHistory accepts live-message and flat rows, drops junk and sorts oldest first', () => {
+  expect(
+    normalizeHistory({
+      readings: [
+        { ts: 1700000060000, value: '4.5' },
+        { received_at: '2023-11-14T22:13:20.000Z', los: { los_ppm: 3 } },
+        { ts: 'not a date', value: 1 },
+        { ts: 1700000120000, value: null },
+      ],
+    }),
+  ).toEqual([
+    { ts: '2023-11-14T22:13:20.000Z', value: 3 },
+    { ts: '2023-11-14T22:14:20.000Z', value: 4.5 },
+  ]);
+});
+
+test('attaches the bearer token, and replays once after a 401 when the session refreshed', async () => {
+  let token = 'old';
+  const onUnauthorized = jest.fn(async () => {
+    token = 'new';
+    return true;
+  });
+  const { client, calls } = makeClient([jsonResponse(401, { error: 'expired' }), jsonResponse(200, { los_ppm: 4 })], {
+    getAuthToken: async () => token,
+    onUnauthorized,
+  });
+
+  await expect(client.getThresholds('SN1')).resolves.toMatchObject({ losPpm: 4 });
+  expect(calls.map(c => c.init.headers.Authorization)).toEqual(['Bearer old', 'Bearer new']);
+  expect(onUnauthorized).toHaveBeenCalledTimes(1);
+});
+
+test('login is sent without a bearer token and a second 401 is not replayed again', async () => {
+  const onUnauthorized = jest.fn(async () => true);
+  const { client, calls } = makeClient(
+    [
+      jsonResponse(200, { access_token: 'a1', refresh_token: 'r1', expires_in: 60, user: { username: 'op', role: 'Operator' } }),
+      jsonResponse(401, {}),
+      jsonResponse(401, {}),
+    ],
+    { getAuthToken: async () => 'a1', onUnauthorized },
+  );
+
+  const session = await client.login('op', 'secret');
+  expect(calls[0].init.headers.Authorization).toBeUndefined();
+  expect(JSON.parse(calls[0].init.body)).toEqual({ username: 'op', password: 'secret' });
+  expect(session.user).toEqual({ id: null, username: 'op', name: 'op', role: 'operator' });
+
+  await expect(client.getPingStatus('SN1')).rejects.toMatchObject({ status: 401 });
+  expect(onUnauthorized).toHaveBeenCalledTimes(1);
+});
+
+test('normalizeSession reads token fields and turns the lifetime into epoch ms', () => {
+  const now = 1700000000000;
+  expect(normalizeSession({ token: 't', expires_in: '30', user: { id: 7, name: 'Ann', email: 'ann@x' } }, { now })).toEqual({
+    accessToken: 't',
+    refreshToken: null,
+    expiresAt: now + 30000,
+    user: { id: 7, username: 'ann@x', name: 'Ann', role: null },
+  });
+  expect(normalizeSession({ accessToken: 't', expiresAt: '2023-11-14T22:13:20.000Z' }).expiresAt).toBe(now);
+  expect(normalizeSession({ user: {} })).toBeNull();
+});
@@ -0,0 +1,71 @@
+/**
+ * @format
+ */
+
+import {
+  flattenParams,
+  formatParamDelta,
+  formatParamValue,
+  paramRows,
+  updateParams,
+} from '../Services/diagnostics';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+
+test('flattenParams turns nested flags into dotted keys', () => {
+  expect(flattenParams({ light: 880, status: { door: 1, fan: { on: true } }, list: [1, 2] })).toEqual({
+    light: 880,
+    'status.door': 1,
+    'status.fan.on': true,
+    list: [1, 2],
+  });
+});
+
+test('updateParams keeps each param with its update time and the change since the message before', () => {
+  let params = updateParams({}, { temperature: 21.5, light: 880, firmware: 'v1.2' }, at(0));
+  expect(params.temperature).toEqual({
+    key: 'temperature',
+    value: 21.5,
+    updatedAt: at(0),
+    previousValue: undefined,
+    delta: null,
+    changed: false,
+  });
+
+  params = updateParams(params, { temperature: '21.6', light: 880, firmware: 'v1.3' }, at(30));
+  expect(params.temperature).toMatchObject({ value: '21.6', updatedAt: at(30), previousValue: 21.5, changed: true });
+  expect(params.temperature.delta).toBeCloseTo(0.1);
+  expect(params.light).toMatchObject({ delta: 0, changed: false });
+  expect(params.firmware).toMatchObject({ delta: null, changed: true });
+
+  // params missing from a message keep their last value and time
+  params = updateParams(params, { light: 870 }, at(60));
+  expect(params.temperature.updatedAt).toBe(at(30));
+  expect(params.light).toMatchObject({ value: 870, updatedAt: at(60), delta: -10 });
+});
+
+test('rows list known params first with friendly labels and units, then the rest by key', () => {
+  const message = { zeta: 1, temperature: 21.5, laser_temp: 30, los_ppm: 12.75, status: { door: 0 } };
+  const params = updateParams({}, message, at(0));
+  expect(paramRows(params).map(r => [r.key, r.label, r.unit])).toEqual([
+    ['los_ppm', 'PPM-M-LO', 'ppm·m'],
+    ['temperature', 'Temperature', '°C'],
+    ['laser_temp', 'Laser temp', null],
+    ['status.door', 'Status › door', null],
+    ['zeta', 'Zeta', null],
+  ]);
+});
+
+test('values and changes are formatted for the table', () => {
+  expect(formatParamValue(21.5, '°C')).toBe('21.5 °C');
+  expect(formatParamValue(1 / 3)).toBe('0.333');
+  expect(formatParamValue(true)).toBe('true');
+  expect(formatParamValue([1, 2])).toBe('[1,2]');
+
+  const params = updateParams(updateParams({}, { a: 1.5, b: 'x', c: 4 }, at(0)), { a: 1, b: 'y', c: 4.25 }, at(1));
+  expect(formatParamDelta(params.a)).toBe('-0.5');
+  expect(formatParamDelta(params.b)).toBe('changed');
+  expect(formatParamDelta(params.c)).toBe('+0.25');
+  expect(formatParamDelta(updateParams({}, { a: 1 }, at(0)).a)).toBe('');
+});
@@ -0,0 +1,125 @@
+/**
+ * @format
+ */
+
+import { buildExport, ExportFormat, exportFileName, exportStation, rangeFor, toCsv, toJson } from '../Services/export';
+import { createAlarmStore } from '../Services/alarms';
+import { createReadingStore } from '../Services/readingStore';
+import { makeReading } from '../Services/readings';
+import { createThresholdStore } from '../Services/thresholds';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+
+const episode = (start, end, extra = {}) => ({
+  id: `SN1-${T0 + start * 1000}`,
+  serial: 'SN1',
+  startedAt: at(start),
+  endedAt: end === null ? null : at(end),
+  peak: 40,
+  peakAt: at(start),
+  level: 'alarm',
+  threshold: 25,
+  count: 2,
+  ...extra,
+});
+
+const thresholds = {
+  levels: { warning: 10, alarm: 25, critical: null },
+  rules: { hysteresis: 2, minDurationMs: 4000, minCount: 1, expectedIntervalMs: 30000 },
+};
+
+test('buildExport keeps the readings and overlapping episodes of the range', () => {
+  const data = buildExport({
+    station: { serialNumber: 'SN1', name: 'North Fence' },
+    readings: [makeReading(at(0), 5), makeReading(at(100), 30), makeReading(at(200), 7)],
+    episodes: [episode(300, null), episode(50, 150), episode(0, 40)],
+    thresholds,
+    range: { from: T0 + 60000, to: T0 + 400000 },
+    exportedAt: T0 + 400000,
+    exportedBy: 'operator',
+  });
+  expect(data.readings).toEqual([
+    { ts: at(100), value: 30, source: 'live' },
+    { ts: at(200), value: 7, source: 'live' },
+  ]);
+  expect(data.episodes.map(e => [e.startedAt, e.durationS])).toEqual([
+    [at(50), 100],
+    [at(300), 100],
+  ]);
+  expect(data.station).toEqual({ serialNumber: 'SN1', name: 'North Fence', category: null, online: null });
+  expect(data.range).toEqual({ from: at(60), to: at(400) });
+  expect(JSON.parse(toJson(data))).toEqual(data);
+});
+
+test('toCsv writes details, readings and episodes, quoting where needed', () => {
+  const ack = { by: { username: 'op', name: 'Field Operator' }, at: at(20), comment: 'closed valve, "B"' };
+  const data = buildExport({
+    station: { serialNumber: 'SN1', name: 'Yard, East', online: true },
+    readings: [makeReading(at(0), 30)],
+    episodes: [episode(0, 10, { ack })],
+    thresholds,
+    exportedAt: T0 + 60000,
+  });
+  const lines = toCsv(data).split('\r\n');
+  expect(lines).toContain('Station name,"Yard, East"');
+  expect(lines).toContain('Online,yes');
+  expect(lines).toContain('Alarm level (PPM-M-LO),25.00');
+  expect(lines).toContain('Min. duration (s),4');
+  expect(lines).toContain('Time,PPM-M-LO,Source');
+  expect(lines).toContain(`${at(0)},30.00,live`);
+  expect(lines[lines.length - 1]).toBe(
+    `SN1-${T0},${at(0)},${at(10)},10,alarm,40.00,${at(0)},25.00,2,Field Operator,${at(20)},"closed valve, ""B"""`,
+  );
+});
+
+test('the CSV is written in the display units while the JSON keeps ppm·m', () => {
+  const data = buildExport({
+    station: { serialNumber: 'SN1' },
+    readings: [makeReading(at(0), 30), makeReading(at(10), 'E05')],
+    episodes: [episode(0, 10)],
+    thresholds,
+    units: { unit: 'ppm', pathLengthM: 20, decimals: 1 },
+    exportedAt: T0 + 60000,
+  });
+  expect(data.units).toEqual({ unit: 'ppm', pathLengthM: 20, decimals: 1, label: 'ppm' });
+  expect(data.readings.map(r => r.value)).toEqual([30, 'E05']);
+
+  const lines = toCsv(data).split('\r\n');
+  expect(lines).toContain('Path length (m),20');
+  expect(lines).toContain('Alarm level (PPM-LO),1.3');
+  expect(lines).toContain('Clear hysteresis (PPM-LO),0.1');
+  expect(lines).toContain('Time,PPM-LO,Source');
+  expect(lines).toContain(`${at(0)},1.5,live`);
+  expect(lines).toContain(`${at(10)},E05,live`);
+  expect(lines[lines.length - 1]).toMatch(/,alarm,2\.0,/);
+});
+
+test('exportStation shares the stored data under a dated file name', async () => {
+  const readings = createReadingStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+  const alarms = createAlarmStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => T0 });
+  const store = createThresholdStore({ fetchThreshold: async () => thresholds });
+  readings.add('SN1', [makeReading(at(-7200), 3), makeReading(at(-60), 30)]);
+  const client = { listRemoteStations: async () => [{ id: 1, name: 'North Fence', serialNumber: 'SN1', category: 'boreal' }] };
+  const shared = [];
+  const share = async file => {
+    shared.push(file);
+    return { success: true };
+  };
+
+  await exportStation(
+    'SN1',
+    { format: ExportFormat.JSON, rangeKey: '1h', online: true, now: T0 },
+    { client, readings, alarms, thresholds: store, share },
+  );
+
+  expect(shared).toHaveLength(1);
+  expect(shared[0]).toMatchObject({ fileName: 'boreal-SN1-20250301-1000.json', mimeType: 'application/json' });
+  const data = JSON.parse(shared[0].content);
+  expect(data.station.name).toBe('North Fence');
+  expect(data.readings.map(r => r.value)).toEqual([30]);
+  expect(data.thresholds).toEqual(thresholds);
+  expect(exportFileName(data, ExportFormat.CSV)).toBe('boreal-SN1-20250301-1000.csv');
+  expect(rangeFor('all', T0)).toEqual({ from: null, to: T0 });
+});
@@ -0,0 +1,31 @@
+/**
+ * In-memory AsyncStorage stand-in for the store tests. `data` is the backing map; `hold()` holds
+ * back reads until the function it returns is called, to test what happens while a load is pending.
+ */
+export const memoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  let gate = null;
+  return {
+    data,
+    hold() {
+      let release;
+      gate = new Promise(resolve => {
+        release = resolve;
+      });
+      return () => {
+        gate = null;
+        release();
+      };
+    },
+    getItem: async key => {
+      if (gate) await gate;
+      return data.has(key) ? data.get(key) : null;
+    },
+    setItem: async (key, value) => {
+      data.set(key, value);
+    },
+    removeItem: async key => {
+      data.delete(key);
+    },
+  };
+};
@@ -0,0 +1,78 @@
+/**
+ * @format
+ */
+
+import {
+  classify,
+  initialLevelState,
+  Level,
+  lowestLevel,
+  NO_LEVELS,
+  stepLevel,
+  targetLevel,
+  toLevels,
+  validateLevels,
+  validateRules,
+} from '../Services/levels';
+
+const levels = { warning: 10, alarm: 25, critical: 50 };
+
+test('a reading is at the highest level it is strictly above', () => {
+  expect(classify(10, levels)).toBe(Level.NORMAL);
+  expect(classify(10.01, levels)).toBe(Level.WARNING);
+  expect(classify(25.5, levels)).toBe(Level.ALARM);
+  expect(classify(80, levels)).toBe(Level.CRITICAL);
+  expect(classify(80, { ...levels, critical: null })).toBe(Level.ALARM);
+  expect(classify('n/a', levels)).toBe(Level.NORMAL);
+  expect(classify(80, NO_LEVELS)).toBe(Level.NORMAL);
+});
+
+test('a single number is the alarm level; unset levels are null', () => {
+  expect(toLevels(25)).toEqual({ warning: null, alarm: 25, critical: null });
+  expect(toLevels(null)).toEqual(NO_LEVELS);
+  expect(toLevels({ warning: '5', critical: '' })).toEqual({ warning: 5, alarm: null, critical: null });
+  expect(lowestLevel({ warning: null, alarm: 25, critical: 40 })).toEqual({ level: Level.ALARM, threshold: 25 });
+  expect(lowestLevel(NO_LEVELS)).toBeNull();
+});
+
+test('levels must be non-negative and strictly increasing (unset ones are skipped)', () => {
+  expect(validateLevels(levels)).toBeNull();
+  expect(validateLevels({ warning: 30, alarm: null, critical: 20 })).toBe('Critical must be higher than Warning.');
+  expect(validateLevels({ warning: 25, alarm: 25, critical: null })).toBe('Alarm must be higher than Warning.');
+  expect(validateLevels({ warning: -1, alarm: null, critical: null })).toBe('Warning cannot be negative.');
+});
+
+test('with hysteresis a level is only left once the value falls to its clear level', () => {
+  expect(targetLevel(24, levels, Level.ALARM, 2)).toBe(Level.ALARM);
+  expect(targetLevel(23, levels, Level.ALARM, 2)).toBe(Level.WARNING);
+  expect(targetLevel(45, levels, Level.CRITICAL, 10)).toBe(Level.CRITICAL);
+  expect(targetLevel(12, levels, Level.CRITICAL, 10)).toBe(Level.WARNING);
+  // rising is never delayed by hysteresis
+  expect(targetLevel(26, levels, Level.WARNING, 2)).toBe(Level.ALARM);
+});
+
+test('stepLevel only changes level after the minimum count and duration', () => {
+  const rules = { hysteresis: 0, minDurationMs: 5000, minCount: 2 };
+  const steps = [
+    [0, 30],
+    [2000, 31],
+    [6000, 29],
+    [8000, 5],
+  ];
+  const seen = [];
+  steps.reduce((state, [t, value]) => {
+    const next = stepLevel(state, value, t, levels, rules);
+    seen.push(next.level);
+    return next;
+  }, initialLevelState);
+  expect(seen).toEqual([Level.NORMAL, Level.NORMAL, Level.ALARM, Level.ALARM]);
+});
+
+test('rules must be non-negative, with at least one whole reading', () => {
+  expect(validateRules({ hysteresis: 0, minDurationMs: 0, minCount: 1 })).toBeNull();
+  expect(validateRules({ hysteresis: -1, minDurationMs: 0, minCount: 1 })).toBe('Hysteresis must be zero or more.');
+  expect(validateRules({ hysteresis: 0, minDurationMs: NaN, minCount: 1 })).toBe('Minimum duration must be zero or more.');
+  expect(validateRules({ hysteresis: 0, minDurationMs: 0, minCount: 1.5 })).toBe(
+    'Minimum readings must be a whole number of at least 1.',
+  );
+});
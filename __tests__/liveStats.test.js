@@ -0,0 +1,51 @@
+/**
+ * @format
+ */
+
+import { createWindowStats, MAX_ABOVE_GAP_MS } from '../Services/liveStats';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const s = seconds => T0 + seconds * 1000;
+
+test('a sliding window evicts old readings and keeps min, max, mean and deviation right', () => {
+  const stats = createWindowStats({ windowMs: 60 * 1000 });
+  [
+    [0, 9],
+    [10, 1],
+    [20, 5],
+    [30, 3],
+  ].forEach(([t, v]) => stats.add(s(t), v));
+
+  let snap = stats.snapshot(s(30));
+  expect(snap).toMatchObject({ count: 4, min: 1, max: 9, mean: 4.5 });
+  expect(snap.stdDev).toBeCloseTo(Math.sqrt(8.75));
+
+  // 0 s and 10 s fall out: the window's extremes come from what is left
+  snap = stats.snapshot(s(75));
+  expect(snap).toMatchObject({ count: 2, min: 3, max: 5, mean: 4 });
+  expect(snap.stdDev).toBeCloseTo(1);
+  expect(snap.ratePerMin).toBeCloseTo(2);
+
+  expect(stats.snapshot(s(200))).toMatchObject({ count: 0, min: null, max: null, mean: null, aboveMs: 0 });
+});
+
+test('time above the threshold counts intervals after exceeding readings, capped at long gaps', () => {
+  const stats = createWindowStats({ levels: { warning: null, alarm: 10, critical: null } });
+  stats.add(s(0), 12); // above until the next reading: 5 s
+  stats.add(s(5), 4);
+  stats.add(s(10), 15); // above, then silent for longer than the cap
+  stats.add(s(10) + MAX_ABOVE_GAP_MS * 3, 2);
+  expect(stats.snapshot(s(400)).aboveMs).toBe(5000 + MAX_ABOVE_GAP_MS);
+
+  // a trailing exceeding reading counts up to now
+  stats.add(s(400), 11);
+  expect(stats.snapshot(s(420)).aboveMs).toBe(5000 + MAX_ABOVE_GAP_MS + 20000);
+});
+
+test('the since-opened window ignores readings from before it was opened', () => {
+  const stats = createWindowStats({ since: s(100) });
+  stats.add(s(50), 100);
+  stats.add(s(110), 2);
+  stats.add(s(130), 4);
+  expect(stats.snapshot(s(160))).toMatchObject({ count: 2, min: 2, max: 4, mean: 3 });
+});
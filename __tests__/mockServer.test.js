@@ -0,0 +1,183 @@
+/**
+ * @format
+ * @jest-environment node
+ */
+
+import { io } from 'socket.io-client';
+import { createMockServer } from '../mock-server/server';
+import { createApiClient, normalizeAlarmAck } from '../Services/api';
+import { createSocketManager, SocketStatus } from '../Services/socket';
+import { parseMqttMessage, parseThresholdUpdate } from '../Services/telemetry';
+
+// Integration: the real REST client, socket manager and parsers against the offline mock server
+let server;
+let api;
+let sockets;
+let cleanups;
+let accessToken;
+
+const waitFor = (subscribe, predicate = () => true, timeoutMs = 3000) =>
+  new Promise((resolve, reject) => {
+    let unsubscribe = () => {};
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error('timed out waiting for event'));
+    }, timeoutMs);
+    unsubscribe = subscribe(value => {
+      if (!predicate(value)) return;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(value);
+    });
+  });
+
+beforeEach(async () => {
+  server = createMockServer({ port: 0, host: '127.0.0.1', tickMs: 0 });
+  const { url } = await server.start();
+  accessToken = null;
+  api = createApiClient({ baseUrl: url, retries: 0, getAuthToken: async () => accessToken });
+  sockets = createSocketManager({ url, ioImpl: (u, opts) => io(u, { ...opts, transports: ['websocket'] }) });
+  cleanups = [];
+});
+
+const signIn = async (username = 'operator') => {
+  const session = await api.login(username, username);
+  accessToken = session.accessToken;
+  sockets.configure({ auth: cb => cb({ token: accessToken }) });
+  return session;
+};
+
+afterEach(async () => {
+  // drop every subscription so the manager closes its socket (it would otherwise retry forever)
+  cleanups.forEach(fn => fn());
+  await server.stop();
+});
+
+test('auth: endpoints need a bearer token; login returns the user and a refreshable session', async () => {
+  await expect(api.listRemoteStations()).rejects.toMatchObject({ status: 401 });
+  await expect(api.login('operator', 'wrong')).rejects.toMatchObject({ status: 401 });
+
+  const session = await signIn();
+  expect(session.user).toEqual({ id: 2, username: 'operator', name: 'Field Operator', role: 'operator' });
+  expect(session.expiresAt).toBeGreaterThan(Date.now());
+  expect(await api.listRemoteStations({ category: 'boreal' })).toHaveLength(3);
+
+  const refreshed = await api.refreshSession(session.refreshToken);
+  expect(refreshed.accessToken).not.toBe(session.accessToken);
+  // refresh tokens are single-use
+  await expect(api.refreshSession(session.refreshToken)).rejects.toMatchObject({ status: 401 });
+});
+
+test('socket: the handshake is rejected without a token, and accepted after signing in', async () => {
+  const failed = waitFor(sockets.onStateChange, s => s.status === SocketStatus.FAILED);
+  cleanups.push(sockets.subscribe('mqtt_message', () => {}));
+  await failed;
+
+  const connected = waitFor(sockets.onStateChange, s => s.status === SocketStatus.CONNECTED);
+  await signIn(); // new handshake auth restarts the connection
+  await connected;
+});
+
+test('REST: renaming stations and changing thresholds is admin-only', async () => {
+  await signIn('operator');
+  await expect(api.updateThresholds('BRL-001', { losPpm: 1 })).rejects.toMatchObject({ status: 403 });
+  await expect(api.updateRemoteStation(1, { name: 'x' })).rejects.toMatchObject({ status: 403 });
+  expect(await api.getThresholds('BRL-001')).toEqual({
+    losPpm: 25,
+    levels: { warning: 15, alarm: 25, critical: 50 },
+    rules: { hysteresis: 0, minDurationMs: 0, minCount: 1, expectedIntervalMs: 30000 },
+  });
+});
+
+test('REST: stations, thresholds, ping, history and token registration', async () => {
+  await signIn('admin');
+  const stations = await api.listRemoteStations({ category: 'boreal' });
+  expect(stations.map(s => s.serialNumber)).toEqual(['BRL-002', 'BRL-001', 'BRL-003']);
+
+  await api.updateRemoteStation(stations[0].id, { name: 'Compressor Yard East' });
+  expect((await api.listRemoteStations()).find(s => s.id === stations[0].id).name).toBe('Compressor Yard East');
+
+  await api.updateThresholds('BRL-001', { losPpm: 12 });
+  expect((await api.getThresholds('BRL-001')).levels).toEqual({ warning: null, alarm: 12, critical: null });
+
+  const levels = { warning: 5, alarm: null, critical: 40 };
+  await api.updateThresholds('BRL-001', { levels });
+  expect((await api.getThresholds('BRL-001')).levels).toEqual(levels);
+  await expect(
+    api.updateThresholds('BRL-001', { levels: { warning: 30, alarm: 20, critical: null } }),
+  ).rejects.toMatchObject({ status: 400 });
+
+  // rules are kept when a later update leaves them out
+  const rules = { hysteresis: 2, minDurationMs: 10000, minCount: 3, expectedIntervalMs: 10000 };
+  await api.updateThresholds('BRL-001', { levels, rules });
+  await api.updateThresholds('BRL-001', { levels });
+  expect((await api.getThresholds('BRL-001')).rules).toEqual(rules);
+  await expect(
+    api.updateThresholds('BRL-001', { levels, rules: { ...rules, minCount: 0 } }),
+  ).rejects.toMatchObject({ status: 400 });
+
+  server.setOnline('BRL-002', false);
+  expect(await api.getPingStatus('BRL-002')).toEqual({ online: false });
+
+  server.emitReading('BRL-001', 3.25);
+  server.emitReading('BRL-001', 4.5);
+  const history = await api.getReadingHistory('BRL-001', { limit: 10 });
+  expect(history.map(r => r.value)).toEqual([3.25, 4.5]);
+
+  await api.saveToken('fcm-token-1');
+  expect(server.savedTokens).toEqual([{ token: 'fcm-token-1', user: 'admin' }]);
+});
+
+test('socket: readings and threshold changes reach only the subscribed station', async () => {
+  await signIn('viewer');
+  const connected = waitFor(sockets.onStateChange, s => s.status === SocketStatus.CONNECTED);
+  const received = [];
+  const reading = waitFor(handler =>
+    sockets.subscribe('mqtt_message', msg => handler(msg), { serial: 'BRL-001' }),
+  );
+  cleanups.push(sockets.subscribe('mqtt_message', msg => received.push(msg), { serial: 'BRL-001' }));
+  await connected;
+
+  server.emitReading('BRL-002', 99);
+  server.emitReading('BRL-001', 42);
+
+  const parsed = parseMqttMessage(await reading, { serialNumber: 'BRL-001' });
+  expect(parsed.ok).toBe(true);
+  expect(parsed.readings[0].value).toBe(42);
+  expect(received.every(m => m.serial_number === 'BRL-001')).toBe(true);
+
+  const update = waitFor(handler => sockets.subscribe('threshold_updated', handler, { serial: 'BRL-001' }));
+  server.runScenario({
+    steps: [{ at: 0, action: 'setThreshold', serial: 'BRL-001', value: { warning: 3, alarm: 5, critical: 9 } }],
+  });
+  const parsedUpdate = parseThresholdUpdate(await update, { serialNumber: 'BRL-001' });
+  expect(parsedUpdate.threshold).toBe(5);
+  expect(parsedUpdate.levels).toEqual({ warning: 3, alarm: 5, critical: 9 });
+});
+
+test('alarms: operators acknowledge once for everyone; viewers may not', async () => {
+  await signIn('viewer');
+  await expect(api.acknowledgeAlarm('BRL-001', { episodeId: 'BRL-001-1' })).rejects.toMatchObject({ status: 403 });
+
+  await signIn('operator');
+  const connected = waitFor(sockets.onStateChange, s => s.status === SocketStatus.CONNECTED);
+  const broadcast = waitFor(handler => sockets.subscribe('alarm_acknowledged', handler, { serial: 'BRL-001' }));
+  await connected;
+
+  const ack = await api.acknowledgeAlarm('BRL-001', {
+    episodeId: 'BRL-001-1',
+    startedAt: '2025-03-01T10:00:00.000Z',
+    comment: ' valve closed ',
+  });
+  expect(ack).toMatchObject({
+    serial: 'BRL-001',
+    episodeId: 'BRL-001-1',
+    by: { username: 'operator', name: 'Field Operator' },
+    comment: 'valve closed',
+  });
+  expect(normalizeAlarmAck(await broadcast)).toEqual(ack);
+
+  await signIn('admin');
+  expect(await api.acknowledgeAlarm('BRL-001', { episodeId: 'BRL-001-1', comment: 'late' })).toEqual(ack);
+  expect(await api.listAlarmAcks('BRL-001')).toEqual([ack]);
+});
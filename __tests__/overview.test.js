@@ -0,0 +1,69 @@
+/**
+ * @format
+ */
+
+import { initialOverviewState, levelFor, overviewReducer, selectTiles, StationLevel } from '../Services/overview';
+
+const stations = [
+  { id: 1, name: 'North Fence', serialNumber: 'BRL-001', category: 'boreal' },
+  { id: 2, name: 'Compressor Yard', serialNumber: 'BRL-002', category: 'boreal' },
+];
+
+const reduce = actions => actions.reduce(overviewReducer, initialOverviewState);
+
+test('levelFor takes the ongoing alarm episode level for a numeric reading', () => {
+  expect(levelFor(30, StationLevel.ALARM)).toBe(StationLevel.ALARM);
+  // above the threshold but not (yet) an episode under the station's rules
+  expect(levelFor(30, null)).toBe(StationLevel.NORMAL);
+  // back under the threshold while the hysteresis keeps the episode open
+  expect(levelFor(24, StationLevel.WARNING)).toBe(StationLevel.WARNING);
+  expect(levelFor(null, StationLevel.ALARM)).toBe(StationLevel.UNKNOWN);
+  expect(levelFor('n/a', null)).toBe(StationLevel.UNKNOWN);
+});
+
+test('one tile per station with its latest reading, threshold and status', () => {
+  const state = reduce([
+    { type: 'stations', stations },
+    { type: 'threshold', serial: 'BRL-001', levels: { warning: 10, alarm: 25, critical: null } },
+    { type: 'status', serial: 'BRL-001', online: true },
+    { type: 'reading', serial: 'BRL-001', ts: '2025-03-01T10:00:00.000Z', value: 12 },
+    { type: 'reading', serial: 'BRL-001', ts: '2025-03-01T10:00:02.000Z', value: 31 },
+    { type: 'alarm', serial: 'BRL-001', level: StationLevel.ALARM },
+    { type: 'status', serial: 'BRL-002', online: false },
+  ]);
+
+  expect(selectTiles(state)).toEqual([
+    {
+      serialNumber: 'BRL-001',
+      name: 'North Fence',
+      value: 31,
+      levels: { warning: 10, alarm: 25, critical: null },
+      online: true,
+      lastUpdate: '2025-03-01T10:00:02.000Z',
+      alarmLevel: StationLevel.ALARM,
+      level: StationLevel.ALARM,
+    },
+    {
+      serialNumber: 'BRL-002',
+      name: 'Compressor Yard',
+      value: null,
+      levels: { warning: null, alarm: null, critical: null },
+      online: false,
+      lastUpdate: null,
+      alarmLevel: null,
+      level: StationLevel.UNKNOWN,
+    },
+  ]);
+});
+
+test('ignores unknown serials and out-of-order readings; a reload keeps live data', () => {
+  let state = reduce([
+    { type: 'stations', stations },
+    { type: 'reading', serial: 'BRL-001', ts: '2025-03-01T10:00:05.000Z', value: 4 },
+  ]);
+  expect(overviewReducer(state, { type: 'reading', serial: 'MTR-001', ts: '2025-03-01T10:00:06.000Z', value: 9 })).toBe(state);
+  expect(overviewReducer(state, { type: 'reading', serial: 'BRL-001', ts: '2025-03-01T10:00:01.000Z', value: 9 })).toBe(state);
+
+  state = overviewReducer(state, { type: 'stations', stations: [{ ...stations[0], name: 'Renamed' }] });
+  expect(selectTiles(state)).toMatchObject([{ name: 'Renamed', value: 4 }]);
+});
@@ -0,0 +1,34 @@
+/**
+ * @format
+ */
+
+import { ApiError, ApiErrorKind } from '../Services/api';
+import { can, describeWriteError, Permission, resolveRole, Role } from '../Services/permissions';
+
+test('only admins (supervisors) may rename stations and edit thresholds', () => {
+  expect(can({ role: 'admin' }, Permission.EDIT_THRESHOLDS)).toBe(true);
+  expect(can({ role: 'Supervisor' }, Permission.RENAME_STATIONS)).toBe(true);
+  expect(can({ role: 'operator' }, Permission.EDIT_THRESHOLDS)).toBe(false);
+  expect(can({ role: 'viewer' }, Permission.RENAME_STATIONS)).toBe(false);
+  expect(can(null, Permission.EDIT_THRESHOLDS)).toBe(false);
+});
+
+test('operators and supervisors may acknowledge alarms, viewers may not', () => {
+  expect(can({ role: 'operator' }, Permission.ACKNOWLEDGE_ALARMS)).toBe(true);
+  expect(can({ role: 'admin' }, Permission.ACKNOWLEDGE_ALARMS)).toBe(true);
+  expect(can({ role: 'viewer' }, Permission.ACKNOWLEDGE_ALARMS)).toBe(false);
+});
+
+test('missing or unknown roles fall back to viewer', () => {
+  expect(resolveRole({})).toBe(Role.VIEWER);
+  expect(resolveRole({ role: 'root' })).toBe(Role.VIEWER);
+  expect(resolveRole({ role: 'OPERATOR' })).toBe(Role.OPERATOR);
+});
+
+test('describeWriteError explains a 403 instead of dumping the response', () => {
+  const forbidden = new ApiError('PUT failed', { kind: ApiErrorKind.HTTP, status: 403, body: { error: 'forbidden' } });
+  expect(describeWriteError(forbidden, 'change the threshold')).toMatch(/^You are not allowed to change the threshold\./);
+
+  const invalid = new ApiError('PUT failed with status 400', { kind: ApiErrorKind.HTTP, status: 400, body: { error: 'bad' } });
+  expect(describeWriteError(invalid)).toBe('PUT failed with status 400 {"error":"bad"}');
+});
@@ -0,0 +1,115 @@
+/**
+ * @format
+ */
+
+import { createReadingStore } from '../Services/readingStore';
+import { applyRetention, countNewer, makeReading, mergeReadings } from '../Services/readings';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+
+const values = readings => readings.map(r => r.value);
+
+describe('readings helpers', () => {
+  test('mergeReadings de-duplicates on time + value and keeps oldest first', () => {
+    const a = makeReading(at(1), 1);
+    const b = makeReading(at(2), 2);
+    const fromHistory = makeReading(at(1), 1, { rawKey: 'los_ppm', source: 'history' });
+    const merged = mergeReadings([a, b], [makeReading(at(0), 0), fromHistory, makeReading(at(3), 3)]);
+    expect(values(merged)).toEqual([0, 1, 2, 3]);
+    expect(merged[1]).toBe(a);
+    expect(mergeReadings(merged, [fromHistory])).toBe(merged);
+  });
+
+  test('applyRetention drops old readings and caps the count', () => {
+    const list = [0, 10, 20, 30].map(s => makeReading(at(s), s));
+    expect(values(applyRetention(list, { maxAgeMs: 15000, now: T0 + 30000 }))).toEqual([20, 30]);
+    expect(values(applyRetention(list, { maxReadings: 3 }))).toEqual([10, 20, 30]);
+    expect(applyRetention(list, {})).toBe(list);
+  });
+
+  test('countNewer counts the readings after a given one', () => {
+    const list = [0, 10, 20, 30].map(s => makeReading(at(s), s));
+    expect(countNewer(list, list[1])).toBe(2);
+    expect(countNewer(list, makeReading(at(25), 0))).toBe(1);
+    expect(countNewer(list, list[3])).toBe(0);
+    expect(countNewer(list, null)).toBe(4);
+  });
+});
+
+describe('reading store', () => {
+  const retention = { maxReadings: 100, maxAgeMs: Infinity };
+
+  test('persists readings and restores them in a new store (app restart)', async () => {
+    const storage = memoryStorage();
+    const store = createReadingStore({ storage, retention });
+    store.add('SN1', [{ ts: at(1), value: 4, rawKey: 'los_ppm_merged', rawValue: 4 }]);
+    store.add('SN1', [{ ts: at(0), value: 3 }], { source: 'history' });
+    await store.load('SN1');
+    await store.flush();
+
+    const restarted = createReadingStore({ storage, retention });
+    await restarted.load('SN1');
+    expect(restarted.get('SN1').map(r => [r.value, r.source])).toEqual([
+      [3, 'history'],
+      [4, 'live'],
+    ]);
+    expect(restarted.get('SN2')).toEqual([]);
+  });
+
+  test('readings recorded while the stored history is still loading are merged with it', async () => {
+    const stored = [makeReading(at(0), 1), makeReading(at(1), 2)];
+    const storage = memoryStorage({ 'boreal.readings.SN1': JSON.stringify(stored) });
+    const release = storage.hold();
+    const store = createReadingStore({ storage, retention });
+    const seen = [];
+    store.subscribe('SN1', r => seen.push(values(r)));
+
+    store.add('SN1', [{ ts: at(2), value: 3 }]);
+    expect(values(store.get('SN1'))).toEqual([3]);
+    release();
+    await store.load('SN1');
+
+    expect(values(store.get('SN1'))).toEqual([1, 2, 3]);
+    expect(seen).toEqual([[3], [1, 2, 3]]);
+    await store.flush();
+  });
+
+  test('clear wipes memory and disk, even if the stored history arrives afterwards', async () => {
+    const storage = memoryStorage({ 'boreal.readings.SN1': JSON.stringify([makeReading(at(0), 1)]) });
+    const release = storage.hold();
+    const store = createReadingStore({ storage, retention });
+    store.add('SN1', [{ ts: at(1), value: 2 }]);
+    store.clear('SN1');
+    release();
+    await store.load('SN1');
+    await store.flush();
+
+    expect(store.get('SN1')).toEqual([]);
+    expect(storage.data.has('boreal.readings.SN1')).toBe(false);
+  });
+
+  test('remembers when a live reading last arrived, on the phone clock', async () => {
+    let clock = T0 + 3600 * 1000;
+    const store = createReadingStore({ storage: memoryStorage(), retention, persistDelayMs: 0, now: () => clock });
+    store.add('SN1', [{ ts: at(0), value: 1 }], { source: 'history' });
+    expect(store.lastArrivalAt('SN1')).toBeNull();
+
+    store.add('SN1', [{ ts: at(5), value: 2 }]);
+    expect(store.lastArrivalAt('SN1')).toBe(T0 + 3600 * 1000);
+    clock += 2000;
+    store.add('SN1', [{ ts: at(5), value: 2 }]); // duplicate: nothing new arrived
+    expect(store.lastArrivalAt('SN1')).toBe(T0 + 3600 * 1000);
+    await store.load('SN1');
+    await store.flush();
+  });
+
+  test('applies the retention limits on every add', async () => {
+    const store = createReadingStore({ storage: memoryStorage(), retention: { maxReadings: 2, maxAgeMs: Infinity } });
+    store.add('SN1', [1, 2, 3].map(s => ({ ts: at(s), value: s })));
+    expect(values(store.get('SN1'))).toEqual([2, 3]);
+    await store.load('SN1');
+    await store.flush();
+  });
+});
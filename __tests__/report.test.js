@@ -0,0 +1,115 @@
+/**
+ * @format
+ */
+
+import { buildReport, chartReadings, readingStats, renderReportHtml, shareStationReport } from '../Services/report';
+import { makeReading } from '../Services/readings';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+
+const levels = { warning: 10, alarm: 25, critical: null };
+
+const report = () =>
+  buildReport({
+    station: { serialNumber: 'SN1', name: 'North <Fence>' },
+    readings: [makeReading(at(0), 4), makeReading(at(60), 30), makeReading(at(120), 'n/a'), makeReading(at(180), 8)],
+    episodes: [
+      {
+        id: `SN1-${T0 + 60000}`,
+        serial: 'SN1',
+        startedAt: at(60),
+        endedAt: at(180),
+        peak: 30,
+        peakAt: at(60),
+        level: 'alarm',
+        threshold: 10,
+        count: 1,
+      },
+    ],
+    thresholds: { levels, rules: null },
+    statusChanges: [
+      { at: at(-600), online: true },
+      { at: at(100), online: false },
+      { at: at(130), online: true },
+    ],
+    range: { from: T0, to: T0 + 200000 },
+    exportedAt: T0 + 200000,
+  });
+
+test('readingStats ignores non-numeric values', () => {
+  expect(readingStats([{ value: 4 }, { value: 'n/a' }, { value: 30 }, { value: 8 }])).toEqual({
+    count: 3,
+    min: 4,
+    max: 30,
+    avg: 14,
+  });
+  expect(readingStats([])).toBeNull();
+});
+
+test('buildReport adds statistics and the online/offline periods of the window', () => {
+  const data = report();
+  expect(data.stats).toEqual({ count: 3, min: 4, max: 30, avg: 14 });
+  expect(data.periods).toEqual([
+    { online: true, from: at(0), to: at(100), durationS: 100 },
+    { online: false, from: at(100), to: at(130), durationS: 30 },
+    { online: true, from: at(130), to: at(200), durationS: 70 },
+  ]);
+  expect(data.gaps).toEqual([{ from: T0 + 100000, to: T0 + 130000 }]);
+  expect(data.episodes.map(e => e.durationS)).toEqual([120]);
+});
+
+test('the HTML report is escaped and embeds the captured chart', () => {
+  const html = renderReportHtml(report(), { chartImage: 'data:image/png;base64,iVBORw0KGgo=' });
+  expect(html).toContain('North &lt;Fence&gt; — PPM-M-LO report');
+  expect(html).not.toContain('<Fence>');
+  expect(html).toContain('<img class="chart" src="data:image/png;base64,iVBORw0KGgo="');
+  expect(html).toContain('Warning 10.00 ppm·m');
+  expect(html).toContain('Offline');
+  expect(html).toContain('2m 00s');
+  expect(renderReportHtml(report())).toContain('The chart could not be drawn.');
+});
+
+test('the chart plots the numeric readings, thinned evenly and keeping the newest', () => {
+  const readings = Array.from({ length: 10 }, (_, i) => makeReading(at(i * 60), i === 3 ? 'E05' : i));
+  expect(chartReadings(readings).map(r => r.value)).toEqual([0, 1, 2, 4, 5, 6, 7, 8, 9]);
+  expect(chartReadings(readings, 3).map(r => r.value)).toEqual([0, 4, 9]);
+});
+
+test('shareStationReport writes the report with the chart to an .html file', async () => {
+  const stores = {
+    client: { listRemoteStations: async () => [] },
+    readings: { load: async () => {}, get: () => [makeReading(at(-60), 30)] },
+    alarms: { load: async () => {}, get: () => [] },
+    thresholds: { ensure: async () => ({ levels, rules: null }) },
+    units: { load: async () => {}, get: () => ({ unit: 'ppm_m', pathLengthM: 20, decimals: 2 }) },
+    status: { load: async () => {}, get: () => [] },
+  };
+  const charted = [];
+  const shared = [];
+  await shareStationReport(
+    'SN1',
+    { rangeKey: '1h', now: T0 },
+    {
+      ...stores,
+      captureChart: async data => {
+        charted.push(data.readings.length);
+        return 'data:image/png;base64,AAAA';
+      },
+      share: async file => shared.push(file),
+    },
+  );
+
+  expect(charted).toEqual([1]);
+  expect(shared).toHaveLength(1);
+  expect(shared[0]).toMatchObject({ fileName: 'boreal-report-SN1-20250301-1000.html', mimeType: 'text/html' });
+  expect(shared[0].content).toContain('src="data:image/png;base64,AAAA"');
+});
+
+test('the report shows values in the station display units', () => {
+  const html = renderReportHtml({ ...report(), units: { unit: 'ppm', pathLengthM: 10, decimals: 1 } });
+  expect(html).toContain('North &lt;Fence&gt; — PPM-LO report');
+  expect(html).toContain('Max<b>3.0 ppm</b>');
+  expect(html).toContain('Warning 1.0 ppm');
+  expect(html).toContain('average over 10 m');
+});
@@ -0,0 +1,97 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import api from '../Services/api';
+import {
+  getAccessToken,
+  getSession,
+  loadSession,
+  login,
+  logout,
+  SessionStatus,
+  setDeviceToken,
+} from '../Services/session';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => JSON.stringify(body),
+});
+
+// Routes the shared client to a scripted fetch; the session module wires itself into that client
+const useResponses = responses => {
+  const calls = [];
+  api.configure({
+    baseUrl: 'http://test.local',
+    retryDelayMs: 0,
+    fetchImpl: async (url, init) => {
+      calls.push({ url, init });
+      return responses.shift();
+    },
+  });
+  return calls;
+};
+
+const sessionBody = (access, refresh, expiresIn = 3600) => ({
+  access_token: access,
+  refresh_token: refresh,
+  expires_in: expiresIn,
+  user: { id: 2, username: 'operator', name: 'Field Operator', role: 'operator' },
+});
+
+beforeAll(async () => {
+  await loadSession();
+});
+
+afterEach(async () => {
+  useResponses([jsonResponse(200, { ok: true })]);
+  await logout();
+});
+
+test('login persists the session and every request carries its token', async () => {
+  const calls = useResponses([jsonResponse(200, sessionBody('a1', 'r1')), jsonResponse(200, { los_ppm: 3 })]);
+
+  await login(' operator ', 'pw');
+  expect(getSession()).toMatchObject({ status: SessionStatus.SIGNED_IN, user: { name: 'Field Operator' } });
+  expect(JSON.parse(await AsyncStorage.getItem('boreal.session')).accessToken).toBe('a1');
+
+  await api.getThresholds('SN1');
+  expect(calls[1].init.headers.Authorization).toBe('Bearer a1');
+});
+
+test('a token about to expire is refreshed before it is used', async () => {
+  const calls = useResponses([jsonResponse(200, sessionBody('a1', 'r1', 30)), jsonResponse(200, sessionBody('a2', 'r2'))]);
+
+  await login('operator', 'pw');
+  await expect(getAccessToken()).resolves.toBe('a2');
+  expect(calls[1].url).toBe('http://test.local/api/auth/refresh');
+  expect(JSON.parse(calls[1].init.body)).toEqual({ refresh_token: 'r1' });
+});
+
+test('a rejected refresh token ends the session as expired', async () => {
+  useResponses([
+    jsonResponse(200, sessionBody('a1', 'r1')),
+    jsonResponse(401, { error: 'expired' }),
+    jsonResponse(401, { error: 'invalid refresh token' }),
+  ]);
+
+  await login('operator', 'pw');
+  await expect(api.getPingStatus('SN1')).rejects.toMatchObject({ status: 401 });
+  expect(getSession()).toEqual({ status: SessionStatus.EXPIRED, user: null });
+  expect(await AsyncStorage.getItem('boreal.session')).toBeNull();
+});
+
+test('logout revokes the refresh token and unlinks the FCM token of this phone', async () => {
+  const calls = useResponses([jsonResponse(200, sessionBody('a1', 'r1')), jsonResponse(200, { ok: true })]);
+  setDeviceToken('fcm-1');
+
+  await login('operator', 'pw');
+  await logout();
+  setDeviceToken(null);
+
+  expect(getSession()).toEqual({ status: SessionStatus.SIGNED_OUT, user: null });
+  expect(calls[1].url).toBe('http://test.local/api/auth/logout');
+  expect(JSON.parse(calls[1].init.body)).toEqual({ refresh_token: 'r1', fcm_token: 'fcm-1' });
+});
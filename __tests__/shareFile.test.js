@@ -0,0 +1,38 @@
+/**
+ * @format
+ */
+
+import { MimeType, shareFile } from '../Services/shareFile';
+
+test('the content is written to the cache directory and that file is shared', async () => {
+  const written = new Map();
+  const fs = {
+    dirs: { CacheDir: '/data/cache' },
+    writeFile: async (path, content, encoding) => written.set(path, { content, encoding }),
+  };
+  const shared = [];
+  const share = async options => {
+    shared.push(options);
+    return { success: true };
+  };
+
+  const result = await shareFile(
+    { fileName: 'boreal-SN1-20250301-1000.csv', content: 'Serial number,SN1', mimeType: MimeType.CSV },
+    { fs, share },
+  );
+
+  expect(result).toEqual({ success: true });
+  expect(written.get('/data/cache/boreal-SN1-20250301-1000.csv')).toEqual({
+    content: 'Serial number,SN1',
+    encoding: 'utf8',
+  });
+  expect(shared).toEqual([
+    {
+      url: 'file:///data/cache/boreal-SN1-20250301-1000.csv',
+      type: 'text/csv',
+      title: 'boreal-SN1-20250301-1000.csv',
+      subject: 'boreal-SN1-20250301-1000.csv',
+      failOnCancel: false,
+    },
+  ]);
+});
@@ -0,0 +1,99 @@
+/**
+ * @format
+ */
+
+import {
+  createSignalStore,
+  diagnoseOutages,
+  OutageCause,
+  signalStats,
+  startSignalRecorder,
+  weakPeriods,
+  weakPeriodsWithOutages,
+} from '../Services/signalHistory';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+const ms = s => T0 + s * 1000;
+
+const samples = [
+  { at: at(0), signal: 70 },
+  { at: at(600), signal: 12 },
+  { at: at(660), signal: 8 },
+  { at: at(900), signal: 65 },
+  { at: at(3000), signal: 60 },
+];
+
+test('signalStats and weakPeriods summarize the samples', () => {
+  expect(signalStats(samples)).toEqual({ min: 8, avg: 43, last: 60, count: 5 });
+  expect(signalStats(samples, { from: ms(800) })).toEqual({ min: 60, avg: 62.5, last: 60, count: 2 });
+  expect(signalStats([])).toBeNull();
+  expect(weakPeriods(samples)).toEqual([{ from: ms(600), to: ms(900), min: 8 }]);
+  expect(weakPeriods([...samples, { at: at(3600), signal: 5 }])[1]).toEqual({ from: ms(3600), to: null, min: 5 });
+});
+
+test('outages are blamed on comms, the sensor or neither from the signal around them', () => {
+  const outages = diagnoseOutages({
+    samples,
+    gaps: [{ from: ms(700), to: ms(850) }],
+    staleEpisodes: [
+      { startedAt: at(2000), endedAt: at(2400) },
+      { startedAt: at(-4000), endedAt: at(-3000) },
+    ],
+    now: ms(4000),
+  });
+  expect(outages).toEqual([
+    { kind: 'stale', from: ms(2000), to: ms(2400), minSignal: null, lastSignal: 65, cause: OutageCause.SENSOR },
+    { kind: 'offline', from: ms(700), to: ms(850), minSignal: 8, lastSignal: 8, cause: OutageCause.COMMS },
+    { kind: 'stale', from: ms(-4000), to: ms(-3000), minSignal: null, lastSignal: null, cause: OutageCause.UNKNOWN },
+  ]);
+  expect(weakPeriodsWithOutages(weakPeriods(samples), outages, ms(4000))).toEqual([
+    { from: ms(600), to: ms(900), min: 8, outages: ['offline'] },
+  ]);
+});
+
+test('the store keeps changes, thins a steady signal and persists', async () => {
+  jest.useFakeTimers();
+  try {
+    const storage = memoryStorage();
+    const store = createSignalStore({ storage, now: () => ms(100) });
+    store.record('SN1', 70, ms(0));
+    store.record('SN1', 70, ms(30));
+    store.record('SN1', 40, ms(40));
+    store.record('SN1', 40, ms(110));
+    store.record('SN1', 90, ms(5));
+    expect(store.get('SN1')).toEqual([
+      { at: at(0), signal: 70 },
+      { at: at(40), signal: 40 },
+      { at: at(110), signal: 40 },
+    ]);
+
+    await store.flush();
+    const reloaded = createSignalStore({ storage, now: () => ms(100) });
+    expect(await reloaded.load('SN1')).toHaveLength(3);
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('the recorder stores every station from the signal event', () => {
+  const handlers = {};
+  const manager = {
+    subscribe: (event, handler) => {
+      handlers[event] = handler;
+      return () => delete handlers[event];
+    },
+  };
+  const recorded = [];
+  const stop = startSignalRecorder({ store: { record: (...args) => recorded.push(args) }, manager });
+  handlers.signal('{"serial":"SN1","signal":64}');
+  handlers.signal({ serial: 'SN2', signal: 8 });
+  handlers.signal('garbage');
+  expect(recorded).toEqual([
+    ['SN1', 64],
+    ['SN2', 8],
+  ]);
+  stop();
+  expect(handlers.signal).toBeUndefined();
+});
@@ -0,0 +1,87 @@
+/**
+ * @format
+ */
+
+import { createSocketManager, SocketStatus } from '../Services/socket';
+
+// Minimal stand-in for a socket.io client socket
+const makeFakeIo = () => {
+  const sockets = [];
+  const ioImpl = jest.fn(() => {
+    const listeners = {};
+    const socket = {
+      on: (event, fn) => {
+        (listeners[event] = listeners[event] || []).push(fn);
+      },
+      off: (event, fn) => {
+        listeners[event] = (listeners[event] || []).filter(l => l !== fn);
+      },
+      removeAllListeners: () => Object.keys(listeners).forEach(k => delete listeners[k]),
+      disconnect: jest.fn(),
+      emit: (event, payload) => (listeners[event] || []).forEach(l => l(payload)),
+      io: { on: () => {}, removeAllListeners: () => {} },
+    };
+    sockets.push(socket);
+    return socket;
+  });
+  return { ioImpl, sockets };
+};
+
+test('opens one socket for many subscribers and closes it after the last unsubscribe', () => {
+  const { ioImpl, sockets } = makeFakeIo();
+  const manager = createSocketManager({ url: 'http://test.local', ioImpl });
+
+  const a = manager.subscribe('mqtt_message', () => {});
+  const b = manager.subscribe('signal', () => {});
+  const c = manager.subscribe('mqtt_message', () => {});
+  expect(ioImpl).toHaveBeenCalledTimes(1);
+  expect(manager.getSubscriberCount()).toBe(3);
+
+  a();
+  a(); // idempotent
+  b();
+  expect(sockets[0].disconnect).not.toHaveBeenCalled();
+
+  c();
+  expect(sockets[0].disconnect).toHaveBeenCalledTimes(1);
+  expect(manager.getState().status).toBe(SocketStatus.IDLE);
+});
+
+test('delivers only payloads for the subscribed serial, plus serial-less payloads', () => {
+  const { ioImpl, sockets } = makeFakeIo();
+  const manager = createSocketManager({ url: 'http://test.local', ioImpl });
+  const mine = jest.fn();
+  const all = jest.fn();
+
+  manager.subscribe('mqtt_message', mine, { serial: 'SN1' });
+  manager.subscribe('mqtt_message', all);
+
+  sockets[0].emit('mqtt_message', { serial_number: 'SN1' });
+  sockets[0].emit('mqtt_message', { payload: { serial: 'SN2' } });
+  sockets[0].emit('mqtt_message', JSON.stringify({ serial: 'SN2', signal: 40 }));
+  sockets[0].emit('mqtt_message', [{ serial_number: 'SN2' }]);
+
+  expect(mine).toHaveBeenCalledTimes(2);
+  expect(all).toHaveBeenCalledTimes(4);
+});
+
+test('reports connection state changes', () => {
+  const { ioImpl, sockets } = makeFakeIo();
+  const manager = createSocketManager({ url: 'http://test.local', ioImpl });
+  const states = [];
+  manager.onStateChange(s => states.push(s.status));
+
+  manager.subscribe('signal', () => {});
+  sockets[0].emit('connect');
+  sockets[0].emit('disconnect', 'transport close');
+  sockets[0].emit('connect');
+  sockets[0].emit('disconnect', 'io server disconnect');
+
+  expect(states).toEqual([
+    SocketStatus.CONNECTING,
+    SocketStatus.CONNECTED,
+    SocketStatus.RECONNECTING,
+    SocketStatus.CONNECTED,
+    SocketStatus.FAILED,
+  ]);
+});
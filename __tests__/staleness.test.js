@@ -0,0 +1,90 @@
+/**
+ * @format
+ */
+
+import { createStaleStore, isStale, startStaleMonitor } from '../Services/staleness';
+import { DEFAULT_RULES } from '../Services/levels';
+import { makeReading } from '../Services/readings';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+test('only an online station that is overdue is stale', () => {
+  const base = { online: true, lastReadingAt: T0, expectedIntervalMs: 30000 };
+  expect(isStale({ ...base, now: T0 + 31000 })).toBe(true);
+  expect(isStale({ ...base, now: T0 + 30000 })).toBe(false);
+  expect(isStale({ ...base, online: false, now: T0 + 60000 })).toBe(false);
+  expect(isStale({ ...base, expectedIntervalMs: 0, now: T0 + 60000 })).toBe(false);
+  expect(isStale({ ...base, lastReadingAt: null, now: T0 + 60000 })).toBe(false);
+});
+
+test('the stale store keeps one ongoing episode and persists it', async () => {
+  const storage = memoryStorage();
+  const store = createStaleStore({ storage, persistDelayMs: 0, now: () => T0 + 100000 });
+  await store.load('SN1');
+
+  const opened = store.open('SN1', { lastReadingAt: T0, expectedIntervalMs: 30000 });
+  expect(opened).toMatchObject({ kind: 'stale', startedAt: at(30), endedAt: null, lastReadingAt: at(0) });
+  expect(store.open('SN1', { lastReadingAt: T0 + 5000, expectedIntervalMs: 30000 })).toBeNull();
+
+  store.close('SN1', T0 + 90000);
+  expect(store.get('SN1')).toEqual([{ ...opened, endedAt: at(90) }]);
+
+  await store.flush();
+  const reloaded = createStaleStore({ storage, now: () => T0 + 100000 });
+  expect(await reloaded.load('SN1')).toEqual([{ ...opened, endedAt: at(90) }]);
+});
+
+test('the monitor opens an episode when an online station goes silent and ends it on the next reading', async () => {
+  jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+  try {
+    let clock = T0;
+    let onRecord = null;
+    let arrivedAt = null;
+    const readings = {
+      onRecord: listener => {
+        onRecord = listener;
+        return () => {};
+      },
+      lastArrivalAt: () => arrivedAt,
+    };
+    const status = { load: async () => {}, get: () => [{ at: at(0), online: true }] };
+    const config = { levels: {}, rules: { ...DEFAULT_RULES, expectedIntervalMs: 10000 } };
+    const thresholds = { ensure: async () => config, get: () => config };
+    const store = createStaleStore({ storage: memoryStorage(), persistDelayMs: 0, now: () => clock });
+    const opened = [];
+    store.onOpen(e => opened.push(e));
+
+    const stop = startStaleMonitor({ readings, status, thresholds, store, checkMs: 1000, now: () => clock });
+    // history readings alone are not judged, however old
+    onRecord('SN1', [makeReading(at(-600), 2)]);
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+    expect(store.get('SN1')).toEqual([]);
+
+    // the server's timestamp is ten minutes behind: only the arrival time counts
+    arrivedAt = clock;
+    onRecord('SN1', [makeReading(at(-600), 3)]);
+    await flushPromises();
+
+    clock = T0 + 8000;
+    jest.advanceTimersByTime(1000);
+    expect(store.get('SN1')).toEqual([]);
+
+    clock = T0 + 12000;
+    jest.advanceTimersByTime(1000);
+    expect(opened).toHaveLength(1);
+    expect(store.get('SN1')[0]).toMatchObject({ startedAt: at(10), endedAt: null });
+
+    clock = T0 + 20000;
+    arrivedAt = clock;
+    onRecord('SN1', [makeReading(at(-580), 4)]);
+    expect(store.get('SN1')[0]).toMatchObject({ startedAt: at(10), endedAt: at(20) });
+    stop();
+  } finally {
+    jest.useRealTimers();
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * @format
+ */
+
+import { createStationStore } from '../Services/stationStore';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const listStore = storage =>
+  createStationStore({
+    storage,
+    keyPrefix: 'test.',
+    what: 'test values',
+    empty: [],
+    persistDelayMs: 0,
+    fromStored: (stored, current = []) => (Array.isArray(stored) ? [...stored, ...current] : undefined),
+    toStored: values => (values.length === 0 ? null : values),
+  });
+
+test('values set while the stored one loads are merged with it, and only then written', async () => {
+  const storage = memoryStorage({ 'test.SN1': JSON.stringify([1, 2]) });
+  const release = storage.hold();
+  const store = listStore(storage);
+  const seen = [];
+  store.subscribe('SN1', v => seen.push(v));
+
+  store.set('SN1', [3]);
+  const flushed = store.flush();
+  expect(storage.data.get('test.SN1')).toBe('[1,2]');
+  release();
+  await flushed;
+
+  expect(store.get('SN1')).toEqual([1, 2, 3]);
+  expect(seen).toEqual([[3], [1, 2, 3]]);
+  expect(storage.data.get('test.SN1')).toBe('[1,2,3]');
+});
+
+test('clear wins over a load still in flight and removes the key', async () => {
+  const storage = memoryStorage({ 'test.SN1': JSON.stringify([1]) });
+  const release = storage.hold();
+  const store = listStore(storage);
+  store.set('SN1', [2]);
+  store.clear('SN1');
+  release();
+  await store.load('SN1');
+  await store.flush();
+
+  expect(store.get('SN1')).toEqual([]);
+  expect(storage.data.has('test.SN1')).toBe(false);
+});
+
+test('get and listeners see the view of the value; a silent set notifies no one', async () => {
+  const store = createStationStore({
+    storage: memoryStorage(),
+    keyPrefix: 'test.',
+    what: 'test values',
+    empty: { items: [] },
+    persistDelayMs: 0,
+    fromStored: () => undefined,
+    view: value => value.items.length,
+  });
+  const seen = [];
+  store.subscribe('SN1', v => seen.push(v));
+  expect(store.get('SN1')).toBe(0);
+  store.set('SN1', { items: ['a'] });
+  store.set('SN1', { items: ['a', 'b'] }, { silent: true });
+
+  expect(seen).toEqual([1]);
+  expect(store.get('SN1')).toBe(2);
+  expect(store.peek('SN1')).toEqual({ items: ['a', 'b'] });
+  await store.flush();
+});
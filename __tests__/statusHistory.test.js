@@ -0,0 +1,91 @@
+/**
+ * @format
+ */
+
+import { makeReading } from '../Services/readings';
+import {
+  createStatusStore,
+  offlineGaps,
+  startStatusRecorder,
+  statusPeriods,
+  withGapMarkers,
+} from '../Services/statusHistory';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+
+test('statusPeriods splits the window into online and offline periods', () => {
+  const changes = [
+    { at: at(0), online: true },
+    { at: at(100), online: false },
+    { at: at(160), online: true },
+  ];
+  expect(statusPeriods(changes, { from: T0 + 50000, to: T0 + 200000 })).toEqual([
+    { online: true, from: at(50), to: at(100) },
+    { online: false, from: at(100), to: at(160) },
+    { online: true, from: at(160), to: at(200) },
+  ]);
+  expect(statusPeriods(changes, { from: T0 + 300000, to: T0 + 400000 })).toEqual([
+    { online: true, from: at(300), to: at(400) },
+  ]);
+  expect(statusPeriods([], { to: T0 })).toEqual([]);
+});
+
+test('the store records changes only, from every status event, and restores them', async () => {
+  const storage = memoryStorage();
+  let now = T0;
+  const store = createStatusStore({ storage, now: () => now });
+  const handlers = {};
+  const manager = {
+    subscribe: (event, handler) => {
+      handlers[event] = handler;
+      return () => delete handlers[event];
+    },
+  };
+  const stop = startStatusRecorder({ store, manager });
+
+  handlers.device_status({ serial_number: 'SN1', status: 'online' });
+  now += 10000;
+  handlers.ping({ serial_number: 'SN1', online: true });
+  now += 10000;
+  handlers.device_status_snapshot([{ serial_number: 'SN1', status: 'offline' }, { serial_number: 'SN2', status: 'online' }]);
+  stop();
+
+  expect(store.get('SN1')).toEqual([
+    { at: at(0), online: true },
+    { at: at(20), online: false },
+  ]);
+  expect(Object.keys(handlers)).toEqual([]);
+  await store.flush();
+
+  const restarted = createStatusStore({ storage, now: () => now });
+  await restarted.load('SN1');
+  expect(restarted.get('SN1')).toEqual(store.get('SN1'));
+});
+
+test('offline gaps are marked between the newest-first table rows', () => {
+  const changes = [
+    { at: at(0), online: true },
+    { at: at(100), online: false },
+    { at: at(110), online: false },
+    { at: at(160), online: true },
+    { at: at(300), online: false },
+  ];
+  const gaps = offlineGaps(changes);
+  expect(gaps).toEqual([
+    { from: T0 + 100000, to: T0 + 160000 },
+    { from: T0 + 300000, to: null },
+  ]);
+
+  const rows = [200, 90, 50].map(s => makeReading(at(s), s));
+  const marked = withGapMarkers(rows, [{ from: T0 + 10000, to: T0 + 20000 }, ...gaps]);
+  expect(marked.map(r => (r.kind === 'gap' ? `gap@${(r.from - T0) / 1000}` : r.value))).toEqual([
+    'gap@300',
+    200,
+    'gap@100',
+    90,
+    50,
+  ]);
+  expect(withGapMarkers(rows, [])).toBe(rows);
+});
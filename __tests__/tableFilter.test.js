@@ -0,0 +1,64 @@
+/**
+ * @format
+ */
+
+import { makeReading, readingTime } from '../Services/readings';
+import {
+  EMPTY_FILTER,
+  filterEpisodes,
+  filterReadings,
+  isFilterActive,
+  jumpIndex,
+  parseFilterTime,
+  parseFilterValue,
+} from '../Services/tableFilter';
+
+const T0 = Date.parse('2025-03-01T10:00:00.000Z');
+const at = s => new Date(T0 + s * 1000).toISOString();
+
+test('typed times are read like formatDateTime shows them, in local time', () => {
+  const now = new Date(2025, 2, 1, 15, 0).getTime();
+  expect(parseFilterTime('')).toBeNull();
+  expect(parseFilterTime('01/03/2025 10:05')).toBe(new Date(2025, 2, 1, 10, 5).getTime());
+  expect(parseFilterTime('01/03/2025 02:30:15 PM')).toBe(new Date(2025, 2, 1, 14, 30, 15).getTime());
+  expect(parseFilterTime('02/03/2025')).toBe(new Date(2025, 2, 2).getTime());
+  expect(parseFilterTime('12:10 am', now)).toBe(new Date(2025, 2, 1, 0, 10).getTime());
+  expect(parseFilterTime('31/02/2025 10:00')).toBeNaN();
+  expect(parseFilterTime('25:00')).toBeNaN();
+  expect(parseFilterTime('yesterday')).toBeNaN();
+  expect(parseFilterValue(' 4.5 ')).toBe(4.5);
+  expect(parseFilterValue('')).toBeNull();
+  expect(parseFilterValue('abc')).toBeNaN();
+});
+
+test('readings are narrowed to the time and value range', () => {
+  const rows = [makeReading(at(30), 12), makeReading(at(20), 'ERR'), makeReading(at(10), 4), makeReading(at(0), 8)];
+  expect(isFilterActive(EMPTY_FILTER)).toBe(false);
+  expect(filterReadings(rows, EMPTY_FILTER)).toBe(rows);
+
+  const timeOnly = { ...EMPTY_FILTER, from: T0 + 10000, to: T0 + 20000 };
+  expect(filterReadings(rows, timeOnly).map(r => r.value)).toEqual(['ERR', 4]);
+
+  const values = { ...EMPTY_FILTER, min: 5, max: 12 };
+  expect(filterReadings(rows, values).map(r => r.value)).toEqual([12, 8]);
+});
+
+test('episodes match when they overlap the range and their peak is inside the value range', () => {
+  const episodes = [
+    { id: 'c', startedAt: at(300), endedAt: null, peak: 20 },
+    { id: 'b', startedAt: at(100), endedAt: at(200), peak: 9 },
+    { id: 'a', startedAt: at(0), endedAt: at(50), peak: 30 },
+  ];
+  const now = T0 + 400000;
+  expect(filterEpisodes(episodes, { ...EMPTY_FILTER, from: T0 + 150000 }, now).map(e => e.id)).toEqual(['c', 'b']);
+  expect(filterEpisodes(episodes, { ...EMPTY_FILTER, to: T0 + 60000 }, now).map(e => e.id)).toEqual(['a']);
+  expect(filterEpisodes(episodes, { ...EMPTY_FILTER, min: 15 }, now).map(e => e.id)).toEqual(['c', 'a']);
+});
+
+test('jump finds the newest row at or before the time', () => {
+  const rows = [makeReading(at(30), 1), makeReading(at(20), 2), makeReading(at(10), 3)];
+  expect(jumpIndex(rows, T0 + 25000, readingTime)).toBe(1);
+  expect(jumpIndex(rows, T0 + 60000, readingTime)).toBe(0);
+  expect(jumpIndex(rows, T0, readingTime)).toBe(2);
+  expect(jumpIndex([], T0, readingTime)).toBe(-1);
+});
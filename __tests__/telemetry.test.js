@@ -0,0 +1,264 @@
+/**
+ * @format
+ */
+
+import {
+  parseMqttMessage,
+  parseParamsMessage,
+  parsePingPayload,
+  parseSignalPayload,
+  parseThresholdUpdate,
+  findSnapshotStatus,
+  RejectReason,
+} from '../Services/telemetry';
+
+const RECEIVED_AT = '2025-03-01T10:15:30.000Z';
+const TS_MS = Date.parse(RECEIVED_AT);
+
+// Payload variants seen from the backend's mqtt_message event
+const fixtures = {
+  mergedLos: {
+    topic: 'boreal/SN100/data',
+    serial_number: 'SN100',
+    received_at: RECEIVED_AT,
+    los: { los_ppm: 12.75 },
+    payload: { params: { los_ppm_int: 12, los_ppm_dec: 75, light: 880 } },
+  },
+  mergedLosAsString: {
+    serial_number: 'SN100',
+    received_at: RECEIVED_AT,
+    los: { los_ppm: '3.5' },
+    payload: { params: {} },
+  },
+  epochTsOnly: {
+    serial_number: 'SN100',
+    ts: TS_MS,
+    los: { los_ppm: 1 },
+  },
+  serialInPayload: {
+    received_at: RECEIVED_AT,
+    payload: { serial_number: 'SN100', params: { los_ppm: 4 } },
+  },
+  serialAsPayloadSerial: {
+    received_at: RECEIVED_AT,
+    payload: { serial: 'SN100', ppm: '6' },
+  },
+  camelCaseSerial: {
+    serialNumber: 'SN100',
+    received_at: RECEIVED_AT,
+    params: { PPMValue: 9 },
+  },
+  legacyMultiplePpmKeys: {
+    serial: 'SN100',
+    received_at: RECEIVED_AT,
+    payload: { params: { los_ppm: 7, ppm_raw: 'n/a', temperature: 21 } },
+  },
+  noSerial: {
+    received_at: RECEIVED_AT,
+    los: { los_ppm: 2 },
+  },
+  otherStation: {
+    serial_number: 'SN999',
+    received_at: RECEIVED_AT,
+    los: { los_ppm: 50 },
+  },
+  noTimestamp: {
+    serial_number: 'SN100',
+    los: { los_ppm: 5 },
+  },
+  badTimestamp: {
+    serial_number: 'SN100',
+    received_at: 'yesterday-ish',
+    los: { los_ppm: 5 },
+  },
+  heartbeatWithoutPpm: {
+    serial_number: 'SN100',
+    received_at: RECEIVED_AT,
+    payload: { params: { light: 870, temperature: 22 } },
+  },
+  mergedLosNullFallsBackToParams: {
+    serial_number: 'SN100',
+    received_at: RECEIVED_AT,
+    los: { los_ppm: null },
+    payload: { params: { los_ppm: '8.25' } },
+  },
+};
+
+describe('parseMqttMessage', () => {
+  test('prefers the merged los.los_ppm value over ppm-like params', () => {
+    const parsed = parseMqttMessage(fixtures.mergedLos, { serialNumber: 'SN100' });
+    expect(parsed).toEqual({
+      ok: true,
+      serial: 'SN100',
+      ts: RECEIVED_AT,
+      readings: [{ ts: RECEIVED_AT, value: 12.75, numeric: true, rawKey: 'los_ppm_merged', rawValue: 12.75 }],
+      params: { los_ppm_int: 12, los_ppm_dec: 75, light: 880 },
+    });
+  });
+
+  test('coerces a merged value sent as a string', () => {
+    const parsed = parseMqttMessage(fixtures.mergedLosAsString);
+    expect(parsed.readings[0]).toMatchObject({ value: 3.5, numeric: true, rawValue: '3.5' });
+  });
+
+  test('falls back to epoch ms `ts` when received_at is missing', () => {
+    expect(parseMqttMessage(fixtures.epochTsOnly).ts).toBe(RECEIVED_AT);
+  });
+
+  test.each([
+    ['payload.serial_number', fixtures.serialInPayload, 4],
+    ['payload.serial with a flat payload', fixtures.serialAsPayloadSerial, 6],
+    ['serialNumber with top-level params', fixtures.camelCaseSerial, 9],
+  ])('finds the serial in %s', (_, msg, value) => {
+    const parsed = parseMqttMessage(msg, { serialNumber: 'SN100' });
+    expect(parsed.ok).toBe(true);
+    expect(parsed.serial).toBe('SN100');
+    expect(parsed.readings.map(r => r.value)).toEqual([value]);
+  });
+
+  test('legacy params produce one reading per ppm-like key, keeping non-numeric values raw', () => {
+    const parsed = parseMqttMessage(fixtures.legacyMultiplePpmKeys, { serialNumber: 'SN100' });
+    expect(parsed.readings).toEqual([
+      { ts: RECEIVED_AT, value: 7, numeric: true, rawKey: 'los_ppm', rawValue: 7 },
+      { ts: RECEIVED_AT, value: 'n/a', numeric: false, rawKey: 'ppm_raw', rawValue: 'n/a' },
+    ]);
+  });
+
+  test('a null merged value falls back to the params scan', () => {
+    const parsed = parseMqttMessage(fixtures.mergedLosNullFallsBackToParams);
+    expect(parsed.readings).toEqual([{ ts: RECEIVED_AT, value: 8.25, numeric: true, rawKey: 'los_ppm', rawValue: '8.25' }]);
+  });
+
+  test('accepts messages without any serial', () => {
+    const parsed = parseMqttMessage(fixtures.noSerial, { serialNumber: 'SN100' });
+    expect(parsed.ok).toBe(true);
+    expect(parsed.serial).toBeNull();
+  });
+
+  test.each([
+    ['another station', fixtures.otherStation, RejectReason.SERIAL_MISMATCH],
+    ['no timestamp', fixtures.noTimestamp, RejectReason.NO_TIMESTAMP],
+    ['an unparseable timestamp', fixtures.badTimestamp, RejectReason.NO_TIMESTAMP],
+    ['no ppm value', fixtures.heartbeatWithoutPpm, RejectReason.NO_PPM],
+    ['a non-object', 'garbage', RejectReason.INVALID_MESSAGE],
+    ['null', null, RejectReason.INVALID_MESSAGE],
+  ])('rejects %s', (_, msg, reason) => {
+    const parsed = parseMqttMessage(msg, { serialNumber: 'SN100' });
+    expect(parsed.ok).toBe(false);
+    expect(parsed.reason).toBe(reason);
+  });
+});
+
+describe('parseParamsMessage', () => {
+  test('returns every param, with the merged los values, even without a ppm value', () => {
+    expect(parseParamsMessage(fixtures.mergedLos, { serialNumber: 'SN100' })).toEqual({
+      ok: true,
+      serial: 'SN100',
+      ts: RECEIVED_AT,
+      params: { los_ppm_int: 12, los_ppm_dec: 75, light: 880, los_ppm: 12.75 },
+    });
+    expect(parseParamsMessage(fixtures.heartbeatWithoutPpm, { serialNumber: 'SN100' }).params).toEqual({
+      light: 870,
+      temperature: 22,
+    });
+  });
+
+  test.each([
+    ['another station', fixtures.otherStation, RejectReason.SERIAL_MISMATCH],
+    ['no timestamp', fixtures.noTimestamp, RejectReason.NO_TIMESTAMP],
+    ['a non-object', 'garbage', RejectReason.INVALID_MESSAGE],
+  ])('rejects %s', (_, msg, reason) => {
+    expect(parseParamsMessage(msg, { serialNumber: 'SN100' })).toMatchObject({ ok: false, reason });
+  });
+});
+
+describe('parsePingPayload', () => {
+  test.each([
+    [{ serial_number: 'SN1', online: true }, true],
+    [{ serialNumber: 'SN1', isOnline: false }, false],
+    [{ serial: 'SN1', status: 'online' }, true],
+    [{ serial: 'SN1', status: 'offline' }, false],
+    [{ sn: 'SN1', is_online: 1 }, true],
+    [{ sn: 'SN1', up: 0 }, false],
+    [{ serial_number: 'SN1', online: 'TRUE' }, true],
+    [{ serial_number: 'SN1' }, false],
+  ])('%j -> online=%s', (payload, online) => {
+    expect(parsePingPayload(payload)).toEqual({ ok: true, serial: 'SN1', online });
+  });
+
+  test('rejects payloads without a serial', () => {
+    expect(parsePingPayload({ online: true })).toEqual({ ok: false, reason: RejectReason.NO_SERIAL });
+    expect(parsePingPayload(undefined)).toEqual({ ok: false, reason: RejectReason.INVALID_MESSAGE });
+  });
+
+  test('findSnapshotStatus picks this station out of a device_status_snapshot', () => {
+    const snapshot = [
+      { serial_number: 'SN1', status: 'offline' },
+      { serial_number: 'SN2', status: 'online' },
+    ];
+    expect(findSnapshotStatus(snapshot, 'SN2')).toEqual({ ok: true, serial: 'SN2', online: true });
+    expect(findSnapshotStatus(snapshot, 'SN3')).toBeNull();
+    expect(findSnapshotStatus({ not: 'an array' }, 'SN1')).toBeNull();
+  });
+});
+
+describe('parseSignalPayload', () => {
+  test('accepts the JSON string the backend emits and plain objects', () => {
+    expect(parseSignalPayload('{"serial":"SN1","signal":64}')).toEqual({ ok: true, serial: 'SN1', signal: 64 });
+    expect(parseSignalPayload({ serial_number: 'SN1', signal: '8' })).toEqual({ ok: true, serial: 'SN1', signal: 8 });
+  });
+
+  test('rejects payloads without a serial or a 0-100 signal', () => {
+    expect(parseSignalPayload('not json')).toEqual({ ok: false, reason: RejectReason.INVALID_MESSAGE });
+    expect(parseSignalPayload({ signal: 50 })).toEqual({ ok: false, reason: RejectReason.NO_SERIAL });
+    expect(parseSignalPayload({ serial: 'SN1', signal: 140 })).toMatchObject({ reason: RejectReason.NO_SIGNAL });
+    expect(parseSignalPayload({ serial: 'SN1', signal: null })).toMatchObject({ reason: RejectReason.NO_SIGNAL });
+  });
+});
+
+describe('parseThresholdUpdate', () => {
+  test('parses a los_ppm threshold for this station', () => {
+    expect(parseThresholdUpdate({ serial_number: 'SN1', indicator: 'LOS_PPM', threshold: '15' }, { serialNumber: 'SN1' })).toEqual({
+      ok: true,
+      serial: 'SN1',
+      indicator: 'los_ppm',
+      threshold: 15,
+      levels: { warning: null, alarm: 15, critical: null },
+      rules: null,
+    });
+  });
+
+  test('parses every level when the backend sends them', () => {
+    const update = parseThresholdUpdate({
+      serial_number: 'SN1',
+      indicator: 'los_ppm',
+      threshold: 25,
+      levels: { warning: 10, alarm: 25, critical: '50' },
+    });
+    expect(update.levels).toEqual({ warning: 10, alarm: 25, critical: 50 });
+    expect(update.threshold).toBe(25);
+  });
+
+  test('parses the alarm rules when the backend sends them', () => {
+    const update = parseThresholdUpdate({
+      serial_number: 'SN1',
+      indicator: 'los_ppm',
+      threshold: 25,
+      rules: { hysteresis: 2, min_duration_s: 4, min_count: 2 },
+    });
+    expect(update.rules).toEqual({ hysteresis: 2, minDurationMs: 4000, minCount: 2, expectedIntervalMs: 0 });
+  });
+
+  test('a missing or non-numeric threshold means cleared', () => {
+    expect(parseThresholdUpdate({ serialNumber: 'SN1', indicator: 'los_ppm', threshold: 'abc' }).threshold).toBeNull();
+    expect(parseThresholdUpdate({ serialNumber: 'SN1', indicator: 'los_ppm', threshold: null }).threshold).toBeNull();
+  });
+
+  test.each([
+    [{ indicator: 'los_ppm', threshold: 1 }, RejectReason.NO_SERIAL],
+    [{ serial_number: 'SN2', indicator: 'los_ppm', threshold: 1 }, RejectReason.SERIAL_MISMATCH],
+    [{ serial_number: 'SN1', indicator: 'temperature', threshold: 1 }, RejectReason.UNSUPPORTED_INDICATOR],
+  ])('rejects %j', (msg, reason) => {
+    expect(parseThresholdUpdate(msg, { serialNumber: 'SN1' }).reason).toBe(reason);
+  });
+});
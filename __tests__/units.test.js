@@ -0,0 +1,64 @@
+/**
+ * @format
+ */
+
+import {
+  createUnitStore,
+  DEFAULT_UNITS,
+  formatNumber,
+  formatValue,
+  fromDisplay,
+  toDisplay,
+  toUnits,
+  Unit,
+  validateUnits,
+} from '../Services/units';
+import { memoryStorage } from './helpers/memoryStorage';
+
+const averaged = { unit: Unit.PPM, pathLengthM: 40, decimals: 3 };
+
+test('values convert between ppm·m and average ppm over the path length', () => {
+  expect(toDisplay(20, averaged)).toBe(0.5);
+  expect(fromDisplay(0.5, averaged)).toBe(20);
+  expect(fromDisplay(toDisplay(33.3, averaged), averaged)).toBeCloseTo(33.3, 10);
+  expect(toDisplay(20, DEFAULT_UNITS)).toBe(20);
+  expect(toDisplay('E05', averaged)).toBe('E05');
+  expect(fromDisplay(null, averaged)).toBeNull();
+});
+
+test('values are formatted with the unit and decimal places', () => {
+  expect(formatValue(12.345, DEFAULT_UNITS)).toBe('12.35 ppm·m');
+  expect(formatValue(20, averaged)).toBe('0.500 ppm');
+  expect(formatNumber(60, { ...averaged, decimals: 0 })).toBe('2');
+  expect(formatValue('E05', averaged)).toBe('E05');
+  expect(formatNumber(null, averaged)).toBe('-');
+});
+
+test('average ppm without a path length falls back to ppm·m and is rejected when entered', () => {
+  expect(toUnits({ unit: Unit.PPM, pathLengthM: null, decimals: 1 })).toEqual({
+    unit: Unit.PPM_M,
+    pathLengthM: null,
+    decimals: 1,
+  });
+  expect(toUnits({ unit: Unit.PPM, pathLengthM: 40, decimals: 9 })).toEqual({ ...averaged, decimals: 2 });
+  expect(validateUnits({ unit: Unit.PPM, pathLengthM: null, decimals: 2 })).toMatch(/path length/);
+  expect(validateUnits({ unit: Unit.PPM_M, pathLengthM: 0, decimals: 2 })).toMatch(/more than 0/);
+  expect(validateUnits({ unit: Unit.PPM_M, pathLengthM: null, decimals: 1.5 })).toMatch(/Decimal places/);
+  expect(validateUnits(averaged)).toBeNull();
+});
+
+test('the unit store persists per station and notifies subscribers', async () => {
+  const storage = memoryStorage();
+  const store = createUnitStore({ storage });
+  expect(await store.load('SN1')).toEqual(DEFAULT_UNITS);
+
+  const seen = [];
+  const unsubscribe = store.subscribe('SN1', units => seen.push(units));
+  await store.set('SN1', averaged);
+  unsubscribe();
+  expect(seen).toEqual([averaged]);
+  expect(store.get('SN2')).toEqual(DEFAULT_UNITS);
+
+  const reloaded = createUnitStore({ storage });
+  expect(await reloaded.load('SN1')).toEqual(averaged);
+});
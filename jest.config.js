@@ -1,3 +1,6 @@
 module.exports = {
   preset: 'react-native',
+  setupFiles: ['./jest.setup.js'],
+  // shared test helpers, not suites
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
 };
@@ -0,0 +1,18 @@
+/* eslint-env jest */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+// Native file, share and view capture modules; the services take fakes where a test looks at what was shared
+jest.mock('react-native-blob-util', () => ({
+  fs: { dirs: { CacheDir: '/cache' }, writeFile: jest.fn(async () => {}) },
+}));
+
+jest.mock('react-native-share', () => ({
+  open: jest.fn(async () => ({ success: true })),
+}));
+
+jest.mock('react-native-view-shot', () => ({
+  captureRef: jest.fn(async () => 'data:image/png;base64,'),
+}));
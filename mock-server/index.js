@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Run the mock Boreal server for local development.
+ *
+ *   npm run mock-server                               # steady readings on :4000
+ *   npm run mock-server -- --scenario leak-spike
+ *   npm run mock-server -- --scenario ./my-scenario.json --port 4100 --tick 1000
+ *   npm run mock-server -- --list
+ *
+ * Then pick "Local" in the app's developer menu (tap the version label on Home 7 times).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMockServer, scenarios } = require('./server');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+};
+
+if (args.includes('--list')) {
+  Object.entries(scenarios).forEach(([name, def]) => console.log(`${name.padEnd(18)} ${def.description}`));
+  process.exit(0);
+}
+
+const loadScenario = nameOrFile => {
+  if (!nameOrFile) return null;
+  if (scenarios[nameOrFile]) return nameOrFile;
+  const file = path.resolve(process.cwd(), nameOrFile);
+  if (!fs.existsSync(file)) {
+    console.error(`Unknown scenario "${nameOrFile}". Use --list to see the built-in ones.`);
+    process.exit(1);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const scenario = loadScenario(option('scenario'));
+const server = createMockServer({
+  port: Number(option('port', 4000)),
+  tickMs: Number(option('tick', 2000)),
+  log: msg => console.log(`[mock] ${msg}`),
+});
+
+server
+  .start()
+  .then(({ url }) => {
+    console.log(`Mock Boreal server listening on ${url}`);
+    if (scenario) {
+      console.log(`Running scenario: ${typeof scenario === 'string' ? scenario : option('scenario')}`);
+      server.runScenario(scenario);
+    }
+  })
+  .catch(err => {
+    console.error('Failed to start mock server:', err.message);
+    process.exit(1);
+  });
+
+const shutdown = () => {
+  server.stop().then(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
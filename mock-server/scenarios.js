@@ -0,0 +1,99 @@
+/**
+ * Built-in scenarios for the mock Boreal server.
+ *
+ * A scenario is a list of steps; each step runs `at` ms after the scenario starts:
+ *   { at: 5000, action: 'setPpm', serial: 'BRL-001', value: 40 }
+ *
+ * Actions:
+ *   setPpm        baseline PPM-M-LO the station reports from now on (small noise is added)
+ *   setOnline     value: true/false -> device_status + ping endpoint
+ *   setSilent     value: true/false -> the station stays online but stops / resumes reporting
+ *   setThreshold  value: { warning, alarm, critical } | number (alarm level only) | null
+ *                 optional rules: { hysteresis, min_duration_s, min_count, expected_interval_s }
+ *                 -> threshold_updated + thresholds endpoint
+ *   setSignal     value: 0-100 GSM signal %
+ *   emit          event + payload sent verbatim (anything not covered above)
+ *
+ * Custom scenarios can be loaded from a JSON file with the same shape: `{ "steps": [...] }`.
+ */
+
+const ramp = (serial, from, to, startAt, durationMs, stepMs = 1000) => {
+  const steps = [];
+  const count = Math.max(1, Math.round(durationMs / stepMs));
+  for (let i = 0; i <= count; i++) {
+    steps.push({ at: startAt + i * stepMs, action: 'setPpm', serial, value: from + ((to - from) * i) / count });
+  }
+  return steps;
+};
+
+module.exports = {
+  // Every station online, quiet readings well under threshold
+  steady: {
+    description: 'All stations online with low background readings',
+    steps: [],
+  },
+
+  'leak-spike': {
+    description: 'BRL-001 ramps from background to well above its threshold, holds, then recovers',
+    steps: [
+      ...ramp('BRL-001', 2, 80, 5000, 10000),
+      ...ramp('BRL-001', 80, 2, 30000, 10000),
+    ],
+  },
+
+  'device-offline': {
+    description: 'BRL-002 drops offline after 10s and comes back after 30s',
+    steps: [
+      { at: 10000, action: 'setOnline', serial: 'BRL-002', value: false },
+      { at: 30000, action: 'setOnline', serial: 'BRL-002', value: true },
+    ],
+  },
+
+  // Default expected interval is 30 s: BRL-001 is stale from ~35 s to ~65 s
+  'silent-station': {
+    description: 'BRL-001 stays online but stops reporting after 5s and resumes after 65s',
+    steps: [
+      { at: 5000, action: 'setSilent', serial: 'BRL-001', value: true },
+      { at: 65000, action: 'setSilent', serial: 'BRL-001', value: false },
+    ],
+  },
+
+  'threshold-levels': {
+    description: 'BRL-003 climbs through its warning (10) and alarm (20) levels, then recovers',
+    steps: [
+      ...ramp('BRL-003', 1, 14, 5000, 5000),
+      ...ramp('BRL-003', 14, 26, 15000, 5000),
+      ...ramp('BRL-003', 26, 1, 30000, 10000),
+    ],
+  },
+
+  // BRL-002 has hysteresis 3 and needs 3 readings / 6 s before its alarm state changes
+  flapping: {
+    description: 'BRL-002 hovers around its threshold (30), then settles above it and drops well below',
+    steps: [
+      ...[29, 31, 29.5, 30.5, 29, 31, 30.2, 29.8].map((value, i) => ({
+        at: 5000 + i * 2000, action: 'setPpm', serial: 'BRL-002', value,
+      })),
+      { at: 25000, action: 'setPpm', serial: 'BRL-002', value: 34 },
+      { at: 40000, action: 'setPpm', serial: 'BRL-002', value: 28.5 },
+      { at: 50000, action: 'setPpm', serial: 'BRL-002', value: 4 },
+    ],
+  },
+
+  'threshold-change': {
+    description: 'BRL-001 threshold is lowered to 5 then cleared, as if changed from another phone',
+    steps: [
+      { at: 5000, action: 'setThreshold', serial: 'BRL-001', value: 5 },
+      { at: 20000, action: 'setThreshold', serial: 'BRL-001', value: null },
+    ],
+  },
+
+  'weak-signal': {
+    description: 'BRL-003 GSM signal fades to 8% and recovers',
+    steps: [
+      { at: 5000, action: 'setSignal', serial: 'BRL-003', value: 30 },
+      { at: 10000, action: 'setSignal', serial: 'BRL-003', value: 8 },
+      { at: 25000, action: 'setSignal', serial: 'BRL-003', value: 70 },
+    ],
+  },
+};
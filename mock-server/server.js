@@ -0,0 +1,464 @@
+/**
+ * Mock Boreal server
+ *
+ * Stand-in for boreal-2.soniciot.com so the app (and Jest integration tests) can run fully offline.
+ * Implements the REST endpoints the app calls and the socket.io events it listens to, with
+ * in-memory station state that scenarios (see ./scenarios.js) can drive over time.
+ *
+ * Every endpoint except /api/auth/* wants `Authorization: Bearer <token>` and the socket handshake
+ * wants `auth.token`; sign in with one of DEFAULT_USERS (e.g. operator / operator). Renaming stations
+ * and changing thresholds is admin-only (403 otherwise), as on the real backend.
+ *
+ * Thresholds are levels (`{ warning, alarm, critical }`, null = unset); `los_ppm` is the alarm level.
+ * Each station also has alarm rules (`{ hysteresis, min_duration_s, min_count, expected_interval_s }`),
+ * stored and sent next to the levels; the server only keeps them, the app applies them. A station can
+ * be set silent: still online, but not reporting (the app shows it as stale).
+ *
+ *   const server = createMockServer({ port: 0, tickMs: 0 });
+ *   const { url } = await server.start();
+ *   server.emitReading('BRL-001', 42);
+ *   await server.stop();
+ */
+
+const http = require('http');
+const { Server } = require('socket.io');
+const builtInScenarios = require('./scenarios');
+
+const LEVEL_KEYS = ['warning', 'alarm', 'critical'];
+const NO_LEVELS = { warning: null, alarm: null, critical: null };
+const alarmOnly = alarm => ({ ...NO_LEVELS, alarm });
+const DEFAULT_RULES = { hysteresis: 0, min_duration_s: 0, min_count: 1, expected_interval_s: 30 };
+
+const DEFAULT_STATIONS = [
+  { id: 1, name: 'North Fence', serial_number: 'BRL-001', category: 'boreal', ppm: 2, signal: 82,
+    levels: { warning: 15, alarm: 25, critical: 50 } },
+  { id: 2, name: 'Compressor Yard', serial_number: 'BRL-002', category: 'boreal', ppm: 4, signal: 64,
+    levels: alarmOnly(30), rules: { hysteresis: 3, min_duration_s: 6, min_count: 3 } },
+  { id: 3, name: 'Tank Farm', serial_number: 'BRL-003', category: 'boreal', ppm: 1, signal: 45,
+    levels: { warning: 10, alarm: 20, critical: null } },
+  // not a Boreal laser: the app filters it out of the station list
+  { id: 4, name: 'Gate Meter', serial_number: 'MTR-001', category: 'meter', ppm: 0, signal: 90, levels: NO_LEVELS },
+];
+
+// Levels from a PUT body / scenario value: levels object, bare number (alarm only) or null (cleared)
+const toLevels = value => {
+  if (value === null || value === undefined) return NO_LEVELS;
+  if (typeof value !== 'object') return alarmOnly(Number(value));
+  const levels = {};
+  LEVEL_KEYS.forEach(key => {
+    levels[key] = value[key] === null || value[key] === undefined || value[key] === '' ? null : Number(value[key]);
+  });
+  return levels;
+};
+
+// null when valid, else the 400 message
+const levelsError = levels => {
+  const set = LEVEL_KEYS.filter(key => levels[key] !== null);
+  if (set.some(key => Number.isNaN(levels[key]))) return 'levels must be numbers';
+  for (let i = 1; i < set.length; i++) {
+    if (levels[set[i]] <= levels[set[i - 1]]) return `${set[i]} must be higher than ${set[i - 1]}`;
+  }
+  return null;
+};
+
+// Rules from a PUT body, missing fields defaulted; null when any field is invalid
+const toRules = value => {
+  const rules = { ...DEFAULT_RULES };
+  for (const key of Object.keys(DEFAULT_RULES)) {
+    if (value[key] === undefined || value[key] === null) continue;
+    const n = Number(value[key]);
+    if (!Number.isFinite(n) || n < (key === 'min_count' ? 1 : 0)) return null;
+    if (key === 'min_count' && !Number.isInteger(n)) return null;
+    rules[key] = n;
+  }
+  return rules;
+};
+
+const DEFAULT_USERS = [
+  { id: 1, username: 'admin', password: 'admin', name: 'Site Admin', role: 'admin' },
+  { id: 2, username: 'operator', password: 'operator', name: 'Field Operator', role: 'operator' },
+  { id: 3, username: 'viewer', password: 'viewer', name: 'Control Room', role: 'viewer' },
+];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const readJsonBody = req =>
+  new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (_) {
+        resolve(null);
+      }
+    });
+  });
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+function createMockServer({
+  port = 4000,
+  host = '0.0.0.0',
+  tickMs = 2000, // 0 disables automatic readings (tests emit them explicitly)
+  noise = 0.5, // +/- PPM jitter added to automatic readings
+  stations = DEFAULT_STATIONS,
+  historySize = 1000,
+  users = DEFAULT_USERS,
+  tokenTtlMs = 15 * 60 * 1000, // access token lifetime; tests shorten it to exercise refresh
+  log = () => {},
+} = {}) {
+  const state = new Map(
+    stations.map(s => [s.serial_number, { online: true, ...s, levels: s.levels || toLevels(s.threshold), rules: { ...DEFAULT_RULES, ...s.rules }, history: [] }]),
+  );
+  const savedTokens = []; // { token, user } - which signed-in user each FCM token was linked to
+  const accessTokens = new Map(); // token -> { user, expiresAt }
+  const refreshTokens = new Map(); // token -> user
+  const alarmAcks = new Map(); // serial -> Map(episode id -> ack as sent to clients)
+  let tokenSeq = 0;
+  const timers = new Set();
+  let io = null;
+  let tickTimer = null;
+  let url = null;
+
+  const station = serial => state.get(String(serial));
+  const emit = (event, payload) => io && io.emit(event, payload);
+
+  /* ---------- state changes (also used by scenarios) ---------- */
+
+  const emitReading = (serial, value) => {
+    const s = station(serial);
+    if (!s) throw new Error(`Unknown station ${serial}`);
+    const ppm = round2(value === undefined ? Math.max(0, s.ppm + (Math.random() * 2 - 1) * noise) : value);
+    const receivedAt = new Date().toISOString();
+
+    s.history.push({ ts: receivedAt, value: ppm });
+    if (s.history.length > historySize) s.history.splice(0, s.history.length - historySize);
+
+    emit('mqtt_message', {
+      topic: `boreal/${s.serial_number}/data`,
+      serial_number: s.serial_number,
+      received_at: receivedAt,
+      los: { los_ppm: ppm },
+      payload: {
+        serial_number: s.serial_number,
+        params: { los_ppm: ppm, light: 850 + Math.round(Math.random() * 40), temperature: 21.5 },
+      },
+    });
+    return ppm;
+  };
+
+  const setPpm = (serial, value) => {
+    station(serial).ppm = Number(value);
+  };
+
+  // A silent station stays online (ping, status) but sends no readings
+  const setSilent = (serial, silent) => {
+    station(serial).silent = !!silent;
+  };
+
+  const setOnline = (serial, online) => {
+    const s = station(serial);
+    s.online = !!online;
+    emit('device_status', { serial_number: s.serial_number, status: s.online ? 'online' : 'offline' });
+  };
+
+  const thresholdBody = s => ({ los_ppm: s.levels.alarm, levels: s.levels, rules: s.rules });
+
+  // value: levels object, a number (alarm level only) or null (cleared); rules left out are kept
+  const setThreshold = (serial, value, rules) => {
+    const s = station(serial);
+    s.levels = toLevels(value);
+    if (rules) s.rules = { ...DEFAULT_RULES, ...rules };
+    emit('threshold_updated', {
+      serial_number: s.serial_number,
+      indicator: 'los_ppm',
+      threshold: s.levels.alarm,
+      levels: s.levels,
+      rules: s.rules,
+    });
+  };
+
+  const setSignal = (serial, value) => {
+    const s = station(serial);
+    s.signal = Number(value);
+    // the real backend sends this one as a JSON string
+    emit('signal', JSON.stringify({ serial: s.serial_number, signal: s.signal }));
+  };
+
+  const snapshot = () =>
+    [...state.values()].map(s => ({ serial_number: s.serial_number, status: s.online ? 'online' : 'offline' }));
+
+  /* ---------- scenarios ---------- */
+
+  const actions = {
+    setPpm: step => setPpm(step.serial, step.value),
+    setOnline: step => setOnline(step.serial, step.value),
+    setSilent: step => setSilent(step.serial, step.value),
+    setThreshold: step => setThreshold(step.serial, step.value, step.rules),
+    setSignal: step => setSignal(step.serial, step.value),
+    emit: step => emit(step.event, step.payload),
+  };
+
+  /** Runs a named built-in scenario or a `{ steps }` object; returns a cancel function. */
+  const runScenario = scenario => {
+    const def = typeof scenario === 'string' ? builtInScenarios[scenario] : scenario;
+    if (!def || !Array.isArray(def.steps)) throw new Error(`Unknown scenario ${JSON.stringify(scenario)}`);
+
+    const own = def.steps.map(step => {
+      const t = setTimeout(() => {
+        timers.delete(t);
+        const run = actions[step.action];
+        if (!run) {
+          log(`scenario: unknown action ${step.action}`);
+          return;
+        }
+        log(`scenario: ${step.action} ${step.serial || step.event || ''} ${JSON.stringify(step.value ?? '')}`);
+        run(step);
+      }, step.at || 0);
+      timers.add(t);
+      return t;
+    });
+
+    return () =>
+      own.forEach(t => {
+        clearTimeout(t);
+        timers.delete(t);
+      });
+  };
+
+  /* ---------- auth ---------- */
+
+  const publicUser = ({ id, username, name, role }) => ({ id, username, name, role });
+
+  const issueTokens = user => {
+    tokenSeq += 1;
+    const accessToken = `access-${user.id}-${tokenSeq}`;
+    const refreshToken = `refresh-${user.id}-${tokenSeq}`;
+    accessTokens.set(accessToken, { user, expiresAt: Date.now() + tokenTtlMs });
+    refreshTokens.set(refreshToken, user);
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expires_in: tokenTtlMs / 1000,
+      user: publicUser(user),
+    };
+  };
+
+  const userForToken = token => {
+    const entry = token && accessTokens.get(token);
+    if (!entry) return null;
+    if (Date.now() >= entry.expiresAt) {
+      accessTokens.delete(token);
+      return null;
+    }
+    return entry.user;
+  };
+
+  // Simulates the backend revoking everything (e.g. password change): refreshes fail from now on
+  const revokeSessions = () => {
+    accessTokens.clear();
+    refreshTokens.clear();
+  };
+
+  const authRoutes = [
+    ['POST', /^\/api\/auth\/login$/, (m, body) => {
+      const user = body && users.find(u => u.username === body.username && u.password === body.password);
+      return user ? [200, issueTokens(user)] : [401, { error: 'invalid credentials' }];
+    }],
+    ['POST', /^\/api\/auth\/refresh$/, (m, body) => {
+      const user = body && refreshTokens.get(body.refresh_token);
+      if (!user) return [401, { error: 'invalid refresh token' }];
+      refreshTokens.delete(body.refresh_token); // rotated
+      return [200, issueTokens(user)];
+    }],
+    ['POST', /^\/api\/auth\/logout$/, (m, body) => {
+      if (body && body.refresh_token) refreshTokens.delete(body.refresh_token);
+      return [200, { ok: true }];
+    }],
+  ];
+
+  /* ---------- REST ---------- */
+
+  const allowRoles = (roles, error) => handler => (m, body, query, user) =>
+    roles.includes(user.role) ? handler(m, body, query, user) : [403, { error }];
+  const adminOnly = allowRoles(['admin'], 'supervisor role required');
+  const operatorOnly = allowRoles(['operator', 'admin'], 'operator role required');
+
+  const routes = [
+    ['GET', /^\/api\/remote_stations$/, () => [200, [...state.values()].map(({ id, name, serial_number, category }) => ({ id, name, serial_number, category }))]],
+    ['PUT', /^\/api\/remote_stations\/([^/]+)$/, adminOnly((m, body) => {
+      const s = [...state.values()].find(x => String(x.id) === decodeURIComponent(m[1]));
+      if (!s) return [404, { error: 'station not found' }];
+      if (!body || typeof body.name !== 'string' || !body.name.trim()) return [400, { error: 'name is required' }];
+      s.name = body.name.trim();
+      return [200, { id: s.id, name: s.name, serial_number: s.serial_number, category: s.category }];
+    })],
+    ['GET', /^\/api\/thresholds\/([^/]+)$/, m => {
+      const s = station(decodeURIComponent(m[1]));
+      return s ? [200, thresholdBody(s)] : [404, { error: 'station not found' }];
+    }],
+    ['PUT', /^\/api\/thresholds\/([^/]+)$/, adminOnly((m, body) => {
+      const s = station(decodeURIComponent(m[1]));
+      if (!s) return [404, { error: 'station not found' }];
+      if (!body) return [400, { error: 'invalid JSON' }];
+      // newer clients send every level; older ones only los_ppm (the alarm level)
+      const levels = toLevels(body.levels && typeof body.levels === 'object' ? body.levels : body.los_ppm);
+      const error = levelsError(levels);
+      if (error) return [400, { error }];
+      const rules = body.rules && typeof body.rules === 'object' ? toRules(body.rules) : undefined;
+      if (rules === null) return [400, { error: 'rules must be non-negative numbers and min_count a whole number of at least 1' }];
+      setThreshold(s.serial_number, levels, rules);
+      return [200, thresholdBody(s)];
+    })],
+    ['GET', /^\/api\/ping\/([^/]+)$/, m => {
+      const s = station(decodeURIComponent(m[1]));
+      return s ? [200, { serial_number: s.serial_number, status: s.online ? 'online' : 'offline' }] : [404, { error: 'station not found' }];
+    }],
+    ['GET', /^\/api\/history\/([^/]+)$/, (m, body, query) => {
+      const s = station(decodeURIComponent(m[1]));
+      if (!s) return [404, { error: 'station not found' }];
+      const limit = Math.max(1, Number(query.get('limit')) || 500);
+      return [200, { readings: s.history.slice(-limit) }];
+    }],
+    ['GET', /^\/api\/alarms\/([^/]+)\/acks$/, m => {
+      const s = station(decodeURIComponent(m[1]));
+      if (!s) return [404, { error: 'station not found' }];
+      return [200, [...(alarmAcks.get(s.serial_number) || new Map()).values()]];
+    }],
+    // The first acknowledgement of an episode wins; repeating it returns the stored one
+    ['POST', /^\/api\/alarms\/([^/]+)\/acks$/, operatorOnly((m, body, query, user) => {
+      const s = station(decodeURIComponent(m[1]));
+      if (!s) return [404, { error: 'station not found' }];
+      if (!body || !body.episode_id) return [400, { error: 'episode_id is required' }];
+      if (!alarmAcks.has(s.serial_number)) alarmAcks.set(s.serial_number, new Map());
+      const acks = alarmAcks.get(s.serial_number);
+      const id = String(body.episode_id);
+      if (!acks.has(id)) {
+        acks.set(id, {
+          serial_number: s.serial_number,
+          episode_id: id,
+          started_at: body.started_at || null,
+          acknowledged_by: { username: user.username, name: user.name },
+          acknowledged_at: new Date().toISOString(),
+          comment: typeof body.comment === 'string' ? body.comment.trim() : '',
+        });
+        emit('alarm_acknowledged', acks.get(id));
+      }
+      return [200, acks.get(id)];
+    })],
+    ['POST', /^\/api\/save-token$/, (m, body, query, user) => {
+      if (!body || !body.token) return [400, { error: 'token is required' }];
+      savedTokens.push({ token: body.token, user: user.username });
+      return [200, { ok: true }];
+    }],
+  ];
+
+  const handleRequest = async (req, res) => {
+    const parsed = new URL(req.url, 'http://localhost');
+    const find = list => list.find(([method, re]) => method === req.method && re.test(parsed.pathname));
+    const authRoute = find(authRoutes);
+    const route = authRoute || find(routes);
+    if (!route) {
+      send(res, 404, { error: `no route for ${req.method} ${parsed.pathname}` });
+      return;
+    }
+    let user = null;
+    if (!authRoute) {
+      const header = req.headers.authorization || '';
+      user = userForToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+      if (!user) {
+        log(`${req.method} ${req.url} -> 401`);
+        send(res, 401, { error: 'not authenticated' });
+        return;
+      }
+    }
+    const body = req.method === 'GET' ? {} : await readJsonBody(req);
+    const [status, payload] = route[2](parsed.pathname.match(route[1]), body, parsed.searchParams, user);
+    log(`${req.method} ${req.url} -> ${status}`);
+    send(res, status, payload);
+  };
+
+  /* ---------- lifecycle ---------- */
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => send(res, 500, { error: String(err.message || err) }));
+  });
+
+  const start = () =>
+    new Promise((resolve, reject) => {
+      io = new Server(httpServer, { cors: { origin: '*' } });
+      io.use((socket, next) => {
+        const user = userForToken(socket.handshake.auth && socket.handshake.auth.token);
+        if (!user) {
+          next(new Error('not authenticated'));
+          return;
+        }
+        socket.data.user = user;
+        next();
+      });
+      io.on('connection', socket => {
+        log(`socket connected ${socket.id} (${socket.data.user.username})`);
+        socket.emit('device_status_snapshot', snapshot());
+      });
+
+      httpServer.once('error', reject);
+      httpServer.listen(port, host, () => {
+        const address = httpServer.address();
+        url = `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${address.port}`;
+
+        if (tickMs > 0) {
+          tickTimer = setInterval(() => {
+            state.forEach(s => {
+              if (!s.online || s.silent || s.category !== 'boreal') return;
+              emitReading(s.serial_number);
+              emit('signal', JSON.stringify({ serial: s.serial_number, signal: s.signal }));
+            });
+          }, tickMs);
+        }
+        resolve({ url });
+      });
+    });
+
+  const stop = () =>
+    new Promise(resolve => {
+      if (tickTimer) clearInterval(tickTimer);
+      timers.forEach(t => clearTimeout(t));
+      timers.clear();
+      if (!io) {
+        resolve();
+        return;
+      }
+      // io.close() also closes the underlying http server
+      io.close(() => resolve());
+      io = null;
+    });
+
+  return {
+    start,
+    stop,
+    get url() {
+      return url;
+    },
+    stations: state,
+    savedTokens,
+    revokeSessions,
+    emitReading,
+    setPpm,
+    setOnline,
+    setSilent,
+    setThreshold,
+    setSignal,
+    runScenario,
+  };
+}
+
+module.exports = { createMockServer, DEFAULT_STATIONS, DEFAULT_USERS, scenarios: builtInScenarios };